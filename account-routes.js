@@ -0,0 +1,181 @@
+const express = require('express');
+const { bucket } = require('./storage');
+const { retry } = require('./resilience');
+const { JOB_STATUS, ACTIVE_STATUSES, summarizeJob } = require('./job-queue');
+const { albumManifests } = require('./album-manifest');
+const { configuredDestinations } = require('./export-destinations');
+const { dataModel } = require('./data-model');
+const { requireUser, folderOwners } = require('./auth');
+const { streamZip, photoEntry, removeCachedDownloads } = require('./album-download');
+const { archivedFolderPrefix, clearStorage, deleteFromDestinations } = require('./retention');
+const { auditLog } = require('./audit-log');
+const { cancelUnpaidOrders, paymentErrorResponse } = require('./payments');
+
+// The signed-in customer's own data:
+//
+//   GET    /me/export   zip of everything stored about them: account.json
+//                       (customer, addresses, albums, photo records, orders,
+//                       album manifests, the zipped files) and every photo
+//                       under photos/
+//   DELETE /me          { confirm: true } - erase the account: photos in
+//                       storage (archived ones too) and at the export
+//                       destinations, records, manifests, folder ownership
+//                       and print orders
+//
+// An account with an order still in progress can't be erased (409
+// orders_in_progress). Orders awaiting payment are cancelled with their
+// payment intents first, so nothing can be paid for an erased account; all
+// the intents are cancelled before anything else changes, and if one can't
+// be the account and its other orders are left as they are. A destination
+// that is down when the account is erased keeps its copies until the
+// retention sweep gets to delete them (see retention.js); the response lists
+// those destinations with a 202. Both actions are recorded in the audit log.
+
+// Every folder the customer has: the ones they own plus those of their
+// address records
+async function customerFolders(user) {
+  const addresses = await dataModel.listAddresses(user.uid);
+  return [...new Set([...folderOwners.foldersOf(user.uid), ...addresses.map(address => address.folderName)])];
+}
+
+// Where a folder's files are: the folder itself and its part of the
+// retention archive. Both end in "/", so folder 12_AB1 never matches 12_AB12CD.
+function folderPrefixes(folderName) {
+  return [`${folderName}/`, archivedFolderPrefix(folderName)];
+}
+
+// Stored files of the folders, archived ones included
+async function listFolderFiles(folderNames) {
+  const files = [];
+  for (const folderName of folderNames) {
+    for (const prefix of folderPrefixes(folderName)) {
+      const [found] = await retry(`Listing ${prefix}`, () => bucket.getFiles({ prefix }));
+      files.push(...found.filter(file => !file.name.endsWith('/')));
+    }
+  }
+  return files;
+}
+
+function createAccountRouter({ printQueue }) {
+  const router = express.Router();
+  router.use('/me', requireUser);
+
+  const ordersOf = folderNames => printQueue.list(job => folderNames.includes(job.folderName));
+
+  router.get('/me/export', async (req, res) => {
+    let account;
+    let files;
+    try {
+      const folders = await customerFolders(req.user);
+      const records = await dataModel.exportCustomer(req.user.uid, folders);
+      files = await listFolderFiles(folders);
+
+      account = {
+        exportedAt: new Date().toISOString(),
+        user: { uid: req.user.uid, email: req.user.email },
+        ...records,
+        // The order history, with the delivery details given for each order
+        orders: ordersOf(folders).map(job => ({ ...summarizeJob(job), userDetails: job.userDetails || null })),
+        folders: folders.map(folderName => ({
+          folderName,
+          owner: folderOwners.get(folderName),
+          albums: albumManifests.forFolder(folderName)
+        })),
+        // The photo files in the zip
+        files: []
+      };
+    } catch (error) {
+      console.error('Account export error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to export account', details: error.message });
+    }
+
+    auditLog.record('account.exported', {
+      actor: req.user.uid,
+      subject: req.user.uid,
+      details: { folders: account.folders.length, photos: files.length, orders: account.orders.length }
+    });
+
+    const fileName = `account-export-${account.exportedAt.slice(0, 10)}.zip`;
+    await streamZip(res, fileName, async zip => {
+      for (const file of files) {
+        if (zip.aborted) return;
+        const name = `photos/${file.name}`;
+        await zip.addFile(file, name);
+        account.files.push(photoEntry(file, name));
+      }
+      zip.addJson('account.json', account);
+    });
+  });
+
+  router.delete('/me', async (req, res) => {
+    if (!req.body || req.body.confirm !== true) {
+      return res.status(400).json({ success: false, error: 'Send { "confirm": true } to delete your account' });
+    }
+
+    try {
+      const folders = await customerFolders(req.user);
+      const orders = ordersOf(folders);
+      const inProgress = orders.filter(job => ACTIVE_STATUSES.includes(job.status));
+      if (inProgress.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Orders are still being processed - try again once they are finished',
+          code: 'orders_in_progress',
+          details: { orderIds: inProgress.map(job => job.id) }
+        });
+      }
+
+      const unpaid = orders.filter(job => job.status === JOB_STATUS.AWAITING_PAYMENT);
+      await cancelUnpaidOrders(printQueue, unpaid, 'account_deleted');
+
+      // Everywhere the customer's orders went, and anywhere new ones go
+      const destinationNames = [...new Set([
+        ...configuredDestinations(),
+        ...orders.flatMap(job => job.destinations || ['dropbox'])
+      ])];
+
+      let storageObjects = 0;
+      const pendingDestinations = new Set();
+      for (const folderName of folders) {
+        for (const prefix of folderPrefixes(folderName)) {
+          storageObjects += await clearStorage(prefix);
+        }
+        const { pending } = await deleteFromDestinations(destinationNames, { folderName });
+        pending.forEach(name => pendingDestinations.add(name));
+        albumManifests.removeFolder(folderName);
+        await removeCachedDownloads(folderName);
+      }
+
+      const records = await dataModel.eraseCustomer(req.user.uid, folders);
+      orders.forEach(job => printQueue.remove(job.id));
+      // Last, so a failed attempt can be repeated by the same user
+      folders.forEach(folderName => folderOwners.release(folderName));
+      folderOwners.dropClaimRequests(req.user.uid);
+
+      const erased = { folders: folders.length, storageObjects, records, orders: orders.length };
+      auditLog.record('account.erased', {
+        actor: req.user.uid,
+        subject: req.user.uid,
+        details: { ...erased, orderIds: orders.map(job => job.id), pendingDestinations: [...pendingDestinations] }
+      });
+      console.log(`🗑️ Account ${req.user.uid} erased: ${folders.length} folder(s), ${storageObjects} stored file(s)`);
+
+      res.status(pendingDestinations.size > 0 ? 202 : 200).json({
+        success: true,
+        erased,
+        pendingDestinations: [...pendingDestinations]
+      });
+    } catch (error) {
+      const paymentError = paymentErrorResponse(error);
+      if (paymentError) {
+        return res.status(error.status).json(paymentError);
+      }
+      console.error('Account deletion error:', error);
+      res.status(500).json({ success: false, error: 'Failed to delete account', details: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAccountRouter };
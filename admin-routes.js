@@ -0,0 +1,480 @@
+const crypto = require('crypto');
+const express = require('express');
+const { bucket } = require('./storage');
+const { JOB_STATUS, ACTIVE_STATUSES, summarizeJob } = require('./job-queue');
+const { listAlbumFiles } = require('./print-worker');
+const { folderOwners, isFolderName } = require('./auth');
+const { dropboxAuth } = require('./dropbox-utils');
+const { streamOrderEvents } = require('./order-events');
+const { PAYMENT_STATUS, refundOrder, cancelUnpaidOrder, paymentErrorResponse } = require('./payments');
+
+// Admin dashboard for incomplete and failed orders.
+// Protected by ADMIN_TOKEN (Bearer header) and/or ADMIN_PASSWORD (HTTP Basic
+// auth, any username - lets the browser prompt for it).
+// /admin/dropbox shows the Dropbox connection and re-links the account with
+// the OAuth code flow (PKCE). Register the callback URL in the Dropbox app
+// console: DROPBOX_REDIRECT_URI, or <this server>/admin/dropbox/callback.
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function requireAdmin(req, res, next) {
+  const { ADMIN_TOKEN, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_TOKEN && !ADMIN_PASSWORD) {
+    return res.status(503).json({ success: false, error: 'Admin dashboard is not configured' });
+  }
+
+  const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+
+  if (scheme === 'Bearer' && ADMIN_TOKEN && safeEqual(credentials, ADMIN_TOKEN)) {
+    return next();
+  }
+
+  if (scheme === 'Basic' && ADMIN_PASSWORD && credentials) {
+    const decoded = Buffer.from(credentials, 'base64').toString();
+    const password = decoded.slice(decoded.indexOf(':') + 1);
+    if (safeEqual(password, ADMIN_PASSWORD)) {
+      return next();
+    }
+  }
+
+  res.set('WWW-Authenticate', 'Basic realm="30 Clicks admin"');
+  res.status(401).json({ success: false, error: 'Admin authentication required' });
+}
+
+// Browsers re-send Basic credentials on cross-site form posts, so only accept
+// actions that come from the dashboard itself. "Origin: null" (sandboxed and
+// privacy-mode pages) and malformed values are rejected too.
+function requireSameOrigin(req, res, next) {
+  const origin = req.headers.origin || req.headers.referer;
+  if (origin && originHost(origin) !== req.headers.host) {
+    return res.status(403).json({ success: false, error: 'Cross-origin admin action rejected' });
+  }
+  next();
+}
+
+function originHost(origin) {
+  try {
+    return new URL(origin).host;
+  } catch (error) {
+    return null;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} - 30 Clicks admin</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #ddd; padding: 0.4rem; text-align: left; }
+    .status { font-weight: bold; }
+    .thumbs { display: flex; flex-wrap: wrap; gap: 0.5rem; }
+    .thumbs figure { margin: 0; width: 160px; font-size: 0.75rem; word-break: break-all; }
+    .thumbs img { width: 160px; height: 160px; object-fit: cover; background: #eee; }
+    #events { font-family: monospace; font-size: 0.85rem; max-height: 20rem; overflow-y: auto; }
+    form { display: inline-block; margin-right: 0.5rem; }
+    nav a { margin-right: 0.75rem; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+const FILTERS = {
+  open: job => ACTIVE_STATUSES.includes(job.status),
+  awaiting_payment: job => job.status === JOB_STATUS.AWAITING_PAYMENT,
+  needs_review: job => job.status === JOB_STATUS.NEEDS_REVIEW,
+  failed: job => job.status === JOB_STATUS.FAILED,
+  done: job => job.status === JOB_STATUS.DONE,
+  cancelled: job => job.status === JOB_STATUS.CANCELLED,
+  all: () => true
+};
+
+// Placed without payments, or paid and not refunded: it may go to the lab.
+// Unpaid orders wait for the payment, refunded ones have to be ordered again.
+function isPrintable(job) {
+  return !job.payment || job.payment.status === PAYMENT_STATUS.SUCCEEDED;
+}
+
+// Paid, and not refunded yet (or the refund failed)
+function isRefundable(job) {
+  return Boolean(job.payment) && [PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.REFUND_FAILED].includes(job.payment.status);
+}
+
+function createAdminRouter({ printQueue }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+  router.use(express.urlencoded({ extended: false }));
+
+  function findJob(req, res) {
+    const job = printQueue.get(req.params.orderId);
+    if (!job) {
+      res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    return job;
+  }
+
+  // The order, if it may be sent to the lab
+  function findPrintableJob(req, res) {
+    const job = findJob(req, res);
+    if (job && !isPrintable(job)) {
+      res.status(409).json({
+        success: false,
+        error: 'Order has not been paid for, or its payment was refunded',
+        code: 'not_paid',
+        details: { paymentStatus: job.payment.status }
+      });
+      return null;
+    }
+    return job;
+  }
+
+  // Order list, filtered by status (defaults to orders needing attention)
+  router.get('/', (req, res) => {
+    const filterName = FILTERS[req.query.status] ? req.query.status : 'needs_review';
+    const jobs = printQueue
+      .list(FILTERS[filterName])
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const nav = Object.keys(FILTERS)
+      .map(name => name === filterName
+        ? `<strong>${name}</strong>`
+        : `<a href="${req.baseUrl}/?status=${name}">${name}</a>`)
+      .join(' ');
+
+    const rows = jobs.map(job => `
+      <tr>
+        <td><a href="${req.baseUrl}/orders/${encodeURIComponent(job.id)}">${escapeHtml(job.id)}</a></td>
+        <td>${escapeHtml(job.address)}</td>
+        <td>${escapeHtml(job.albumNumber)}</td>
+        <td class="status">${escapeHtml(job.status)}${job.reason ? ` (${escapeHtml(job.reason)})` : ''}</td>
+        <td>${escapeHtml(job.photosFound || 0)}/${escapeHtml(job.photosTaken)}</td>
+        <td>${escapeHtml(job.createdAt)}</td>
+        <td>${job.contactedAt ? `✔ ${escapeHtml(job.contactedAt)}` : ''}</td>
+      </tr>`).join('');
+
+    res.send(renderPage('Orders', `
+      <h1>Print orders</h1>
+      <p><a href="${req.baseUrl}/dropbox">Dropbox connection</a></p>
+      <nav>${nav}</nav>
+      <table>
+        <tr><th>Order</th><th>Address</th><th>Album</th><th>Status</th><th>Photos</th><th>Created</th><th>Contacted</th></tr>
+        ${rows || '<tr><td colspan="7">No orders</td></tr>'}
+      </table>`));
+  });
+
+  // Live events for every order, or one with ?orderId= (Server-Sent Events)
+  router.get('/events', (req, res) => {
+    const { orderId } = req.query;
+    streamOrderEvents(req, res, { filter: event => !orderId || event.orderId === orderId });
+  });
+
+  // Order detail with thumbnails of what is in folder/albumN/ right now
+  router.get('/orders/:orderId', async (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    try {
+      const files = await listAlbumFiles(job.folderPrefix);
+      const order = summarizeJob(job);
+      const orderUrl = `${req.baseUrl}/orders/${encodeURIComponent(job.id)}`;
+
+      const thumbs = files.map(file => {
+        const name = file.name.split('/').pop();
+        const uploaded = Object.entries(order.exports)
+          .filter(([, state]) => state.uploaded.includes(name))
+          .map(([destination]) => ` ✅ ${escapeHtml(destination)}`)
+          .join('');
+        return `
+          <figure>
+            <img loading="lazy" src="${orderUrl}/photos/${encodeURIComponent(name)}" alt="">
+            <figcaption>${escapeHtml(name)}${uploaded}</figcaption>
+          </figure>`;
+      }).join('');
+
+      const action = (path, label) => `
+        <form method="post" action="${orderUrl}/${path}">
+          <button type="submit">${label}</button>
+        </form>`;
+
+      res.send(renderPage(`Order ${job.id}`, `
+        <p><a href="${req.baseUrl}/">← All orders</a></p>
+        <h1>Order ${escapeHtml(job.id)}</h1>
+        <p class="status">${escapeHtml(job.status)}${job.reason ? ` (${escapeHtml(job.reason)})` : ''}</p>
+        <p>
+          Address: ${escapeHtml(job.address)}, album ${escapeHtml(job.albumNumber)}<br>
+          Folder: ${escapeHtml(job.folderPrefix)}<br>
+          Photos expected: ${escapeHtml(job.photosTaken)}, found now: ${files.length}<br>
+          Contacted: ${escapeHtml(job.contactedAt || 'no')}<br>
+          Payment: ${job.payment ? `${escapeHtml(job.payment.status)}, ${escapeHtml(job.payment.amount)} ${escapeHtml(job.payment.currency)}` : 'none'}
+          ${job.payment && job.payment.refundError ? `<br>Refund error: ${escapeHtml(job.payment.refundError)}` : ''}
+        </p>
+        <div>
+          ${isPrintable(job) ? action('force-print', 'Force print partial order') : ''}
+          ${isPrintable(job) ? action('re-export', 'Re-run export') : ''}
+          ${action('contacted', 'Mark as contacted')}
+          ${action('cancel', 'Cancel')}
+          ${isRefundable(job) ? action('refund', 'Refund payment') : ''}
+        </div>
+        <h2>Live progress</h2>
+        <ul id="events"></ul>
+        <script>
+          const list = document.getElementById('events');
+          const source = new EventSource(${JSON.stringify(`${req.baseUrl}/events?orderId=${encodeURIComponent(job.id)}`)});
+          ['photo_received', 'verification_progress', 'file_exported', 'status', 'completed', 'needs_review'].forEach(type => {
+            source.addEventListener(type, message => {
+              const event = JSON.parse(message.data);
+              const item = document.createElement('li');
+              item.textContent = event.at + ' ' + event.type + ' ' + JSON.stringify(event.data);
+              list.prepend(item);
+            });
+          });
+        </script>
+        <h2>Photos</h2>
+        <div class="thumbs">${thumbs || 'No photos found'}</div>
+        <h2>Raw order</h2>
+        <pre>${escapeHtml(JSON.stringify(order, null, 2))}</pre>`));
+    } catch (error) {
+      console.error('Admin order view error:', error);
+      res.status(500).json({ success: false, error: 'Failed to load order', details: error.message });
+    }
+  });
+
+  // Stream a photo from the order's album folder (used for thumbnails)
+  router.get('/orders/:orderId/photos/:fileName', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    const { fileName } = req.params;
+    if (fileName.includes('/')) {
+      return res.status(400).json({ success: false, error: 'Invalid file name' });
+    }
+
+    bucket.file(`${job.folderPrefix}${fileName}`)
+      .createReadStream()
+      .on('error', error => {
+        console.error('Admin photo stream error:', error.message);
+        if (!res.headersSent) {
+          res.status(404).json({ success: false, error: 'Photo not found' });
+        } else {
+          res.end();
+        }
+      })
+      .pipe(res);
+  });
+
+  // Send whatever photos are present to the lab, skipping the completeness check
+  router.post('/orders/:orderId/force-print', requireSameOrigin, async (req, res) => {
+    const job = findPrintableJob(req, res);
+    if (!job) return;
+
+    try {
+      const files = await listAlbumFiles(job.folderPrefix);
+      console.log(`🛠️ Admin forced print of ${files.length} photos for order ${job.id}`);
+      printQueue.requeue(job.id, {
+        status: JOB_STATUS.UPLOADING,
+        reason: 'forced_partial',
+        photosFound: files.length,
+        files: files.map(file => file.name),
+        exports: {},
+        waitingFor: null,
+        completedAt: null
+      });
+      res.redirect(303, `${req.baseUrl}/orders/${encodeURIComponent(job.id)}`);
+    } catch (error) {
+      console.error('Admin force print error:', error);
+      res.status(500).json({ success: false, error: 'Failed to force print', details: error.message });
+    }
+  });
+
+  // Send the order's photos to every export destination again from scratch
+  router.post('/orders/:orderId/re-export', requireSameOrigin, async (req, res) => {
+    const job = findPrintableJob(req, res);
+    if (!job) return;
+
+    try {
+      const files = job.files && job.files.length > 0
+        ? job.files
+        : (await listAlbumFiles(job.folderPrefix)).map(file => file.name);
+
+      console.log(`🛠️ Admin re-running export of ${files.length} photos for order ${job.id}`);
+      printQueue.requeue(job.id, {
+        status: JOB_STATUS.UPLOADING,
+        files,
+        exports: {},
+        waitingFor: null,
+        completedAt: null
+      });
+      res.redirect(303, `${req.baseUrl}/orders/${encodeURIComponent(job.id)}`);
+    } catch (error) {
+      console.error('Admin re-export error:', error);
+      res.status(500).json({ success: false, error: 'Failed to re-run export', details: error.message });
+    }
+  });
+
+  router.post('/orders/:orderId/contacted', requireSameOrigin, (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    printQueue.update(job.id, { contactedAt: new Date().toISOString() });
+    res.redirect(303, `${req.baseUrl}/orders/${encodeURIComponent(job.id)}`);
+  });
+
+  // Refund a paid order in full, or retry a refund that failed
+  router.post('/orders/:orderId/refund', requireSameOrigin, async (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    if (!isRefundable(job)) {
+      return res.status(409).json({ success: false, error: 'Order has no payment to refund' });
+    }
+
+    try {
+      console.log(`🛠️ Admin refunding order ${job.id}`);
+      await refundOrder(printQueue, job);
+      res.redirect(303, `${req.baseUrl}/orders/${encodeURIComponent(job.id)}`);
+    } catch (error) {
+      console.error('Admin refund error:', error);
+      res.status(500).json({ success: false, error: 'Failed to refund order', details: error.message });
+    }
+  });
+
+  router.post('/orders/:orderId/cancel', requireSameOrigin, async (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    console.log(`🛠️ Admin cancelled order ${job.id}`);
+    try {
+      if (job.status === JOB_STATUS.AWAITING_PAYMENT) {
+        // Its payment intent goes too, so it can't be paid any more
+        await cancelUnpaidOrder(printQueue, job, 'cancelled_by_admin');
+      } else {
+        printQueue.requeue(job.id, { status: JOB_STATUS.CANCELLED, completedAt: new Date().toISOString() });
+      }
+      res.redirect(303, `${req.baseUrl}/orders/${encodeURIComponent(job.id)}`);
+    } catch (error) {
+      const paymentError = paymentErrorResponse(error);
+      if (paymentError) {
+        return res.status(error.status).json(paymentError);
+      }
+      console.error('Admin cancel error:', error);
+      res.status(500).json({ success: false, error: 'Failed to cancel order', details: error.message });
+    }
+  });
+
+  // Dropbox link and circuit state, with the orders held back while it is down
+  router.get('/dropbox', (req, res) => {
+    const status = dropboxAuth.status();
+    const waiting = printQueue.list(job =>
+      job.status === JOB_STATUS.WAITING_FOR_EXPORT && (job.waitingFor || []).includes('dropbox'));
+
+    const rows = waiting.map(job => `
+      <tr>
+        <td><a href="${req.baseUrl}/orders/${encodeURIComponent(job.id)}">${escapeHtml(job.id)}</a></td>
+        <td>${escapeHtml(job.address)}</td>
+        <td>${escapeHtml(job.updatedAt)}</td>
+      </tr>`).join('');
+
+    res.send(renderPage('Dropbox', `
+      <p><a href="${req.baseUrl}/">← All orders</a></p>
+      <h1>Dropbox connection</h1>
+      <p>
+        Linked: ${status.linked ? `yes${status.accountId ? ` (${escapeHtml(status.accountId)})` : ''}` : 'no'}<br>
+        Linked at: ${escapeHtml(status.linkedAt || 'from environment')}<br>
+        Last token refresh: ${escapeHtml(status.lastRefresh || 'never')}<br>
+        Circuit: <span class="status">${escapeHtml(status.circuit.state)}</span>
+        (${escapeHtml(status.circuit.failures)} failure(s)${status.circuit.openedAt ? `, opened ${escapeHtml(status.circuit.openedAt)}` : ''})
+      </p>
+      <div>
+        <form method="get" action="${req.baseUrl}/dropbox/authorize">
+          <button type="submit">${status.linked ? 'Re-link Dropbox' : 'Link Dropbox'}</button>
+        </form>
+        <form method="post" action="${req.baseUrl}/dropbox/resume">
+          <button type="submit">Retry Dropbox now</button>
+        </form>
+      </div>
+      <h2>Orders waiting for Dropbox</h2>
+      <table>
+        <tr><th>Order</th><th>Address</th><th>Since</th></tr>
+        ${rows || '<tr><td colspan="3">No orders waiting</td></tr>'}
+      </table>`));
+  });
+
+  // Start re-linking: send the admin to Dropbox to approve access
+  router.get('/dropbox/authorize', (req, res) => {
+    const redirectUri = process.env.DROPBOX_REDIRECT_URI || `${req.protocol}://${req.get('host')}${req.baseUrl}/dropbox/callback`;
+    try {
+      res.redirect(dropboxAuth.createAuthorization(redirectUri));
+    } catch (error) {
+      console.error('Dropbox authorisation error:', error.message);
+      res.status(503).json({ success: false, error: 'Dropbox linking is not configured', details: error.message });
+    }
+  });
+
+  // Dropbox sends the admin back here with a code (or an error) after approval.
+  // Linking closes the circuit, which resumes the orders waiting for Dropbox.
+  router.get('/dropbox/callback', async (req, res) => {
+    const { code, state, error, error_description: errorDescription } = req.query;
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Dropbox authorisation was not granted', details: errorDescription || error });
+    }
+
+    try {
+      await dropboxAuth.completeAuthorization({ code, state });
+      res.redirect(303, `${req.baseUrl}/dropbox`);
+    } catch (err) {
+      console.error('Dropbox link error:', err.message);
+      res.status(err.status || 502).json({ success: false, error: 'Failed to link Dropbox', details: err.message });
+    }
+  });
+
+  // Leave degraded mode and retry the waiting orders straight away
+  router.post('/dropbox/resume', requireSameOrigin, (req, res) => {
+    console.log('🛠️ Admin resumed Dropbox uploads');
+    dropboxAuth.exitDegradedMode();
+    res.redirect(303, `${req.baseUrl}/dropbox`);
+  });
+
+  // Folders users have asked for that already had photos in storage
+  router.get('/folders/claims', (req, res) => {
+    const claims = Object.entries(folderOwners.claimRequests())
+      .map(([folderName, requests]) => ({ folderName, owner: folderOwners.get(folderName), requests }));
+    res.json({ success: true, claims });
+  });
+
+  // Hand an address folder to a user, e.g. a folder uploaded before sign-in
+  // was required; this confirms their claim request. Body: { uid, email? }
+  router.post('/folders/:folderName/owner', requireSameOrigin, (req, res) => {
+    const { uid, email } = req.body || {};
+    if (!uid) {
+      return res.status(400).json({ success: false, error: 'uid is required' });
+    }
+    if (!isFolderName(req.params.folderName)) {
+      return res.status(400).json({ success: false, error: 'Not an address folder' });
+    }
+
+    const owner = folderOwners.claim(req.params.folderName, { uid, email: email || null });
+    res.json({ success: true, folderName: req.params.folderName, owner });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,461 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const archiver = require('archiver');
+const { bucket } = require('./storage');
+const { retry } = require('./resilience');
+const { DATA_DIR } = require('./json-store');
+const { AlbumManifestStore, albumManifests } = require('./album-manifest');
+const { requireUser, requireFolderAccess, folderNameFor, folderOwners } = require('./auth');
+
+// Album downloads as a zip, for the customer and for anyone they share a
+// link with.
+//
+//   GET  /download-photos/:address?albums=1,3     chosen albums (albumNumber=N
+//                                                 for one; albums=all for all;
+//                                                 default album 1)
+//   POST /download-photos/:address/share          signed link to the same zip
+//                                                 { albums, expiresInHours }
+//   GET  /shared/:token                           download from a share link,
+//                                                 no account needed
+//
+// Photos are stored, not compressed (JPEGs don't shrink), and read into the
+// zip one at a time. A single album is zipped flat, several as albumN/
+// folders. manifest.json at the root lists every photo.
+//
+// A single album is zipped once into DATA_DIR/downloads/ and sent from there
+// with its length, an ETag and Range support, so an interrupted download can
+// resume. The zip is rebuilt when the album's photos change, and cached zips
+// are removed after DOWNLOAD_CACHE_HOURS (24). Several albums are zipped as
+// they stream, so they have no length and no Range support; if a photo can't
+// be read part-way through, the connection is dropped so the client sees a
+// failed download rather than a zip that looks complete.
+//
+// Share links carry the folder, albums and expiry, signed with
+// SHARE_LINK_SECRET - without it, share links are turned off. They last
+// SHARE_LINK_TTL_HOURS (72) unless the customer asks for a different time, up
+// to SHARE_LINK_MAX_HOURS (720), and only while the folder has the owner it had
+// when the link was made: deleting the account or moving the folder to
+// someone else revokes them.
+
+const SHARE_LINK_TTL_HOURS = Number(process.env.SHARE_LINK_TTL_HOURS) || 72;
+const SHARE_LINK_MAX_HOURS = Number(process.env.SHARE_LINK_MAX_HOURS) || 720;
+const DOWNLOAD_CACHE_DIR = path.join(DATA_DIR, 'downloads');
+const DOWNLOAD_CACHE_HOURS = Number(process.env.DOWNLOAD_CACHE_HOURS) || 24;
+
+// Album numbers from a request: "all", "1,3", [1, 3] or a single number.
+// Returns 'all', an array of numbers, or null when the value is invalid.
+function parseAlbumSelection(value) {
+  if (value === undefined || value === null || value === '') {
+    return [1];
+  }
+  if (value === 'all') {
+    return 'all';
+  }
+
+  const parts = Array.isArray(value) ? value : String(value).split(',');
+  const numbers = parts.map(part => Number(String(part).trim()));
+  if (numbers.length === 0 || numbers.some(number => !Number.isInteger(number) || number < 1)) {
+    return null;
+  }
+  return [...new Set(numbers)].sort((a, b) => a - b);
+}
+
+// The photos to zip for `folderName`: [{ albumNumber, photos: [file] }].
+// 'all' means every album folder in storage.
+async function collectAlbums(folderName, selection) {
+  const prefix = `${folderName}/`;
+  const [files] = await retry(`Listing ${prefix}`, () => bucket.getFiles({ prefix }));
+
+  const byAlbum = new Map();
+  for (const file of files) {
+    const match = /^album(\d+)\/(.+)$/.exec(file.name.slice(prefix.length));
+    if (!match || match[2].endsWith('/')) continue; // folder placeholders and legacy layouts
+    const albumNumber = Number(match[1]);
+    if (selection !== 'all' && !selection.includes(albumNumber)) continue;
+    if (!byAlbum.has(albumNumber)) byAlbum.set(albumNumber, []);
+    byAlbum.get(albumNumber).push(file);
+  }
+
+  const albumNumbers = selection === 'all' ? [...byAlbum.keys()].sort((a, b) => a - b) : selection;
+  return albumNumbers.map(albumNumber => ({ albumNumber, photos: byAlbum.get(albumNumber) || [] }));
+}
+
+// Zip file name: "<folder>-album1-photos.zip", "<folder>-albums-1-3-photos.zip"
+function zipFileName(folderName, selection) {
+  if (selection === 'all') {
+    return `${folderName}-all-albums-photos.zip`;
+  }
+  return selection.length === 1
+    ? `${folderName}-album${selection[0]}-photos.zip`
+    : `${folderName}-albums-${selection.join('-')}-photos.zip`;
+}
+
+// Append one photo and wait until the zip has taken all of it, so only one
+// photo is read from storage at a time. `download.source` is the stream being
+// read, for abort() to stop.
+function appendPhoto(archive, download, file, name) {
+  return new Promise((resolve, reject) => {
+    const source = file.createReadStream();
+    download.source = source;
+    const onEntry = entry => {
+      if (entry.name === name) {
+        archive.off('entry', onEntry);
+        resolve();
+      }
+    };
+    source.once('error', error => {
+      archive.off('entry', onEntry);
+      reject(error);
+    });
+    archive.on('entry', onEntry);
+    archive.append(source, { name, store: true });
+  });
+}
+
+// Stream a zip to the response. `build(zip)` adds the entries with
+// zip.addFile(file, name) for storage files, one at a time, and
+// zip.addJson(name, value); it should stop adding once zip.aborted is set.
+async function streamZip(res, fileName, build) {
+  const archive = archiver('zip');
+  const download = { aborted: false, source: null };
+
+  const stop = () => {
+    download.aborted = true;
+    archive.abort();
+    if (download.source) {
+      download.source.destroy(new Error('Download aborted'));
+    }
+  };
+  const abort = error => {
+    if (download.aborted) return;
+    console.error(`❌ Download of ${fileName} failed part-way:`, error.message);
+    stop();
+    res.destroy(error);
+  };
+  archive.on('error', abort);
+  archive.on('warning', warning => console.warn(`⚠️ Zip warning for ${fileName}:`, warning.message));
+  res.on('close', () => {
+    if (!res.writableFinished && !download.aborted) {
+      console.log(`🔌 Download of ${fileName} cancelled by the client`);
+      stop();
+    }
+  });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  archive.pipe(res);
+
+  const zip = {
+    get aborted() {
+      return download.aborted;
+    },
+    addFile: (file, name) => appendPhoto(archive, download, file, name),
+    addJson: (name, value) => archive.append(JSON.stringify(value, null, 2), { name })
+  };
+
+  try {
+    await build(zip);
+    if (download.aborted) return;
+    await archive.finalize();
+  } catch (error) {
+    abort(error);
+  }
+}
+
+// Manifest entry for a photo in a zip, from the album manifest where it has one
+function photoEntry(file, name, photo = {}) {
+  return {
+    file: name,
+    photoId: photo.photoId || null,
+    size: Number(photo.size || (file.metadata && file.metadata.size)) || null,
+    contentType: photo.contentType || (file.metadata && file.metadata.contentType) || null,
+    storedAt: photo.storedAt || null
+  };
+}
+
+// Adds the photos of `albums` (from collectAlbums) and manifest.json to a zip
+function albumZipBuilder(folderName, albums) {
+  const flat = albums.length === 1;
+  const manifest = { folder: folderName, generatedAt: new Date().toISOString(), albums: [] };
+
+  return async zip => {
+    for (const { albumNumber, photos } of albums) {
+      const stored = albumManifests.get(AlbumManifestStore.albumKey(folderName, albumNumber));
+      const byPath = new Map(Object.values(stored ? stored.photos : {}).map(photo => [photo.path, photo]));
+      const entry = { albumNumber, photos: [] };
+      manifest.albums.push(entry);
+
+      for (const file of photos) {
+        if (zip.aborted) return;
+        const baseName = file.name.split('/').pop();
+        const name = flat ? baseName : `album${albumNumber}/${baseName}`;
+        await zip.addFile(file, name);
+        entry.photos.push(photoEntry(file, name, byPath.get(file.name)));
+      }
+    }
+    zip.addJson('manifest.json', manifest);
+  };
+}
+
+// Write a zip to `filePath`. It only appears there once it is complete.
+async function zipToFile(filePath, build) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  const archive = archiver('zip');
+  const out = fs.createWriteStream(tmpPath);
+  const download = { aborted: false, source: null };
+  const written = new Promise((resolve, reject) => {
+    out.on('close', resolve);
+    out.on('error', reject);
+    archive.on('error', reject);
+  });
+  written.catch(() => {}); // awaited below, or dropped with the failed build
+  archive.pipe(out);
+
+  const zip = {
+    aborted: false,
+    addFile: (file, name) => appendPhoto(archive, download, file, name),
+    addJson: (name, value) => archive.append(JSON.stringify(value, null, 2), { name })
+  };
+
+  try {
+    await build(zip);
+    await archive.finalize();
+    await written;
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (error) {
+    archive.abort();
+    out.destroy();
+    await fs.promises.rm(tmpPath, { force: true });
+    throw error;
+  }
+}
+
+// Zips being built, by path, so simultaneous downloads share one build
+const zipBuilds = new Map();
+
+// Cached zip of one album: DATA_DIR/downloads/<folder>/album<N>-<hash>.zip,
+// where the hash covers the album's photos
+async function cachedAlbumZip(folderName, album) {
+  const stored = albumManifests.get(AlbumManifestStore.albumKey(folderName, album.albumNumber));
+  const state = JSON.stringify([
+    album.photos.map(file => [file.name, file.metadata?.size, file.metadata?.updated]),
+    stored ? stored.photos : null
+  ]);
+  const hash = crypto.createHash('sha256').update(state).digest('hex').slice(0, 32);
+  const filePath = path.join(DOWNLOAD_CACHE_DIR, folderName, `album${album.albumNumber}-${hash}.zip`);
+
+  if (fs.existsSync(filePath)) {
+    return filePath;
+  }
+  if (!zipBuilds.has(filePath)) {
+    zipBuilds.set(filePath, zipToFile(filePath, albumZipBuilder(folderName, [album]))
+      .finally(() => zipBuilds.delete(filePath)));
+  }
+  await zipBuilds.get(filePath);
+  return filePath;
+}
+
+// Remove the cached zips of a folder, e.g. when its photos are deleted
+async function removeCachedDownloads(folderName) {
+  await fs.promises.rm(path.join(DOWNLOAD_CACHE_DIR, folderName), { recursive: true, force: true });
+}
+
+// Remove cached zips that are older than DOWNLOAD_CACHE_HOURS
+async function sweepDownloadCache(now = Date.now()) {
+  const cutoff = now - DOWNLOAD_CACHE_HOURS * 60 * 60 * 1000;
+  let folders = [];
+  try {
+    folders = await fs.promises.readdir(DOWNLOAD_CACHE_DIR);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  let removed = 0;
+  for (const folder of folders) {
+    const folderPath = path.join(DOWNLOAD_CACHE_DIR, folder);
+    for (const name of await fs.promises.readdir(folderPath)) {
+      const filePath = path.join(folderPath, name);
+      const stats = await fs.promises.stat(filePath);
+      if (stats.mtimeMs < cutoff) {
+        await fs.promises.rm(filePath, { force: true });
+        removed++;
+      }
+    }
+  }
+  return removed;
+}
+
+// Send the zip of `albums` (from collectAlbums): a single album from the
+// cache, with Range support, several streamed as they are zipped
+async function sendAlbumZip(res, { folderName, albums, fileName }) {
+  if (albums.length !== 1) {
+    return streamZip(res, fileName, albumZipBuilder(folderName, albums));
+  }
+
+  let zipPath;
+  try {
+    zipPath = await cachedAlbumZip(folderName, albums[0]);
+  } catch (error) {
+    console.error(`❌ Could not zip ${folderName} album ${albums[0].albumNumber}:`, error.message);
+    return res.status(500).json({ success: false, error: 'Failed to create download', details: error.message });
+  }
+
+  res.attachment(fileName);
+  res.sendFile(zipPath, { dotfiles: 'allow', cacheControl: false }, error => {
+    if (error && !res.headersSent) {
+      res.status(500).json({ success: false, error: 'Failed to send download', details: error.message });
+    }
+  });
+}
+
+// Share links are turned off without a secret, so they never depend on one
+// that changes on restart
+function shareLinkSecret() {
+  return process.env.SHARE_LINK_SECRET || null;
+}
+
+function signSharePayload(payload) {
+  return crypto.createHmac('sha256', shareLinkSecret()).update(payload).digest('base64url');
+}
+
+// Stands for a folder's owner (and when they got it) in share links, without
+// putting their uid in the link
+function ownershipTag(owner) {
+  return owner ? crypto.createHash('sha256').update(`${owner.uid}\n${owner.claimedAt}`).digest('base64url').slice(0, 16) : null;
+}
+
+// Share token: the base64url JSON of { folder, albums, expiresAt, owner } and
+// its signature. `owner` is the folder's owner when the link is made.
+function createShareToken({ folderName, albums, expiresAt, owner = null }) {
+  const payload = Buffer.from(JSON.stringify({ folder: folderName, albums, expiresAt, owner: ownershipTag(owner) })).toString('base64url');
+  return `${payload}.${signSharePayload(payload)}`;
+}
+
+// The share from a token, { expired: true } once it has run out,
+// { revoked: true } once the folder has changed hands, or null if it wasn't
+// made by createShareToken
+function verifyShareToken(token) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+  const expected = Buffer.from(signSharePayload(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  // Signed by us, so the payload is our own JSON
+  const share = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (share.expiresAt < Date.now()) {
+    return { expired: true };
+  }
+  if (share.owner !== ownershipTag(folderOwners.get(share.folder))) {
+    return { revoked: true };
+  }
+  return share;
+}
+
+function createDownloadRouter() {
+  const router = express.Router();
+  const addressParam = req => req.params.address;
+
+  setInterval(() => sweepDownloadCache().catch(error => console.error('❌ Download cache sweep failed:', error.message)), 60 * 60 * 1000).unref();
+
+  router.get('/download-photos/:address', requireUser, requireFolderAccess(addressParam), async (req, res) => {
+    const selection = parseAlbumSelection(req.query.albums || req.query.albumNumber);
+    if (!selection) {
+      return res.status(400).json({ success: false, error: 'albums must be "all" or a list of album numbers' });
+    }
+
+    const folderName = folderNameFor(req.params.address);
+    let albums;
+    try {
+      albums = await collectAlbums(folderName, selection);
+    } catch (error) {
+      console.error('Download error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to create download', details: error.message });
+    }
+    await sendAlbumZip(res, { folderName, albums, fileName: zipFileName(folderName, selection) });
+  });
+
+  // Signed link to a download, for family without an account. Album lists
+  // are fixed when the link is made, so "all" doesn't grow to later albums.
+  router.post('/download-photos/:address/share', requireUser, requireFolderAccess(addressParam), async (req, res) => {
+    if (!shareLinkSecret()) {
+      return res.status(503).json({ success: false, error: 'Share links are not configured' });
+    }
+    const { albums: requested, expiresInHours } = req.body || {};
+    const selection = parseAlbumSelection(requested);
+    if (!selection) {
+      return res.status(400).json({ success: false, error: 'albums must be "all" or a list of album numbers' });
+    }
+    const hours = expiresInHours === undefined ? SHARE_LINK_TTL_HOURS : Number(expiresInHours);
+    if (!(hours > 0) || hours > SHARE_LINK_MAX_HOURS) {
+      return res.status(400).json({ success: false, error: `expiresInHours must be between 0 and ${SHARE_LINK_MAX_HOURS}` });
+    }
+
+    const folderName = folderNameFor(req.params.address);
+    try {
+      const albums = selection === 'all'
+        ? (await collectAlbums(folderName, 'all')).map(album => album.albumNumber)
+        : selection;
+      if (albums.length === 0) {
+        return res.status(404).json({ success: false, error: 'No albums to share' });
+      }
+
+      const expiresAt = Date.now() + hours * 60 * 60 * 1000;
+      const token = createShareToken({ folderName, albums, expiresAt, owner: folderOwners.get(folderName) });
+      const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+      console.log(`🔗 ${req.user.uid} shared ${folderName} album(s) ${albums.join(', ')} until ${new Date(expiresAt).toISOString()}`);
+
+      res.status(201).json({
+        success: true,
+        url: `${baseUrl}/shared/${token}`,
+        albums,
+        expiresAt: new Date(expiresAt).toISOString()
+      });
+    } catch (error) {
+      console.error('Share link error:', error);
+      res.status(500).json({ success: false, error: 'Failed to create share link', details: error.message });
+    }
+  });
+
+  router.get('/shared/:token', async (req, res) => {
+    const share = shareLinkSecret() ? verifyShareToken(req.params.token) : null;
+    if (!share) {
+      return res.status(404).json({ success: false, error: 'Share link not found' });
+    }
+    if (share.expired) {
+      return res.status(410).json({ success: false, error: 'Share link has expired', code: 'link_expired' });
+    }
+    if (share.revoked) {
+      return res.status(410).json({ success: false, error: 'Share link is no longer valid', code: 'link_revoked' });
+    }
+
+    let albums;
+    try {
+      albums = await collectAlbums(share.folder, share.albums);
+    } catch (error) {
+      console.error('Shared download error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to create download', details: error.message });
+    }
+    await sendAlbumZip(res, { folderName: share.folder, albums, fileName: zipFileName(share.folder, share.albums) });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createDownloadRouter,
+  parseAlbumSelection,
+  streamZip,
+  photoEntry,
+  createShareToken,
+  verifyShareToken,
+  removeCachedDownloads,
+  sweepDownloadCache
+};
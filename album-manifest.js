@@ -0,0 +1,157 @@
+const EventEmitter = require('events');
+const { JsonStore } = require('./json-store');
+
+// Per-album manifest of every photo /upload has stored, keyed by
+// "folder/albumN". Emits 'photo-stored' so waiting print jobs can be woken
+// as soon as an album is complete instead of polling the bucket.
+//
+// The app registers the IDs of the photos it took; photos are then keyed by
+// photo ID (or by storage path for uploads without one) and carry a content
+// hash, so a retried upload can be recognised instead of stored twice. Each
+// photo also keeps its content analysis (photo-analysis.js) for the review
+// shown before ordering.
+class AlbumManifestStore extends EventEmitter {
+  constructor(fileName = 'album-manifests.json') {
+    super();
+    this.store = new JsonStore(fileName, { albums: {} });
+  }
+
+  static albumKey(folderName, albumNumber) {
+    return `${folderName}/album${albumNumber}`;
+  }
+
+  get(albumKey) {
+    return this.store.data.albums[albumKey] || null;
+  }
+
+  getOrCreate(folderName, albumNumber) {
+    const albumKey = AlbumManifestStore.albumKey(folderName, albumNumber);
+    const albums = this.store.data.albums;
+
+    if (!albums[albumKey]) {
+      albums[albumKey] = {
+        albumKey,
+        folderName,
+        albumNumber: String(albumNumber),
+        registeredIds: [],
+        photos: {},
+        createdAt: new Date().toISOString()
+      };
+    }
+    return albums[albumKey];
+  }
+
+  photoCount(albumKey) {
+    const manifest = this.get(albumKey);
+    return manifest ? Object.keys(manifest.photos).length : 0;
+  }
+
+  registeredIds(albumKey) {
+    const manifest = this.get(albumKey);
+    return manifest ? manifest.registeredIds || [] : [];
+  }
+
+  // Registered photo IDs that have no stored photo yet
+  missingPhotoIds(albumKey) {
+    const manifest = this.get(albumKey);
+    if (!manifest) {
+      return [];
+    }
+    return (manifest.registeredIds || []).filter(photoId => !manifest.photos[photoId]);
+  }
+
+  // With registered IDs the album is complete once every ID has a photo;
+  // otherwise fall back to counting photos
+  isComplete(albumKey, expectedCount) {
+    if (this.registeredIds(albumKey).length > 0) {
+      return this.missingPhotoIds(albumKey).length === 0;
+    }
+    return this.photoCount(albumKey) >= expectedCount;
+  }
+
+  // Storage paths of the registered photos, in registration order
+  registeredPaths(albumKey) {
+    const manifest = this.get(albumKey);
+    if (!manifest) {
+      return [];
+    }
+    return (manifest.registeredIds || [])
+      .filter(photoId => manifest.photos[photoId])
+      .map(photoId => manifest.photos[photoId].path);
+  }
+
+  registerPhotoIds(folderName, albumNumber, photoIds) {
+    const manifest = this.getOrCreate(folderName, albumNumber);
+    const registered = new Set(manifest.registeredIds);
+    photoIds.forEach(photoId => registered.add(String(photoId)));
+
+    manifest.registeredIds = [...registered];
+    manifest.updatedAt = new Date().toISOString();
+    this.store.save();
+    return manifest;
+  }
+
+  // Find an already-stored photo by its ID, or by content hash for uploads without an ID
+  findPhoto(albumKey, { photoId, contentHash }) {
+    const manifest = this.get(albumKey);
+    if (!manifest) {
+      return null;
+    }
+    if (photoId) {
+      return manifest.photos[photoId] || null;
+    }
+    return Object.values(manifest.photos).find(photo => photo.contentHash === contentHash) || null;
+  }
+
+  recordPhoto(folderName, albumNumber, photo) {
+    const manifest = this.getOrCreate(folderName, albumNumber);
+    const now = new Date().toISOString();
+
+    manifest.photos[photo.photoId || photo.path] = { ...photo, storedAt: now };
+    manifest.updatedAt = now;
+    this.store.save();
+
+    this.emit('photo-stored', {
+      albumKey: manifest.albumKey,
+      photo,
+      photoCount: Object.keys(manifest.photos).length
+    });
+    return manifest;
+  }
+
+  // Store a whole manifest under its albumKey, e.g. once the storage
+  // migration has moved its photos
+  putAlbum(manifest) {
+    this.store.data.albums[manifest.albumKey] = manifest;
+    this.store.save();
+    return manifest;
+  }
+
+  // Forget an album, e.g. once retention has deleted its photos
+  removeAlbum(albumKey) {
+    if (!this.store.data.albums[albumKey]) {
+      return false;
+    }
+    delete this.store.data.albums[albumKey];
+    this.store.save();
+    return true;
+  }
+
+  forFolder(folderName) {
+    return Object.values(this.store.data.albums).filter(manifest => manifest.folderName === folderName);
+  }
+
+  // Forget every album of a folder; returns the removed album keys
+  removeFolder(folderName) {
+    const removed = this.forFolder(folderName).map(manifest => manifest.albumKey);
+    removed.forEach(albumKey => delete this.store.data.albums[albumKey]);
+    if (removed.length > 0) {
+      this.store.save();
+    }
+    return removed;
+  }
+}
+
+const albumManifests = new AlbumManifestStore();
+
+module.exports = { AlbumManifestStore, albumManifests };
@@ -0,0 +1,223 @@
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { AlbumManifestStore, albumManifests } = require('./album-manifest');
+const { summarizeJob } = require('./job-queue');
+const { dataModel } = require('./data-model');
+const { requireUser, folderOwners } = require('./auth');
+const { parseImageUpload, storeUploadedPhoto, imageErrorResponse } = require('./upload-utils');
+const { placePrintOrder } = require('./print-orders');
+const { paymentErrorResponse } = require('./payments');
+const { products } = require('./products');
+const { reviewAlbum } = require('./photo-analysis');
+
+// ID-based API on top of the data model (see data-model.js):
+//
+//   POST /addresses                        { houseNumber, postcode, street? }
+//   GET  /addresses                        the signed-in customer's addresses
+//   GET  /addresses/:addressId             address with its albums
+//   POST /addresses/:addressId/albums      { albumNumber, productId? }
+//   GET  /albums/:albumId                  album with photos and print orders
+//   POST /albums/:albumId/photos           multipart `image`, ?photoId=
+//   POST /albums/:albumId/register-photos  { photoIds }
+//   POST /albums/:albumId/print            { photoIds?, userDetails? } - needs registered photo IDs;
+//                                          with payments enabled the answer has the `payment` to complete
+//
+// Photos are stored as `<addressId>/album<N>/<photoId>.<ext>`. Access follows
+// the folder ownership from auth.js; other users' records answer 404.
+
+function createAlbumRouter({ printQueue }) {
+  const router = express.Router();
+  router.use(['/addresses', '/albums'], requireUser);
+
+  async function loadAddress(req, res) {
+    const address = await dataModel.getAddress(req.params.addressId);
+    if (!address || !(await folderOwners.authorize(req.user, address.folderName))) {
+      res.status(404).json({ success: false, error: 'Address not found' });
+      return null;
+    }
+    return address;
+  }
+
+  async function loadAlbum(req, res) {
+    const album = await dataModel.getAlbum(req.params.albumId);
+    if (!album || !(await folderOwners.authorize(req.user, album.folderName))) {
+      res.status(404).json({ success: false, error: 'Album not found' });
+      return null;
+    }
+    return album;
+  }
+
+  // Route handlers are async; report failures in the usual shape
+  const handle = (label, handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`Error in ${label}:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: `Failed to ${label}`, details: error.message });
+      }
+    }
+  };
+
+  router.post('/addresses', handle('create address', async (req, res) => {
+    const { houseNumber, postcode, street } = req.body || {};
+    if (!houseNumber || !postcode) {
+      return res.status(400).json({ success: false, error: 'houseNumber and postcode are required' });
+    }
+
+    const address = await dataModel.createAddress(req.user, { houseNumber, postcode, street });
+    folderOwners.claim(address.folderName, req.user);
+    res.status(201).json({ success: true, address });
+  }));
+
+  router.get('/addresses', handle('list addresses', async (req, res) => {
+    const addresses = await dataModel.listAddresses(req.user.uid);
+    res.json({ success: true, addresses });
+  }));
+
+  router.get('/addresses/:addressId', handle('load address', async (req, res) => {
+    const address = await loadAddress(req, res);
+    if (!address) return;
+
+    const albums = await dataModel.listAlbums(address.id);
+    res.json({ success: true, address, albums });
+  }));
+
+  router.post('/addresses/:addressId/albums', handle('create album', async (req, res) => {
+    const address = await loadAddress(req, res);
+    if (!address) return;
+
+    const { albumNumber: requestedNumber, productId } = req.body || {};
+    const product = productId ? products.get(productId) : null;
+    if (productId && !product) {
+      return res.status(400).json({ success: false, error: 'Unknown product', details: `No product with id ${productId}` });
+    }
+
+    const albumNumber = Number(requestedNumber) || 1;
+    const album = await dataModel.getOrCreateAlbum(address, albumNumber, { product });
+    res.status(201).json({ success: true, album });
+  }));
+
+  router.get('/albums/:albumId', handle('load album', async (req, res) => {
+    const album = await loadAlbum(req, res);
+    if (!album) return;
+
+    const [photos, orders] = await Promise.all([
+      dataModel.listPhotos(album.id),
+      dataModel.listPrintOrders(album.id)
+    ]);
+    const albumKey = AlbumManifestStore.albumKey(album.folderName, album.albumNumber);
+
+    res.json({
+      success: true,
+      album,
+      photos,
+      missingPhotoIds: albumManifests.missingPhotoIds(albumKey),
+      review: reviewAlbum(albumManifests.get(albumKey)),
+      orders: orders
+        .map(order => printQueue.get(order.id))
+        .filter(Boolean)
+        .map(summarizeJob)
+    });
+  }));
+
+  router.post('/albums/:albumId/photos', handle('upload photo', async (req, res) => {
+    // Checked before the body is read, so other users' uploads aren't buffered
+    const album = await loadAlbum(req, res);
+    if (!album) return;
+
+    try {
+      await new Promise((resolve, reject) => parseImageUpload(req, res, err => (err ? reject(err) : resolve())));
+    } catch (err) {
+      console.error('Upload error:', err);
+      return res.status(500).json({ success: false, error: 'Upload failed', details: err.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded' });
+    }
+
+    const photoId = req.query.photoId || crypto.randomUUID();
+    const extension = path.extname(req.file.originalname).toLowerCase() || '.jpg';
+    let result;
+    try {
+      result = await storeUploadedPhoto({
+        folderName: album.folderName,
+        albumNumber: album.albumNumber,
+        albumKey: AlbumManifestStore.albumKey(album.folderName, album.albumNumber),
+        photoId,
+        filePath: `${album.folderPrefix}${photoId.replace(/[^a-z0-9_-]/gi, '_')}${extension}`
+      }, req.file);
+    } catch (error) {
+      const rejection = imageErrorResponse(error);
+      if (!rejection) throw error;
+      return res.status(error.status).json(rejection);
+    }
+
+    res.json({
+      success: true,
+      message: result.duplicate ? 'Image already uploaded' : 'Image uploaded successfully',
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  }));
+
+  router.post('/albums/:albumId/register-photos', handle('register photos', async (req, res) => {
+    const album = await loadAlbum(req, res);
+    if (!album) return;
+
+    const { photoIds } = req.body || {};
+    if (!Array.isArray(photoIds) || photoIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'photoIds must be a non-empty array' });
+    }
+
+    const manifest = albumManifests.registerPhotoIds(album.folderName, album.albumNumber, photoIds);
+    res.json({
+      success: true,
+      registered: manifest.registeredIds.length,
+      missing: albumManifests.missingPhotoIds(manifest.albumKey)
+    });
+  }));
+
+  router.post('/albums/:albumId/print', handle('place print order', async (req, res) => {
+    const album = await loadAlbum(req, res);
+    if (!album) return;
+
+    const { photoIds, userDetails } = req.body || {};
+    const albumKey = AlbumManifestStore.albumKey(album.folderName, album.albumNumber);
+    if (!(Array.isArray(photoIds) && photoIds.length > 0) && albumManifests.registeredIds(albumKey).length === 0) {
+      return res.status(400).json({ success: false, error: 'Register the album\'s photoIds before printing' });
+    }
+
+    let order;
+    try {
+      order = await placePrintOrder(printQueue, {
+        album,
+        // API addresses are identified by their ID, which is also the folder name
+        address: album.folderName,
+        userDetails,
+        photoIds
+      });
+    } catch (error) {
+      const paymentError = paymentErrorResponse(error);
+      if (!paymentError) throw error;
+      return res.status(error.status).json(paymentError);
+    }
+
+    const { job, payment } = order;
+    if (payment) {
+      return res.json({
+        success: true,
+        message: 'Print request received. Complete the payment to send it to print.',
+        orderId: job.id,
+        status: job.status,
+        payment
+      });
+    }
+    res.json({ success: true, message: 'Print request received. Processing in background...', orderId: job.id });
+  }));
+
+  return router;
+}
+
+module.exports = { createAlbumRouter };
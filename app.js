@@ -0,0 +1,394 @@
+const express = require('express');
+const cors = require('cors');
+const { bucket, BACKEND: STORAGE_BACKEND, LOCAL_STORAGE_DIR } = require('./storage');
+const { PrintJobQueue, JOB_STATUS, summarizeJob } = require('./job-queue');
+const { createAdminRouter } = require('./admin-routes');
+const { AlbumManifestStore, albumManifests } = require('./album-manifest');
+const {
+  parseImageUpload,
+  parseAlbumNumber,
+  resolveUploadTarget,
+  resolveFolderAlbum,
+  storeUploadedPhoto,
+  imageErrorResponse,
+  uploadTargetErrorResponse
+} = require('./upload-utils');
+const { createChunkedUploadRouter } = require('./chunked-upload');
+const { createDownloadRouter } = require('./album-download');
+const { createAccountRouter } = require('./account-routes');
+const { requireUser, requireFolderAccess, folderOwners } = require('./auth');
+const { placePrintOrder } = require('./print-orders');
+const { connectRefunds, createPaymentWebhookRouter, paymentErrorResponse } = require('./payments');
+const { createAlbumRouter } = require('./album-routes');
+const { products } = require('./products');
+const { reviewAlbum } = require('./photo-analysis');
+const { connectOrderEvents, streamOrderEvents } = require('./order-events');
+const { requestContext, accessLog } = require('./logger');
+const { registry, metrics } = require('./metrics');
+const { BREAKER_STATE } = require('./resilience');
+const { dropboxAuth } = require('./dropbox-utils');
+
+// The Express app and the print queue behind it. Requiring this module doesn't
+// listen or start any timers - index.js does that - so tests can drive the
+// app directly.
+const app = express();
+
+// Durable queue behind /notify-print - jobs survive restarts
+const printQueue = new PrintJobQueue();
+connectOrderEvents(printQueue);
+connectRefunds(printQueue);
+
+// Metrics over the print queue and Dropbox connection (see metrics.js)
+const FINAL_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.NEEDS_REVIEW, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+// An order is counted once per final status: an admin re-export or forced
+// print takes it through DONE again, which isn't another finished order
+printQueue.on('status', job => {
+  const counted = job.countedFinalStatuses || [];
+  if (FINAL_STATUSES.includes(job.status) && !counted.includes(job.status)) {
+    printQueue.update(job.id, { countedFinalStatuses: [...counted, job.status] });
+    metrics.printOrdersFinished.inc({ status: job.status });
+  }
+});
+registry.gauge('print_jobs', 'Print jobs by current status', ['status'], () => {
+  const counts = {};
+  printQueue.list(() => true).forEach(job => { counts[job.status] = (counts[job.status] || 0) + 1; });
+  return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+});
+registry.gauge('dropbox_circuit_open', 'Whether Dropbox is in degraded mode (1) or not (0)', [], () => [
+  { value: dropboxAuth.breaker.state === BREAKER_STATE.OPEN ? 1 : 0 }
+]);
+
+// Request IDs, the access log and request latency for every request
+app.use(requestContext());
+app.use(accessLog());
+app.use((req, res, next) => {
+  const endTimer = metrics.httpRequestDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    // Route pattern rather than the URL, so IDs don't each get a series
+    endTimer({ route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched', status_code: res.statusCode });
+  });
+  next();
+});
+
+// CORS configuration - browsers may only call the API from CORS_ORIGINS
+// (comma-separated); the mobile app isn't affected by CORS
+const corsOrigins = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+app.use(cors({
+  origin: corsOrigins.length > 0 ? corsOrigins : false,
+  methods: ['GET', 'HEAD', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Accept', 'Authorization', 'Upload-Offset', 'X-Request-Id'],
+  exposedHeaders: ['Upload-Offset', 'Upload-Length', 'Location', 'X-Request-Id'],
+  credentials: true,
+  preflightContinue: true
+}));
+
+// Payment provider webhooks are signed over the raw body, so they come before JSON parsing
+app.use(createPaymentWebhookRouter({ printQueue }));
+
+app.use(express.json());
+
+// The local storage backend serves uploaded photos itself, to signed URLs only
+if (STORAGE_BACKEND === 'local') {
+  app.use('/files', (req, res, next) => {
+    let name;
+    try {
+      name = req.path.slice(1).split('/').map(decodeURIComponent).join('/');
+    } catch (error) {
+      name = null;
+    }
+    if (!name || !bucket.verifySignedUrl(name, req.query)) {
+      return res.status(403).json({ success: false, error: 'Invalid or expired link' });
+    }
+    next();
+  }, express.static(LOCAL_STORAGE_DIR, { dotfiles: 'deny' }));
+}
+
+// Folder-level access checks for routes that take the address in the query or body
+const queryAddress = req => req.query.address;
+const bodyAddress = req => req.body && req.body.address;
+
+// Health check endpoint
+app.get('/', (req, res) => {
+  res.json({
+    status: 'ok',
+    message: 'Server is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Prometheus scrape endpoint. Set METRICS_TOKEN to require it as a Bearer token.
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ success: false, error: 'Metrics token required' });
+  }
+  res.type('text/plain; version=0.0.4').send(registry.render());
+});
+
+// Products an album can be created as (see products.js)
+app.get('/products', (req, res) => {
+  res.json({ success: true, defaultProduct: products.defaultProduct.id, products: products.list() });
+});
+
+// Upload endpoint - uploads to Firebase
+app.post('/upload', requireUser, requireFolderAccess(queryAddress, { claim: true }), (req, res) => {
+  console.log('Upload request received', req.query);
+
+  parseImageUpload(req, res, async (err) => {
+    if (err) {
+      console.error('Upload error:', err);
+      return res.status(500).json({ success: false, error: 'Upload failed', details: err.message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded' });
+    }
+
+    const { address } = req.query;
+    if (!address) {
+      return res.status(400).json({ success: false, error: 'Address is required' });
+    }
+
+    try {
+      const target = resolveUploadTarget(req.query, req.file.originalname, req.body);
+      const { duplicate, photoId, fileUrl, image, warnings, review } = await storeUploadedPhoto(target, req.file);
+
+      res.json({
+        success: true,
+        message: duplicate ? 'Image already uploaded' : 'Image uploaded successfully',
+        ...(duplicate ? { duplicate } : { image, warnings, review }),
+        photoId,
+        fileUrl,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      const rejection = imageErrorResponse(error) || uploadTargetErrorResponse(error);
+      if (rejection) {
+        return res.status(error.status).json(rejection);
+      }
+      console.error('Upload to Firebase failed:', error);
+      res.status(500).json({ success: false, error: 'Failed to upload to cloud storage', details: error.message });
+    }
+  });
+});
+
+// Resumable chunked uploads for large photos on poor connections
+app.use('/upload/sessions', createChunkedUploadRouter());
+
+// Create folder endpoint (Firebase auto-creates). `productId` (query or body)
+// picks the album's product; without one a new album gets the default product
+// and an existing album keeps its own.
+app.post('/upload/create-folder', requireUser, requireFolderAccess(queryAddress, { claim: true }), async (req, res) => {
+  const { address } = req.query;
+  const albumNumber = parseAlbumNumber(req.query.albumNumber);
+  const productId = req.query.productId || (req.body && req.body.productId);
+  
+  if (!address) {
+    return res.status(400).json({ success: false, error: 'Address is required' });
+  }
+  if (!albumNumber) {
+    return res.status(400).json({ success: false, error: 'albumNumber must be a positive whole number' });
+  }
+  const product = productId ? products.get(productId) : null;
+  if (productId && !product) {
+    return res.status(400).json({ success: false, error: 'Unknown product', details: `No product with id ${productId}` });
+  }
+
+  try {
+    const folderName = address.replace(/[^a-z0-9]/gi, '_');
+    const albumPath = `${folderName}/album${albumNumber}`;
+    console.log('Folder for Firebase will be created automatically:', albumPath);
+    // Links the folder to an address/album record, so the app can move over to the ID routes
+    const album = await resolveFolderAlbum(folderName, albumNumber, { product });
+    res.json({ 
+      success: true, 
+      message: 'Folder structure will be created automatically on first upload', 
+      path: albumPath,
+      addressId: album.addressId || null,
+      albumId: album.id,
+      product: products.forAlbum(album)
+    });
+  } catch (error) {
+    console.error('Error processing folder request:', error);
+    res.status(500).json({ success: false, error: 'Failed to process folder request', details: error.message });
+  }
+});
+
+// Register the photo IDs the app took for an album - /notify-print then waits
+// for exactly these photos instead of counting files
+app.post('/upload/register-photos', requireUser, requireFolderAccess(queryAddress, { claim: true }), (req, res) => {
+  const { address } = req.query;
+  const albumNumber = parseAlbumNumber(req.query.albumNumber);
+  const { photoIds } = req.body || {};
+
+  if (!address) {
+    return res.status(400).json({ success: false, error: 'Address is required' });
+  }
+  if (!albumNumber) {
+    return res.status(400).json({ success: false, error: 'albumNumber must be a positive whole number' });
+  }
+  if (!Array.isArray(photoIds) || photoIds.length === 0) {
+    return res.status(400).json({ success: false, error: 'photoIds must be a non-empty array' });
+  }
+
+  try {
+    const folderName = address.replace(/[^a-z0-9]/gi, '_');
+    const manifest = albumManifests.registerPhotoIds(folderName, albumNumber, photoIds);
+    res.json({
+      success: true,
+      registered: manifest.registeredIds.length,
+      missing: albumManifests.missingPhotoIds(manifest.albumKey)
+    });
+  } catch (error) {
+    console.error('Error registering photo IDs:', error);
+    res.status(500).json({ success: false, error: 'Failed to register photos', details: error.message });
+  }
+});
+
+// Photos flagged by the content analysis (near-duplicates, blurred, black or
+// blown-out frames), for the app to show before the customer sends the order
+// with /notify-print
+app.get('/upload/review', requireUser, requireFolderAccess(queryAddress), (req, res) => {
+  const { address } = req.query;
+  const albumNumber = parseAlbumNumber(req.query.albumNumber);
+
+  if (!address) {
+    return res.status(400).json({ success: false, error: 'Address is required' });
+  }
+  if (!albumNumber) {
+    return res.status(400).json({ success: false, error: 'albumNumber must be a positive whole number' });
+  }
+
+  const folderName = address.replace(/[^a-z0-9]/gi, '_');
+  const albumKey = AlbumManifestStore.albumKey(folderName, albumNumber);
+  res.json({ success: true, albumKey, ...reviewAlbum(albumManifests.get(albumKey)) });
+});
+
+// Album zips and share links (see album-download.js)
+app.use(createDownloadRouter());
+
+// ✅ /notify-print: INSTANT response, the order is processed by the durable print job queue
+// and sent to every configured export destination (EXPORT_DESTINATIONS)
+app.post('/notify-print', requireUser, requireFolderAccess(bodyAddress, { claim: true }), async (req, res) => {
+  try {
+    const { address, photoCount, userDetails, skipToPrint, photoIds } = req.body;
+    console.log('Print notification received:', { address, photoCount, skipToPrint });
+
+    if (!address) {
+      return res.status(400).json({ success: false, error: 'Address is required' });
+    }
+
+    const folderName = address.replace(/[^a-z0-9]/gi, '_');
+
+    // Get the album number from the request
+    const albumNumber = parseAlbumNumber(userDetails?.currentAlbumNumber);
+    if (!albumNumber) {
+      return res.status(400).json({ success: false, error: 'albumNumber must be a positive whole number' });
+    }
+
+    const album = await resolveFolderAlbum(folderName, albumNumber);
+    const { job, payment } = await placePrintOrder(printQueue, {
+      album,
+      albumNumber,
+      address,
+      photoCount,
+      userDetails,
+      skipToPrint,
+      photoIds
+    });
+
+    // With payments enabled the app completes checkout with `payment` first
+    if (payment) {
+      return res.json({
+        success: true,
+        message: 'Print request received. Complete the payment to send it to print.',
+        orderId: job.id,
+        status: job.status,
+        payment
+      });
+    }
+
+    // ✅ IMMEDIATELY respond to the app - don't make user wait
+    res.json({ 
+      success: true, 
+      message: 'Print request received. Processing in background...',
+      orderId: job.id
+    });
+
+  } catch (error) {
+    console.error('Error in notify-print endpoint:', error);
+    const paymentError = paymentErrorResponse(error);
+    if (paymentError && !res.headersSent) {
+      return res.status(error.status).json(paymentError);
+    }
+    // Still respond immediately even if there's an error
+    if (!res.headersSent) {
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to process request', 
+        details: error.message 
+      });
+    }
+  }
+});
+
+// Order status endpoints - lets the app follow a print order after /notify-print
+app.get('/orders/:orderId', requireUser, async (req, res) => {
+  const job = printQueue.get(req.params.orderId);
+  // Other users' orders look the same as missing ones
+  if (!job || !(await folderOwners.authorize(req.user, job.folderName))) {
+    return res.status(404).json({ success: false, error: 'Order not found' });
+  }
+
+  res.json({ success: true, order: summarizeJob(job) });
+});
+
+// Live progress of an order as Server-Sent Events (see order-events.js),
+// starting with an `order` event holding its current state
+app.get('/orders/:orderId/events', requireUser, async (req, res) => {
+  const job = printQueue.get(req.params.orderId);
+  if (!job || !(await folderOwners.authorize(req.user, job.folderName))) {
+    return res.status(404).json({ success: false, error: 'Order not found' });
+  }
+
+  streamOrderEvents(req, res, {
+    filter: event => event.orderId === job.id,
+    initial: [{ type: 'order', orderId: job.id, data: summarizeJob(job), at: new Date().toISOString() }]
+  });
+});
+
+app.get('/orders', requireUser, requireFolderAccess(queryAddress), (req, res) => {
+  const { address, albumNumber } = req.query;
+  if (!address) {
+    return res.status(400).json({ success: false, error: 'Address is required' });
+  }
+
+  const folderName = address.replace(/[^a-z0-9]/gi, '_');
+  const orders = printQueue
+    .list(job => job.folderName === folderName && (!albumNumber || String(job.albumNumber) === String(albumNumber)))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(summarizeJob);
+
+  res.json({ success: true, orders });
+});
+
+// ID-based customer, address and album routes
+app.use(createAlbumRouter({ printQueue }));
+
+// Data export and account deletion for the signed-in customer
+app.use(createAccountRouter({ printQueue }));
+
+// Admin dashboard for incomplete and failed orders
+app.use('/admin', createAdminRouter({ printQueue }));
+
+// Error handler
+app.use((err, req, res, next) => {
+  console.error('Server error:', err);
+  res.status(500).json({ success: false, error: 'Internal server error', message: err.message });
+});
+
+module.exports = { app, printQueue };
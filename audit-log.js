@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { JsonStore } = require('./json-store');
+
+// Append-only record of data-protection actions: retention deletions, data
+// exports and account erasures. It has to outlive the data it describes, so
+// entries carry user IDs, order IDs and counts only - never folder names
+// (older ones contain the email and postcode), addresses or photos.
+class AuditLog {
+  constructor(fileName = 'audit-log.json') {
+    this.store = new JsonStore(fileName, { entries: [] });
+  }
+
+  // `actor` is who did it (a uid, or "system" for scheduled jobs), `subject`
+  // what it was done to
+  record(action, { actor = 'system', subject = null, details = {} } = {}) {
+    const entry = {
+      id: crypto.randomUUID(),
+      action,
+      actor,
+      subject,
+      details,
+      at: new Date().toISOString()
+    };
+    this.store.data.entries.push(entry);
+    this.store.save();
+    console.log(`📜 Audit: ${action}${subject ? ` ${subject}` : ''} by ${actor}`);
+    return entry;
+  }
+
+  list(filter = () => true) {
+    return this.store.data.entries.filter(filter);
+  }
+}
+
+const auditLog = new AuditLog();
+
+module.exports = { AuditLog, auditLog };
@@ -0,0 +1,225 @@
+const { JsonStore } = require('./json-store');
+const { bucket } = require('./storage');
+const { retry } = require('./resilience');
+
+// Firebase Auth for the app's routes. Requests carry the signed-in user's ID
+// token as `Authorization: Bearer <idToken>`.
+// - Admins are users with the `admin: true` custom claim or a UID listed in
+//   ADMIN_UIDS; they can reach every address folder.
+// - Everyone else can only reach the address folders they own. A new folder
+//   belongs to the first user who writes to it. One that already has files in
+//   storage (uploaded before sign-in was required) is never taken that way:
+//   the user's attempt is kept as a claim request, and an admin confirms it by
+//   assigning the folder (POST /admin/folders/:folderName/owner).
+// AUTH_DISABLED=true skips all of this for local development.
+
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const ADMIN_UIDS = (process.env.ADMIN_UIDS || '')
+  .split(',')
+  .map(uid => uid.trim())
+  .filter(Boolean);
+
+if (AUTH_DISABLED) {
+  console.warn('⚠️ AUTH_DISABLED=true - every request is treated as an admin. Never use this in production.');
+}
+
+// Only loaded when a token has to be checked, so local development with
+// AUTH_DISABLED doesn't need a service account
+let verifyIdToken = idToken => require('./firebase-config').admin.auth().verifyIdToken(idToken);
+
+// Swap in a different token check (e.g. for tests)
+function setTokenVerifier(verifier) {
+  verifyIdToken = verifier;
+}
+
+function folderNameFor(address) {
+  return String(address).replace(/[^a-z0-9]/gi, '_');
+}
+
+// Whether `name` is something folderNameFor can produce. Storage outside the
+// address folders (the retention archive) uses names that aren't, so no
+// customer can ever own it.
+function isFolderName(name) {
+  return /^[a-z0-9_]+$/i.test(String(name));
+}
+
+async function requireUser(req, res, next) {
+  if (AUTH_DISABLED) {
+    req.user = { uid: 'local-dev', email: null, isAdmin: true };
+    return next();
+  }
+
+  const [scheme, idToken] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !idToken) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  try {
+    const decoded = await verifyIdToken(idToken);
+    req.user = {
+      uid: decoded.uid,
+      email: decoded.email_verified ? decoded.email : null,
+      isAdmin: decoded.admin === true || ADMIN_UIDS.includes(decoded.uid)
+    };
+    next();
+  } catch (error) {
+    console.warn('🔒 Rejected ID token:', error.code || error.message);
+    res.status(401).json({ success: false, error: 'Invalid or expired token', details: error.code || error.message });
+  }
+}
+
+// Which user owns which address folder, persisted in folder-owners.json
+// together with the claim requests waiting for an admin
+class FolderOwnership {
+  constructor(fileName = 'folder-owners.json') {
+    this.store = new JsonStore(fileName, { folders: {}, claimRequests: {} });
+  }
+
+  get(folderName) {
+    return this.store.data.folders[folderName] || null;
+  }
+
+  // Give the folder to `user`; any claim requests for it are settled
+  claim(folderName, user) {
+    const owner = { uid: user.uid, email: user.email, claimedAt: new Date().toISOString() };
+    this.store.data.folders[folderName] = owner;
+    delete this.store.data.claimRequests[folderName];
+    this.store.save();
+    console.log(`🔑 Folder ${folderName} claimed by user ${user.uid}`);
+    return owner;
+  }
+
+  // Store an owner record as it is, or remove it with null (the storage
+  // migration carries owners over to renamed folders and back)
+  setOwner(folderName, owner) {
+    if (owner) {
+      this.store.data.folders[folderName] = owner;
+    } else {
+      delete this.store.data.folders[folderName];
+    }
+    this.store.save();
+  }
+
+  // Folders owned by a user
+  foldersOf(uid) {
+    return Object.entries(this.store.data.folders)
+      .filter(([, owner]) => owner.uid === uid)
+      .map(([folderName]) => folderName);
+  }
+
+  release(folderName) {
+    if (!this.store.data.folders[folderName]) {
+      return false;
+    }
+    delete this.store.data.folders[folderName];
+    this.store.save();
+    console.log(`🔓 Folder ${folderName} released`);
+    return true;
+  }
+
+  // Record that `user` wants a folder that already has files in storage
+  requestClaim(folderName, user) {
+    const requests = this.store.data.claimRequests[folderName] || [];
+    if (!requests.some(request => request.uid === user.uid)) {
+      requests.push({ uid: user.uid, email: user.email, requestedAt: new Date().toISOString() });
+      this.store.data.claimRequests[folderName] = requests;
+      this.store.save();
+      console.log(`📝 User ${user.uid} asked for existing folder ${folderName} - waiting for an admin`);
+    }
+  }
+
+  hasClaimRequest(folderName, uid) {
+    return (this.store.data.claimRequests[folderName] || []).some(request => request.uid === uid);
+  }
+
+  // Forget a user's requests (account deletion)
+  dropClaimRequests(uid) {
+    for (const [folderName, requests] of Object.entries(this.store.data.claimRequests)) {
+      const remaining = requests.filter(request => request.uid !== uid);
+      if (remaining.length > 0) {
+        this.store.data.claimRequests[folderName] = remaining;
+      } else {
+        delete this.store.data.claimRequests[folderName];
+      }
+    }
+    this.store.save();
+  }
+
+  // { folderName: [{ uid, email, requestedAt }] }
+  claimRequests() {
+    return { ...this.store.data.claimRequests };
+  }
+
+  // Can `user` use this folder? Only its stored owner can. With `claim`, a
+  // folder nobody owns is claimed for the user if it has no files yet (first
+  // upload, create-folder...); otherwise the request waits for an admin.
+  async authorize(user, folderName, { claim = false } = {}) {
+    if (!isFolderName(folderName)) {
+      return false;
+    }
+    if (user.isAdmin) {
+      return true;
+    }
+
+    const owner = this.get(folderName);
+    if (owner) {
+      return owner.uid === user.uid;
+    }
+
+    if (!claim) {
+      return false;
+    }
+
+    const [files] = await retry(`Listing ${folderName}`, () => bucket.getFiles({ prefix: `${folderName}/`, maxResults: 1 }));
+    if (files.length > 0) {
+      this.requestClaim(folderName, user);
+      return false;
+    }
+
+    this.claim(folderName, user);
+    return true;
+  }
+}
+
+const folderOwners = new FolderOwnership();
+
+// Route guard for the address folder named by the request.
+// getAddress(req) returns the raw address; requests without one are passed
+// through so the route can answer with its own 400.
+function requireFolderAccess(getAddress, { claim = false } = {}) {
+  return async (req, res, next) => {
+    const address = getAddress(req);
+    if (!address) {
+      return next();
+    }
+
+    try {
+      const folderName = folderNameFor(address);
+      if (await folderOwners.authorize(req.user, folderName, { claim })) {
+        return next();
+      }
+      if (folderOwners.hasClaimRequest(folderName, req.user.uid)) {
+        return res.status(403).json({
+          success: false,
+          error: 'This address already has photos - an admin has to confirm it is yours',
+          code: 'claim_pending'
+        });
+      }
+      res.status(403).json({ success: false, error: 'You do not have access to this address' });
+    } catch (error) {
+      console.error('Folder authorization failed:', error);
+      res.status(500).json({ success: false, error: 'Authorization check failed', details: error.message });
+    }
+  };
+}
+
+module.exports = {
+  AUTH_DISABLED,
+  requireUser,
+  requireFolderAccess,
+  setTokenVerifier,
+  folderNameFor,
+  isFolderName,
+  FolderOwnership,
+  folderOwners
+};
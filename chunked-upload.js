@@ -0,0 +1,437 @@
+const crypto = require('crypto');
+const express = require('express');
+const { bucket, signedUrl } = require('./storage');
+const { JsonStore } = require('./json-store');
+const { AlbumManifestStore, albumManifests } = require('./album-manifest');
+const {
+  resolveUploadTarget,
+  resolveFolderAlbum,
+  finalizeUploadedPhoto,
+  validateUploadedPhoto,
+  analyzeUploadedPhoto,
+  imageErrorResponse,
+  uploadTargetErrorResponse,
+  imageSummary
+} = require('./upload-utils');
+const { storagePathFor } = require('./image-validation');
+const { requireUser, requireFolderAccess } = require('./auth');
+const { retry } = require('./resilience');
+
+// Resumable chunked uploads for large photos on poor connections.
+//
+//   POST   /upload/sessions?address=...       start a session  { filename, size, contentType, contentHash? }
+//   HEAD   /upload/sessions/:id                current offset in the Upload-Offset header
+//   GET    /upload/sessions/:id                current offset as JSON
+//   PATCH  /upload/sessions/:id                append a chunk at Upload-Offset (raw request body)
+//   POST   /upload/sessions/:id/complete       finish the upload once all bytes are in
+//   DELETE /upload/sessions/:id                abandon the upload
+//
+// Chunks are streamed straight into the storage file's write stream, which
+// stays open between requests, so nothing is buffered here. If the app goes
+// offline mid-chunk, the bytes that arrived still count and HEAD tells it
+// where to carry on. The open stream lives in this process: after a restart
+// the session reports `session_expired` and the photo has to be sent again.
+//
+// On completion the stored file is read back and checked like any other
+// upload (image-validation.js): a rejected file is deleted, and a HEIC photo
+// is replaced by its JPEG conversion.
+
+const MAX_UPLOAD_BYTES = (Number(process.env.UPLOAD_SESSION_MAX_MB) || 50) * 1024 * 1024;
+const SESSION_TTL_MS = (Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// Flush to storage in 1 MiB pieces so an idle session doesn't hold a request open
+const STORAGE_CHUNK_SIZE = 4 * 256 * 1024;
+
+const SESSION_STATUS = {
+  OPEN: 'open',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+class UploadSessionStore {
+  constructor(fileName = 'upload-sessions.json') {
+    this.store = new JsonStore(fileName, { sessions: {} });
+    this.active = new Map(); // sessionId -> { stream, hash, busy, error, completion }
+  }
+
+  get(sessionId) {
+    return this.store.data.sessions[sessionId] || null;
+  }
+
+  create(session) {
+    this.store.data.sessions[session.id] = session;
+    this.store.save();
+    return session;
+  }
+
+  update(sessionId, changes) {
+    const session = this.get(sessionId);
+    Object.assign(session, changes, { updatedAt: new Date().toISOString() });
+    this.store.save();
+    return session;
+  }
+
+  close(sessionId, status, error, changes = {}) {
+    const active = this.active.get(sessionId);
+    if (active && status !== SESSION_STATUS.COMPLETED) {
+      active.stream.destroy();
+    }
+    this.active.delete(sessionId);
+    return this.update(sessionId, { ...changes, status, error: error || null });
+  }
+
+  // Expire idle sessions and forget old ones
+  sweep() {
+    const now = Date.now();
+    for (const session of Object.values(this.store.data.sessions)) {
+      const idleMs = now - new Date(session.updatedAt).getTime();
+      if (session.status === SESSION_STATUS.OPEN && idleMs > SESSION_TTL_MS) {
+        console.log(`🧹 Expiring idle upload session ${session.id}`);
+        this.close(session.id, SESSION_STATUS.EXPIRED);
+      } else if (session.status !== SESSION_STATUS.OPEN && idleMs > SESSION_TTL_MS) {
+        delete this.store.data.sessions[session.id];
+      }
+    }
+    this.store.save();
+  }
+}
+
+// Validate a session's file once it is in storage. A rejected file is
+// deleted. One that was converted, or whose name or declared contentType
+// doesn't fit what it really is, is written again - under its proper path,
+// with the original removed.
+async function checkStoredPhoto(session, album) {
+  const file = bucket.file(session.filePath);
+  const [buffer] = await retry(`Downloading ${session.filePath}`, () => file.download());
+
+  let image;
+  try {
+    image = await validateUploadedPhoto(buffer, album);
+  } catch (error) {
+    if (imageErrorResponse(error)) {
+      await retry(`Deleting ${session.filePath}`, () => file.delete()).catch(deleteError => console.error(`⚠️ Could not delete rejected upload ${session.filePath}:`, deleteError.message));
+    }
+    throw error;
+  }
+
+  const filePath = storagePathFor(session.filePath, image);
+  if (filePath !== session.filePath || image.contentType !== session.contentType) {
+    await retry(`Storing ${filePath}`, () => new Promise((resolve, reject) => {
+      const stream = bucket.file(filePath).createWriteStream({ metadata: { contentType: image.contentType } });
+      stream.on('error', reject);
+      stream.on('finish', resolve);
+      stream.end(image.buffer);
+    }));
+    if (filePath !== session.filePath) {
+      await retry(`Deleting ${session.filePath}`, () => file.delete());
+    }
+    console.log(`🔄 Stored ${image.convertedFrom ? 'converted ' : ''}upload ${session.filePath} as ${filePath}`);
+  }
+  return { ...image, filePath };
+}
+
+function createChunkedUploadRouter() {
+  const router = express.Router();
+  const sessions = new UploadSessionStore();
+  router.use(requireUser);
+
+  setInterval(() => sessions.sweep(), 60 * 60 * 1000).unref();
+
+  // Sessions can only be used by the user who started them
+  function findSession(req) {
+    const session = sessions.get(req.params.sessionId);
+    if (!session || (session.uid !== req.user.uid && !req.user.isAdmin)) {
+      return null;
+    }
+    return session;
+  }
+
+  // Look up an open session that still has its storage stream in this process
+  function findOpenSession(req, res) {
+    const session = findSession(req);
+    if (!session) {
+      res.status(404).json({ success: false, error: 'Upload session not found' });
+      return null;
+    }
+
+    if (session.status === SESSION_STATUS.OPEN && !sessions.active.has(session.id)) {
+      sessions.update(session.id, { status: SESSION_STATUS.EXPIRED });
+    }
+
+    if (session.status !== SESSION_STATUS.OPEN) {
+      res.status(410).json({
+        success: false,
+        error: 'Upload session is no longer open',
+        code: `session_${session.status}`,
+        details: session.error || undefined
+      });
+      return null;
+    }
+
+    return session;
+  }
+
+  function offsetHeaders(res, session) {
+    res.set({
+      'Upload-Offset': String(session.offset),
+      'Upload-Length': String(session.size),
+      'Cache-Control': 'no-store'
+    });
+  }
+
+  // Start an upload session
+  router.post('/', requireFolderAccess(req => req.query.address, { claim: true }), async (req, res) => {
+    const { address } = req.query;
+    const { filename, size, contentType, contentHash } = req.body || {};
+
+    if (!address) {
+      return res.status(400).json({ success: false, error: 'Address is required' });
+    }
+    if (!filename) {
+      return res.status(400).json({ success: false, error: 'filename is required' });
+    }
+    if (!Number.isInteger(size) || size <= 0 || size > MAX_UPLOAD_BYTES) {
+      return res.status(400).json({ success: false, error: `size must be between 1 and ${MAX_UPLOAD_BYTES} bytes` });
+    }
+
+    try {
+      const { folderName, albumNumber, albumKey, photoId, filePath: newFilePath } =
+        resolveUploadTarget(req.query, filename, req.body);
+
+      const existingPhoto = albumManifests.findPhoto(albumKey, { photoId, contentHash });
+      if (existingPhoto && contentHash && existingPhoto.contentHash === contentHash) {
+        console.log('♻️ Photo already stored, no upload session needed:', existingPhoto.path);
+        return res.json({
+          success: true,
+          message: 'Image already uploaded',
+          duplicate: true,
+          photoId,
+          fileUrl: await signedUrl(existingPhoto.path)
+        });
+      }
+
+      const now = new Date().toISOString();
+      const session = sessions.create({
+        id: crypto.randomUUID(),
+        status: SESSION_STATUS.OPEN,
+        uid: req.user.uid,
+        folderName,
+        albumNumber,
+        photoId,
+        // A re-sent photo ID replaces its earlier upload
+        filePath: existingPhoto ? existingPhoto.path : newFilePath,
+        contentType: contentType || 'image/jpeg',
+        expectedHash: contentHash || null,
+        size,
+        offset: 0,
+        createdAt: now,
+        updatedAt: now
+      });
+
+      const stream = bucket.file(session.filePath).createWriteStream({
+        metadata: { contentType: session.contentType },
+        resumable: true,
+        chunkSize: STORAGE_CHUNK_SIZE
+      });
+      const active = { stream, hash: crypto.createHash('sha256'), busy: false, error: null, completion: null };
+
+      stream.on('error', error => {
+        console.error(`Upload session ${session.id} storage stream failed:`, error);
+        active.error = error;
+        sessions.close(session.id, SESSION_STATUS.FAILED, error.message);
+      });
+      sessions.active.set(session.id, active);
+
+      console.log(`📶 Upload session ${session.id} started for ${session.filePath} (${size} bytes)`);
+      offsetHeaders(res, session);
+      res.status(201)
+        .location(`${req.baseUrl}/${session.id}`)
+        .json({ success: true, sessionId: session.id, photoId, offset: 0, size });
+    } catch (error) {
+      const rejection = uploadTargetErrorResponse(error);
+      if (rejection) {
+        return res.status(error.status).json(rejection);
+      }
+      console.error('Failed to start upload session:', error);
+      res.status(500).json({ success: false, error: 'Failed to start upload session', details: error.message });
+    }
+  });
+
+  router.head('/:sessionId', (req, res) => {
+    const session = findSession(req);
+    if (!session) {
+      return res.status(404).end();
+    }
+    if (session.status !== SESSION_STATUS.OPEN || !sessions.active.has(session.id)) {
+      return res.status(410).end();
+    }
+    offsetHeaders(res, session);
+    res.status(200).end();
+  });
+
+  router.get('/:sessionId', (req, res) => {
+    const session = findOpenSession(req, res);
+    if (!session) return;
+
+    offsetHeaders(res, session);
+    res.json({ success: true, sessionId: session.id, offset: session.offset, size: session.size });
+  });
+
+  // Append a chunk. The app must send the offset it believes it is at; on a
+  // mismatch it gets the real offset back and resumes from there.
+  router.patch('/:sessionId', (req, res) => {
+    const session = findOpenSession(req, res);
+    if (!session) return;
+
+    const active = sessions.active.get(session.id);
+    const clientOffset = Number(req.get('Upload-Offset'));
+
+    offsetHeaders(res, session);
+    if (clientOffset !== session.offset) {
+      return res.status(409).json({ success: false, error: 'Offset mismatch', offset: session.offset });
+    }
+    if (active.busy) {
+      return res.status(409).json({ success: false, error: 'Another chunk is still being written', offset: session.offset });
+    }
+    if (active.completion) {
+      return res.status(409).json({ success: false, error: 'Upload is already being completed', offset: session.offset });
+    }
+
+    active.busy = true;
+    let tooLarge = false;
+
+    req.on('data', chunk => {
+      if (tooLarge) return;
+      if (session.offset + chunk.length > session.size) {
+        tooLarge = true;
+        return;
+      }
+
+      // Bytes count as soon as they are in the storage stream, so a dropped
+      // connection can resume exactly where it stopped
+      session.offset += chunk.length;
+      active.hash.update(chunk);
+      if (!active.stream.write(chunk)) {
+        req.pause();
+        active.stream.once('drain', () => req.resume());
+      }
+    });
+
+    req.on('close', () => {
+      active.busy = false;
+      if (sessions.get(session.id).status === SESSION_STATUS.OPEN) {
+        sessions.update(session.id, { offset: session.offset });
+      }
+    });
+
+    req.on('end', () => {
+      if (active.error) {
+        return res.status(500).json({ success: false, error: 'Failed to upload to cloud storage', details: active.error.message });
+      }
+      offsetHeaders(res, session);
+      if (tooLarge) {
+        return res.status(413).json({ success: false, error: 'Chunk goes past the declared upload size', offset: session.offset });
+      }
+      res.json({ success: true, offset: session.offset, size: session.size });
+    });
+  });
+
+  // Close the storage stream, check the photo and record it. Resolves with
+  // the response to send: { status, body }.
+  function completeSession(session, active) {
+    const contentHash = active.hash.digest('hex');
+    if (session.expectedHash && session.expectedHash !== contentHash) {
+      sessions.close(session.id, SESSION_STATUS.FAILED, 'Content hash mismatch');
+      return Promise.resolve({
+        status: 422,
+        body: { success: false, error: 'Uploaded content does not match contentHash', code: 'hash_mismatch' }
+      });
+    }
+
+    return new Promise(resolve => {
+      active.stream.once('finish', async () => {
+        try {
+          const album = await resolveFolderAlbum(session.folderName, session.albumNumber);
+          const image = await checkStoredPhoto(session, album);
+          const analysis = await analyzeUploadedPhoto(
+            AlbumManifestStore.albumKey(session.folderName, session.albumNumber),
+            { photoId: session.photoId, filePath: image.filePath },
+            image.buffer
+          );
+          const fileUrl = await finalizeUploadedPhoto({
+            folderName: session.folderName,
+            albumNumber: session.albumNumber,
+            photoId: session.photoId,
+            filePath: image.filePath,
+            size: image.buffer.length,
+            contentType: image.contentType,
+            contentHash,
+            analysis
+          }, album);
+          const body = {
+            success: true,
+            message: 'Image uploaded successfully',
+            photoId: session.photoId,
+            fileUrl,
+            ...imageSummary(image, analysis),
+            timestamp: new Date().toISOString()
+          };
+          // Kept on the session so a retry whose first response was lost
+          // gets the same answer
+          sessions.close(session.id, SESSION_STATUS.COMPLETED, null, { result: body });
+          resolve({ status: 200, body });
+        } catch (error) {
+          const rejection = imageErrorResponse(error);
+          if (rejection) {
+            sessions.close(session.id, SESSION_STATUS.FAILED, `${error.code}: ${error.details}`);
+            return resolve({ status: error.status, body: rejection });
+          }
+          console.error('Failed to finalize upload session:', error);
+          sessions.close(session.id, SESSION_STATUS.FAILED, error.message);
+          resolve({ status: 500, body: { success: false, error: 'Failed to upload to cloud storage', details: error.message } });
+        }
+      });
+      active.stream.once('error', error => {
+        resolve({ status: 500, body: { success: false, error: 'Failed to upload to cloud storage', details: error.message } });
+      });
+      active.stream.end();
+    });
+  }
+
+  // All bytes are in: close the storage stream and record the photo. A
+  // repeated request (a retry, a double tap) gets the same answer as the
+  // first one, whether it arrives while that is going on or after it.
+  router.post('/:sessionId/complete', (req, res) => {
+    const completed = findSession(req);
+    if (completed && completed.status === SESSION_STATUS.COMPLETED && completed.result) {
+      return res.json(completed.result);
+    }
+
+    const session = findOpenSession(req, res);
+    if (!session) return;
+
+    const active = sessions.active.get(session.id);
+    if (!active.completion) {
+      if (session.offset !== session.size || active.busy) {
+        offsetHeaders(res, session);
+        return res.status(409).json({ success: false, error: 'Upload is not complete yet', offset: session.offset, size: session.size });
+      }
+      active.completion = completeSession(session, active);
+    }
+
+    active.completion.then(({ status, body }) => res.status(status).json(body));
+  });
+
+  router.delete('/:sessionId', (req, res) => {
+    const session = findOpenSession(req, res);
+    if (!session) return;
+
+    sessions.close(session.id, SESSION_STATUS.CANCELLED);
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = { createChunkedUploadRouter, UploadSessionStore, SESSION_STATUS };
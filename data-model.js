@@ -0,0 +1,272 @@
+const { getDb } = require('./database');
+const { products } = require('./products');
+
+// Customers, addresses, albums, photos and print orders, stored in Firestore
+// (or the local stand-in, see database.js):
+//
+//   customers/{uid}                  { uid, email, username, createdAt, updatedAt }
+//   addresses/{addressId}            { customerId, houseNumber, postcode, street, folderName, legacy, createdAt }
+//   albums/{addressId}_album{N}      { addressId, customerId, albumNumber, folderName, folderPrefix, product, createdAt }
+//   photos/{albumId}_{photoId}       { albumId, photoId, storagePath, size, contentType, contentHash, uploadedAt, archivedAt? }
+//   printOrders/{orderId}            { albumId, addressId, customerId, albumNumber, productId, createdAt }
+//
+// Storage keeps the `folder/albumN/` layout. Addresses created through the
+// API use their ID as the storage folder, so no personal details end up in
+// object names. Folders the app created from an address string
+// ("houseNumber_postcode" or "email_houseNumber_postcode") get an address
+// record marked `legacy` the first time they are seen - that is the
+// compatibility layer for the old address-string routes.
+// The print job queue stays the source of truth for order status.
+// `product` is a copy of the catalogue entry the album was created with (see
+// products.js), or null for albums from before products existed.
+
+const COLLECTIONS = {
+  customers: 'customers',
+  addresses: 'addresses',
+  albums: 'albums',
+  photos: 'photos',
+  printOrders: 'printOrders'
+};
+
+function withId(snapshot) {
+  return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+}
+
+class DataModel {
+  collection(name) {
+    return getDb().collection(name);
+  }
+
+  async upsertCustomer(user, { username } = {}) {
+    const ref = this.collection(COLLECTIONS.customers).doc(user.uid);
+    const existing = await ref.get();
+    const now = new Date().toISOString();
+
+    await ref.set({
+      uid: user.uid,
+      email: user.email || (existing.exists ? existing.data().email : null),
+      ...(username ? { username } : {}),
+      ...(existing.exists ? {} : { createdAt: now }),
+      updatedAt: now
+    }, { merge: true });
+    return withId(await ref.get());
+  }
+
+  async createAddress(user, { houseNumber, postcode, street = null }) {
+    await this.upsertCustomer(user);
+    const ref = this.collection(COLLECTIONS.addresses).doc();
+
+    await ref.set({
+      customerId: user.uid,
+      houseNumber: String(houseNumber),
+      postcode: String(postcode).toUpperCase(),
+      street,
+      folderName: ref.id,
+      legacy: false,
+      createdAt: new Date().toISOString()
+    });
+    return withId(await ref.get());
+  }
+
+  async getAddress(addressId) {
+    return withId(await this.collection(COLLECTIONS.addresses).doc(addressId).get());
+  }
+
+  async listAddresses(customerId) {
+    const snapshot = await this.collection(COLLECTIONS.addresses).where('customerId', '==', customerId).get();
+    return snapshot.docs.map(withId);
+  }
+
+  // Compatibility layer: the address record behind a storage folder.
+  // API addresses use their ID as the folder name; string-encoded folders get
+  // a record with a derived ID the first time they are used, so concurrent
+  // uploads to the same folder end up on the same record.
+  async resolveFolder(folderName, customerId = null) {
+    const address = await this.getAddress(folderName);
+    if (address && address.folderName === folderName) {
+      return address;
+    }
+
+    const ref = this.collection(COLLECTIONS.addresses).doc(`legacy_${folderName}`);
+    const existing = await ref.get();
+    if (existing.exists) {
+      return withId(existing);
+    }
+
+    // Old app: "houseNumber_postcode"; new app: "email_houseNumber_postcode"
+    const parts = folderName.split('_');
+    await ref.set({
+      customerId,
+      houseNumber: parts.length >= 2 ? parts[parts.length - 2] : null,
+      postcode: parts.length >= 2 ? parts[parts.length - 1].toUpperCase() : null,
+      street: null,
+      folderName,
+      legacy: true,
+      createdAt: new Date().toISOString()
+    }, { merge: true });
+    console.log(`🗂️ Created address record for legacy folder ${folderName}`);
+    return withId(await ref.get());
+  }
+
+  // The address record behind a storage folder, without creating one
+  async findFolderAddress(folderName) {
+    const address = await this.getAddress(folderName);
+    if (address && address.folderName === folderName) {
+      return address;
+    }
+    return this.getAddress(`legacy_${folderName}`);
+  }
+
+  // A customer's addresses: their own plus the records of the folders they
+  // own (legacy records from before sign-in have no customerId)
+  async customerAddresses(uid, folderNames = []) {
+    const addresses = new Map((await this.listAddresses(uid)).map(address => [address.id, address]));
+    for (const folderName of folderNames) {
+      const address = await this.findFolderAddress(folderName);
+      if (address) addresses.set(address.id, address);
+    }
+    return [...addresses.values()];
+  }
+
+  static albumId(addressId, albumNumber) {
+    return `${addressId}_album${albumNumber}`;
+  }
+
+  async getAlbum(albumId) {
+    return withId(await this.collection(COLLECTIONS.albums).doc(albumId).get());
+  }
+
+  // New albums get `product`, or the default product. Given for an existing
+  // album, it replaces the album's product - orders already placed keep
+  // their own copy.
+  async getOrCreateAlbum(address, albumNumber, { product = null } = {}) {
+    const ref = this.collection(COLLECTIONS.albums).doc(DataModel.albumId(address.id, albumNumber));
+    const existing = await ref.get();
+    if (existing.exists) {
+      if (product && existing.data().product?.id !== product.id) {
+        await ref.set({ product }, { merge: true });
+        return withId(await ref.get());
+      }
+      return withId(existing);
+    }
+
+    await ref.set({
+      addressId: address.id,
+      customerId: address.customerId,
+      albumNumber: String(albumNumber),
+      folderName: address.folderName,
+      folderPrefix: `${address.folderName}/album${albumNumber}/`,
+      product: product || products.defaultProduct,
+      createdAt: new Date().toISOString()
+    });
+    return withId(await ref.get());
+  }
+
+  async listAlbums(addressId) {
+    const snapshot = await this.collection(COLLECTIONS.albums).where('addressId', '==', addressId).get();
+    return snapshot.docs.map(withId);
+  }
+
+  // Album for a folder + album number, going through the compatibility layer
+  async resolveAlbum(folderName, albumNumber, customerId = null, options = {}) {
+    const address = await this.resolveFolder(folderName, customerId);
+    return this.getOrCreateAlbum(address, albumNumber, options);
+  }
+
+  async recordPhoto(album, { photoId, storagePath, size, contentType, contentHash }) {
+    // Uploads without a photo ID are keyed by content ('/' isn't allowed in document IDs)
+    const photoKey = String(photoId || contentHash).replace(/\//g, '_');
+    const ref = this.collection(COLLECTIONS.photos).doc(`${album.id}_${photoKey}`);
+
+    await ref.set({
+      albumId: album.id,
+      photoId: photoId || null,
+      storagePath,
+      size,
+      contentType,
+      contentHash: contentHash || null,
+      uploadedAt: new Date().toISOString()
+    }, { merge: true });
+    return withId(await ref.get());
+  }
+
+  async listPhotos(albumId) {
+    const snapshot = await this.collection(COLLECTIONS.photos).where('albumId', '==', albumId).get();
+    return snapshot.docs.map(withId);
+  }
+
+  // Delete the photo records of an album; returns how many there were
+  async deletePhotos(albumId) {
+    const snapshot = await this.collection(COLLECTIONS.photos).where('albumId', '==', albumId).get();
+    await Promise.all(snapshot.docs.map(doc => doc.ref.delete()));
+    return snapshot.docs.length;
+  }
+
+  // Point an album's photo records at their archived copies under `prefix`
+  async archivePhotos(albumId, prefix) {
+    const snapshot = await this.collection(COLLECTIONS.photos).where('albumId', '==', albumId).get();
+    const archivedAt = new Date().toISOString();
+    await Promise.all(snapshot.docs.map(doc => doc.ref.update({
+      storagePath: `${prefix}${doc.data().storagePath}`,
+      archivedAt
+    })));
+    return snapshot.docs.length;
+  }
+
+  async recordPrintOrder(album, orderId, { productId = null } = {}) {
+    const ref = this.collection(COLLECTIONS.printOrders).doc(orderId);
+    await ref.set({
+      albumId: album.id,
+      addressId: album.addressId,
+      customerId: album.customerId,
+      albumNumber: album.albumNumber,
+      productId,
+      createdAt: new Date().toISOString()
+    });
+    return withId(await ref.get());
+  }
+
+  async listPrintOrders(albumId) {
+    const snapshot = await this.collection(COLLECTIONS.printOrders).where('albumId', '==', albumId).get();
+    return snapshot.docs.map(withId);
+  }
+
+  // Everything stored about a customer, for a data export
+  async exportCustomer(uid, folderNames = []) {
+    const customer = withId(await this.collection(COLLECTIONS.customers).doc(uid).get());
+    const addresses = await this.customerAddresses(uid, folderNames);
+    const albums = (await Promise.all(addresses.map(address => this.listAlbums(address.id)))).flat();
+    const photos = (await Promise.all(albums.map(album => this.listPhotos(album.id)))).flat();
+    const printOrders = (await Promise.all(albums.map(album => this.listPrintOrders(album.id)))).flat();
+    return { customer, addresses, albums, photos, printOrders };
+  }
+
+  // Delete every record of a customer (account deletion). Returns how many
+  // records of each kind were deleted.
+  async eraseCustomer(uid, folderNames = []) {
+    const { customer, addresses, albums, photos, printOrders } = await this.exportCustomer(uid, folderNames);
+    const doc = (collection, id) => this.collection(collection).doc(id);
+
+    await Promise.all([
+      ...photos.map(photo => doc(COLLECTIONS.photos, photo.id).delete()),
+      ...printOrders.map(order => doc(COLLECTIONS.printOrders, order.id).delete())
+    ]);
+    await Promise.all(albums.map(album => doc(COLLECTIONS.albums, album.id).delete()));
+    await Promise.all(addresses.map(address => doc(COLLECTIONS.addresses, address.id).delete()));
+    if (customer) {
+      await doc(COLLECTIONS.customers, uid).delete();
+    }
+
+    return {
+      customers: customer ? 1 : 0,
+      addresses: addresses.length,
+      albums: albums.length,
+      photos: photos.length,
+      printOrders: printOrders.length
+    };
+  }
+}
+
+const dataModel = new DataModel();
+
+module.exports = { DataModel, dataModel, COLLECTIONS };
@@ -0,0 +1,35 @@
+const { LocalFirestore } = require('./local-firestore');
+const { BACKEND: STORAGE_BACKEND } = require('./storage');
+
+// Database backend, chosen with DATABASE_BACKEND:
+// - "firestore": Cloud Firestore through firebase-admin
+// - "local": JSON file in DATA_DIR (see local-firestore.js)
+// Defaults to "local" when the storage backend is local, "firestore" otherwise.
+const BACKEND = process.env.DATABASE_BACKEND || (STORAGE_BACKEND === 'local' ? 'local' : 'firestore');
+
+let db = null;
+
+function createDb() {
+  if (BACKEND === 'local') {
+    console.log('Using local database file (firestore.json)');
+    return new LocalFirestore();
+  }
+  if (BACKEND === 'firestore') {
+    return require('./firebase-config').admin.firestore();
+  }
+  throw new Error(`Unknown DATABASE_BACKEND: ${BACKEND}`);
+}
+
+function getDb() {
+  if (!db) {
+    db = createDb();
+  }
+  return db;
+}
+
+// Swap in a different database implementation (e.g. for tests)
+function setDb(customDb) {
+  db = customDb;
+}
+
+module.exports = { getDb, setDb, BACKEND };
@@ -1,102 +1,229 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const fetch = require('node-fetch');
-const { bucket } = require('./firebase-config');
+const { notifier } = require('./notifier');
+const { JsonStore } = require('./json-store');
+const { RETRY_POLICY, BREAKER_STATE, CircuitBreaker, retry } = require('./resilience');
+const { metrics } = require('./metrics');
 
-// Robust Dropbox Token Manager with graceful degradation
-class DropboxTokenManager {
-  constructor() {
-    this.accessToken = process.env.DROPBOX_TOKEN;
-    this.refreshToken = process.env.DROPBOX_REFRESH_TOKEN;
+// Dropbox API hosts - overridable so tests can point them at a local stand-in
+function dropboxApiUrl(path) {
+  return `${process.env.DROPBOX_API_URL || 'https://api.dropboxapi.com'}${path}`;
+}
+
+function dropboxContentUrl(path) {
+  return `${process.env.DROPBOX_CONTENT_URL || 'https://content.dropboxapi.com'}${path}`;
+}
+
+// Robust Dropbox Token Manager with graceful degradation. Repeated refresh
+// failures open a circuit breaker (see resilience.js) - "degraded mode", in
+// which Dropbox uploads are skipped. After DROPBOX_BREAKER_RESET_MINUTES the
+// next upload tries a refresh again, which closes or re-opens the circuit.
+//
+// Tokens are kept in DATA_DIR/dropbox-token.json, so a restart carries on with
+// the last access token, and a refresh token from re-linking Dropbox in the
+// admin UI (createAuthorization/completeAuthorization, OAuth code flow with
+// PKCE) replaces DROPBOX_REFRESH_TOKEN for good. Emits 'recovered' when Dropbox
+// is usable again after degraded mode or a re-link.
+class DropboxTokenManager extends EventEmitter {
+  constructor({ stateFile = 'dropbox-token.json' } = {}) {
+    super();
+    this.store = new JsonStore(stateFile, {});
+    const saved = this.store.data;
+    this.accessToken = saved.accessToken || process.env.DROPBOX_TOKEN;
+    this.refreshToken = saved.refreshToken || process.env.DROPBOX_REFRESH_TOKEN;
     this.appKey = process.env.DROPBOX_APP_KEY;
     this.appSecret = process.env.DROPBOX_APP_SECRET;
-    this.lastRefresh = 0;
+    this.lastRefresh = saved.accessToken ? saved.lastRefresh || 0 : 0;
     this.refreshTimeout = 3.5 * 60 * 60 * 1000; // 3.5 hours in milliseconds
-    this.isDegradedMode = false;
-    this.consecutiveFailures = 0;
-    this.maxConsecutiveFailures = 3;
+    this.refreshing = null;
+    // OAuth state -> { codeVerifier, redirectUri, expiresAt } for links in progress
+    this.pendingAuthorizations = new Map();
+    this.breaker = new CircuitBreaker('Dropbox', {
+      failureThreshold: 3,
+      resetTimeoutMs: (Number(process.env.DROPBOX_BREAKER_RESET_MINUTES) || 15) * 60 * 1000
+    });
   }
 
-  async refreshAccessToken(maxRetries = 3) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`🔄 Token refresh attempt ${attempt}/${maxRetries}`);
-        
-        // Add timeout to prevent infinite hang
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => {
-          console.log('⏰ Token refresh timeout - aborting request');
-          controller.abort();
-        }, 10000); // 10 second timeout
-        
-        const response = await fetch('https://api.dropboxapi.com/oauth2/token', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-          body: new URLSearchParams({
-            grant_type: 'refresh_token',
-            refresh_token: this.refreshToken,
-            client_id: this.appKey,
-            client_secret: this.appSecret,
-          }),
-          signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`HTTP ${response.status}: ${errorText}`);
-        }
-        
-        const data = await response.json();
-        
-        if (!data.access_token) {
-          throw new Error('No access token in response');
-        }
-        
-        // SUCCESS - reset failure tracking
-        this.accessToken = data.access_token;
-        process.env.DROPBOX_TOKEN = data.access_token;
-        this.lastRefresh = Date.now();
-        this.consecutiveFailures = 0;
-        this.isDegradedMode = false;
-        
-        console.log('✅ Dropbox access token refreshed successfully');
-        return data.access_token;
-        
-      } catch (error) {
-        console.warn(`❌ Token refresh attempt ${attempt} failed:`, error.message);
-        
-        if (attempt === maxRetries) {
-          // All retries failed - enter graceful degradation
-          console.error('🚨 All token refresh attempts failed - entering degraded mode');
-          return this.handleTokenRefreshFailure(error);
-        }
-        
-        // Wait before retry (exponential backoff)
-        const delay = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s
-        console.log(`⏳ Waiting ${delay}ms before retry...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+  // Remember the current tokens across restarts
+  saveState(changes = {}) {
+    Object.assign(this.store.data, {
+      accessToken: this.accessToken || null,
+      refreshToken: this.refreshToken || null,
+      lastRefresh: this.lastRefresh
+    }, changes);
+    this.store.save();
+  }
+
+  // Use a new access token and close the circuit, telling anyone waiting on
+  // Dropbox if it had been unavailable
+  useAccessToken(token, changes) {
+    const recovered = this.breaker.state !== BREAKER_STATE.CLOSED || Boolean(changes?.linkedAt);
+    this.accessToken = token;
+    process.env.DROPBOX_TOKEN = token;
+    this.lastRefresh = Date.now();
+    this.breaker.recordSuccess();
+    this.saveState(changes);
+    if (recovered) {
+      this.emit('recovered');
+    }
+  }
+
+  async refreshAccessToken(maxRetries = RETRY_POLICY.attempts) {
+    try {
+      const token = await retry('Dropbox token refresh', () => this.requestAccessToken(), { attempts: maxRetries });
+
+      // SUCCESS - reset failure tracking
+      this.useAccessToken(token);
+
+      console.log('✅ Dropbox access token refreshed successfully');
+      return token;
+    } catch (error) {
+      console.error('🚨 All token refresh attempts failed');
+      return this.handleTokenRefreshFailure(error);
+    }
+  }
+
+  async requestAccessToken() {
+    if (!this.refreshToken) {
+      const error = new Error('No Dropbox refresh token - link Dropbox from the admin page');
+      error.retryable = false;
+      throw error;
+    }
+
+    const data = await this.postTokenRequest({
+      grant_type: 'refresh_token',
+      refresh_token: this.refreshToken,
+      client_id: this.appKey,
+      client_secret: this.appSecret,
+    });
+    return data.access_token;
+  }
+
+  async postTokenRequest(params) {
+    // Add timeout to prevent infinite hang
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => {
+      console.log('⏰ Token request timeout - aborting request');
+      controller.abort();
+    }, 10000); // 10 second timeout
+
+    try {
+      const response = await fetch(dropboxApiUrl('/oauth2/token'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams(params),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`HTTP ${response.status}: ${errorText}`);
+        error.status = response.status;
+        throw error;
       }
+
+      const data = await response.json();
+
+      if (!data.access_token) {
+        throw new Error('No access token in response');
+      }
+      return data;
+    } finally {
+      clearTimeout(timeoutId);
     }
   }
-  
+
+  // Start linking Dropbox: returns the URL to send the admin to. The PKCE
+  // verifier stays here and the callback has 10 minutes to come back.
+  createAuthorization(redirectUri) {
+    if (!this.appKey) {
+      throw new Error('DROPBOX_APP_KEY is not configured');
+    }
+
+    const now = Date.now();
+    for (const [key, pending] of this.pendingAuthorizations) {
+      if (pending.expiresAt < now) this.pendingAuthorizations.delete(key);
+    }
+
+    const state = crypto.randomBytes(16).toString('hex');
+    const codeVerifier = crypto.randomBytes(48).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    this.pendingAuthorizations.set(state, { codeVerifier, redirectUri, expiresAt: now + 10 * 60 * 1000 });
+
+    const query = new URLSearchParams({
+      client_id: this.appKey,
+      response_type: 'code',
+      token_access_type: 'offline', // we need a refresh token back
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      redirect_uri: redirectUri,
+      state
+    });
+    return `${process.env.DROPBOX_WEB_URL || 'https://www.dropbox.com'}/oauth2/authorize?${query}`;
+  }
+
+  // Finish linking: swap the code for tokens, store them and leave degraded mode
+  async completeAuthorization({ code, state }) {
+    const pending = this.pendingAuthorizations.get(state);
+    this.pendingAuthorizations.delete(state);
+    if (!code || !pending || pending.expiresAt < Date.now()) {
+      const error = new Error('Unknown or expired authorisation request - start again from the admin page');
+      error.status = 400;
+      throw error;
+    }
+
+    const data = await this.postTokenRequest({
+      grant_type: 'authorization_code',
+      code,
+      code_verifier: pending.codeVerifier,
+      client_id: this.appKey,
+      redirect_uri: pending.redirectUri
+    });
+    if (!data.refresh_token) {
+      throw new Error('Dropbox did not return a refresh token');
+    }
+
+    this.refreshToken = data.refresh_token;
+    this.useAccessToken(data.access_token, {
+      accountId: data.account_id || null,
+      linkedAt: new Date().toISOString()
+    });
+    console.log(`🔗 Dropbox linked${data.account_id ? ` to ${data.account_id}` : ''}`);
+    return { accountId: data.account_id || null };
+  }
+
+  // Link and circuit state for the admin page
+  status() {
+    return {
+      linked: Boolean(this.refreshToken),
+      accountId: this.store.data.accountId || null,
+      linkedAt: this.store.data.linkedAt || null,
+      lastRefresh: this.lastRefresh ? new Date(this.lastRefresh).toISOString() : null,
+      degraded: this.isDegradedMode,
+      circuit: this.breaker.status()
+    };
+  }
+
   async handleTokenRefreshFailure(lastError) {
-    this.consecutiveFailures++;
+    this.breaker.recordFailure();
+    metrics.dropboxTokenRefreshFailures.inc();
     
-    console.log(`🛡️ Token refresh failed ${this.consecutiveFailures} times - implementing fallback strategy`);
+    console.log(`🛡️ Token refresh failed ${this.breaker.failures} times - implementing fallback strategy`);
     
     // Send alert to admin for manual intervention
     await this.alertAdmin('Dropbox token refresh failed', {
       error: lastError.message,
-      consecutiveFailures: this.consecutiveFailures,
+      consecutiveFailures: this.breaker.failures,
+      circuit: this.breaker.state,
       timestamp: new Date().toISOString(),
       lastRefresh: new Date(this.lastRefresh).toISOString()
     });
     
-    if (this.consecutiveFailures >= this.maxConsecutiveFailures) {
+    if (this.isDegradedMode) {
       console.log('🔌 Entering degraded mode - Dropbox uploads will be skipped');
-      this.isDegradedMode = true;
     }
     
     // Return existing token (may be expired) to continue processing
@@ -112,37 +239,45 @@ class DropboxTokenManager {
   
   async alertAdmin(message, details = {}) {
     try {
-      // Log comprehensive alert information
-      console.log('🚨 ADMIN ALERT:', message);
-      console.log('📋 Alert Details:', JSON.stringify(details, null, 2));
-      
-      // TODO: Implement actual notification system
-      // Examples:
-      // - Send email to admin
-      // - Post to Slack channel
-      // - Write to monitoring dashboard
-      // - Send SMS for critical failures
-      
-      console.log('📧 TODO: Implement email/Slack notification to admin');
-      console.log('🔧 MANUAL ACTION REQUIRED: Check Dropbox API status and token configuration');
+      // Deduplicated by key, so a stuck token doesn't alert on every scheduled refresh
+      await notifier.notify({
+        key: 'dropbox-token-refresh',
+        subject: message,
+        message: 'The Dropbox access token could not be refreshed. Uploads to the print lab may be failing.',
+        details,
+        actions: ['Check Dropbox API status and token configuration']
+      });
     } catch (error) {
       console.error('Failed to send admin alert:', error);
     }
   }
 
+  // Degraded mode is the breaker's open state
+  get isDegradedMode() {
+    return this.breaker.state === BREAKER_STATE.OPEN;
+  }
+
   async getValidAccessToken() {
+    const circuit = this.breaker.state;
+
     // Check if we're in degraded mode
-    if (this.isDegradedMode) {
+    if (circuit === BREAKER_STATE.OPEN) {
       console.log('⚠️ In degraded mode - skipping token refresh, using existing token');
       return this.accessToken; // May be expired, but we'll try anyway
     }
     
-    // Check if token needs refresh (every 3.5 hours)
+    // Check if token needs refresh (every 3.5 hours). Once the breaker's
+    // cool-down has passed, the refresh is the trial call.
     const timeSinceRefresh = Date.now() - this.lastRefresh;
     
-    if (timeSinceRefresh > this.refreshTimeout || !this.accessToken) {
-      const token = await this.refreshAccessToken();
-      return token; // May be null if refresh failed
+    if (circuit === BREAKER_STATE.HALF_OPEN || timeSinceRefresh > this.refreshTimeout || !this.accessToken) {
+      // Concurrent uploads share one refresh
+      if (!this.refreshing) {
+        this.refreshing = this.refreshAccessToken().finally(() => {
+          this.refreshing = null;
+        });
+      }
+      return this.refreshing; // May be null if refresh failed
     }
     
     return this.accessToken;
@@ -160,8 +295,14 @@ class DropboxTokenManager {
   // Method to manually exit degraded mode (for recovery)
   exitDegradedMode() {
     console.log('🔄 Manually exiting degraded mode - will attempt token refresh on next operation');
-    this.isDegradedMode = false;
-    this.consecutiveFailures = 0;
+    this.breaker.reset();
+    this.emit('recovered');
+  }
+
+  // Whether uploads can be attempted at all: not degraded, and something to
+  // authenticate with
+  isAvailable() {
+    return !this.isDegradedMode && Boolean(this.accessToken || this.refreshToken);
   }
 }
 
@@ -178,128 +319,270 @@ function sanitizeDropboxPath(path) {
     .replace(/_+/g, '_'); // Replace multiple underscores with single
 }
 
-async function uploadToDropboxFromFirebase(filePath, dropboxPath) {
+// Upload sessions take the file in chunks of this size (Dropbox allows up to 150MB per request)
+const UPLOAD_CHUNK_SIZE = Math.round((Number(process.env.DROPBOX_UPLOAD_CHUNK_MB) || 8) * 1024 * 1024);
+
+// Turn a failed Dropbox response into an error. Rate limits are flagged with
+// the delay Dropbox suggests, so callers can wait that long before retrying.
+async function dropboxError(response, label) {
+  const errorText = await response.text();
+  let errorDetails;
+
   try {
-    // Check if Dropbox operations should be attempted
-    if (!dropboxAuth.shouldAttemptDropboxOperation()) {
-      console.log('📦 Skipping Dropbox upload due to degraded mode');
-      return { skipped: true, reason: 'degraded_mode' };
+    errorDetails = JSON.parse(errorText);
+  } catch (e) {
+    errorDetails = { error_summary: errorText };
+  }
+
+  console.error(`${label} failed:`, errorDetails);
+
+  const summary = errorDetails.error_summary || '';
+  if (summary.includes('too_many_write_operations') || summary.includes('too_many_requests')) {
+    const retryAfter = errorDetails.error?.retry_after || Number(response.headers.get('retry-after')) || 1;
+    console.log(`⚠️ Rate limited. Retry suggested after ${retryAfter}s`);
+
+    // Throw a special error that includes retry info
+    const rateLimitError = new Error('Rate limited by Dropbox');
+    rateLimitError.status = response.status;
+    rateLimitError.isRateLimit = true;
+    rateLimitError.retryAfter = retryAfter * 1000; // Convert to milliseconds
+    return rateLimitError;
+  }
+
+  const error = new Error(`${label} failed: ${response.status} ${summary || errorText}`);
+  error.status = response.status;
+  return error;
+}
+
+// POST to the Dropbox API with a 30 second timeout, retried with the shared
+// policy (request bodies are buffers, so every attempt can re-send them).
+// `attempts: 1` leaves retrying to a caller that retries the whole operation;
+// `limiter` makes each attempt wait for a slot of that concurrency limiter.
+// Content endpoints take their arguments in the Dropbox-API-Arg header and
+// the file data as the body; RPC endpoints take a JSON body.
+// Requests, retries and rate limits are counted per operation (the label).
+async function callDropbox(url, options) {
+  const operation = options.label;
+  const policy = {};
+  if (options.attempts) policy.attempts = options.attempts;
+  if (options.limiter) policy.limiter = options.limiter;
+  try {
+    const result = await retry(operation, attempt => {
+      if (attempt > 1) {
+        metrics.dropboxRetries.inc({ operation });
+      }
+      return dropboxRequest(url, options).catch(error => {
+        if (error.isRateLimit) {
+          metrics.dropboxRateLimits.inc({ operation });
+        }
+        throw error;
+      });
+    }, policy);
+    metrics.dropboxRequests.inc({ operation, outcome: 'success' });
+    return result;
+  } catch (error) {
+    metrics.dropboxRequests.inc({ operation, outcome: 'failure' });
+    throw error;
+  }
+}
+
+async function dropboxRequest(url, { token, label, arg, body, json }) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => {
+    console.log(`⏰ ${label} timeout - aborting request`);
+    controller.abort();
+  }, 30000);
+
+  const headers = { 'Authorization': `Bearer ${token}` };
+  if (json !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  } else {
+    headers['Content-Type'] = 'application/octet-stream';
+    headers['Dropbox-API-Arg'] = JSON.stringify(arg);
+  }
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: json !== undefined ? JSON.stringify(json) : body,
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw await dropboxError(response, label);
     }
-    
-    // Get fresh access token
-    const token = await dropboxAuth.getValidAccessToken();
-    
-    // If token is null, skip Dropbox upload
-    if (!token) {
-      console.log('📦 No valid token available - skipping Dropbox upload');
-      return { skipped: true, reason: 'no_token' };
+    return await response.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Token for an upload, or the reason to skip it while Dropbox is unavailable
+async function uploadToken() {
+  // Check if Dropbox operations should be attempted
+  if (!dropboxAuth.shouldAttemptDropboxOperation()) {
+    console.log('📦 Skipping Dropbox upload due to degraded mode');
+    return { skipped: true, reason: 'degraded_mode' };
+  }
+
+  // Get fresh access token
+  const token = await dropboxAuth.getValidAccessToken();
+
+  // If token is null, skip Dropbox upload
+  if (!token) {
+    console.log('📦 No valid token available - skipping Dropbox upload');
+    return { skipped: true, reason: 'no_token' };
+  }
+  return { token };
+}
+
+// Stream a file into a new upload session, one chunk at a time, and close it.
+// Small files take a single upload_session/start call. Returns the cursor
+// finish_batch needs to commit the file. Requests are made once: a failure
+// fails the whole session, which the caller retries from the start.
+async function streamToUploadSession(stream, token) {
+  let sessionId = null;
+  let offset = 0;
+  let pending = [];
+  let pendingSize = 0;
+
+  // Sends the first full chunk, or everything that's left when closing
+  const send = async (close) => {
+    const buffered = Buffer.concat(pending, pendingSize);
+    const chunk = close ? buffered : buffered.subarray(0, UPLOAD_CHUNK_SIZE);
+    if (!sessionId) {
+      const session = await callDropbox(dropboxContentUrl('/2/files/upload_session/start'), {
+        token,
+        label: 'Dropbox upload session start',
+        attempts: 1,
+        arg: { close },
+        body: chunk
+      });
+      sessionId = session.session_id;
+    } else {
+      await callDropbox(dropboxContentUrl('/2/files/upload_session/append_v2'), {
+        token,
+        label: 'Dropbox upload session append',
+        attempts: 1,
+        arg: { cursor: { session_id: sessionId, offset }, close },
+        body: chunk
+      });
     }
-    
+    offset += chunk.length;
+    const rest = buffered.subarray(chunk.length);
+    pending = rest.length > 0 ? [rest] : [];
+    pendingSize = rest.length;
+  };
+
+  for await (const data of stream) {
+    pending.push(Buffer.from(data));
+    pendingSize += data.length;
+    while (pendingSize >= UPLOAD_CHUNK_SIZE) {
+      await send(false);
+    }
+  }
+  await send(true);
+
+  return { session_id: sessionId, offset };
+}
+
+// Files staged in upload sessions and committed together with a single
+// upload_session/finish_batch_v2 call. Dropbox takes its namespace write lock
+// once per commit, so an album no longer competes with itself for the lock
+// (too_many_write_operations) the way file-by-file uploads did. Nothing
+// appears in Dropbox until commit().
+class DropboxUploadBatch {
+  constructor() {
+    this.entries = [];
+  }
+
+  // Upload a file into its own session. Not retried here: a failed add is
+  // retried as a whole by the caller, and `createReadStream` is called once
+  // per attempt.
+  async add(createReadStream, dropboxPath) {
+    const auth = await uploadToken();
+    if (auth.skipped) {
+      return auth;
+    }
+
     // Sanitize the dropbox path to avoid HTTP header issues
     const sanitizedDropboxPath = sanitizeDropboxPath(dropboxPath);
     console.log('🧹 Sanitized path:', dropboxPath, '→', sanitizedDropboxPath);
-    
-    const file = bucket.file(filePath);
-    const [buffer] = await file.download();
-    
-    // Add timeout to file upload to prevent hanging
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => {
-      console.log('⏰ Dropbox upload timeout - aborting request');
-      controller.abort();
-    }, 30000); // 30 second timeout for file uploads
 
-    const response = await fetch('https://content.dropboxapi.com/2/files/upload', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/octet-stream',
-        'Dropbox-API-Arg': JSON.stringify({
-          path: sanitizedDropboxPath,
-          mode: 'add',
-          autorename: true,
-          mute: false
-        })
-      },
-      body: buffer,
-      signal: controller.signal
+    const cursor = await streamToUploadSession(createReadStream(), auth.token);
+    this.entries.push({
+      cursor,
+      commit: { path: sanitizedDropboxPath, mode: 'add', autorename: true, mute: false }
     });
-    
-    clearTimeout(timeoutId);
+    console.log(`📤 Staged ${sanitizedDropboxPath} (${cursor.offset} bytes)`);
+    return { staged: true, path: sanitizedDropboxPath };
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorDetails;
-      
-      try {
-        errorDetails = JSON.parse(errorText);
-      } catch (e) {
-        errorDetails = { error_summary: errorText };
-      }
-      
-      console.error('Dropbox upload failed:', errorDetails);
-      
-      // Check if it's a rate limit error
-      if (errorDetails.error_summary && errorDetails.error_summary.includes('too_many_write_operations')) {
-        const retryAfter = errorDetails.error?.retry_after || 1;
-        console.log(`⚠️ Rate limited. Retry suggested after ${retryAfter}s`);
-        
-        // Throw a special error that includes retry info
-        const rateLimitError = new Error('Rate limited by Dropbox');
-        rateLimitError.isRateLimit = true;
-        rateLimitError.retryAfter = retryAfter * 1000; // Convert to milliseconds
-        throw rateLimitError;
-      }
-      
-      throw new Error(`Failed to upload to Dropbox: ${response.status} ${errorDetails.error_summary || errorText}`);
+  // Commit every staged file. Resolves with one result per staged file, in the
+  // order they were added: { path, metadata } or { path, error }. The commit
+  // request is retried here; with a `limiter`, only while it holds a slot.
+  // Throws when Dropbox became unavailable after staging, so the files are
+  // staged again on the next run.
+  async commit({ limiter } = {}) {
+    if (this.entries.length === 0) {
+      return [];
     }
 
-    console.log('✅ Uploaded to Dropbox:', sanitizedDropboxPath);
-    return await response.json();
-  } catch (error) {
-    // Re-throw with additional context
-    if (error.isRateLimit) {
-      throw error; // Preserve rate limit info
+    const auth = await uploadToken();
+    if (auth.skipped) {
+      throw new Error(`Dropbox batch commit skipped: ${auth.reason}`);
     }
-    
-    console.error('❌ Dropbox upload error:', error);
-    throw error;
+    const result = await callDropbox(dropboxApiUrl('/2/files/upload_session/finish_batch_v2'), {
+      token: auth.token,
+      label: 'Dropbox batch commit',
+      limiter,
+      json: { entries: this.entries }
+    });
+
+    console.log(`✅ Committed ${this.entries.length} file(s) to Dropbox`);
+    return result.entries.map((entry, i) => {
+      const { path } = this.entries[i].commit;
+      if (entry['.tag'] === 'success') {
+        return { path, metadata: entry };
+      }
+      const error = entry.failure?.['.tag'] || 'unknown_failure';
+      console.error(`❌ Dropbox could not commit ${path}: ${error}`);
+      return { path, error };
+    });
   }
 }
 
-// Enhanced upload function with built-in retry logic
-async function uploadToDropboxWithRetry(filePath, dropboxPath, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await uploadToDropboxFromFirebase(filePath, dropboxPath);
-    } catch (error) {
-      console.log(`Upload attempt ${attempt}/${maxRetries} failed for ${dropboxPath}`);
-      
-      if (attempt < maxRetries) {
-        let delay = 2000; // Default 2 second delay
-        
-        // If it's a rate limit error, use the suggested retry time
-        if (error.isRateLimit && error.retryAfter) {
-          delay = Math.max(error.retryAfter, 1000); // At least 1 second
-          console.log(`Rate limited. Waiting ${delay/1000}s before retry...`);
-        } else {
-          // Exponential backoff for other errors
-          delay = Math.min(2000 * Math.pow(2, attempt - 1), 10000);
-          console.log(`Waiting ${delay/1000}s before retry...`);
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, delay));
-      } else {
-        console.error(`Failed to upload to Dropbox after ${maxRetries} attempts:`, error.message);
-        throw error;
-      }
+// Delete a file or a folder with everything in it. A path that is already
+// gone counts as deleted; while Dropbox is unavailable the deletion is
+// skipped like an upload, so the caller can try again later.
+async function deleteFromDropbox(dropboxPath) {
+  const auth = await uploadToken();
+  if (auth.skipped) {
+    return auth;
+  }
+
+  const sanitizedDropboxPath = sanitizeDropboxPath(dropboxPath);
+  try {
+    await callDropbox(dropboxApiUrl('/2/files/delete_v2'), {
+      token: auth.token,
+      label: 'Dropbox delete',
+      json: { path: sanitizedDropboxPath }
+    });
+    console.log('🗑️ Deleted from Dropbox:', sanitizedDropboxPath);
+  } catch (error) {
+    if (error.status !== 409 || !error.message.includes('not_found')) {
+      throw error;
     }
+    console.log('🗑️ Already gone from Dropbox:', sanitizedDropboxPath);
   }
+  return { deleted: true, path: sanitizedDropboxPath };
 }
 
 // Export the token manager for use in index.js
 module.exports = { 
-  uploadToDropboxFromFirebase,
-  uploadToDropboxWithRetry,
+  DropboxTokenManager,
+  DropboxUploadBatch,
+  deleteFromDropbox,
   dropboxAuth
 };
\ No newline at end of file
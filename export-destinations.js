@@ -0,0 +1,373 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { DropboxUploadBatch, deleteFromDropbox, dropboxAuth } = require('./dropbox-utils');
+
+// Print-lab export destinations. Every destination implements
+//   exportFile({ contentType, createReadStream }, { folderName, albumNumber, fileName })
+// which writes one print-ready file to `<root>/<folderName>/album<N>/<fileName>`
+// on the lab's side. The print worker prepares each photo once and every
+// destination reads the same bytes from `createReadStream()` - processed
+// prints from memory, untouched originals straight from storage.
+// Destinations that can commit several files at once also implement
+//   createBatch() -> { add(source, target), commit({ limiter }) }
+// and the worker commits a whole album in one go through it. The worker
+// retries exports and adds itself, so destinations don't retry those; a
+// commit is retried by the destination, holding a `limiter` slot only while a
+// request is in flight.
+// A destination that can be temporarily unavailable answers exports with
+// { skipped: true, reason } while it is down, and implements
+//   isAvailable() and onAvailable(listener) -> unsubscribe
+// so the worker can park the order and re-send the skipped files later.
+// For the retention policy and account deletion, every destination also
+// implements
+//   deleteExported({ folderName, albumNumber })
+// which removes `<root>/<folderName>/album<N>`, or the whole folder without an
+// album number. Deleting something that isn't there succeeds; a destination
+// that is down answers { skipped: true, reason } like an export.
+// Destinations are picked per environment with EXPORT_DESTINATIONS
+// (comma-separated, default "dropbox"); an order is sent to every destination
+// in the list.
+
+function albumPath(root, { folderName, albumNumber, fileName }) {
+  return path.posix.join(root, folderName, `album${albumNumber}`, fileName);
+}
+
+// Folder deleteExported removes: the album's, or the whole address folder
+function exportedFolderPath(root, { folderName, albumNumber }) {
+  return albumNumber ? path.posix.join(root, folderName, `album${albumNumber}`) : path.posix.join(root, folderName);
+}
+
+// Dropbox (the original print hand-off). Files are streamed into upload
+// sessions and an album is committed with a single finish_batch call.
+class DropboxDestination {
+  constructor({ root = '/30-clicks-import' } = {}) {
+    this.name = 'dropbox';
+    this.root = root;
+  }
+
+  // Batch of one
+  async exportFile(source, target) {
+    const batch = this.createBatch();
+    const staged = await batch.add(source, target);
+    if (staged.skipped) {
+      return staged;
+    }
+
+    const [result] = await batch.commit();
+    if (result.error) {
+      throw new Error(`Dropbox could not commit ${result.path}: ${result.error}`);
+    }
+    return result.metadata;
+  }
+
+  async deleteExported(target) {
+    return deleteFromDropbox(exportedFolderPath(this.root, target));
+  }
+
+  isAvailable() {
+    return dropboxAuth.isAvailable();
+  }
+
+  // Fires when the token manager recovers from degraded mode or is re-linked
+  onAvailable(listener) {
+    dropboxAuth.on('recovered', listener);
+    return () => dropboxAuth.off('recovered', listener);
+  }
+
+  createBatch() {
+    const batch = new DropboxUploadBatch();
+    return {
+      // The filename from storage already includes all the enhanced information
+      add: (source, target) => batch.add(source.createReadStream, albumPath(this.root, target)),
+      commit: options => batch.commit(options)
+    };
+  }
+}
+
+// Local or network-mounted folder
+class LocalFolderDestination {
+  constructor({ dir }) {
+    if (!dir) {
+      throw new Error('EXPORT_LOCAL_DIR is required for the local export destination');
+    }
+    this.name = 'local';
+    this.dir = dir;
+  }
+
+  async exportFile({ createReadStream }, target) {
+    const destPath = albumPath(this.dir, target);
+    await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+    await pipeline(createReadStream(), fs.createWriteStream(destPath));
+    return { path: destPath };
+  }
+
+  async deleteExported(target) {
+    const destPath = exportedFolderPath(this.dir, target);
+    await fs.promises.rm(destPath, { recursive: true, force: true });
+    return { deleted: true, path: destPath };
+  }
+}
+
+// SFTP server. The connection is opened on first use and reused for the
+// following files; it is dropped after an error so the retry reconnects.
+class SftpDestination {
+  constructor({ host, port = 22, username, password, privateKey, root = '/' }) {
+    if (!host) {
+      throw new Error('EXPORT_SFTP_HOST is required for the sftp export destination');
+    }
+    this.name = 'sftp';
+    this.root = root;
+    this.connectOptions = { host, port, username, password, privateKey };
+    this.client = null;
+  }
+
+  async connect() {
+    if (!this.client) {
+      const SftpClient = require('ssh2-sftp-client');
+      const client = new SftpClient();
+      await client.connect(this.connectOptions);
+      client.on('close', () => {
+        if (this.client === client) this.client = null;
+      });
+      this.client = client;
+    }
+    return this.client;
+  }
+
+  async exportFile({ createReadStream }, target) {
+    const destPath = albumPath(this.root, target);
+    try {
+      const client = await this.connect();
+      await client.mkdir(path.posix.dirname(destPath), true);
+      await client.put(createReadStream(), destPath);
+      return { path: destPath };
+    } catch (error) {
+      const client = this.client;
+      this.client = null;
+      if (client) client.end().catch(() => {});
+      throw error;
+    }
+  }
+
+  async deleteExported(target) {
+    const destPath = exportedFolderPath(this.root, target);
+    try {
+      const client = await this.connect();
+      if (await client.exists(destPath)) {
+        await client.rmdir(destPath, true);
+      }
+      return { deleted: true, path: destPath };
+    } catch (error) {
+      const client = this.client;
+      this.client = null;
+      if (client) client.end().catch(() => {});
+      throw error;
+    }
+  }
+}
+
+// FTP server, one connection per file
+class FtpDestination {
+  constructor({ host, port = 21, user, password, secure = false, root = '/' }) {
+    if (!host) {
+      throw new Error('EXPORT_FTP_HOST is required for the ftp export destination');
+    }
+    this.name = 'ftp';
+    this.root = root;
+    this.accessOptions = { host, port, user, password, secure };
+  }
+
+  async exportFile({ createReadStream }, target) {
+    const { Client } = require('basic-ftp');
+    const client = new Client(30000);
+    const destPath = albumPath(this.root, target);
+
+    try {
+      await client.access(this.accessOptions);
+      await client.ensureDir(path.posix.dirname(destPath));
+      await client.uploadFrom(createReadStream(), path.posix.basename(destPath));
+      return { path: destPath };
+    } finally {
+      client.close();
+    }
+  }
+
+  async deleteExported(target) {
+    const { Client } = require('basic-ftp');
+    const client = new Client(30000);
+    const destPath = exportedFolderPath(this.root, target);
+
+    try {
+      await client.access(this.accessOptions);
+      await client.removeDir(destPath);
+    } catch (error) {
+      // 550: no such directory
+      if (error.code !== 550) throw error;
+    } finally {
+      client.close();
+    }
+    return { deleted: true, path: destPath };
+  }
+}
+
+// Google Drive, authenticated with a service account that has access to the
+// root folder. Folder IDs are cached so each album folder is looked up once.
+class GoogleDriveDestination {
+  constructor({ credentials, rootFolderId }) {
+    if (!credentials || !rootFolderId) {
+      throw new Error('GOOGLE_DRIVE_CREDENTIALS and EXPORT_GDRIVE_FOLDER_ID are required for the gdrive export destination');
+    }
+    this.name = 'gdrive';
+    this.credentials = credentials;
+    this.rootFolderId = rootFolderId;
+    this.folderIds = new Map();
+    this.drive = null;
+  }
+
+  getDrive() {
+    if (!this.drive) {
+      const { google } = require('googleapis');
+      const auth = new google.auth.GoogleAuth({
+        credentials: this.credentials,
+        scopes: ['https://www.googleapis.com/auth/drive']
+      });
+      // No client-side retries: the worker retries whole exports
+      this.drive = google.drive({ version: 'v3', auth, retry: false });
+    }
+    return this.drive;
+  }
+
+  async findFolder(name, parentId) {
+    const cacheKey = `${parentId}/${name}`;
+    if (this.folderIds.has(cacheKey)) {
+      return this.folderIds.get(cacheKey);
+    }
+
+    const escapedName = name.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    const { data } = await this.getDrive().files.list({
+      q: `name = '${escapedName}' and '${parentId}' in parents and mimeType = 'application/vnd.google-apps.folder' and trashed = false`,
+      fields: 'files(id)',
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true
+    });
+    return data.files[0]?.id || null;
+  }
+
+  async findOrCreateFolder(name, parentId) {
+    const cacheKey = `${parentId}/${name}`;
+    const drive = this.getDrive();
+    let folderId = await this.findFolder(name, parentId);
+    if (!folderId) {
+      const created = await drive.files.create({
+        requestBody: { name, parents: [parentId], mimeType: 'application/vnd.google-apps.folder' },
+        fields: 'id',
+        supportsAllDrives: true
+      });
+      folderId = created.data.id;
+    }
+
+    this.folderIds.set(cacheKey, folderId);
+    return folderId;
+  }
+
+  async exportFile({ contentType, createReadStream }, { folderName, albumNumber, fileName }) {
+    const orderFolderId = await this.findOrCreateFolder(folderName, this.rootFolderId);
+    const albumFolderId = await this.findOrCreateFolder(`album${albumNumber}`, orderFolderId);
+
+    const { data } = await this.getDrive().files.create({
+      requestBody: { name: fileName, parents: [albumFolderId] },
+      media: { mimeType: contentType, body: createReadStream() },
+      fields: 'id',
+      supportsAllDrives: true
+    });
+    return { id: data.id };
+  }
+
+  // Deleted for good, not moved to the bin
+  async deleteExported({ folderName, albumNumber }) {
+    const orderFolderId = await this.findFolder(folderName, this.rootFolderId);
+    const folderId = orderFolderId && albumNumber
+      ? await this.findFolder(`album${albumNumber}`, orderFolderId)
+      : orderFolderId;
+    if (folderId) {
+      await this.getDrive().files.delete({ fileId: folderId, supportsAllDrives: true });
+    }
+
+    // Forget the cached IDs of the deleted folders
+    for (const key of [...this.folderIds.keys()]) {
+      const id = this.folderIds.get(key);
+      if (id === folderId || (!albumNumber && key.startsWith(`${orderFolderId}/`))) {
+        this.folderIds.delete(key);
+      }
+    }
+    return { deleted: true, id: folderId };
+  }
+}
+
+// Build a destination from environment variables
+function createDestination(name, env = process.env) {
+  switch (name) {
+    case 'dropbox':
+      return new DropboxDestination({ root: env.DROPBOX_EXPORT_ROOT || undefined });
+    case 'local':
+      return new LocalFolderDestination({ dir: env.EXPORT_LOCAL_DIR });
+    case 'sftp':
+      return new SftpDestination({
+        host: env.EXPORT_SFTP_HOST,
+        port: Number(env.EXPORT_SFTP_PORT) || 22,
+        username: env.EXPORT_SFTP_USER,
+        password: env.EXPORT_SFTP_PASSWORD,
+        privateKey: env.EXPORT_SFTP_PRIVATE_KEY,
+        root: env.EXPORT_SFTP_ROOT || '/'
+      });
+    case 'ftp':
+      return new FtpDestination({
+        host: env.EXPORT_FTP_HOST,
+        port: Number(env.EXPORT_FTP_PORT) || 21,
+        user: env.EXPORT_FTP_USER,
+        password: env.EXPORT_FTP_PASSWORD,
+        secure: env.EXPORT_FTP_SECURE === 'true',
+        root: env.EXPORT_FTP_ROOT || '/'
+      });
+    case 'gdrive':
+      return new GoogleDriveDestination({
+        credentials: env.GOOGLE_DRIVE_CREDENTIALS ? JSON.parse(env.GOOGLE_DRIVE_CREDENTIALS) : null,
+        rootFolderId: env.EXPORT_GDRIVE_FOLDER_ID
+      });
+    default:
+      throw new Error(`Unknown export destination: ${name}`);
+  }
+}
+
+const configuredNames = (process.env.EXPORT_DESTINATIONS || 'dropbox')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+const destinations = new Map();
+
+// Destinations are created on first use, so a misconfigured one only fails
+// the orders that are sent to it
+function getDestination(name) {
+  if (!destinations.has(name)) {
+    destinations.set(name, createDestination(name));
+  }
+  return destinations.get(name);
+}
+
+// Names of the destinations new orders are sent to
+function configuredDestinations() {
+  return [...configuredNames];
+}
+
+module.exports = {
+  DropboxDestination,
+  LocalFolderDestination,
+  SftpDestination,
+  FtpDestination,
+  GoogleDriveDestination,
+  createDestination,
+  getDestination,
+  configuredDestinations
+};
@@ -0,0 +1,165 @@
+const path = require('path');
+const sharp = require('sharp');
+
+// Print-ready processing applied to every photo before it goes to the lab:
+// - EXIF orientation is applied to the pixels, so the lab never has to rotate
+// - the image is cropped (or padded) to the print aspect ratio and resized to
+//   the print size at the target DPI
+// - colours are converted to sRGB and the result re-encoded as JPEG
+// - all other metadata is dropped, which removes GPS location
+// Settings come from PRINT_SIZE, PRINT_FIT, PRINT_DPI and PRINT_JPEG_QUALITY
+// (an order's product overrides PRINT_SIZE, see printSettingsForJob in print-worker.js);
+// PRINT_PROCESSING=false sends the original files instead, and
+// PRINT_CONTACT_SHEET=false turns off the per-album index print.
+
+// Print sizes in inches, long side first
+const PRINT_SIZES = {
+  '6x4': [6, 4],
+  '5x7': [7, 5],
+  square: [5, 5]
+};
+
+// Contact sheet grid cell and thumbnail size in pixels
+const CONTACT_SHEET_CELL = 320;
+const CONTACT_SHEET_THUMB = CONTACT_SHEET_CELL - 16;
+
+function printSettingsFromEnv(env = process.env) {
+  return {
+    enabled: env.PRINT_PROCESSING !== 'false',
+    contactSheet: env.PRINT_CONTACT_SHEET !== 'false',
+    printSize: env.PRINT_SIZE || '6x4',
+    fit: env.PRINT_FIT === 'pad' ? 'pad' : 'crop',
+    dpi: Number(env.PRINT_DPI) || 300,
+    quality: Number(env.PRINT_JPEG_QUALITY) || 92
+  };
+}
+
+// Target pixel size, following the photo's own orientation
+function targetDimensions(printSize, dpi, isPortrait) {
+  const inches = PRINT_SIZES[printSize];
+  if (!inches) {
+    throw new Error(`Unknown print size: ${printSize}`);
+  }
+
+  const [longSide, shortSide] = inches.map(value => Math.round(value * dpi));
+  return isPortrait
+    ? { width: shortSide, height: longSide }
+    : { width: longSide, height: shortSide };
+}
+
+async function processForPrint(buffer, settings = printSettingsFromEnv()) {
+  const metadata = await sharp(buffer).metadata();
+  // Orientations 5-8 are rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  const target = targetDimensions(settings.printSize, settings.dpi, height > width);
+
+  const output = await sharp(buffer)
+    .rotate()
+    .resize(target.width, target.height, {
+      fit: settings.fit === 'pad' ? 'contain' : 'cover',
+      position: 'centre',
+      background: { r: 255, g: 255, b: 255 }
+    })
+    .toColorspace('srgb')
+    .withIccProfile('srgb')
+    .withDensity(settings.dpi)
+    // Setting the density keeps the input metadata, so replace the EXIF
+    // block (and with it any GPS tags) explicitly
+    .withExif({ IFD0: { Software: '30 Clicks' } })
+    .jpeg({ quality: settings.quality, chromaSubsampling: '4:4:4' })
+    .toBuffer();
+
+  return { buffer: output, contentType: 'image/jpeg', ...target };
+}
+
+// Name of the processed file at the lab (always a .jpg)
+function printFileName(fileName) {
+  const extension = path.extname(fileName);
+  return `${extension ? fileName.slice(0, -extension.length) : fileName}.jpg`;
+}
+
+// Small upright copy of a photo for the contact sheet, so an album's worth
+// can be kept in memory while its photos are exported. Resolves with
+// { buffer, width, height }.
+async function createThumbnail(buffer) {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize(CONTACT_SHEET_THUMB, CONTACT_SHEET_THUMB, { fit: 'inside' })
+    .jpeg({ quality: 85 })
+    .toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Index print for an album: numbered thumbnails of every photo in a grid.
+// photos: [{ thumbnail, label }], with thumbnails from createThumbnail so
+// each photo is only decoded once per export
+async function createContactSheet(photos, settings = printSettingsFromEnv(), { title = '' } = {}) {
+  const columns = 5;
+  const cell = CONTACT_SHEET_CELL;
+  const labelHeight = 36;
+  const margin = 20;
+  const headerHeight = title ? 60 : 0;
+  const rows = Math.max(1, Math.ceil(photos.length / columns));
+
+  const width = margin * 2 + columns * cell;
+  const height = margin * 2 + headerHeight + rows * (cell + labelHeight);
+  const composites = [];
+
+  if (title) {
+    composites.push({
+      input: Buffer.from(`<svg width="${width}" height="${headerHeight}">
+        <text x="${margin}" y="40" font-family="sans-serif" font-size="28">${escapeXml(title)}</text>
+      </svg>`),
+      left: 0,
+      top: margin
+    });
+  }
+
+  for (let i = 0; i < photos.length; i++) {
+    const left = margin + (i % columns) * cell;
+    const top = margin + headerHeight + Math.floor(i / columns) * (cell + labelHeight);
+    const { thumbnail } = photos[i];
+
+    composites.push({
+      input: thumbnail.buffer,
+      left: left + Math.round((cell - thumbnail.width) / 2),
+      top: top + Math.round((cell - thumbnail.height) / 2)
+    });
+
+    const label = `${i + 1}. ${photos[i].label}`.slice(0, 40);
+    composites.push({
+      input: Buffer.from(`<svg width="${cell}" height="${labelHeight}">
+        <text x="8" y="24" font-family="sans-serif" font-size="16">${escapeXml(label)}</text>
+      </svg>`),
+      left,
+      top: top + cell
+    });
+  }
+
+  return sharp({ create: { width, height, channels: 3, background: { r: 255, g: 255, b: 255 } } })
+    .composite(composites)
+    .withIccProfile('srgb')
+    .withDensity(settings.dpi)
+    .jpeg({ quality: settings.quality })
+    .toBuffer();
+}
+
+module.exports = {
+  PRINT_SIZES,
+  printSettingsFromEnv,
+  targetDimensions,
+  processForPrint,
+  printFileName,
+  createThumbnail,
+  createContactSheet
+};
@@ -0,0 +1,159 @@
+const path = require('path');
+const sharp = require('sharp');
+const convertHeic = require('heic-convert');
+const { targetDimensions } = require('./image-pipeline');
+
+// Checks every uploaded photo before it is stored, whatever the app claims
+// it is:
+// - the type comes from the file's magic bytes, not the multipart mimetype
+// - the whole image is decoded, so truncated or damaged files are caught at
+//   upload instead of at the lab
+// - HEIC/HEIF (iPhone photos) is converted to JPEG, which the lab can print
+// - photos too small for the album's print size at UPLOAD_MIN_DPI (150) are
+//   stored, but flagged with a `low_resolution` warning for the app to show
+//
+// Rejected uploads throw an ImageValidationError with one of IMAGE_ERRORS.
+
+const MIN_DPI = Number(process.env.UPLOAD_MIN_DPI) || 150;
+const JPEG_QUALITY = 0.92;
+
+const IMAGE_ERRORS = {
+  not_an_image: 'File is not an image',
+  unsupported_image_type: 'Image type is not supported - send JPEG, PNG or HEIC',
+  corrupt_image: 'Image is damaged or incomplete'
+};
+
+// Types the lab can take as they are, plus HEIC which is converted
+const IMAGE_TYPES = {
+  jpeg: { contentType: 'image/jpeg', extensions: ['.jpg', '.jpeg'] },
+  png: { contentType: 'image/png', extensions: ['.png'] },
+  heic: { contentType: 'image/heic', extensions: ['.heic', '.heif'], convert: true }
+};
+
+// ISO-BMFF brands of HEIC/HEIF stills; AVIF has its own brands
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+class ImageValidationError extends Error {
+  constructor(code, details) {
+    super(IMAGE_ERRORS[code]);
+    this.code = code;
+    this.status = 422;
+    this.details = details;
+  }
+}
+
+// Image type from the first bytes of a file, or null if it isn't one we know
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (buffer.toString('latin1', 0, 6) === 'GIF87a' || buffer.toString('latin1', 0, 6) === 'GIF89a') {
+    return 'gif';
+  }
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  const tiffHeader = buffer.toString('latin1', 0, 4);
+  if (tiffHeader === 'II*\0' || tiffHeader === 'MM\0*') {
+    return 'tiff';
+  }
+  if (buffer.toString('latin1', 0, 2) === 'BM') {
+    return 'bmp';
+  }
+
+  // ISO-BMFF: a leading "ftyp" box with a major brand and compatible brands
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [buffer.toString('latin1', 8, 12)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+      brands.push(buffer.toString('latin1', offset, offset + 4));
+    }
+    if (AVIF_BRANDS.includes(brands[0])) return 'avif';
+    if (brands.some(brand => HEIF_BRANDS.includes(brand))) return 'heic';
+    if (brands.some(brand => AVIF_BRANDS.includes(brand))) return 'avif';
+  }
+  return null;
+}
+
+// Where to store a checked photo: `filePath` if its extension fits the
+// image's type, otherwise the same name with the type's extension (a
+// converted "IMG_0001.HEIC" is stored as "IMG_0001.jpg")
+function storagePathFor(filePath, image) {
+  const current = path.extname(filePath);
+  if (image.extensions.includes(current.toLowerCase())) {
+    return filePath;
+  }
+  return `${current ? filePath.slice(0, -current.length) : filePath}${image.extensions[0]}`;
+}
+
+// Check an uploaded photo and return what should be stored:
+//   { buffer, type, contentType, extensions, convertedFrom, width, height, warnings }
+// `printSize` is the album's product print size, for the resolution check.
+async function validateImage(buffer, { printSize } = {}) {
+  const type = sniffImageType(buffer);
+  if (!type) {
+    throw new ImageValidationError('not_an_image', 'The file does not start like a JPEG, PNG or HEIC image');
+  }
+  if (!IMAGE_TYPES[type]) {
+    throw new ImageValidationError('unsupported_image_type', `Received a ${type.toUpperCase()} image`);
+  }
+
+  let image = { buffer, type, ...IMAGE_TYPES[type], convertedFrom: null };
+  if (image.convert) {
+    try {
+      const converted = await convertHeic({ buffer, format: 'JPEG', quality: JPEG_QUALITY });
+      image = { buffer: Buffer.from(converted), type: 'jpeg', ...IMAGE_TYPES.jpeg, convertedFrom: type };
+    } catch (error) {
+      throw new ImageValidationError('corrupt_image', `HEIC image could not be decoded: ${error.message}`);
+    }
+  }
+
+  // Decoding every pixel is what finds a truncated file - the header alone
+  // still reads fine
+  let metadata;
+  try {
+    metadata = await sharp(image.buffer).metadata();
+    await sharp(image.buffer, { failOn: 'truncated' }).stats();
+  } catch (error) {
+    throw new ImageValidationError('corrupt_image', error.message);
+  }
+
+  const warnings = [];
+  if (printSize) {
+    const longSide = Math.max(metadata.width, metadata.height);
+    const shortSide = Math.min(metadata.width, metadata.height);
+    const minimum = targetDimensions(printSize, MIN_DPI, false);
+    if (longSide < minimum.width || shortSide < minimum.height) {
+      warnings.push('low_resolution');
+    }
+  }
+
+  // Orientations 5-8 are rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  return {
+    buffer: image.buffer,
+    type: image.type,
+    contentType: image.contentType,
+    extensions: image.extensions,
+    convertedFrom: image.convertedFrom,
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    warnings
+  };
+}
+
+module.exports = {
+  MIN_DPI,
+  IMAGE_ERRORS,
+  ImageValidationError,
+  sniffImageType,
+  storagePathFor,
+  validateImage
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { JsonStore } = require('./json-store');
+const { withLogContext } = require('./logger');
+
+// Print job lifecycle:
+//   awaiting_payment   -> waiting_for_photos (payment confirmed, see payments.js)
+//   awaiting_payment   -> cancelled      (payment cancelled)
+//   waiting_for_photos -> uploading -> done
+//   waiting_for_photos -> needs_review   (photos never all arrived)
+//   uploading          -> needs_review   (some exports failed)
+//   uploading          -> waiting_for_export -> uploading
+//                                         (a destination was down; its skipped
+//                                          files are re-sent once it recovers)
+//   any active state   -> failed         (unexpected error)
+//   any state          -> cancelled      (cancelled by an admin)
+// Admin actions can also send a finished job back to uploading.
+const JOB_STATUS = {
+  AWAITING_PAYMENT: 'awaiting_payment',
+  WAITING_FOR_PHOTOS: 'waiting_for_photos',
+  UPLOADING: 'uploading',
+  WAITING_FOR_EXPORT: 'waiting_for_export',
+  DONE: 'done',
+  NEEDS_REVIEW: 'needs_review',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Jobs in these states are picked up again after a restart. Orders awaiting
+// payment wait for the payment webhook instead.
+const ACTIVE_STATUSES = [JOB_STATUS.WAITING_FOR_PHOTOS, JOB_STATUS.UPLOADING, JOB_STATUS.WAITING_FOR_EXPORT];
+
+// Durable print job queue. Every state change is written to disk, so a
+// restart (e.g. a Render deploy) resumes jobs where they left off.
+// Emits 'status' (job, previousStatus) whenever a job's status changes.
+class PrintJobQueue extends EventEmitter {
+  constructor(fileName = 'print-jobs.json') {
+    super();
+    this.store = new JsonStore(fileName, { jobs: {} });
+    this.handler = null;
+    this.running = new Map(); // jobId -> promise of the running handler
+    this.rerun = new Set(); // jobs to run again once their current run returns
+    this.isStopping = false;
+    this.sleepers = new Map(); // wake function -> jobId
+  }
+
+  get jobs() {
+    return this.store.data.jobs;
+  }
+
+  enqueue(payload) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.WAITING_FOR_PHOTOS,
+      ...payload,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs[job.id] = job;
+    this.store.save();
+    console.log(`🗂️ Print job ${job.id} queued for ${job.address}`);
+
+    if (ACTIVE_STATUSES.includes(job.status)) {
+      this.run(job.id);
+    }
+    return job;
+  }
+
+  get(jobId) {
+    return this.jobs[jobId] || null;
+  }
+
+  list(filter = () => true) {
+    return Object.values(this.jobs).filter(filter);
+  }
+
+  // Apply changes to a job and checkpoint it to disk
+  update(jobId, changes) {
+    const job = this.jobs[jobId];
+    if (!job) {
+      throw new Error(`Unknown print job: ${jobId}`);
+    }
+
+    const previousStatus = job.status;
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.store.save();
+    if (job.status !== previousStatus) {
+      this.emit('status', job, previousStatus);
+    }
+    return job;
+  }
+
+  // Delete a finished job's record for good (account deletion). Running jobs
+  // can't be removed.
+  remove(jobId) {
+    if (this.running.has(jobId)) {
+      throw new Error(`Print job ${jobId} is still running`);
+    }
+    const existed = Boolean(this.jobs[jobId]);
+    delete this.jobs[jobId];
+    this.store.save();
+    return existed;
+  }
+
+  // Change a job's state and run it again, e.g. after an admin action. Bumping
+  // the revision tells a run in progress to stop; the job is then re-run as
+  // soon as that run returns.
+  requeue(jobId, changes) {
+    const current = this.get(jobId);
+    if (!current) {
+      throw new Error(`Unknown print job: ${jobId}`);
+    }
+
+    const job = this.update(jobId, { ...changes, revision: (current.revision || 0) + 1 });
+    if (this.running.has(jobId)) {
+      this.rerun.add(jobId);
+      this.wake(jobId);
+    } else {
+      this.run(jobId);
+    }
+    return job;
+  }
+
+  // Register the job handler and resume anything left over from the last run
+  start(handler) {
+    this.handler = handler;
+
+    const pending = this.list(job => ACTIVE_STATUSES.includes(job.status));
+    if (pending.length > 0) {
+      console.log(`🔁 Resuming ${pending.length} print job(s) after restart`);
+    }
+    pending.forEach(job => this.run(job.id));
+  }
+
+  run(jobId) {
+    if (!this.handler || this.isStopping || this.running.has(jobId)) {
+      return;
+    }
+
+    const promise = (async () => {
+      try {
+        // Logs from the job carry its order ID and the ID of the request that placed it
+        const job = this.get(jobId);
+        await withLogContext({ orderId: jobId, requestId: job.requestId || undefined }, () => this.handler(job, this));
+      } catch (error) {
+        console.error(`❌ Print job ${jobId} crashed:`, error);
+        this.update(jobId, { status: JOB_STATUS.FAILED, error: error.message });
+      } finally {
+        this.running.delete(jobId);
+        if (this.rerun.delete(jobId) && ACTIVE_STATUSES.includes(this.get(jobId).status)) {
+          this.run(jobId);
+        }
+      }
+    })();
+
+    this.running.set(jobId, promise);
+  }
+
+  // Sleep that is cut short when the queue shuts down or the job is requeued
+  sleep(ms, jobId = null) {
+    return new Promise(resolve => {
+      if (this.isStopping) {
+        return resolve();
+      }
+      const sleeper = () => {
+        clearTimeout(timeoutId);
+        this.sleepers.delete(sleeper);
+        resolve();
+      };
+      const timeoutId = setTimeout(sleeper, ms);
+      this.sleepers.set(sleeper, jobId);
+    });
+  }
+
+  wake(jobId) {
+    for (const [sleeper, sleeperJobId] of this.sleepers) {
+      if (sleeperJobId === jobId) {
+        sleeper();
+      }
+    }
+  }
+
+  // Stop picking up work, give running jobs a chance to reach their next
+  // checkpoint, then flush every job record to disk
+  async shutdown(timeoutMs = 10000) {
+    this.isStopping = true;
+    [...this.sleepers.keys()].forEach(wake => wake());
+
+    if (this.running.size > 0) {
+      console.log(`⏸️ Waiting for ${this.running.size} running print job(s) to checkpoint...`);
+      await Promise.race([
+        Promise.allSettled(this.running.values()),
+        new Promise(resolve => setTimeout(resolve, timeoutMs))
+      ]);
+    }
+
+    const now = new Date().toISOString();
+    for (const job of this.list(job => ACTIVE_STATUSES.includes(job.status))) {
+      job.checkpointedAt = now;
+    }
+    this.store.save();
+    console.log('💾 Print job queue checkpointed');
+  }
+}
+
+// Per-destination export progress. Jobs queued before there were several
+// destinations only tracked Dropbox, at the top level of the job.
+function exportStates(job) {
+  const exports = { ...job.exports };
+  if (!job.exports && job.uploadedFiles) {
+    exports.dropbox = {
+      uploadedFiles: job.uploadedFiles,
+      failedFiles: job.failedFiles || [],
+      uploadAttempts: job.uploadAttempts || {}
+    };
+  }
+
+  for (const name of job.destinations || ['dropbox']) {
+    exports[name] = exports[name] || { uploadedFiles: [], failedFiles: [], uploadAttempts: {} };
+  }
+  return exports;
+}
+
+// App-facing view of a print job, used by the /orders endpoints
+function summarizeJob(job) {
+  const files = job.files || [];
+  const fileName = filePath => filePath.split('/').pop();
+
+  return {
+    orderId: job.id,
+    status: job.status,
+    outcome: job.status === JOB_STATUS.NEEDS_REVIEW ? 'REQUIRES_MANUAL_REVIEW' : null,
+    reason: job.reason || null,
+    address: job.address,
+    albumNumber: job.albumNumber,
+    product: job.product || null,
+    photos: {
+      expected: job.photosTaken,
+      found: job.photosFound || 0,
+      files: files.map(fileName),
+      missingPhotoIds: job.missingPhotoIds || []
+    },
+    exports: Object.fromEntries(
+      Object.entries(exportStates(job)).map(([destination, state]) => [destination, {
+        uploaded: state.uploadedFiles.map(fileName),
+        failed: state.failedFiles.map(fileName),
+        pending: files.filter(name => !state.uploadedFiles.includes(name)).map(fileName),
+        // Attempts beyond the first one, per photo
+        retries: Object.fromEntries(
+          Object.entries(state.uploadAttempts).map(([name, attempts]) => [fileName(name), attempts - 1])
+        ),
+        // Why the destination couldn't be used at all, e.g. misconfigured
+        error: state.error || null
+      }])
+    ),
+    manualReview: job.manualReview || null,
+    payment: job.payment
+      ? {
+        status: job.payment.status,
+        amount: job.payment.amount,
+        currency: job.payment.currency,
+        paidAt: job.payment.paidAt || null,
+        refundedAt: job.payment.refundedAt || null
+      }
+      : null,
+    error: job.error || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt || null
+  };
+}
+
+module.exports = { PrintJobQueue, JOB_STATUS, ACTIVE_STATUSES, exportStates, summarizeJob };
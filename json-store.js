@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directory for local state that must survive restarts (job queue etc.)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Small JSON file store. Writes go to a temp file first and are then renamed
+// over the real file, so a crash mid-write never leaves a half-written file.
+// A file that can't be parsed anyway is moved aside to <file>.corrupt-<time>
+// before starting empty, so the next save doesn't overwrite what was in it.
+class JsonStore {
+  constructor(fileName, defaults = {}) {
+    this.filePath = path.isAbsolute(fileName) ? fileName : path.join(DATA_DIR, fileName);
+    this.defaults = defaults;
+    this.data = this.load();
+  }
+
+  load() {
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      return { ...this.defaults, ...JSON.parse(raw) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        const corruptPath = this.moveAside();
+        console.error(`⚠️ Could not read ${this.filePath}, starting empty (kept as ${corruptPath}):`, error.message);
+      }
+      return JSON.parse(JSON.stringify(this.defaults));
+    }
+  }
+
+  // Keep an unreadable file for inspection. Throws if it can't be moved, so
+  // the process doesn't start and later overwrite it.
+  moveAside() {
+    const corruptPath = `${this.filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.renameSync(this.filePath, corruptPath);
+    return corruptPath;
+  }
+
+  // Synchronous on purpose: this also runs from the SIGTERM handler
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = { JsonStore, DATA_DIR };
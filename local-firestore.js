@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { JsonStore } = require('./json-store');
+
+// Local stand-in for Firestore. Implements the subset of the Firebase Admin
+// Firestore API that data-model.js uses - collection(), doc(), where('==')
+// queries and get/set/update/delete - so the data model works unchanged
+// against either backend. Every collection lives in one JSON file.
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+class LocalDocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this.storedData = data;
+  }
+
+  data() {
+    return clone(this.storedData);
+  }
+}
+
+class LocalDocumentReference {
+  constructor(collection, id) {
+    this.collection = collection;
+    this.id = id;
+  }
+
+  get documents() {
+    return this.collection.documents;
+  }
+
+  async get() {
+    return new LocalDocumentSnapshot(this, this.documents[this.id]);
+  }
+
+  async set(data, { merge = false } = {}) {
+    const existing = merge ? this.documents[this.id] || {} : {};
+    this.documents[this.id] = { ...existing, ...clone(data) };
+    this.collection.db.save();
+  }
+
+  async update(data) {
+    if (!this.documents[this.id]) {
+      const error = new Error(`No document to update: ${this.collection.name}/${this.id}`);
+      error.code = 5; // NOT_FOUND, as Firestore reports it
+      throw error;
+    }
+    return this.set(data, { merge: true });
+  }
+
+  async delete() {
+    delete this.documents[this.id];
+    this.collection.db.save();
+  }
+}
+
+class LocalQuery {
+  constructor(collection, filters = []) {
+    this.collection = collection;
+    this.filters = filters;
+  }
+
+  where(field, op, value) {
+    if (op !== '==') {
+      throw new Error(`Local Firestore only supports '==' queries (got '${op}')`);
+    }
+    return new LocalQuery(this.collection, [...this.filters, { field, value }]);
+  }
+
+  async get() {
+    const docs = Object.entries(this.collection.documents)
+      .filter(([, data]) => this.filters.every(({ field, value }) => data[field] === value))
+      .map(([id, data]) => new LocalDocumentSnapshot(this.collection.doc(id), data));
+    return { docs, empty: docs.length === 0, size: docs.length };
+  }
+}
+
+class LocalCollectionReference extends LocalQuery {
+  constructor(db, name) {
+    super(null);
+    this.collection = this;
+    this.db = db;
+    this.name = name;
+  }
+
+  get documents() {
+    const collections = this.db.store.data.collections;
+    if (!collections[this.name]) {
+      collections[this.name] = {};
+    }
+    return collections[this.name];
+  }
+
+  // Without an ID, a new random one (like Firestore's auto IDs)
+  doc(id = crypto.randomBytes(10).toString('hex')) {
+    return new LocalDocumentReference(this, id);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class LocalFirestore {
+  constructor(fileName = 'firestore.json') {
+    this.store = new JsonStore(fileName, { collections: {} });
+  }
+
+  collection(name) {
+    return new LocalCollectionReference(this, name);
+  }
+
+  save() {
+    this.store.save();
+  }
+}
+
+module.exports = { LocalFirestore };
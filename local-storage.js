@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Writable } = require('stream');
+
+// Local-disk storage backend. Implements the subset of the Firebase Admin
+// (Google Cloud Storage) Bucket/File API that the server uses, so routes work
+// unchanged against either backend. Files live under `rootDir` using their
+// object name as the relative path; content types are kept in sidecar files
+// under `.meta/`, and writes land in `.incoming/` until they are complete.
+// Signed URLs point at the app's /files route and are checked with an HMAC.
+
+class LocalFile {
+  constructor(bucket, name) {
+    const resolved = path.resolve(bucket.rootDir, name);
+    if (!resolved.startsWith(bucket.rootDir + path.sep)) {
+      throw new Error(`Invalid file name: ${name}`);
+    }
+
+    this.bucket = bucket;
+    this.name = name;
+    this.localPath = resolved;
+    this.metaPath = path.join(bucket.rootDir, '.meta', `${name}.json`);
+  }
+
+  createWriteStream(options = {}) {
+    const incomingDir = path.join(this.bucket.rootDir, '.incoming');
+    fs.mkdirSync(incomingDir, { recursive: true });
+    const tmpPath = path.join(incomingDir, `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    const out = fs.createWriteStream(tmpPath);
+    const file = this;
+
+    // The object only appears under its real name once the stream has finished
+    return new Writable({
+      write(chunk, encoding, callback) {
+        out.write(chunk, encoding, callback);
+      },
+      final(callback) {
+        out.end(() => {
+          try {
+            fs.mkdirSync(path.dirname(file.localPath), { recursive: true });
+            fs.renameSync(tmpPath, file.localPath);
+            file.writeMetadata({ contentType: options.metadata?.contentType || 'application/octet-stream' });
+            callback();
+          } catch (error) {
+            callback(error);
+          }
+        });
+      },
+      destroy(error, callback) {
+        out.destroy();
+        fs.rm(tmpPath, { force: true }, () => callback(error));
+      }
+    });
+  }
+
+  createReadStream() {
+    return fs.createReadStream(this.localPath);
+  }
+
+  async download() {
+    return [await fs.promises.readFile(this.localPath)];
+  }
+
+  async exists() {
+    try {
+      await fs.promises.access(this.localPath);
+      return [true];
+    } catch (error) {
+      return [false];
+    }
+  }
+
+  async getMetadata() {
+    const stats = await fs.promises.stat(this.localPath);
+    let meta = {};
+    try {
+      meta = JSON.parse(await fs.promises.readFile(this.metaPath, 'utf8'));
+    } catch (error) {
+      // No sidecar - file was put there by hand
+    }
+    return [{
+      name: this.name,
+      bucket: this.bucket.name,
+      size: String(stats.size),
+      contentType: meta.contentType || 'application/octet-stream',
+      updated: stats.mtime.toISOString()
+    }];
+  }
+
+  writeMetadata(meta) {
+    fs.mkdirSync(path.dirname(this.metaPath), { recursive: true });
+    fs.writeFileSync(this.metaPath, JSON.stringify(meta));
+  }
+
+  // Like File#copy: destination is a file name or a LocalFile in this bucket
+  async copy(destination) {
+    const target = typeof destination === 'string' ? this.bucket.file(destination) : destination;
+    await fs.promises.mkdir(path.dirname(target.localPath), { recursive: true });
+    await fs.promises.copyFile(this.localPath, target.localPath);
+    const [metadata] = await this.getMetadata();
+    target.writeMetadata({ contentType: metadata.contentType });
+    return [target];
+  }
+
+  async delete() {
+    await fs.promises.unlink(this.localPath);
+    await fs.promises.rm(this.metaPath, { force: true });
+    return [{}];
+  }
+
+  // Like File#getSignedUrl({ action: 'read', expires })
+  async getSignedUrl({ expires }) {
+    const expiresAt = new Date(expires).getTime();
+    const encodedName = this.name.split('/').map(encodeURIComponent).join('/');
+    const signature = this.bucket.sign(this.name, expiresAt);
+    return [`${this.bucket.baseUrl}/files/${encodedName}?expires=${expiresAt}&signature=${signature}`];
+  }
+}
+
+class LocalBucket {
+  constructor(rootDir, name = 'local', { baseUrl = 'http://localhost:5500', secret } = {}) {
+    this.rootDir = path.resolve(rootDir);
+    this.name = name;
+    this.baseUrl = baseUrl;
+    // Without a configured secret, signed URLs stop working on restart
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(this.rootDir, { recursive: true });
+  }
+
+  sign(name, expiresAt) {
+    return crypto.createHmac('sha256', this.secret).update(`${name}\n${expiresAt}`).digest('hex');
+  }
+
+  // Check the query of a signed URL made by LocalFile#getSignedUrl
+  verifySignedUrl(name, { expires, signature }) {
+    const expiresAt = Number(expires);
+    if (!expiresAt || expiresAt < Date.now() || typeof signature !== 'string') {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(name, expiresAt));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  file(name) {
+    return new LocalFile(this, name);
+  }
+
+  // Like Bucket#getFiles: every object whose name starts with `prefix`
+  async getFiles(options = {}) {
+    const prefix = options.prefix || '';
+    // Only walk the directory the prefix points into
+    const startDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const names = [];
+
+    const walk = async (relativeDir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(path.join(this.rootDir, relativeDir), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue; // .meta, .incoming, .DS_Store...
+        const name = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(name);
+        } else if (name.startsWith(prefix)) {
+          names.push(name);
+        }
+      }
+    };
+
+    await walk(startDir);
+    return [names.sort().map(name => this.file(name))];
+  }
+}
+
+module.exports = { LocalBucket, LocalFile };
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const morgan = require('morgan');
+
+// Structured logging. Every log line is one JSON object:
+//   { time, level, msg, requestId?, orderId?, ...fields }
+// The request and order IDs come from the async context, so anything logged
+// while handling a request, or while a print job runs (Dropbox calls
+// included), is tagged without passing IDs around. Requests get their ID from
+// the X-Request-Id header or a new UUID; print jobs keep the ID of the request
+// that placed them (see PrintJobQueue.run).
+//
+// installConsoleLogger() routes the existing console.* calls through this
+// format. LOG_FORMAT=text keeps the plain console output for local development.
+
+const context = new AsyncLocalStorage();
+
+// Run `fn` with extra correlation fields on every log line it produces
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function logContext() {
+  return context.getStore() || {};
+}
+
+function serializeError(error) {
+  return { message: error.message, code: error.code, status: error.status, stack: error.stack };
+}
+
+// One log entry from console-style arguments: errors are kept as structured
+// fields, everything else becomes the message
+function formatEntry(level, args, fields = {}) {
+  const errors = args.filter(arg => arg instanceof Error);
+  const rest = args.filter(arg => !(arg instanceof Error));
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: util.format(...rest).trim(),
+    ...logContext(),
+    ...fields
+  };
+  if (errors.length > 0) {
+    entry.error = serializeError(errors[0]);
+    if (!entry.msg) entry.msg = errors[0].message;
+  }
+  return JSON.stringify(entry);
+}
+
+const CONSOLE_LEVELS = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+let installed = false;
+
+function writeEntry(level, line) {
+  const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+function installConsoleLogger() {
+  if (installed || process.env.LOG_FORMAT === 'text') {
+    return;
+  }
+  installed = true;
+  for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+    console[method] = (...args) => writeEntry(level, formatEntry(level, args));
+  }
+}
+
+// Log with structured fields, e.g. logger.info('request', { status: 200 }).
+// Goes through console when JSON logging isn't installed (text mode, tests).
+const logger = Object.fromEntries(['debug', 'info', 'warn', 'error'].map(level => [
+  level,
+  (msg, fields = {}) => {
+    if (installed) {
+      writeEntry(level, formatEntry(level, [msg], fields));
+    } else {
+      console[level === 'info' ? 'log' : level](msg, fields);
+    }
+  }
+]));
+
+// Express middleware: give every request an ID (X-Request-Id in and out) and
+// run the rest of the request in its log context
+function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    withLogContext({ requestId: req.id }, next);
+  };
+}
+
+// One access log entry per request, through morgan
+function accessLog() {
+  return morgan((tokens, req, res) => JSON.stringify({
+    requestId: req.id,
+    method: tokens.method(req, res),
+    path: tokens.url(req, res),
+    status: Number(tokens.status(req, res)) || null,
+    durationMs: Number(tokens['response-time'](req, res)) || null,
+    bytes: Number(tokens.res(req, res, 'content-length')) || 0
+  }), {
+    stream: { write: line => logger.info('request', JSON.parse(line)) }
+  });
+}
+
+module.exports = { logger, withLogContext, logContext, formatEntry, installConsoleLogger, requestContext, accessLog };
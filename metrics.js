@@ -0,0 +1,151 @@
+// Prometheus metrics, served as text from GET /metrics. A small registry of
+// counters, gauges and histograms - enough for the exposition format without
+// pulling in a client library.
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are kept per label combination, keyed by the label string
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  labels(values) {
+    return Object.fromEntries(this.labelNames.map(name => [name, values[name] ?? '']));
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelString(this.labels(labels));
+    this.series.set(key, (this.series.get(key) || 0) + value);
+  }
+
+  render() {
+    const lines = [...this.series].map(([key, value]) => `${this.name}${key} ${value}`);
+    return [...this.header(), ...lines];
+  }
+}
+
+// Value read when scraped: `collect()` returns [{ labels, value }]
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  render() {
+    const lines = this.collect().map(({ labels = {}, value }) => `${this.name}${labelString(this.labels(labels))} ${value}`);
+    return [...this.header(), ...lines];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const key = JSON.stringify(this.labels(labels));
+    const series = this.series.get(key) || { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+    this.series.set(key, series);
+  }
+
+  // Returns a function that records the seconds since the timer started
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (moreLabels = {}) => this.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  }
+
+  render() {
+    const lines = [];
+    for (const [key, series] of this.series) {
+      const labels = JSON.parse(key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${labelString({ ...labels, le: bound })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${labelString({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${labelString(labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${labelString(labels)} ${series.count}`);
+    }
+    return [...this.header(), ...lines];
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames = [], buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return `${[...this.metrics.values()].flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+const registry = new MetricsRegistry();
+
+// Shared instruments; gauges over live state are registered where that state lives
+const metrics = {
+  httpRequestDuration: registry.histogram('http_request_duration_seconds', 'HTTP request latency', ['method', 'route', 'status_code']),
+  photoUploads: registry.counter('photo_uploads_total', 'Photos received, by result (stored, duplicate, rejected)', ['result']),
+  photoUploadBytes: registry.counter('photo_upload_bytes_total', 'Bytes of photos stored'),
+  printOrdersFinished: registry.counter('print_orders_finished_total', 'Print orders reaching a final status', ['status']),
+  verificationWait: registry.histogram(
+    'print_verification_wait_seconds',
+    'Time from placing an order until its photos were all found (or the wait gave up)',
+    ['outcome'],
+    [10, 30, 60, 300, 600, 1800, 3600, 7200]
+  ),
+  dropboxRequests: registry.counter('dropbox_requests_total', 'Dropbox API requests, by operation and outcome', ['operation', 'outcome']),
+  dropboxRetries: registry.counter('dropbox_retries_total', 'Dropbox API requests retried', ['operation']),
+  dropboxRateLimits: registry.counter('dropbox_rate_limits_total', 'Dropbox rate-limit responses', ['operation']),
+  payments: registry.counter('payment_events_total', 'Payment webhook outcomes and refunds', ['event']),
+  dropboxTokenRefreshFailures: registry.counter('dropbox_token_refresh_failures_total', 'Dropbox access token refreshes that failed after all retries')
+};
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram, registry, metrics };
@@ -0,0 +1,396 @@
+const fs = require('fs');
+const path = require('path');
+const { getBucket } = require('./storage');
+const { DATA_DIR } = require('./json-store');
+const { retry } = require('./resilience');
+const { folderOwners } = require('./auth');
+const { AlbumManifestStore, albumManifests } = require('./album-manifest');
+
+// One-off migration of legacy storage layouts onto `folder/albumN/`:
+// - street-name folders from older app versions, e.g.
+//   "12_High_Street_AB12CD" or "12_High_Street_AB1_2CD" -> "12_AB12CD"
+// - photos stored directly in the address folder -> album<N>/, where N comes
+//   from the "album<N>_..." filename prefix (album1 without one)
+//
+//   npm run migrate-storage                       dry run: report what would move
+//   npm run migrate-storage -- --apply            copy files, write a rollback log
+//   npm run migrate-storage -- --apply --delete-source
+//                                                 ...and remove the originals
+//   npm run migrate-storage -- --apply --merge    also copy into album folders
+//                                                 that already have photos
+//   npm run migrate-storage -- --map OLD=NEW      folder mapping for folders the
+//                                                 rules don't recognise (repeatable)
+//   npm run migrate-storage -- --rollback <log>   undo an applied run
+//
+// Runs against the configured STORAGE_BACKEND. Files are copied, never moved
+// in place, so a run can be rolled back from its log in DATA_DIR/migrations/,
+// and a source is only deleted once its copy has been checked. A run that
+// stops part way leaves a log that rolls back what it did.
+// Folder owners (folder-owners.json) and album manifests in DATA_DIR follow
+// the files to their new folder names, so customers keep their folders; run
+// it with the server stopped, as the server keeps both in memory.
+// Once the bucket is migrated, set LEGACY_FOLDER_SEARCH=false so print jobs
+// stop searching the whole bucket for legacy folders.
+
+const UK_POSTCODE = /^[A-Z]{1,2}\d[A-Z\d]?\d[A-Z]{2}$/i;
+const UK_OUTWARD_CODE = /^[A-Z]{1,2}\d[A-Z\d]?$/i;
+const UK_INWARD_CODE = /^\d[A-Z]{2}$/i;
+const HOUSE_NUMBER = /^\d+[A-Z]?$/i;
+// Segments that show a folder starts with an email (new app format)
+const EMAIL_SEGMENTS = ['com', 'net', 'org', 'co', 'uk', 'io', 'me', 'gmail', 'googlemail', 'hotmail', 'outlook', 'icloud', 'yahoo', 'live'];
+
+function parseArgs(argv) {
+  const options = { apply: false, deleteSource: false, merge: false, rollback: null, map: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--apply') {
+      options.apply = true;
+    } else if (arg === '--delete-source') {
+      options.deleteSource = true;
+    } else if (arg === '--merge') {
+      options.merge = true;
+    } else if (arg === '--rollback') {
+      options.rollback = argv[++i];
+    } else if (arg === '--map') {
+      const [from, to] = String(argv[++i]).split('=');
+      if (!from || !to) {
+        throw new Error('--map expects OLD_FOLDER=NEW_FOLDER');
+      }
+      options.map[from] = to;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (options.deleteSource && !options.apply) {
+    throw new Error('--delete-source only makes sense with --apply');
+  }
+  return options;
+}
+
+// Current folder name for a legacy one, or null when it isn't recognised
+function currentFolderName(folder, map = {}) {
+  if (map[folder]) {
+    return map[folder];
+  }
+
+  const parts = folder.split('_');
+  // Already current: "houseNumber_postcode", an address ID from the API, or
+  // "email_houseNumber_postcode" from the new app
+  if (parts.length <= 2 || !HOUSE_NUMBER.test(parts[0])) {
+    return folder;
+  }
+  if (parts.some(part => EMAIL_SEGMENTS.includes(part.toLowerCase()))) {
+    return folder; // new app folder for an email starting with digits
+  }
+
+  const last = parts[parts.length - 1];
+  const beforeLast = parts[parts.length - 2];
+
+  // Postcode with its space turned into "_": "AB1_2CD"
+  if (parts.length >= 4 && UK_OUTWARD_CODE.test(beforeLast) && UK_INWARD_CODE.test(last)) {
+    return `${parts[0]}_${beforeLast}${last}`;
+  }
+  if (UK_POSTCODE.test(last)) {
+    return `${parts[0]}_${last}`;
+  }
+  return null;
+}
+
+// Work out where every object in the bucket belongs
+function planMigration(names, { map = {} } = {}) {
+  const moves = [];
+  const unrecognised = new Set();
+  const unchanged = [];
+
+  for (const name of names) {
+    const parts = name.split('/');
+    if (parts.length < 2 || !parts[parts.length - 1]) {
+      continue; // bucket root files and folder placeholders
+    }
+
+    const [folder, ...rest] = parts;
+    const targetFolder = currentFolderName(folder, map);
+    if (!targetFolder) {
+      unrecognised.add(folder);
+      continue;
+    }
+
+    let albumPath;
+    if (rest.length === 1) {
+      // Photo straight in the address folder
+      const albumMatch = /^album(\d+)_/.exec(rest[0]);
+      albumPath = `album${albumMatch ? albumMatch[1] : 1}/${rest[0]}`;
+    } else if (/^album\d+$/.test(rest[0])) {
+      albumPath = rest.join('/');
+    } else {
+      unrecognised.add(`${folder}/${rest[0]}`);
+      continue;
+    }
+
+    const target = `${targetFolder}/${albumPath}`;
+    if (target === name) {
+      unchanged.push(name);
+    } else {
+      moves.push({ source: name, target, targetAlbum: target.slice(0, target.lastIndexOf('/') + 1) });
+    }
+  }
+
+  // Two sources for one target, or an album that already has photos in the
+  // current layout, need a person to decide
+  const existing = new Set(unchanged);
+  const existingAlbums = new Set(unchanged.map(name => name.slice(0, name.lastIndexOf('/') + 1)));
+  const targetCounts = new Map();
+  moves.forEach(move => targetCounts.set(move.target, (targetCounts.get(move.target) || 0) + 1));
+
+  moves.forEach(move => {
+    if (existing.has(move.target) || targetCounts.get(move.target) > 1) {
+      move.conflict = 'target_exists';
+    } else if (existingAlbums.has(move.targetAlbum)) {
+      move.conflict = 'album_not_empty';
+    }
+  });
+
+  return { moves, unchanged, unrecognised: [...unrecognised].sort() };
+}
+
+function printReport(plan, options) {
+  const byAlbum = new Map();
+  plan.moves.forEach(move => {
+    const key = `${move.source.slice(0, move.source.lastIndexOf('/') + 1)} -> ${move.targetAlbum}`;
+    const entry = byAlbum.get(key) || { files: 0, conflicts: new Set() };
+    entry.files++;
+    if (move.conflict) entry.conflicts.add(move.conflict);
+    byAlbum.set(key, entry);
+  });
+
+  console.log(`\n📋 Storage migration ${options.apply ? '' : '(dry run) '}report`);
+  console.log(`   ${plan.unchanged.length} file(s) already in the current layout`);
+  console.log(`   ${plan.moves.length} file(s) to migrate in ${byAlbum.size} album folder(s):`);
+  for (const [key, entry] of byAlbum) {
+    const conflicts = entry.conflicts.size > 0 ? `  ⚠️ ${[...entry.conflicts].join(', ')}` : '';
+    console.log(`     ${key} (${entry.files} file(s))${conflicts}`);
+  }
+  if (plan.unrecognised.length > 0) {
+    console.log(`   ${plan.unrecognised.length} folder(s) not recognised - map them with --map OLD=NEW:`);
+    plan.unrecognised.forEach(folder => console.log(`     ${folder}`));
+  }
+}
+
+function writeLog(logPath, log) {
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  fs.writeFileSync(logPath, JSON.stringify(log, null, 2));
+}
+
+// A copy only counts once the target is there with the source's size (and
+// checksum, where the backend reports one) - the source is never deleted
+// before that
+async function verifyCopy(bucket, source, target) {
+  const [[sourceMeta], [targetMeta]] = await Promise.all([
+    retry(`Reading metadata of ${source}`, () => bucket.file(source).getMetadata()),
+    retry(`Reading metadata of ${target}`, () => bucket.file(target).getMetadata())
+  ]);
+  const checksumDiffers = sourceMeta.md5Hash && targetMeta.md5Hash && sourceMeta.md5Hash !== targetMeta.md5Hash;
+  if (String(sourceMeta.size) !== String(targetMeta.size) || checksumDiffers) {
+    throw new Error(`Copy of ${source} to ${target} does not match the original`);
+  }
+}
+
+// Copy (and with --delete-source, remove) every move the plan can make.
+// Stops at the first failure; the log then covers everything done so far.
+async function applyMigration(bucket, plan, options) {
+  const logPath = path.join(DATA_DIR, 'migrations', `migrate-storage-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+  const log = { startedAt: new Date().toISOString(), bucket: bucket.name, entries: [] };
+  let skipped = 0;
+
+  try {
+    for (const move of plan.moves) {
+      const blocking = move.conflict === 'target_exists' || (move.conflict === 'album_not_empty' && !options.merge);
+      if (blocking) {
+        skipped++;
+        continue;
+      }
+
+      // Logged before anything happens, so a run interrupted mid-copy can still
+      // be rolled back
+      const entry = { source: move.source, target: move.target, copied: false, sourceDeleted: false };
+      log.entries.push(entry);
+      writeLog(logPath, log);
+
+      await retry(`Copying ${move.source}`, () => bucket.file(move.source).copy(move.target));
+      await verifyCopy(bucket, move.source, move.target);
+      entry.copied = true;
+      writeLog(logPath, log);
+
+      if (options.deleteSource) {
+        await retry(`Deleting ${move.source}`, () => bucket.file(move.source).delete());
+        entry.sourceDeleted = true;
+        writeLog(logPath, log);
+      }
+      console.log(`✅ ${move.source} -> ${move.target}`);
+    }
+  } catch (error) {
+    console.error(`❌ Migration stopped - roll back what was done with --rollback ${logPath}`);
+    error.logPath = logPath;
+    throw error;
+  }
+
+  log.records = moveFolderRecords(log.entries);
+  log.finishedAt = new Date().toISOString();
+  writeLog(logPath, log);
+  console.log(`\n📦 Migrated ${log.entries.length} file(s), skipped ${skipped} with conflicts`);
+  reportFolderRecords(log.records);
+  console.log(`↩️ Rollback log: ${logPath}`);
+  return { logPath, migrated: log.entries.length, skipped, records: log.records };
+}
+
+// Carry folder owners and album manifests over to where the files went.
+// A renamed folder's owner also owns the new name, unless someone else
+// already does; a manifest is re-keyed to the new folder with its photo
+// paths updated, unless the new album already has one. Returns what was
+// changed (for rollback) and what was left for an admin.
+function moveFolderRecords(entries) {
+  const targets = new Map(entries.map(entry => [entry.source, entry.target]));
+  const renamed = new Map();
+  const touched = new Set();
+  for (const entry of entries) {
+    const from = entry.source.split('/')[0];
+    const to = entry.target.split('/')[0];
+    touched.add(from);
+    if (from !== to) {
+      renamed.set(from, to);
+    }
+  }
+
+  const records = { owners: [], manifests: [], conflicts: [] };
+
+  for (const [from, to] of renamed) {
+    const owner = folderOwners.get(from);
+    const current = folderOwners.get(to);
+    if (!owner || (current && current.uid === owner.uid)) {
+      continue;
+    }
+    if (current) {
+      records.conflicts.push({ type: 'owner', from, to, detail: `${to} already belongs to user ${current.uid}` });
+      continue;
+    }
+    folderOwners.setOwner(to, { ...owner });
+    records.owners.push({ from, to, uid: owner.uid });
+  }
+
+  for (const folderName of touched) {
+    const to = renamed.get(folderName) || folderName;
+    for (const manifest of albumManifests.forFolder(folderName)) {
+      const albumKey = AlbumManifestStore.albumKey(to, manifest.albumNumber);
+      if (albumKey !== manifest.albumKey && albumManifests.get(albumKey)) {
+        records.conflicts.push({ type: 'manifest', from: manifest.albumKey, to: albumKey, detail: `${albumKey} already has a manifest` });
+        continue;
+      }
+
+      const photos = {};
+      for (const [key, photo] of Object.entries(manifest.photos)) {
+        photos[key] = { ...photo, path: targets.get(photo.path) || photo.path };
+      }
+      const previous = JSON.parse(JSON.stringify(manifest));
+      albumManifests.removeAlbum(manifest.albumKey);
+      albumManifests.putAlbum({ ...manifest, albumKey, folderName: to, photos });
+      records.manifests.push({ from: manifest.albumKey, to: albumKey, previous });
+    }
+  }
+
+  return records;
+}
+
+// Put folder owners and album manifests back as they were before the run
+function restoreFolderRecords(records) {
+  for (const { to } of records.manifests) {
+    albumManifests.removeAlbum(to);
+  }
+  for (const { previous } of records.manifests) {
+    albumManifests.putAlbum(previous);
+  }
+  for (const { to, uid } of records.owners) {
+    const owner = folderOwners.get(to);
+    if (owner && owner.uid === uid) {
+      folderOwners.setOwner(to, null);
+    }
+  }
+}
+
+function reportFolderRecords(records) {
+  records.owners.forEach(({ from, to, uid }) => console.log(`🔑 Owner ${uid} of ${from} now also owns ${to}`));
+  records.manifests.forEach(({ from, to }) => console.log(`🗂️ Album manifest ${from} -> ${to}`));
+  if (records.conflicts.length > 0) {
+    console.log(`⚠️ ${records.conflicts.length} owner/manifest record(s) not carried over - sort these out in the admin dashboard:`);
+    records.conflicts.forEach(({ type, from, to, detail }) => console.log(`     ${type} ${from} -> ${to}: ${detail}`));
+  }
+}
+
+async function rollback(bucket, logPath) {
+  const log = JSON.parse(fs.readFileSync(logPath, 'utf8'));
+  let restored = 0;
+
+  // Newest first, so a file copied twice ends up in its original place.
+  // Entries are marked as they are undone, so an interrupted rollback can be
+  // run again.
+  for (const entry of [...log.entries].reverse()) {
+    if (entry.rolledBack) {
+      continue;
+    }
+    if (entry.sourceDeleted) {
+      await retry(`Copying ${entry.target} back`, () => bucket.file(entry.target).copy(entry.source));
+      await verifyCopy(bucket, entry.target, entry.source);
+    }
+    const [targetExists] = await retry(`Checking ${entry.target}`, () => bucket.file(entry.target).exists());
+    if (targetExists) {
+      await retry(`Deleting ${entry.target}`, () => bucket.file(entry.target).delete());
+    }
+    entry.rolledBack = true;
+    writeLog(logPath, log);
+    restored++;
+    console.log(`↩️ ${entry.target} -> ${entry.source}`);
+  }
+
+  if (log.records && !log.recordsRestored) {
+    restoreFolderRecords(log.records);
+    log.recordsRestored = true;
+    writeLog(logPath, log);
+    console.log(`↩️ Restored ${log.records.owners.length} folder owner(s) and ${log.records.manifests.length} album manifest(s)`);
+  }
+
+  log.rolledBackAt = new Date().toISOString();
+  writeLog(logPath, log);
+  console.log(`\n📦 Rolled back ${restored} file(s)`);
+  return { restored };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const bucket = getBucket();
+
+  if (options.rollback) {
+    await rollback(bucket, options.rollback);
+    return;
+  }
+
+  console.log('🔍 Listing bucket...');
+  const [files] = await retry('Listing the bucket', () => bucket.getFiles());
+  const plan = planMigration(files.map(file => file.name), options);
+  printReport(plan, options);
+
+  if (options.apply) {
+    await applyMigration(bucket, plan, options);
+  } else {
+    console.log('\nDry run only - nothing was changed. Re-run with --apply to migrate.');
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Storage migration failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, currentFolderName, planMigration, applyMigration, rollback };
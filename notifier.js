@@ -0,0 +1,196 @@
+const nodemailer = require('nodemailer');
+const fetch = require('node-fetch');
+const { JsonStore } = require('./json-store');
+const { retry } = require('./resilience');
+
+// Admin alerting with pluggable channels (SMTP email, JSON webhook, Slack).
+// Alerts carry a dedup key: the same key is sent at most once per dedup
+// window, and all alerts together are capped per hour.
+
+// SMTP email through nodemailer
+class EmailChannel {
+  constructor({ host, port, secure, user, pass, from, to }) {
+    this.name = 'email';
+    this.from = from;
+    this.to = to;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(alert) {
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: `[30 Clicks] ${alert.subject}`,
+      text: formatAlertText(alert)
+    });
+  }
+}
+
+// Generic webhook - POSTs the alert as JSON
+class WebhookChannel {
+  constructor(url) {
+    this.name = 'webhook';
+    this.url = url;
+  }
+
+  async send(alert) {
+    await postJson(this.url, alert);
+  }
+}
+
+// Slack-compatible incoming webhook
+class SlackChannel {
+  constructor(url) {
+    this.name = 'slack';
+    this.url = url;
+  }
+
+  async send(alert) {
+    await postJson(this.url, { text: `🚨 *${alert.subject}*\n${formatAlertText(alert)}` });
+  }
+}
+
+async function postJson(url, body) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}: ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function formatAlertText(alert) {
+  const lines = [alert.message];
+  if (alert.actions && alert.actions.length > 0) {
+    lines.push('', 'Suggested actions:');
+    alert.actions.forEach((action, index) => lines.push(`  ${index + 1}. ${action}`));
+  }
+  lines.push('', 'Details:', JSON.stringify(alert.details, null, 2));
+  return lines.join('\n');
+}
+
+class Notifier {
+  constructor({ channels = [], dedupWindowMs = 24 * 60 * 60 * 1000, maxPerHour = 10, stateFile = 'alerts.json' } = {}) {
+    this.channels = channels;
+    this.dedupWindowMs = dedupWindowMs;
+    this.maxPerHour = maxPerHour;
+    // Persisted so a restart doesn't re-send everything that was just sent
+    this.state = new JsonStore(stateFile, { lastSent: {}, recent: [] });
+  }
+
+  // alert: { key, subject, message, details, actions }
+  async notify(alert) {
+    const now = Date.now();
+    const { lastSent } = this.state.data;
+
+    console.log('🚨 ADMIN ALERT:', alert.subject);
+    console.log('📋 Alert Details:', JSON.stringify(alert.details, null, 2));
+
+    if (this.channels.length === 0) {
+      console.log('📭 No alert channels configured - alert only logged');
+      return { sent: false, reason: 'no_channels' };
+    }
+
+    if (alert.key && lastSent[alert.key] && now - lastSent[alert.key] < this.dedupWindowMs) {
+      console.log(`🔕 Alert "${alert.key}" already sent recently - skipping`);
+      return { sent: false, reason: 'duplicate' };
+    }
+
+    const recent = this.state.data.recent.filter(sentAt => now - sentAt < 60 * 60 * 1000);
+    if (recent.length >= this.maxPerHour) {
+      console.log(`🔕 Alert rate limit reached (${this.maxPerHour}/hour) - skipping`);
+      return { sent: false, reason: 'rate_limited' };
+    }
+
+    const payload = { ...alert, timestamp: new Date(now).toISOString() };
+    const results = await Promise.allSettled(
+      this.channels.map(channel => retry(`${channel.name} alert`, () => channel.send(payload)))
+    );
+
+    const failed = [];
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        failed.push(this.channels[index].name);
+        console.error(`❌ Failed to send alert via ${this.channels[index].name}:`, result.reason.message);
+      }
+    });
+
+    const sent = failed.length < this.channels.length;
+    if (sent) {
+      if (alert.key) {
+        lastSent[alert.key] = now;
+      }
+      // Forget keys whose dedup window has passed
+      for (const [key, sentAt] of Object.entries(lastSent)) {
+        if (now - sentAt >= this.dedupWindowMs) {
+          delete lastSent[key];
+        }
+      }
+      this.state.data.recent = [...recent, now];
+      this.state.save();
+      console.log('📧 Admin alert sent');
+    }
+
+    return { sent, failed };
+  }
+}
+
+// Build the channel list from environment variables
+function createNotifierFromEnv(env = process.env) {
+  const channels = [];
+
+  if (env.SMTP_HOST && env.ALERT_EMAIL_TO) {
+    channels.push(new EmailChannel({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.ALERT_EMAIL_FROM || env.SMTP_USER || 'alerts@30clicks.local',
+      to: env.ALERT_EMAIL_TO
+    }));
+  }
+
+  if (env.ALERT_WEBHOOK_URL) {
+    channels.push(new WebhookChannel(env.ALERT_WEBHOOK_URL));
+  }
+
+  if (env.ALERT_SLACK_WEBHOOK_URL) {
+    channels.push(new SlackChannel(env.ALERT_SLACK_WEBHOOK_URL));
+  }
+
+  return new Notifier({
+    channels,
+    dedupWindowMs: (Number(env.ALERT_DEDUP_HOURS) || 24) * 60 * 60 * 1000,
+    maxPerHour: Number(env.ALERT_MAX_PER_HOUR) || 10
+  });
+}
+
+const notifier = createNotifierFromEnv();
+
+module.exports = {
+  Notifier,
+  EmailChannel,
+  WebhookChannel,
+  SlackChannel,
+  createNotifierFromEnv,
+  notifier
+};
@@ -0,0 +1,116 @@
+const EventEmitter = require('events');
+const { AlbumManifestStore, albumManifests } = require('./album-manifest');
+const { JOB_STATUS } = require('./job-queue');
+
+// Live progress of print orders, streamed to the app (GET /orders/:id/events)
+// and the admin dashboard (GET /admin/events) as Server-Sent Events.
+//
+//   photo_received         { photoId, fileName, photosFound, photosExpected }
+//   verification_progress  { found, expected, elapsedMinutes }
+//   file_exported          { destination, fileName, result: staged|uploaded|skipped|failed }
+//   status                 { status, reason }   any other status change
+//   completed              { status, reason }
+//   needs_review           { status, reason }
+//
+// Every event is { id, seq, orderId, type, data, at }. Recent events are kept in
+// memory, so a client reconnecting with Last-Event-ID gets what it missed
+// (within this process - after a restart it starts from the order's current
+// state).
+
+const HISTORY_SIZE = 500;
+const HEARTBEAT_MS = 25000;
+const ALL = () => true;
+
+class OrderEventHub extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // one listener per open stream
+    // Event IDs carry the process start, so IDs from before a restart are
+    // recognised as such rather than compared with the new sequence
+    this.bootId = Date.now().toString(36);
+    this.sequence = 0;
+    this.history = [];
+  }
+
+  publish(orderId, type, data = {}) {
+    const event = { id: `${this.bootId}-${++this.sequence}`, seq: this.sequence, orderId, type, data, at: new Date().toISOString() };
+    this.history.push(event);
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift();
+    }
+    this.emit('event', event);
+    return event;
+  }
+
+  // Buffered events after `lastEventId`, oldest first
+  since(lastEventId, filter = ALL) {
+    const [bootId, lastSeq] = String(lastEventId || '').split('-');
+    if (bootId !== this.bootId) {
+      return [];
+    }
+    return this.history.filter(event => event.seq > Number(lastSeq) && filter(event));
+  }
+}
+
+const orderEvents = new OrderEventHub();
+
+// Turn print queue status changes and stored photos into order events
+function connectOrderEvents(printQueue) {
+  printQueue.on('status', job => {
+    const data = { status: job.status, reason: job.reason || null };
+    if (job.status === JOB_STATUS.DONE) {
+      orderEvents.publish(job.id, 'completed', data);
+    } else if (job.status === JOB_STATUS.NEEDS_REVIEW) {
+      orderEvents.publish(job.id, 'needs_review', data);
+    } else {
+      orderEvents.publish(job.id, 'status', data);
+    }
+  });
+
+  albumManifests.on('photo-stored', ({ albumKey, photo, photoCount }) => {
+    printQueue
+      .list(job => job.status === JOB_STATUS.WAITING_FOR_PHOTOS
+        && AlbumManifestStore.albumKey(job.folderName, job.albumNumber) === albumKey)
+      .forEach(job => orderEvents.publish(job.id, 'photo_received', {
+        photoId: photo.photoId || null,
+        fileName: photo.path.split('/').pop(),
+        photosFound: photoCount,
+        photosExpected: job.photosTaken
+      }));
+  });
+}
+
+// Stream order events to `res` as Server-Sent Events until the client goes
+// away. `initial` events are sent first (e.g. the order's current state),
+// then anything missed since Last-Event-ID, then live events.
+function streamOrderEvents(req, res, { filter = ALL, initial = [] } = {}) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // don't let a proxy hold events back
+  });
+  res.flushHeaders();
+
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  initial.forEach(event => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  orderEvents.since(req.get('Last-Event-ID'), filter).forEach(send);
+
+  const onEvent = event => {
+    if (filter(event)) send(event);
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  orderEvents.on('event', onEvent);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    orderEvents.off('event', onEvent);
+  });
+}
+
+module.exports = { OrderEventHub, orderEvents, connectOrderEvents, streamOrderEvents };
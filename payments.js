@@ -0,0 +1,492 @@
+const crypto = require('crypto');
+const express = require('express');
+const fetch = require('node-fetch');
+const { retry } = require('./resilience');
+const { JOB_STATUS } = require('./job-queue');
+const { metrics } = require('./metrics');
+
+// Checkout before printing. With PAYMENTS_PROVIDER set, a print order is
+// placed as `awaiting_payment` with a payment intent for its product's price,
+// and only goes to the print queue once the provider confirms the payment on
+// POST /webhooks/payments. Without it, orders go straight to print as before.
+//
+//   stripe  Stripe PaymentIntents (STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET;
+//           STRIPE_API_URL for a stand-in)
+//   local   no money moves: intents live in memory and webhook events are
+//           made with webhookEvent(), for development and tests
+//
+// Both sign webhooks the Stripe way: a Stripe-Signature header with a
+// timestamp and an HMAC-SHA256 of "<timestamp>.<body>". Events:
+//   payment_intent.succeeded       the order is released to the print queue;
+//                                  one for an order that was cancelled in the
+//                                  meantime is refunded
+//   payment_intent.payment_failed  recorded; the customer can try again
+//   payment_intent.canceled        the order is cancelled
+// A paid order that ends in manual review is refunded in full. An order that
+// is cancelled while awaiting payment (by an admin, with the account, or
+// because it wasn't paid within PAYMENT_EXPIRY_HOURS, default 24) has its
+// intent cancelled first, so it can't be paid any more.
+
+const PAYMENTS_PROVIDER = process.env.PAYMENTS_PROVIDER || '';
+const PAYMENT_EXPIRY_HOURS = Number(process.env.PAYMENT_EXPIRY_HOURS) || 24;
+// Signed events older than this are refused, so a captured one can't be replayed
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+const PAYMENT_STATUS = {
+  REQUIRES_PAYMENT: 'requires_payment',
+  FAILED: 'failed',
+  SUCCEEDED: 'succeeded',
+  CANCELED: 'canceled',
+  REFUND_PENDING: 'refund_pending',
+  REFUNDED: 'refunded',
+  REFUND_FAILED: 'refund_failed'
+};
+
+class PaymentError extends Error {
+  constructor(message, { status = 502, code = 'payment_unavailable' } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function webhookSignature(payload, secret, timestamp) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+// Stripe-Signature header value for a webhook body
+function signWebhookPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${webhookSignature(payload, secret, timestamp)}`;
+}
+
+// Check a Stripe-Signature header against the raw body and return the event.
+// The header can carry several v1 signatures while a secret is being rolled.
+function verifyWebhook(payload, header, secret) {
+  const invalid = message => new PaymentError(message, { status: 400, code: 'invalid_signature' });
+  const parts = String(header || '').split(',').map(part => part.trim().split('='));
+  const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => Buffer.from(value || ''));
+  if (!Buffer.isBuffer(payload) || !timestamp || signatures.length === 0) {
+    throw invalid('Missing webhook signature');
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    throw invalid('Webhook signature has expired');
+  }
+
+  const expected = Buffer.from(webhookSignature(payload, secret, timestamp));
+  if (!signatures.some(actual => actual.length === expected.length && crypto.timingSafeEqual(expected, actual))) {
+    throw invalid('Invalid webhook signature');
+  }
+  // Signed by the provider, so the body is its JSON
+  return JSON.parse(payload.toString());
+}
+
+// Stripe PaymentIntents over the REST API (form-encoded requests)
+class StripePaymentProvider {
+  constructor({ secretKey, webhookSecret, apiUrl = 'https://api.stripe.com' }) {
+    if (!secretKey || !webhookSecret) {
+      throw new Error('STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET are required for Stripe payments');
+    }
+    this.name = 'stripe';
+    this.secretKey = secretKey;
+    this.webhookSecret = webhookSecret;
+    this.apiUrl = apiUrl;
+  }
+
+  // The idempotency key makes a retried request return the first result
+  // instead of charging twice
+  async request(path, params, idempotencyKey) {
+    return retry(`Stripe ${path}`, async () => {
+      const response = await fetch(`${this.apiUrl}${path}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.secretKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Idempotency-Key': idempotencyKey
+        },
+        body: new URLSearchParams(params).toString()
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const error = new Error(`Stripe ${path} failed: ${response.status} ${body.error?.message || ''}`.trim());
+        error.status = response.status;
+        error.stripeError = body.error || null;
+        throw error;
+      }
+      return body;
+    });
+  }
+
+  async createIntent({ orderId, amount, currency }) {
+    const intent = await this.request('/v1/payment_intents', {
+      amount: String(amount),
+      currency: currency.toLowerCase(),
+      'automatic_payment_methods[enabled]': 'true',
+      'metadata[orderId]': orderId
+    }, `intent-${orderId}`);
+    return { id: intent.id, clientSecret: intent.client_secret };
+  }
+
+  async refund(intentId) {
+    const refund = await this.request('/v1/refunds', { payment_intent: intentId }, `refund-${intentId}`);
+    return { id: refund.id, status: refund.status };
+  }
+
+  // An intent that is already cancelled counts as cancelled; one that has
+  // been paid can't be
+  async cancelIntent(intentId) {
+    try {
+      const intent = await this.request(`/v1/payment_intents/${encodeURIComponent(intentId)}/cancel`, {}, `cancel-${intentId}`);
+      return { id: intent.id, status: intent.status };
+    } catch (error) {
+      if (error.stripeError?.payment_intent?.status === 'canceled') {
+        return { id: intentId, status: 'canceled' };
+      }
+      throw error;
+    }
+  }
+
+  parseWebhook(payload, headers) {
+    return verifyWebhook(payload, headers['stripe-signature'], this.webhookSecret);
+  }
+}
+
+// Stand-in with the same interface that takes no money
+class LocalPaymentProvider {
+  constructor({ webhookSecret = crypto.randomBytes(32).toString('hex') } = {}) {
+    this.name = 'local';
+    this.webhookSecret = webhookSecret;
+    this.intents = new Map();
+    this.refunds = [];
+    this.cancellations = [];
+  }
+
+  async createIntent({ orderId, amount, currency }) {
+    const id = `pi_local_${crypto.randomUUID().replace(/-/g, '')}`;
+    this.intents.set(id, { id, orderId, amount, currency });
+    return { id, clientSecret: `${id}_secret_local` };
+  }
+
+  async refund(intentId) {
+    const refund = { id: `re_local_${crypto.randomUUID().replace(/-/g, '')}`, status: 'succeeded', intentId };
+    this.refunds.push(refund);
+    return { id: refund.id, status: refund.status };
+  }
+
+  async cancelIntent(intentId) {
+    this.cancellations.push(intentId);
+    return { id: intentId, status: 'canceled' };
+  }
+
+  parseWebhook(payload, headers) {
+    return verifyWebhook(payload, headers['stripe-signature'], this.webhookSecret);
+  }
+
+  // A signed webhook for one of our intents: { body, headers } to POST to
+  // /webhooks/payments
+  webhookEvent(type, intentId, { failureMessage = null } = {}) {
+    const intent = this.intents.get(intentId) || { id: intentId };
+    const body = JSON.stringify({
+      id: `evt_local_${crypto.randomUUID().replace(/-/g, '')}`,
+      type,
+      data: {
+        object: {
+          id: intentId,
+          amount: intent.amount,
+          currency: intent.currency,
+          metadata: { orderId: intent.orderId },
+          last_payment_error: failureMessage ? { message: failureMessage } : null
+        }
+      }
+    });
+    return {
+      body,
+      headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signWebhookPayload(body, this.webhookSecret) }
+    };
+  }
+}
+
+function createPaymentProvider(name, env = process.env) {
+  switch (name) {
+    case '':
+      return null;
+    case 'stripe':
+      return new StripePaymentProvider({
+        secretKey: env.STRIPE_SECRET_KEY,
+        webhookSecret: env.STRIPE_WEBHOOK_SECRET,
+        apiUrl: env.STRIPE_API_URL || undefined
+      });
+    case 'local':
+      return new LocalPaymentProvider({ webhookSecret: env.STRIPE_WEBHOOK_SECRET || undefined });
+    default:
+      throw new Error(`Unknown payment provider: ${name}`);
+  }
+}
+
+const paymentProvider = createPaymentProvider(PAYMENTS_PROVIDER);
+
+// Create the payment intent for an order placed as awaiting_payment. Returns
+// what the app needs to take the payment; if the provider can't be reached
+// the order is cancelled and a PaymentError thrown.
+async function startCheckout(printQueue, job) {
+  const { amount, currency } = job.product.price;
+  let intent = null;
+  try {
+    intent = await paymentProvider.createIntent({ orderId: job.id, amount, currency });
+    printQueue.update(job.id, {
+      payment: {
+        provider: paymentProvider.name,
+        intentId: intent.id,
+        amount,
+        currency,
+        status: PAYMENT_STATUS.REQUIRES_PAYMENT,
+        createdAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error(`❌ Could not create a payment for order ${job.id}:`, error.message);
+    // The app never gets the intent, but cancel it anyway if it was made
+    if (intent) {
+      await paymentProvider.cancelIntent(intent.id)
+        .catch(cancelError => console.error(`⚠️ Could not cancel payment ${intent.id}:`, cancelError.message));
+    }
+    printQueue.update(job.id, { status: JOB_STATUS.CANCELLED, reason: 'payment_unavailable', completedAt: new Date().toISOString() });
+    throw new PaymentError(`Payment could not be started: ${error.message}`);
+  }
+
+  console.log(`💳 Order ${job.id} awaiting payment of ${amount} ${currency}`);
+  return { provider: paymentProvider.name, intentId: intent.id, clientSecret: intent.clientSecret, amount, currency };
+}
+
+// Response body for a failed checkout, or null for other errors
+function paymentErrorResponse(error) {
+  if (!(error instanceof PaymentError)) {
+    return null;
+  }
+  return { success: false, error: error.message, code: error.code };
+}
+
+// Refund a paid order in full. Failures are recorded on the order, where
+// the admin dashboard can retry them.
+async function refundOrder(printQueue, job) {
+  const payment = job.payment;
+  printQueue.update(job.id, { payment: { ...payment, status: PAYMENT_STATUS.REFUND_PENDING } });
+
+  try {
+    const refund = await paymentProvider.refund(payment.intentId);
+    metrics.payments.inc({ event: 'refunded' });
+    console.log(`💸 Refunded order ${job.id} (${payment.amount} ${payment.currency})`);
+    return printQueue.update(job.id, {
+      payment: { ...payment, status: PAYMENT_STATUS.REFUNDED, refundId: refund.id, refundedAt: new Date().toISOString(), refundError: null }
+    });
+  } catch (error) {
+    metrics.payments.inc({ event: 'refund_failed' });
+    console.error(`❌ Refund of order ${job.id} failed:`, error.message);
+    return printQueue.update(job.id, {
+      payment: { ...payment, status: PAYMENT_STATUS.REFUND_FAILED, refundError: error.message }
+    });
+  }
+}
+
+// Cancel the payment intent of an order awaiting payment. Throws a
+// PaymentError when the provider can't (e.g. it has just been paid).
+async function cancelPaymentIntent(job) {
+  const payment = job.payment;
+  if (paymentProvider && payment?.intentId) {
+    try {
+      await paymentProvider.cancelIntent(payment.intentId);
+    } catch (error) {
+      console.error(`❌ Could not cancel the payment of order ${job.id}:`, error.message);
+      throw new PaymentError(`Payment could not be cancelled: ${error.message}`);
+    }
+  }
+}
+
+function markUnpaidOrderCancelled(printQueue, job, reason) {
+  const payment = job.payment;
+  console.log(`🚫 Cancelled unpaid order ${job.id} (${reason})`);
+  return printQueue.update(job.id, {
+    status: JOB_STATUS.CANCELLED,
+    reason,
+    completedAt: new Date().toISOString(),
+    ...(payment ? { payment: { ...payment, status: PAYMENT_STATUS.CANCELED } } : {})
+  });
+}
+
+// Cancel an order that is awaiting payment, and before that its payment
+// intent. When the provider can't cancel the intent, a PaymentError is thrown
+// and the order is left as it is.
+async function cancelUnpaidOrder(printQueue, job, reason) {
+  await cancelPaymentIntent(job);
+  return markUnpaidOrderCancelled(printQueue, job, reason);
+}
+
+// Cancel several orders awaiting payment as one step: every payment intent is
+// cancelled before any order changes. When one can't be, a PaymentError is
+// thrown and the orders are left as they are - except those whose intents
+// were already cancelled, which can't be paid any more and are cancelled as
+// 'payment_cancelled'.
+async function cancelUnpaidOrders(printQueue, jobs, reason) {
+  const cancelled = [];
+  try {
+    for (const job of jobs) {
+      await cancelPaymentIntent(job);
+      cancelled.push(job);
+    }
+  } catch (error) {
+    cancelled.forEach(job => markUnpaidOrderCancelled(printQueue, job, 'payment_cancelled'));
+    throw error;
+  }
+  return jobs.map(job => markUnpaidOrderCancelled(printQueue, job, reason));
+}
+
+// Cancel orders that have waited longer than PAYMENT_EXPIRY_HOURS for their
+// payment; one that can't be cancelled yet is tried again next time
+async function expireUnpaidOrders(printQueue, { hours = PAYMENT_EXPIRY_HOURS, now = Date.now() } = {}) {
+  const cutoff = now - hours * 60 * 60 * 1000;
+  const expired = printQueue.list(job =>
+    job.status === JOB_STATUS.AWAITING_PAYMENT && new Date(job.payment?.createdAt || job.createdAt).getTime() < cutoff);
+
+  let cancelled = 0;
+  for (const job of expired) {
+    try {
+      await cancelUnpaidOrder(printQueue, job, 'payment_expired');
+      cancelled++;
+    } catch (error) {
+      // Logged by cancelUnpaidOrder
+    }
+  }
+  return cancelled;
+}
+
+// Expire unpaid orders now and then every hour; the timer doesn't keep the
+// process alive
+function startPaymentExpiry(printQueue) {
+  if (!paymentProvider) {
+    return null;
+  }
+  const sweep = () => expireUnpaidOrders(printQueue)
+    .catch(error => console.error('❌ Payment expiry sweep failed:', error));
+  sweep();
+  const timer = setInterval(sweep, 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+// Paid orders that end in manual review are refunded
+function connectRefunds(printQueue) {
+  printQueue.on('status', job => {
+    if (paymentProvider && job.status === JOB_STATUS.NEEDS_REVIEW && job.payment?.status === PAYMENT_STATUS.SUCCEEDED) {
+      refundOrder(printQueue, job).catch(error => console.error(`❌ Refund of order ${job.id} crashed:`, error));
+    }
+  });
+}
+
+// Apply a verified webhook event to its order
+async function applyPaymentEvent(printQueue, event) {
+  const intent = event.data && event.data.object;
+  const job = intent && printQueue.list(candidate => candidate.payment?.intentId === intent.id)[0];
+  if (!job) {
+    return 'ignored';
+  }
+  const payment = job.payment;
+  const now = new Date().toISOString();
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      // Paid although the order was cancelled, e.g. while its intent was being
+      // cancelled: the money goes back
+      if (job.status === JOB_STATUS.CANCELLED && [PAYMENT_STATUS.REQUIRES_PAYMENT, PAYMENT_STATUS.FAILED, PAYMENT_STATUS.CANCELED].includes(payment.status)) {
+        console.warn(`💳 Payment arrived for cancelled order ${job.id} - refunding it`);
+        const paid = printQueue.update(job.id, { payment: { ...payment, status: PAYMENT_STATUS.SUCCEEDED, paidAt: now } });
+        await refundOrder(printQueue, paid);
+        return 'refunded_cancelled';
+      }
+      // Providers deliver events at least once
+      if (job.status !== JOB_STATUS.AWAITING_PAYMENT) {
+        return 'duplicate';
+      }
+      console.log(`💳 Payment confirmed for order ${job.id} - releasing it to print`);
+      printQueue.requeue(job.id, {
+        status: JOB_STATUS.WAITING_FOR_PHOTOS,
+        payment: { ...payment, status: PAYMENT_STATUS.SUCCEEDED, paidAt: now, failureMessage: null }
+      });
+      return 'succeeded';
+
+    case 'payment_intent.payment_failed':
+      if (job.status !== JOB_STATUS.AWAITING_PAYMENT) {
+        return 'duplicate';
+      }
+      printQueue.update(job.id, {
+        payment: { ...payment, status: PAYMENT_STATUS.FAILED, failureMessage: intent.last_payment_error?.message || null }
+      });
+      return 'failed';
+
+    case 'payment_intent.canceled':
+      if (job.status !== JOB_STATUS.AWAITING_PAYMENT) {
+        return 'duplicate';
+      }
+      printQueue.update(job.id, {
+        status: JOB_STATUS.CANCELLED,
+        reason: 'payment_canceled',
+        completedAt: now,
+        payment: { ...payment, status: PAYMENT_STATUS.CANCELED }
+      });
+      return 'canceled';
+
+    default:
+      return 'ignored';
+  }
+}
+
+// POST /webhooks/payments. Mounted before express.json(): the signature is
+// over the raw body.
+function createPaymentWebhookRouter({ printQueue }) {
+  const router = express.Router();
+
+  router.post('/webhooks/payments', express.raw({ type: '*/*' }), async (req, res) => {
+    if (!paymentProvider) {
+      return res.status(404).json({ success: false, error: 'Payments are not enabled' });
+    }
+
+    let event;
+    try {
+      event = paymentProvider.parseWebhook(req.body, req.headers);
+    } catch (error) {
+      console.warn('🔒 Rejected payment webhook:', error.message);
+      return res.status(error.status || 400).json({ success: false, error: error.message, code: error.code });
+    }
+
+    try {
+      const outcome = await applyPaymentEvent(printQueue, event);
+      metrics.payments.inc({ event: outcome });
+      res.json({ success: true, received: true, outcome });
+    } catch (error) {
+      // A 5xx makes the provider deliver the event again later
+      console.error('Payment webhook error:', error);
+      res.status(500).json({ success: false, error: 'Failed to process payment event', details: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  PAYMENT_STATUS,
+  PAYMENT_EXPIRY_HOURS,
+  PaymentError,
+  StripePaymentProvider,
+  LocalPaymentProvider,
+  createPaymentProvider,
+  paymentProvider,
+  signWebhookPayload,
+  startCheckout,
+  paymentErrorResponse,
+  refundOrder,
+  cancelUnpaidOrder,
+  cancelUnpaidOrders,
+  expireUnpaidOrders,
+  startPaymentExpiry,
+  connectRefunds,
+  createPaymentWebhookRouter
+};
@@ -0,0 +1,210 @@
+const sharp = require('sharp');
+
+// Content checks on every stored photo, so wasted shots on a fixed-size roll
+// can be shown to the customer before they order prints:
+// - a 64-bit perceptual hash (DCT pHash): photos in one album within
+//   PHOTO_DUPLICATE_DISTANCE (6) bits of each other are near-duplicates
+// - sharpness: variance of the Laplacian on a downscaled greyscale copy, below
+//   PHOTO_BLUR_THRESHOLD (50) the photo is flagged as blurry
+// - exposure: mostly-black frames (lens cap, pocket shots) and blown-out ones
+//
+// The results are stored with the photo in the album manifest. Flags are
+// advice for the customer only - nothing is held back from printing.
+
+const DUPLICATE_DISTANCE = Number(process.env.PHOTO_DUPLICATE_DISTANCE) || 6;
+const BLUR_THRESHOLD = Number(process.env.PHOTO_BLUR_THRESHOLD) || 50;
+// Share of pixels that must be (near) black or white to flag the exposure
+const DARK_LEVEL = 16;
+const BRIGHT_LEVEL = 240;
+const CLIPPED_SHARE = 0.9;
+
+const ANALYSIS_SIZE = 512;
+const HASH_SIZE = 32; // the hash comes from the top-left 8x8 of a 32x32 DCT
+
+const PHOTO_FLAGS = {
+  near_duplicate: 'Looks almost the same as another photo in the album',
+  blurry: 'Photo looks blurred or out of focus',
+  too_dark: 'Photo is almost completely dark',
+  overexposed: 'Photo is almost completely white'
+};
+
+// Greyscale pixels of the photo scaled to fit `size`, upright
+async function greyscalePixels(buffer, size, fit) {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .greyscale()
+    .resize(size, size, { fit, withoutEnlargement: fit === 'inside' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+// DCT-based perceptual hash as 16 hex characters: one bit per low-frequency
+// coefficient, set when it is above the median
+async function perceptualHash(buffer) {
+  const { data } = await greyscalePixels(buffer, HASH_SIZE, 'fill');
+  const cosines = [];
+  for (let u = 0; u < 8; u++) {
+    cosines.push(Array.from({ length: HASH_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_SIZE))));
+  }
+
+  const coefficients = [];
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let y = 0; y < HASH_SIZE; y++) {
+        for (let x = 0; x < HASH_SIZE; x++) {
+          sum += data[y * HASH_SIZE + x] * cosines[u][x] * cosines[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term is the overall brightness and would swamp the median
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  let hash = '';
+  for (let i = 0; i < 64; i += 4) {
+    let nibble = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      nibble = (nibble << 1) | (coefficients[i + bit] > median ? 1 : 0);
+    }
+    hash += nibble.toString(16);
+  }
+  return hash;
+}
+
+// Number of differing bits between two hashes from perceptualHash
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+// Sharpness (variance of the 4-neighbour Laplacian) and exposure of the photo
+function measureQuality({ data, width, height }) {
+  let sum = 0;
+  let sumOfSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+      sum += laplacian;
+      sumOfSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+  const mean = count ? sum / count : 0;
+  const sharpness = count ? sumOfSquares / count - mean * mean : 0;
+
+  let brightness = 0;
+  let dark = 0;
+  let bright = 0;
+  for (const value of data) {
+    brightness += value;
+    if (value < DARK_LEVEL) dark++;
+    if (value > BRIGHT_LEVEL) bright++;
+  }
+
+  return {
+    sharpness: Math.round(sharpness * 10) / 10,
+    brightness: Math.round(brightness / data.length),
+    darkShare: dark / data.length,
+    brightShare: bright / data.length
+  };
+}
+
+// Analyse one photo: { phash, sharpness, brightness, flags }. Near-duplicates
+// depend on the rest of the album and are added by withDuplicateCheck.
+async function analyzePhoto(buffer) {
+  const [phash, pixels] = await Promise.all([
+    perceptualHash(buffer),
+    greyscalePixels(buffer, ANALYSIS_SIZE, 'inside')
+  ]);
+  const quality = measureQuality(pixels);
+
+  const flags = [];
+  if (quality.darkShare >= CLIPPED_SHARE) {
+    flags.push('too_dark');
+  } else if (quality.brightShare >= CLIPPED_SHARE) {
+    flags.push('overexposed');
+  } else if (quality.sharpness < BLUR_THRESHOLD) {
+    // A black or white frame has no detail either, so only one flag for it
+    flags.push('blurry');
+  }
+
+  return {
+    phash,
+    sharpness: quality.sharpness,
+    brightness: quality.brightness,
+    flags,
+    analyzedAt: new Date().toISOString()
+  };
+}
+
+// Add the near-duplicate flag to a new photo's analysis: `photos` are the
+// album's other manifest entries, and the closest one within
+// DUPLICATE_DISTANCE becomes `duplicateOf`
+function withDuplicateCheck(analysis, photos) {
+  let closest = null;
+  for (const photo of photos) {
+    if (!photo.analysis || !photo.analysis.phash) continue;
+    const distance = hammingDistance(analysis.phash, photo.analysis.phash);
+    if (distance <= DUPLICATE_DISTANCE && (!closest || distance < closest.distance)) {
+      closest = { photoId: photo.photoId || photo.path, distance };
+    }
+  }
+
+  if (!closest) {
+    return { ...analysis, duplicateOf: null };
+  }
+  return {
+    ...analysis,
+    flags: ['near_duplicate', ...analysis.flags],
+    duplicateOf: closest.photoId,
+    duplicateDistance: closest.distance
+  };
+}
+
+// Photos in a manifest that have flags, for the customer to review before
+// ordering: [{ photoId, path, flags, messages, duplicateOf }]
+function reviewAlbum(manifest) {
+  const photos = manifest ? Object.values(manifest.photos) : [];
+  const flagged = photos
+    .filter(photo => photo.analysis && photo.analysis.flags.length > 0)
+    .map(photo => ({
+      photoId: photo.photoId || null,
+      path: photo.path,
+      flags: photo.analysis.flags,
+      messages: photo.analysis.flags.map(flag => PHOTO_FLAGS[flag]),
+      duplicateOf: photo.analysis.duplicateOf || null,
+      sharpness: photo.analysis.sharpness,
+      brightness: photo.analysis.brightness
+    }));
+
+  return {
+    photoCount: photos.length,
+    analyzed: photos.filter(photo => photo.analysis).length,
+    flaggedCount: flagged.length,
+    flagged
+  };
+}
+
+module.exports = {
+  PHOTO_FLAGS,
+  DUPLICATE_DISTANCE,
+  BLUR_THRESHOLD,
+  perceptualHash,
+  hammingDistance,
+  analyzePhoto,
+  withDuplicateCheck,
+  reviewAlbum
+};
@@ -0,0 +1,65 @@
+const { AlbumManifestStore, albumManifests } = require('./album-manifest');
+const { configuredDestinations } = require('./export-destinations');
+const { dataModel } = require('./data-model');
+const { products } = require('./products');
+const { logContext } = require('./logger');
+const { JOB_STATUS } = require('./job-queue');
+const { paymentProvider, startCheckout } = require('./payments');
+
+// Place a print order for an album and hand it to the print job queue.
+// Shared by /notify-print (address string) and POST /albums/:albumId/print.
+// `album` is the data-model album the order is recorded against (without an
+// `id` when the database couldn't be reached - the order still goes ahead).
+// The album's product decides how many photos make a complete album; the
+// app's `photoCount` is the number of photos it had left of that.
+// Returns { job, payment }. With payments enabled the order waits for
+// payment first, and `payment` is what the app needs for checkout (see
+// payments.js); otherwise it is null.
+async function placePrintOrder(printQueue, { album, albumNumber = album.albumNumber, address, photoCount, userDetails, skipToPrint, photoIds }) {
+  const { folderName } = album;
+
+  // Photo IDs can also be registered along with the print request
+  if (Array.isArray(photoIds) && photoIds.length > 0) {
+    albumManifests.registerPhotoIds(folderName, albumNumber, photoIds);
+  }
+  const registeredIds = albumManifests.registeredIds(AlbumManifestStore.albumKey(folderName, albumNumber));
+  const product = products.forAlbum(album);
+  const photosLeft = Math.min(Math.max(Number(photoCount) || 0, 0), product.albumSize);
+
+  const job = printQueue.enqueue({
+    ...(paymentProvider ? { status: JOB_STATUS.AWAITING_PAYMENT } : {}),
+    address,
+    photoCount,
+    userDetails,
+    skipToPrint,
+    folderName,
+    albumNumber,
+    albumId: album.id || null,
+    // Include album folder in the path
+    folderPrefix: album.folderPrefix,
+    // Export destinations are fixed when the order is placed
+    destinations: configuredDestinations(),
+    // Copied so catalogue changes don't affect orders already placed
+    product,
+    // Ties the background job's logs to the request that placed it
+    requestId: logContext().requestId || null,
+    // Registered photo IDs are authoritative; otherwise the counter tells us how many photos user took
+    photosTaken: registeredIds.length > 0 ? registeredIds.length : product.albumSize - photosLeft
+  });
+
+  if (album.id) {
+    try {
+      await dataModel.recordPrintOrder(album, job.id, { productId: product.id });
+    } catch (error) {
+      console.error(`⚠️ Could not record print order ${job.id} in the database:`, error.message);
+    }
+  }
+
+  if (paymentProvider) {
+    const payment = await startCheckout(printQueue, job);
+    return { job, payment };
+  }
+  return { job, payment: null };
+}
+
+module.exports = { placePrintOrder };
@@ -0,0 +1,599 @@
+const { Readable } = require('stream');
+const { bucket } = require('./storage');
+const { getDestination } = require('./export-destinations');
+const { JOB_STATUS, exportStates } = require('./job-queue');
+const { notifier } = require('./notifier');
+const { AlbumManifestStore, albumManifests } = require('./album-manifest');
+const { printSettingsFromEnv, processForPrint, printFileName, createThumbnail, createContactSheet } = require('./image-pipeline');
+const { retry, concurrencyLimiter } = require('./resilience');
+const { orderEvents } = require('./order-events');
+const { metrics } = require('./metrics');
+
+// Wait up to 60 minutes for all photos to upload (handles very poor connectivity and offline scenarios)
+const MAX_WAIT_MINUTES = Number(process.env.PRINT_MAX_WAIT_MINUTES) || 60;
+// Fallback bucket poll while waiting - new photos normally wake the job straight away
+const POLL_INTERVAL_MS = (Number(process.env.PHOTO_POLL_INTERVAL_MINUTES) || 10) * 60 * 1000;
+// Search the whole bucket for legacy street-name folders. Turn off once the
+// bucket has been migrated with `npm run migrate-storage`.
+const LEGACY_FOLDER_SEARCH = process.env.LEGACY_FOLDER_SEARCH !== 'false';
+// How often an order waiting on an unavailable destination checks whether it
+// is back - recovery normally wakes the job straight away
+const DESTINATION_RECHECK_MS = (Number(process.env.DESTINATION_RECHECK_MINUTES) || 5) * 60 * 1000;
+
+// Manual review alert function for incomplete orders
+async function sendManualReviewAlert(address, userDetails, actualCount, expectedCount, orderId) {
+  try {
+    const alertData = {
+      timestamp: new Date().toISOString(),
+      orderId,
+      address: address,
+      userDetails: userDetails,
+      photosFound: actualCount,
+      photosExpected: expectedCount,
+      uploadSuccessRate: Math.round((actualCount / expectedCount) * 100),
+      status: 'REQUIRES_MANUAL_REVIEW'
+    };
+
+    await notifier.notify({
+      key: `manual-review:${orderId || address}`,
+      subject: `Incomplete order needs manual review: ${address}`,
+      message: `User took ${expectedCount} photos but only ${actualCount} reached Firebase.`,
+      details: alertData,
+      actions: [
+        `Check Firebase Storage for folder: ${address}`,
+        `Verify user took ${expectedCount} photos vs ${actualCount} found`,
+        'Manually process partial order if appropriate',
+        'Contact user if photos are permanently lost'
+      ]
+    });
+
+    return alertData;
+  } catch (error) {
+    console.error('Error sending manual review alert:', error);
+    return null;
+  }
+}
+
+async function listAlbumFiles(prefix) {
+  const [files] = await retry(`Listing ${prefix}`, () => bucket.getFiles({ prefix }));
+  return files.filter(file => file.name !== prefix);
+}
+
+// Older app versions stored albums under street-name folders, e.g.
+// "12_High_Street_AB1_2CD" for the address "12_AB12CD". Look for folders
+// that start with the house number and end with the postcode.
+async function findLegacyAlbumFiles(address, albumNumber) {
+  const addressParts = address.split('_');
+  if (addressParts.length !== 2) {
+    return null;
+  }
+
+  const [houseNumber, postcode] = addressParts;
+  const [allFiles] = await retry('Listing the bucket', () => bucket.getFiles());
+  const possibleFolders = allFiles
+    .map(file => file.name.split('/')[0])
+    .filter((folder, index, arr) => arr.indexOf(folder) === index) // unique folders
+    .filter(folder => folder.startsWith(houseNumber) && folder.endsWith(postcode));
+
+  console.log(`🔍 Found possible legacy folders:`, possibleFolders);
+
+  for (const legacyFolder of possibleFolders) {
+    const legacyPrefix = `${legacyFolder}/album${albumNumber}/`;
+    const legacyFiles = await listAlbumFiles(legacyPrefix);
+
+    if (legacyFiles.length > 0) {
+      console.log(`✅ Found ${legacyFiles.length} photos in legacy folder: ${legacyFolder}`);
+      return { prefix: legacyPrefix, files: legacyFiles };
+    }
+  }
+
+  return null;
+}
+
+// Check the files found against the album manifest. When the app registered
+// its photo IDs, every registered photo must be present (duplicates and
+// strays are ignored); otherwise fall back to counting files.
+function checkCompleteness(job, found) {
+  const albumKey = AlbumManifestStore.albumKey(job.folderName, job.albumNumber);
+  const registeredIds = albumManifests.registeredIds(albumKey);
+
+  if (registeredIds.length === 0) {
+    return { ...found, complete: found.files.length >= job.photosTaken, missingPhotoIds: [] };
+  }
+
+  const filesByName = new Map(found.files.map(file => [file.name, file]));
+  const files = albumManifests.registeredPaths(albumKey)
+    .filter(filePath => filesByName.has(filePath))
+    .map(filePath => filesByName.get(filePath));
+  const missingPhotoIds = albumManifests.missingPhotoIds(albumKey);
+
+  return { prefix: found.prefix, files, complete: files.length === registeredIds.length, missingPhotoIds };
+}
+
+// Look in the current folder first, then (optionally) fall back to legacy folder formats
+async function findAlbumFiles(job, { includeLegacy = true } = {}) {
+  const albumKey = AlbumManifestStore.albumKey(job.folderName, job.albumNumber);
+  const files = await listAlbumFiles(job.folderPrefix);
+
+  // Legacy folders predate photo ID registration
+  if (LEGACY_FOLDER_SEARCH && includeLegacy && files.length < job.photosTaken && albumManifests.registeredIds(albumKey).length === 0) {
+    const legacy = await findLegacyAlbumFiles(job.address, job.albumNumber);
+    if (legacy && legacy.files.length > files.length) {
+      return checkCompleteness(job, legacy);
+    }
+  }
+
+  return checkCompleteness(job, { prefix: job.folderPrefix, files });
+}
+
+function recordFoundPhotos(job, queue, found) {
+  queue.update(job.id, {
+    folderPrefix: found.prefix,
+    photosFound: found.files.length,
+    files: found.files.map(file => file.name),
+    missingPhotoIds: found.missingPhotoIds
+  });
+  orderEvents.publish(job.id, 'verification_progress', {
+    found: found.files.length,
+    expected: job.photosTaken,
+    elapsedMinutes: Math.round((Date.now() - new Date(job.createdAt).getTime()) / 60000)
+  });
+}
+
+function publishExport(job, destination, key, result) {
+  orderEvents.publish(job.id, 'file_exported', { destination, fileName: key.split('/').pop(), result });
+}
+
+// EXACT MATCH VERIFICATION: Wait until Firebase has exactly the number of photos taken.
+// /upload records each photo in the album manifest, and the job is woken as
+// soon as the manifest reaches the expected count. Listing the bucket (and the
+// legacy folder search) only happens as a low-frequency fallback poll.
+// The deadline is stored on the job, so a restart doesn't reset the 60 minutes.
+async function waitForPhotos(job, queue) {
+  const { photosTaken, revision } = job;
+  const albumKey = AlbumManifestStore.albumKey(job.folderName, job.albumNumber);
+  console.log(`🎯 EXACT MATCH REQUIRED: User took ${photosTaken} photos, waiting for Firebase to contain exactly ${photosTaken} photos`);
+
+  if (!job.verificationDeadline) {
+    const deadline = Date.now() + MAX_WAIT_MINUTES * 60 * 1000;
+    queue.update(job.id, { verificationDeadline: new Date(deadline).toISOString() });
+  }
+  const deadline = new Date(job.verificationDeadline).getTime();
+
+  const onPhotoStored = event => {
+    if (event.albumKey === albumKey && albumManifests.isComplete(albumKey, photosTaken)) {
+      console.log(`📸 Album ${albumKey} complete in manifest - waking print job ${job.id}`);
+      queue.wake(job.id);
+    }
+  };
+  albumManifests.on('photo-stored', onPhotoStored);
+
+  try {
+    let found = await findAlbumFiles(job);
+    let nextPollAt = Date.now() + POLL_INTERVAL_MS;
+    const manifestVersion = () => (albumManifests.get(albumKey) || {}).updatedAt;
+    let checkedManifestVersion = manifestVersion();
+    console.log(`⏳ STARTING VERIFICATION: Found ${found.files.length}/${photosTaken} photos initially`);
+
+    // The manifest says the album is complete and we haven't looked since it changed
+    const manifestComplete = () =>
+      albumManifests.isComplete(albumKey, photosTaken) && manifestVersion() !== checkedManifestVersion;
+
+    while (!found.complete && Date.now() < deadline) {
+      recordFoundPhotos(job, queue, found);
+
+      if (!manifestComplete()) {
+        await queue.sleep(Math.max(0, Math.min(nextPollAt, deadline) - Date.now()), job.id);
+      }
+      // Shutting down, or an admin changed the job (force print / cancel)
+      if (queue.isStopping || job.revision !== revision) {
+        return null;
+      }
+
+      const pollDue = Date.now() >= nextPollAt || Date.now() >= deadline;
+      if (!pollDue && !manifestComplete()) {
+        continue; // Woken early, but nothing new to check
+      }
+
+      // Woken by the manifest: only the album folder needs checking
+      checkedManifestVersion = manifestVersion();
+      found = await findAlbumFiles(job, { includeLegacy: pollDue });
+      if (pollDue) {
+        nextPollAt = Date.now() + POLL_INTERVAL_MS;
+      }
+
+      const waitMinutes = Math.round((Date.now() - new Date(job.createdAt).getTime()) / 60000);
+      console.log(`⏳ ${waitMinutes}min elapsed: Found ${found.files.length}/${photosTaken} photos`);
+    }
+
+    recordFoundPhotos(job, queue, found);
+    console.log(`📁 Final folder: ${found.prefix} with ${found.files.length} photos`);
+    return found;
+  } finally {
+    albumManifests.off('photo-stored', onPhotoStored);
+  }
+}
+
+// A prepared file the destinations read from memory
+function inMemory(buffer, contentType, fileName) {
+  return { buffer, contentType, fileName, createReadStream: () => Readable.from(buffer) };
+}
+
+// Turn a stored photo into the file the lab receives. Photos that go out
+// unprocessed are streamed from storage by each destination, unless the
+// bytes are needed here (for the contact sheet).
+async function preparePhoto(filePath, settings, { needsBuffer = false } = {}) {
+  const fileName = filePath.split('/').pop();
+  const file = bucket.file(filePath);
+
+  if (!settings.enabled) {
+    const [metadata] = await retry(`Reading metadata of ${fileName}`, () => file.getMetadata());
+    if (!needsBuffer) {
+      return { contentType: metadata.contentType, fileName, createReadStream: () => file.createReadStream() };
+    }
+    const [buffer] = await retry(`Downloading ${fileName}`, () => file.download());
+    return inMemory(buffer, metadata.contentType, fileName);
+  }
+
+  const [buffer] = await retry(`Downloading ${fileName}`, () => file.download());
+  const processed = await processForPrint(buffer, settings);
+  return inMemory(processed.buffer, processed.contentType, printFileName(fileName));
+}
+
+// Look up the job's destinations one by one, so one that can't be set up
+// (misconfigured) only fails its own exports. Returns the usable ones and
+// { name, error } for the others.
+function resolveDestinations(names) {
+  const destinations = [];
+  const unusable = [];
+  for (const name of names) {
+    try {
+      destinations.push(getDestination(name));
+    } catch (error) {
+      console.error(`❌ Export destination ${name} can't be used:`, error.message);
+      unusable.push({ name, error });
+    }
+  }
+  return { destinations, unusable };
+}
+
+// Destinations that can commit several files at once (Dropbox upload
+// sessions) get a batch per run: files are staged as they are prepared and
+// the whole album is committed at the end.
+function startBatches(destinations) {
+  return new Map(destinations
+    .filter(destination => destination.createBatch)
+    .map(destination => [destination.name, { destination, batch: destination.createBatch(), keys: [] }]));
+}
+
+// Send one prepared file to every destination that doesn't have it yet,
+// retried here with the shared policy (destinations don't retry exports
+// themselves). Each attempt holds a slot of the destination's concurrency
+// limit; the waits between attempts don't. `key` is what the export state records (the storage path for photos).
+// Files a destination skips because it is down are recorded as skipped and sent
+// again once it recovers; after the first skip the rest of the run skips it too.
+async function exportToDestinations(job, queue, exports, destinations, batches, key, prepared) {
+  const target = { folderName: job.folderName, albumNumber: job.albumNumber, fileName: prepared.fileName };
+
+  for (const destination of destinations) {
+    const state = exports[destination.name];
+    if (state.uploadedFiles.includes(key)) {
+      continue;
+    }
+    if (state.skippedFiles.length > 0) {
+      state.skippedFiles.push(key);
+      publishExport(job, destination.name, key, 'skipped');
+      continue;
+    }
+    const batched = batches.get(destination.name);
+    const limiter = concurrencyLimiter(destination.name);
+
+    try {
+      const result = await retry(`${destination.name} upload for ${prepared.fileName}`, async attempt => {
+        state.uploadAttempts[key] = (state.uploadAttempts[key] || 0) + 1;
+        const exported = batched
+          ? await batched.batch.add(prepared, target)
+          : await destination.exportFile(prepared, target);
+        if (exported && exported.skipped) {
+          console.log(`⏭️ Skipped ${prepared.fileName} for ${destination.name}: ${exported.reason}`);
+        } else {
+          console.log(`✅ ${batched ? 'Staged' : 'Uploaded'} ${prepared.fileName} for ${destination.name} (attempt ${attempt})`);
+        }
+        return exported || {};
+      }, { limiter });
+
+      if (result.skipped) {
+        state.skippedFiles.push(key);
+        publishExport(job, destination.name, key, 'skipped');
+      } else if (batched) {
+        batched.keys.push(key); // Uploaded once the batch is committed
+        publishExport(job, destination.name, key, 'staged');
+      } else {
+        state.uploadedFiles.push(key);
+        publishExport(job, destination.name, key, 'uploaded');
+      }
+    } catch (err) {
+      state.failedFiles.push(key);
+      publishExport(job, destination.name, key, 'failed');
+    }
+    queue.update(job.id, { exports });
+  }
+}
+
+// Commit the staged files of every batch. A commit isn't retried here - once
+// it may have gone through, its sessions are used up - so destinations retry
+// their own commit request, taking a slot of the concurrency limit per
+// attempt. Staged files that don't get committed (a failed
+// commit or a restart) are staged again on the next run - as skipped files
+// when the destination went down in the meantime.
+async function commitBatches(job, queue, exports, batches) {
+  for (const [name, { destination, batch, keys }] of batches) {
+    if (keys.length === 0) {
+      continue;
+    }
+
+    const state = exports[name];
+    try {
+      const results = await batch.commit({ limiter: concurrencyLimiter(name) });
+      results.forEach((result, i) => {
+        if (result.error) {
+          state.failedFiles.push(keys[i]);
+        } else {
+          state.uploadedFiles.push(keys[i]);
+        }
+        publishExport(job, name, keys[i], result.error ? 'failed' : 'uploaded');
+      });
+    } catch (err) {
+      console.error(`❌ ${name} commit for ${job.folderName} album ${job.albumNumber} failed:`, err.message);
+      const result = destination.isAvailable && !destination.isAvailable() ? 'skipped' : 'failed';
+      state[result === 'skipped' ? 'skippedFiles' : 'failedFiles'].push(...keys);
+      keys.forEach(key => publishExport(job, name, key, result));
+    }
+    queue.update(job.id, { exports });
+  }
+}
+
+// Mark a file that couldn't be prepared as failed wherever it is still pending
+function recordPrepareFailure(queue, job, exports, key) {
+  Object.entries(exports).forEach(([name, state]) => {
+    if (!state.uploadedFiles.includes(key) && !state.failedFiles.includes(key)) {
+      state.failedFiles.push(key);
+      publishExport(job, name, key, 'failed');
+    }
+  });
+  queue.update(job.id, { exports });
+}
+
+// Print settings for an order: the environment's, at the print size of the
+// album's product (orders from before products existed have none)
+function printSettingsForJob(job) {
+  const settings = printSettingsFromEnv();
+  return job.product ? { ...settings, printSize: job.product.printSize } : settings;
+}
+
+// Contact sheet heading, telling the lab which product the album is
+function contactSheetTitle(job) {
+  const title = `${job.folderName} album ${job.albumNumber}`;
+  const { product } = job;
+  return product ? `${title} - ${product.name} (${product.printSize}, ${product.finish})` : title;
+}
+
+// Send every confirmed photo to each of the job's export destinations,
+// checkpointing as files are delivered so a restart only re-sends what hasn't
+// gone yet. Photos go through the print pipeline (see image-pipeline.js) once
+// and the same bytes go to every destination; the album's contact sheet is
+// sent last, and batching destinations commit everything after it.
+async function exportPhotos(job, queue) {
+  const { revision } = job;
+  const settings = printSettingsForJob(job);
+  const exports = exportStates(job);
+  const destinationNames = Object.keys(exports);
+  const { destinations, unusable } = resolveDestinations(destinationNames);
+  const batches = startBatches(destinations);
+
+  // Failures and skips from an earlier run get another chance
+  destinationNames.forEach(name => {
+    exports[name].failedFiles = [];
+    exports[name].skippedFiles = [];
+    exports[name].error = null;
+  });
+
+  const contactSheetName = `contact-sheet_album${job.albumNumber}.jpg`;
+
+  // Everything still to go to a destination that can't be used has failed
+  // there; the others are sent as usual
+  for (const { name, error } of unusable) {
+    const state = exports[name];
+    const keys = settings.contactSheet ? [...job.files, contactSheetName] : job.files;
+    state.failedFiles = keys.filter(key => !state.uploadedFiles.includes(key));
+    state.error = error.message;
+    state.failedFiles.forEach(key => publishExport(job, name, key, 'failed'));
+  }
+  if (unusable.length > 0) {
+    queue.update(job.id, { exports });
+  }
+
+  const isPending = key => destinations.some(destination => !exports[destination.name].uploadedFiles.includes(key));
+  const needsContactSheet = settings.contactSheet && isPending(contactSheetName);
+
+  // The contact sheet needs every photo, so already exported ones are
+  // downloaded again when it is still to be sent
+  const filesToUpload = job.files.filter(isPending);
+  const filesToPrepare = needsContactSheet ? job.files : filesToUpload;
+  const thumbnails = [];
+
+  console.log(`📦 Starting exports for ${job.folderName} to ${destinationNames.join(', ')}...`);
+  console.log(`📁 Proceeding with ${filesToUpload.length} of ${job.files.length} files to upload`);
+
+  for (let i = 0; i < filesToPrepare.length; i++) {
+    if (queue.isStopping || job.revision !== revision) {
+      return;
+    }
+
+    const filePath = filesToPrepare[i];
+    const fileName = filePath.split('/').pop();
+    const uploading = isPending(filePath);
+    if (uploading) {
+      console.log(`📤 Uploading ${filesToUpload.indexOf(filePath) + 1}/${filesToUpload.length}: ${fileName}`);
+    }
+
+    let prepared;
+    try {
+      prepared = await preparePhoto(filePath, settings, { needsBuffer: needsContactSheet });
+    } catch (err) {
+      console.error(`❌ Could not prepare ${fileName} for print:`, err.message);
+      if (uploading) {
+        recordPrepareFailure(queue, job, exports, filePath);
+      }
+      continue;
+    }
+
+    if (needsContactSheet) {
+      try {
+        thumbnails.push({ thumbnail: await createThumbnail(prepared.buffer), label: prepared.fileName });
+      } catch (err) {
+        console.warn(`⚠️ Could not add ${fileName} to the contact sheet:`, err.message);
+      }
+    }
+
+    if (uploading) {
+      await exportToDestinations(job, queue, exports, destinations, batches, filePath, prepared);
+    }
+  }
+
+  if (queue.isStopping || job.revision !== revision) {
+    return;
+  }
+
+  if (needsContactSheet) {
+    console.log(`🗂️ Creating contact sheet for ${job.folderName} album ${job.albumNumber} (${thumbnails.length} photos)`);
+    try {
+      const buffer = await createContactSheet(thumbnails, settings, { title: contactSheetTitle(job) });
+      const contactSheet = inMemory(buffer, 'image/jpeg', contactSheetName);
+      await exportToDestinations(job, queue, exports, destinations, batches, contactSheetName, contactSheet);
+    } catch (err) {
+      console.error('❌ Could not create contact sheet:', err.message);
+      recordPrepareFailure(queue, job, exports, contactSheetName);
+    }
+  }
+
+  if (queue.isStopping || job.revision !== revision) {
+    return;
+  }
+
+  await commitBatches(job, queue, exports, batches);
+
+  if (queue.isStopping || job.revision !== revision) {
+    return;
+  }
+
+  const failed = destinationNames.filter(name => exports[name].failedFiles.length > 0);
+  if (failed.length > 0) {
+    failed.forEach(name => {
+      console.log(`🚨 ${exports[name].failedFiles.length} file(s) could not be uploaded to ${name} for ${job.address}`);
+    });
+    queue.update(job.id, { status: JOB_STATUS.NEEDS_REVIEW, reason: 'export_failed', completedAt: new Date().toISOString() });
+    return;
+  }
+
+  const skipped = destinationNames.filter(name => exports[name].skippedFiles.length > 0);
+  if (skipped.length > 0) {
+    skipped.forEach(name => {
+      console.log(`⏸️ ${exports[name].skippedFiles.length} file(s) for ${job.address} held back while ${name} is unavailable`);
+    });
+    queue.update(job.id, { status: JOB_STATUS.WAITING_FOR_EXPORT, waitingFor: skipped });
+    return;
+  }
+
+  console.log('📦 All uploads completed');
+  queue.update(job.id, { status: JOB_STATUS.DONE, completedAt: new Date().toISOString() });
+}
+
+// Park a job whose exports were skipped until its destinations are back.
+// Always waits at least one re-check (or a recovery), so a destination that
+// keeps skipping can't spin the job.
+async function waitForDestinations(job, queue) {
+  const { revision } = job;
+  const { destinations: waitingFor } = resolveDestinations(job.waitingFor || []);
+  const destinations = waitingFor.filter(destination => destination.isAvailable);
+  const unsubscribes = destinations
+    .filter(destination => destination.onAvailable)
+    .map(destination => destination.onAvailable(() => {
+      console.log(`🔄 ${destination.name} is back - resuming print job ${job.id}`);
+      queue.wake(job.id);
+    }));
+  console.log(`⏸️ Print job ${job.id} waiting for ${(job.waitingFor || []).join(', ')} to come back`);
+
+  try {
+    do {
+      await queue.sleep(DESTINATION_RECHECK_MS, job.id);
+      if (queue.isStopping || job.revision !== revision) {
+        return false;
+      }
+    } while (destinations.some(destination => !destination.isAvailable()));
+    return true;
+  } finally {
+    unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+}
+
+// Print job handler: verify photos, then hand them off to the print lab
+async function processPrintJob(job, queue) {
+  const { revision } = job;
+
+  if (job.status === JOB_STATUS.WAITING_FOR_PHOTOS) {
+    const found = await waitForPhotos(job, queue);
+    if (!found) {
+      return; // Shutting down (job resumes on next start) or changed by an admin
+    }
+    metrics.verificationWait.observe(
+      { outcome: found.complete ? 'complete' : 'incomplete' },
+      (Date.now() - new Date(job.createdAt).getTime()) / 1000
+    );
+
+    // Final verification
+    if (!found.complete) {
+      console.log(`❌ VERIFICATION FAILED: Only found ${found.files.length}/${job.photosTaken} photos after ${MAX_WAIT_MINUTES} minutes`);
+      console.log(`🚨 INCOMPLETE ORDER: User took ${job.photosTaken} photos but only ${found.files.length} reached Firebase`);
+
+      // Send manual review alert
+      const manualReview = await sendManualReviewAlert(job.address, job.userDetails, found.files.length, job.photosTaken, job.id);
+      queue.update(job.id, {
+        status: JOB_STATUS.NEEDS_REVIEW,
+        reason: 'incomplete',
+        manualReview,
+        completedAt: new Date().toISOString()
+      });
+      return; // Don't process incomplete orders
+    }
+
+    // EXACT MATCH CONFIRMED - proceed with processing
+    console.log(`🎉 PROCEEDING TO PRINT: Confirmed ${found.files.length} photos match ${job.photosTaken} photos taken`);
+    queue.update(job.id, {
+      status: JOB_STATUS.UPLOADING,
+      files: found.files.map(file => file.name),
+      exports: {}
+    });
+  }
+
+  // Skipped exports go round again once their destinations recover
+  while (job.status === JOB_STATUS.UPLOADING || job.status === JOB_STATUS.WAITING_FOR_EXPORT) {
+    if (job.status === JOB_STATUS.WAITING_FOR_EXPORT) {
+      if (!(await waitForDestinations(job, queue))) {
+        return;
+      }
+      queue.update(job.id, { status: JOB_STATUS.UPLOADING, waitingFor: null });
+    }
+
+    await exportPhotos(job, queue);
+    if (queue.isStopping || job.revision !== revision) {
+      return;
+    }
+  }
+
+  if (job.status === JOB_STATUS.DONE) {
+    console.log('🎉 All background tasks completed for', job.address);
+  }
+}
+
+module.exports = { processPrintJob, sendManualReviewAlert, listAlbumFiles };
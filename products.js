@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const { PRINT_SIZES } = require('./image-pipeline');
+
+// Product catalogue - what an album is printed as. Every product has
+//   { id, name, albumSize, printSize, finish, price: { amount, currency } }
+// where albumSize is the number of photos in the album, printSize one of the
+// image pipeline's PRINT_SIZES and price.amount is in minor units (pence).
+// Loaded from PRODUCTS_FILE (default products.json) at startup. An album gets
+// its product when it is created (/upload/create-folder?productId=...), and
+// print orders keep a copy, so later catalogue changes don't alter them.
+
+const FINISHES = ['gloss', 'matte', 'lustre'];
+
+function validateProduct(product) {
+  const problems = [];
+  if (!product.id) problems.push('id is required');
+  if (!Number.isInteger(product.albumSize) || product.albumSize < 1) problems.push('albumSize must be a positive integer');
+  if (!PRINT_SIZES[product.printSize]) problems.push(`printSize must be one of ${Object.keys(PRINT_SIZES).join(', ')}`);
+  if (!FINISHES.includes(product.finish)) problems.push(`finish must be one of ${FINISHES.join(', ')}`);
+  if (!product.price || !Number.isInteger(product.price.amount) || product.price.amount < 0 || !product.price.currency) {
+    problems.push('price needs an integer amount and a currency');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid product ${product.id || '(no id)'}: ${problems.join('; ')}`);
+  }
+}
+
+class ProductCatalog {
+  constructor({ products = [], defaultProduct } = {}) {
+    products.forEach(validateProduct);
+    this.products = new Map(products.map(product => [product.id, product]));
+    if (!this.products.has(defaultProduct)) {
+      throw new Error(`Default product ${defaultProduct} is not in the catalogue`);
+    }
+    this.defaultId = defaultProduct;
+  }
+
+  get(productId) {
+    return this.products.get(productId) || null;
+  }
+
+  get defaultProduct() {
+    return this.products.get(this.defaultId);
+  }
+
+  list() {
+    return [...this.products.values()];
+  }
+
+  // Product for an album: the one it was created with, else the default
+  // (albums created before products existed have none)
+  forAlbum(album) {
+    return (album && album.product) || this.defaultProduct;
+  }
+}
+
+function loadProductCatalog(filePath = process.env.PRODUCTS_FILE || path.join(__dirname, 'products.json')) {
+  const catalog = new ProductCatalog(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  console.log(`🏷️ Loaded ${catalog.products.size} product(s) from ${filePath}`);
+  return catalog;
+}
+
+const products = loadProductCatalog();
+
+module.exports = { FINISHES, ProductCatalog, loadProductCatalog, products };
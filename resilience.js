@@ -0,0 +1,221 @@
+// Retry and rate-limit policy shared by every outbound call - Dropbox, storage,
+// the export destinations and alert channels.
+//
+// - retry(label, fn, options): exponential backoff with jitter. A delay the
+//   remote asked for (`error.retryAfter`, in ms - Dropbox's retry_after or a
+//   Retry-After header) is waited out instead. With `options.limiter`, each
+//   attempt runs in one of the limiter's slots and the waits in between don't
+//   hold one. Retry an operation at one layer only - a retried call made of
+//   retried calls multiplies the attempts.
+// - CircuitBreaker: stops calling a service after repeated failures and lets
+//   calls through again after a cool-down.
+// - concurrencyLimiter(name): caps the calls in flight to one destination,
+//   across all print jobs.
+//
+// Defaults: RETRY_ATTEMPTS (3), RETRY_BASE_DELAY_MS (2000), RETRY_MAX_DELAY_MS
+// (30000), CONCURRENCY_LIMITS ("dropbox=4,sftp=1", 2 for anything unlisted).
+
+const RETRY_POLICY = {
+  attempts: Number(process.env.RETRY_ATTEMPTS) || 3,
+  baseDelayMs: Number(process.env.RETRY_BASE_DELAY_MS) || 2000,
+  maxDelayMs: Number(process.env.RETRY_MAX_DELAY_MS) || 30000
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors, timeouts, 5xx responses and rate limits are worth another
+// try. Other 4xx responses and missing files fail straight away, as does
+// anything marked `retryable: false`.
+function isRetryable(error) {
+  if (!error) return false;
+  if (error.retryable !== undefined) return error.retryable;
+  if (error.isRateLimit) return true;
+  if (error.code === 'ENOENT') return false;
+
+  const status = Number(error.status || error.code);
+  if (status >= 400 && status < 500) {
+    return status === 408 || status === 429;
+  }
+  return true;
+}
+
+// Delay before the next attempt: what the remote asked for, or exponential
+// backoff with "equal jitter" (half fixed, half random) so retries from
+// concurrent jobs don't line up
+function retryDelay(error, attempt, policy = RETRY_POLICY) {
+  if (error && error.retryAfter > 0) {
+    return error.retryAfter;
+  }
+  const ceiling = Math.min(policy.baseDelayMs * Math.pow(2, attempt - 1), policy.maxDelayMs);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+// Run `fn(attempt)` until it succeeds, the error isn't retryable or the
+// attempts run out; the last error is rethrown
+async function retry(label, fn, options = {}) {
+  const policy = { ...RETRY_POLICY, shouldRetry: isRetryable, ...options };
+  const run = attempt => (policy.limiter ? policy.limiter.run(() => fn(attempt)) : fn(attempt));
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await run(attempt);
+    } catch (error) {
+      console.warn(`⚠️ ${label} failed (attempt ${attempt}/${policy.attempts}):`, error.message);
+      if (attempt >= policy.attempts || !policy.shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = retryDelay(error, attempt, policy);
+      console.log(`⏳ Retrying ${label} in ${delay}ms...`);
+      await sleep(delay);
+    }
+  }
+}
+
+const BREAKER_STATE = {
+  CLOSED: 'closed', // calls go through
+  OPEN: 'open', // calls are refused until the cool-down has passed
+  HALF_OPEN: 'half_open' // cool-down over: the next result closes or re-opens it
+};
+
+class CircuitOpenError extends Error {
+  constructor(name) {
+    super(`${name} is unavailable (circuit open)`);
+    this.code = 'circuit_open';
+    this.retryable = false;
+  }
+}
+
+// Opens after `failureThreshold` consecutive failures. Once `resetTimeoutMs`
+// has passed it is half-open: calls go through, and the first success closes
+// it while a failure opens it again straight away.
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 3, resetTimeoutMs = 15 * 60 * 1000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  get state() {
+    if (this.openedAt === null) {
+      return BREAKER_STATE.CLOSED;
+    }
+    return Date.now() - this.openedAt >= this.resetTimeoutMs ? BREAKER_STATE.HALF_OPEN : BREAKER_STATE.OPEN;
+  }
+
+  canRequest() {
+    return this.state !== BREAKER_STATE.OPEN;
+  }
+
+  recordSuccess() {
+    if (this.openedAt !== null) {
+      console.log(`🔌 ${this.name} circuit closed - calls resume`);
+    }
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === BREAKER_STATE.HALF_OPEN || (this.openedAt === null && this.failures >= this.failureThreshold)) {
+      this.open();
+    }
+  }
+
+  open() {
+    this.openedAt = Date.now();
+    console.log(`🔌 ${this.name} circuit open after ${this.failures} failure(s) - retrying in ${Math.round(this.resetTimeoutMs / 60000)}min`);
+  }
+
+  reset() {
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  // Run `fn` through the breaker. Errors that aren't retryable (bad requests)
+  // say nothing about the service's health and don't count as failures.
+  async call(fn) {
+    if (!this.canRequest()) {
+      throw new CircuitOpenError(this.name);
+    }
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isRetryable(error)) {
+        this.recordFailure();
+      }
+      throw error;
+    }
+  }
+
+  status() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
+
+// At most `limit` calls in flight; the rest wait their turn in order
+class ConcurrencyLimiter {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async run(fn) {
+    if (this.active < this.limit) {
+      this.active++;
+    } else {
+      // The finishing call hands its slot straight over
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    try {
+      return await fn();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+}
+
+const DEFAULT_CONCURRENCY = 2;
+const concurrencyLimits = Object.fromEntries(
+  (process.env.CONCURRENCY_LIMITS || 'dropbox=4,sftp=1')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([name, limit]) => name && Number(limit) > 0)
+    .map(([name, limit]) => [name, Number(limit)])
+);
+const limiters = new Map();
+
+// Shared limiter for one destination or service
+function concurrencyLimiter(name) {
+  if (!limiters.has(name)) {
+    limiters.set(name, new ConcurrencyLimiter(concurrencyLimits[name] || DEFAULT_CONCURRENCY));
+  }
+  return limiters.get(name);
+}
+
+module.exports = {
+  RETRY_POLICY,
+  BREAKER_STATE,
+  isRetryable,
+  retryDelay,
+  retry,
+  CircuitBreaker,
+  CircuitOpenError,
+  ConcurrencyLimiter,
+  concurrencyLimiter
+};
@@ -0,0 +1,256 @@
+const { bucket } = require('./storage');
+const { retry } = require('./resilience');
+const { JsonStore } = require('./json-store');
+const { JOB_STATUS, ACTIVE_STATUSES } = require('./job-queue');
+const { AlbumManifestStore, albumManifests } = require('./album-manifest');
+const { getDestination } = require('./export-destinations');
+const { removeCachedDownloads } = require('./album-download');
+const { dataModel } = require('./data-model');
+const { auditLog } = require('./audit-log');
+const { isFolderName } = require('./auth');
+
+// Retention policy for printed albums. RETENTION_DAYS (unset or 0: keep
+// forever) after an album's last print order was done, its photos are
+// removed from storage and from every export destination the order went to.
+// RETENTION_ACTION decides what happens in storage:
+//   delete   the photos are deleted (default)
+//   archive  the photos are moved under RETENTION_ARCHIVE_PREFIX
+//            ("retention-archive/") and the photo records point at the
+//            archived copies. The prefix must be a name no address folder
+//            can have (see isFolderName in auth.js), so no customer can
+//            claim the archive as their folder.
+// Either way the album's manifest entry goes, and the lab's copies are
+// deleted. Albums with an order still in progress or awaiting payment are
+// left alone.
+//
+// A sweep runs every RETENTION_SWEEP_HOURS (24). Deletions a destination
+// couldn't take (down, or an error) are kept in DATA_DIR/retention.json and
+// retried by every sweep - account deletion (account-routes.js) uses the same
+// list. Each album handled is recorded in the audit log.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = Number(process.env.RETENTION_DAYS) || 0;
+const RETENTION_ACTION = process.env.RETENTION_ACTION === 'archive' ? 'archive' : 'delete';
+const RETENTION_ARCHIVE_PREFIX = archivePrefix(process.env.RETENTION_ARCHIVE_PREFIX || 'retention-archive/');
+const RETENTION_SWEEP_HOURS = Number(process.env.RETENTION_SWEEP_HOURS) || 24;
+
+const retentionStore = new JsonStore('retention.json', { pending: [] });
+
+// Refuses a prefix whose first segment could be an address folder
+function archivePrefix(value) {
+  const prefix = `${value.replace(/\/+$/, '')}/`;
+  if (isFolderName(prefix.split('/')[0])) {
+    throw new Error(`RETENTION_ARCHIVE_PREFIX "${value}" could be an address folder - use a name with a character other than letters, digits and "_", e.g. "retention-archive/"`);
+  }
+  return prefix;
+}
+
+// Where a folder's archived photos are
+function archivedFolderPrefix(folderName) {
+  return `${RETENTION_ARCHIVE_PREFIX}${folderName}/`;
+}
+
+// Delete or archive every stored object under `prefix`; returns how many
+// there were. Archived copies keep their name below the prefix and go under
+// `archiveTo` - by default the same path in the archive.
+async function clearStorage(prefix, action = 'delete', archiveTo = `${RETENTION_ARCHIVE_PREFIX}${prefix}`) {
+  const [files] = await retry(`Listing ${prefix}`, () => bucket.getFiles({ prefix }));
+  for (const file of files) {
+    if (action === 'archive') {
+      await retry(`Archiving ${file.name}`, () => file.copy(`${archiveTo}${file.name.slice(prefix.length)}`));
+    }
+    await retry(`Deleting ${file.name}`, () => file.delete());
+  }
+  return files.length;
+}
+
+// Remove an album (or a whole folder) from one destination:
+// { deleted: true }, or { deleted: false, reason } when it has to wait
+async function deleteExported(name, target) {
+  try {
+    const result = await getDestination(name).deleteExported(target);
+    if (result && result.skipped) {
+      console.log(`⏭️ ${name} is unavailable (${result.reason}) - deletion of ${target.folderName} postponed`);
+      return { deleted: false, reason: result.reason };
+    }
+    return { deleted: true };
+  } catch (error) {
+    console.error(`❌ Could not delete ${target.folderName} from ${name}:`, error.message);
+    return { deleted: false, reason: error.message };
+  }
+}
+
+// Remove an album (or with no albumNumber, a whole folder) from export
+// destinations. Returns { deleted: [names], pending: [names] }; the pending
+// ones are retried by later sweeps.
+async function deleteFromDestinations(names, target) {
+  const deleted = [];
+  const pending = [];
+
+  for (const name of names) {
+    const result = await deleteExported(name, target);
+    if (result.deleted) {
+      deleted.push(name);
+      continue;
+    }
+    // A deletion asked for again (e.g. a repeated account deletion) stays one
+    // entry
+    const albumNumber = target.albumNumber || null;
+    const queued = retentionStore.data.pending.find(entry =>
+      entry.destination === name && entry.folderName === target.folderName && entry.albumNumber === albumNumber);
+    if (queued) {
+      queued.reason = result.reason;
+    } else {
+      retentionStore.data.pending.push({
+        destination: name,
+        folderName: target.folderName,
+        albumNumber,
+        reason: result.reason,
+        attempts: 1,
+        queuedAt: new Date().toISOString()
+      });
+    }
+    retentionStore.save();
+    pending.push(name);
+  }
+  return { deleted, pending };
+}
+
+// Try the queued destination deletions again
+async function retryPendingDeletions() {
+  const queued = [...retentionStore.data.pending];
+  let completed = 0;
+
+  for (const entry of queued) {
+    const result = await deleteExported(entry.destination, { folderName: entry.folderName, albumNumber: entry.albumNumber });
+    if (result.deleted) {
+      retentionStore.data.pending = retentionStore.data.pending.filter(pending => pending !== entry);
+      completed++;
+    } else {
+      Object.assign(entry, { reason: result.reason, attempts: entry.attempts + 1 });
+    }
+    retentionStore.save();
+  }
+
+  if (queued.length > 0) {
+    console.log(`🔁 Retried ${queued.length} postponed export deletion(s), ${completed} done`);
+  }
+  return completed;
+}
+
+function pendingDeletions() {
+  return [...retentionStore.data.pending];
+}
+
+// When a job stopped changing: finished jobs have completedAt, cancelled
+// ones only updatedAt
+function finishedAt(job) {
+  return new Date(job.completedAt || job.updatedAt).getTime();
+}
+
+// Albums whose orders are all finished, with at least one printed, and whose
+// last order finished before `cutoff`. Albums already handled are skipped
+// unless they have been ordered again since.
+function expiredAlbums(printQueue, cutoff) {
+  const byAlbum = new Map();
+  for (const job of printQueue.list(job => !job.retention)) {
+    const albumKey = AlbumManifestStore.albumKey(job.folderName, job.albumNumber);
+    if (!byAlbum.has(albumKey)) byAlbum.set(albumKey, []);
+    byAlbum.get(albumKey).push(job);
+  }
+
+  return [...byAlbum.values()].filter(jobs =>
+    jobs.some(job => job.status === JOB_STATUS.DONE) &&
+    !jobs.some(job => ACTIVE_STATUSES.includes(job.status) || job.status === JOB_STATUS.AWAITING_PAYMENT) &&
+    Math.max(...jobs.map(finishedAt)) < cutoff
+  );
+}
+
+// Apply the retention action to one album and mark its orders as handled
+async function applyRetention(printQueue, jobs, action) {
+  const { folderName, albumNumber } = jobs[0];
+  const albumKey = AlbumManifestStore.albumKey(folderName, albumNumber);
+  // The photos are wherever the orders read them from: the album folder or a
+  // legacy street-name folder (see print-worker.js). Archived, they all go
+  // under the album's current name.
+  const prefixes = new Set([`${albumKey}/`, ...jobs.map(job => job.folderPrefix).filter(Boolean)]);
+  let storageObjects = 0;
+  for (const prefix of prefixes) {
+    storageObjects += await clearStorage(prefix, action, `${archivedFolderPrefix(folderName)}album${albumNumber}/`);
+  }
+
+  // Orders from before there were several destinations only went to Dropbox
+  const names = [...new Set(jobs.flatMap(job => job.destinations || ['dropbox']))];
+  const destinations = await deleteFromDestinations(names, { folderName, albumNumber });
+
+  albumManifests.removeAlbum(albumKey);
+  // Cached download zips go too (the folder's other albums are zipped again
+  // when next downloaded)
+  await removeCachedDownloads(folderName);
+  const albumId = jobs.find(job => job.albumId)?.albumId;
+  try {
+    if (albumId && action === 'archive') {
+      await dataModel.archivePhotos(albumId, RETENTION_ARCHIVE_PREFIX);
+    } else if (albumId) {
+      await dataModel.deletePhotos(albumId);
+    }
+  } catch (error) {
+    console.error(`⚠️ Could not update the photo records of ${albumId}:`, error.message);
+  }
+
+  const retention = { action, appliedAt: new Date().toISOString(), storageObjects, destinations };
+  jobs.forEach(job => printQueue.update(job.id, { retention }));
+  auditLog.record(`retention.${action}`, {
+    subject: jobs.map(job => job.id).join(','),
+    details: { orderIds: jobs.map(job => job.id), storageObjects, destinations }
+  });
+  console.log(`🧹 Retention: ${action === 'archive' ? 'archived' : 'deleted'} ${storageObjects} photo(s) of ${albumKey}`);
+  return retention;
+}
+
+// One pass of the policy. `days` and `action` default to the environment;
+// `now` is for tests.
+async function runRetentionSweep(printQueue, { days = RETENTION_DAYS, action = RETENTION_ACTION, now = Date.now() } = {}) {
+  const retriedDeletions = await retryPendingDeletions();
+  if (!days) {
+    return { albums: 0, retriedDeletions };
+  }
+
+  let albums = 0;
+  for (const jobs of expiredAlbums(printQueue, now - days * DAY_MS)) {
+    try {
+      await applyRetention(printQueue, jobs, action);
+      albums++;
+    } catch (error) {
+      // Left for the next sweep
+      console.error(`❌ Retention failed for ${jobs[0].folderName} album ${jobs[0].albumNumber}:`, error.message);
+    }
+  }
+  return { albums, retriedDeletions };
+}
+
+// Sweep now and then every RETENTION_SWEEP_HOURS; the timer doesn't keep the
+// process alive
+function startRetentionSweeps(printQueue) {
+  if (RETENTION_DAYS) {
+    console.log(`🧹 Retention: ${RETENTION_ACTION} albums ${RETENTION_DAYS} days after printing`);
+  }
+  const sweep = () => runRetentionSweep(printQueue)
+    .catch(error => console.error('❌ Retention sweep failed:', error));
+  sweep();
+  const timer = setInterval(sweep, RETENTION_SWEEP_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  RETENTION_ACTION,
+  RETENTION_ARCHIVE_PREFIX,
+  archivedFolderPrefix,
+  clearStorage,
+  deleteFromDestinations,
+  pendingDeletions,
+  runRetentionSweep,
+  startRetentionSweeps
+};
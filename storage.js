@@ -0,0 +1,65 @@
+const path = require('path');
+const { LocalBucket } = require('./local-storage');
+const { retry } = require('./resilience');
+
+// Storage backend, chosen with STORAGE_BACKEND:
+// - "firebase" (default): the Firebase Storage bucket from firebase-config.js
+// - "local": files on disk under LOCAL_STORAGE_DIR (defaults to uploads/),
+//   served by the app at /files - no Firebase credentials needed
+// Photos are never public: clients get short-lived signed URLs
+// (SIGNED_URL_TTL_MINUTES, default 60; the local backend signs them with
+// LOCAL_URL_SECRET).
+const BACKEND = process.env.STORAGE_BACKEND || 'firebase';
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'uploads');
+const SIGNED_URL_TTL_MS = (Number(process.env.SIGNED_URL_TTL_MINUTES) || 60) * 60 * 1000;
+
+let bucket = null;
+
+function createBucket() {
+  if (BACKEND === 'local') {
+    console.log('Using local storage directory:', LOCAL_STORAGE_DIR);
+    return new LocalBucket(LOCAL_STORAGE_DIR, 'local', {
+      baseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5500}`,
+      secret: process.env.LOCAL_URL_SECRET
+    });
+  }
+  if (BACKEND === 'firebase') {
+    // Only loaded here, so the local backend never needs a service account
+    return require('./firebase-config').bucket;
+  }
+  throw new Error(`Unknown STORAGE_BACKEND: ${BACKEND}`);
+}
+
+function getBucket() {
+  if (!bucket) {
+    bucket = createBucket();
+  }
+  return bucket;
+}
+
+// Swap in a different bucket implementation (must be called before the
+// modules that use it are loaded)
+function setBucket(customBucket) {
+  bucket = customBucket;
+}
+
+// Short-lived URL the app can load an uploaded photo from
+async function signedUrl(filePath, ttlMs = SIGNED_URL_TTL_MS) {
+  const [url] = await retry(`Signing a URL for ${filePath}`, () => getBucket().file(filePath).getSignedUrl({
+    version: 'v4',
+    action: 'read',
+    expires: Date.now() + ttlMs
+  }));
+  return url;
+}
+
+module.exports = {
+  get bucket() {
+    return getBucket();
+  },
+  getBucket,
+  setBucket,
+  signedUrl,
+  BACKEND,
+  LOCAL_STORAGE_DIR
+};
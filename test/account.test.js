@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, uploadPhoto, postJson, authHeaders, waitFor, listZipEntries, readZipEntry } = require('./helpers');
+
+const ENV = {
+  PAYMENTS_PROVIDER: 'local',
+  PRINT_MAX_WAIT_MINUTES: '0.02',
+  PHOTO_POLL_INTERVAL_MINUTES: '0.005'
+};
+
+async function deleteAccount(baseUrl, body, token) {
+  const response = await fetch(`${baseUrl}/me`, {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json', ...authHeaders(token) },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('/me', async (t) => {
+  const ctx = await startTestApp(ENV);
+  ctx.startPrintQueue();
+  t.after(() => ctx.close());
+
+  const { folderOwners } = require('../auth');
+  const { auditLog } = require('../audit-log');
+  const { paymentProvider } = require('../payments');
+  const pay = async intentId => {
+    const { body, headers } = paymentProvider.webhookEvent('payment_intent.succeeded', intentId);
+    await fetch(`${ctx.baseUrl}/webhooks/payments`, { method: 'POST', headers, body });
+  };
+  const stored = prefix => [...ctx.bucket.objects.keys()].filter(name => name.startsWith(prefix));
+
+  // Alice: a printed album in a legacy folder and an address made through the API
+  for (const filename of ['1_100_photo1.jpg', '1_100_photo2.jpg']) {
+    await uploadPhoto(ctx.baseUrl, { address: '12_AB12CD', albumNumber: 1 }, { filename });
+  }
+  const { body: placed } = await postJson(`${ctx.baseUrl}/notify-print`, {
+    address: '12_AB12CD',
+    photoCount: 8,
+    userDetails: { name: 'Alice', currentAlbumNumber: 1 }
+  });
+  await pay(placed.payment.intentId);
+  await waitFor(() => ctx.printQueue.get(placed.orderId).status === 'done', { timeout: 20000 });
+  const { body: created } = await postJson(`${ctx.baseUrl}/addresses`, { houseNumber: '7', postcode: 'ZZ1 1ZZ' });
+
+  // Bob's photos stay where they are
+  await uploadPhoto(ctx.baseUrl, { address: '34_CD34EF', albumNumber: 1 }, { filename: '1_300_photo1.jpg', token: 'bob-token' });
+
+  await t.test('exports the photos and records of the signed-in customer', async () => {
+    const response = await fetch(`${ctx.baseUrl}/me/export`, { headers: authHeaders() });
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /account-export-\d{4}-\d{2}-\d{2}\.zip/);
+    const zip = Buffer.from(await response.arrayBuffer());
+
+    assert.deepStrictEqual(listZipEntries(zip).sort(), [
+      'account.json', 'photos/12_AB12CD/album1/1_100_photo1.jpg', 'photos/12_AB12CD/album1/1_100_photo2.jpg'
+    ]);
+    const account = JSON.parse(readZipEntry(zip, 'account.json'));
+    assert.strictEqual(account.user.uid, 'alice');
+    assert.deepStrictEqual(account.addresses.map(address => address.folderName).sort(), ['12_AB12CD', created.address.folderName].sort());
+    assert.strictEqual(account.photos.length, 2);
+    assert.deepStrictEqual(account.orders.map(order => [order.orderId, order.userDetails.name]), [[placed.orderId, 'Alice']]);
+    assert.deepStrictEqual(account.folders.find(folder => folder.folderName === '12_AB12CD').albums.map(album => album.albumKey), ['12_AB12CD/album1']);
+    assert.strictEqual(account.files.length, 2);
+
+    assert.strictEqual(auditLog.list(entry => entry.action === 'account.exported' && entry.actor === 'alice').length, 1);
+  });
+
+  await t.test('needs an explicit confirmation to delete the account', async () => {
+    const { status } = await deleteAccount(ctx.baseUrl, {});
+    assert.strictEqual(status, 400);
+    assert.strictEqual(stored('12_AB12CD/').length, 2);
+  });
+
+  await t.test('refuses while an order is in progress', async () => {
+    ctx.printQueue.update(placed.orderId, { status: 'uploading' });
+    try {
+      const { status, body } = await deleteAccount(ctx.baseUrl, { confirm: true });
+      assert.strictEqual(status, 409);
+      assert.strictEqual(body.code, 'orders_in_progress');
+      assert.deepStrictEqual(body.details.orderIds, [placed.orderId]);
+    } finally {
+      ctx.printQueue.update(placed.orderId, { status: 'done' });
+    }
+  });
+
+  await t.test('erases everything of the customer and records it', async () => {
+    assert.strictEqual(ctx.dropbox.uploads.size, 2);
+
+    const { status, body } = await deleteAccount(ctx.baseUrl, { confirm: true });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.erased.storageObjects, 2);
+    assert.strictEqual(body.erased.orders, 1);
+    assert.deepStrictEqual(body.pendingDestinations, []);
+
+    assert.deepStrictEqual(stored('12_AB12CD/'), []);
+    assert.strictEqual(ctx.dropbox.uploads.size, 0);
+    assert.strictEqual(ctx.printQueue.get(placed.orderId), null);
+    assert.strictEqual(folderOwners.get('12_AB12CD'), null);
+    assert.strictEqual(folderOwners.get(created.address.folderName), null);
+    assert.strictEqual(stored('34_CD34EF/').length, 1);
+
+    const addresses = await fetch(`${ctx.baseUrl}/addresses`, { headers: authHeaders() });
+    assert.deepStrictEqual((await addresses.json()).addresses, []);
+
+    const [entry] = auditLog.list(candidate => candidate.action === 'account.erased');
+    assert.strictEqual(entry.actor, 'alice');
+    assert.deepStrictEqual(entry.details.orderIds, [placed.orderId]);
+    assert.deepStrictEqual(entry.details.records, { customers: 1, addresses: 2, albums: 1, photos: 2, printOrders: 1 });
+    // The audit trail outlives the account, so it holds no personal details
+    assert.doesNotMatch(JSON.stringify(entry), /AB12CD|ZZ1|Alice|example\.com/);
+  });
+
+  await t.test('keeps the retention archive out of a folder named "archive"', async () => {
+    // Bob's own archived album, and those of folders whose names start like his
+    ctx.bucket.put('retention-archive/34_CD34EF/album2/1_300_photo9.jpg', 'archived');
+    ctx.bucket.put('retention-archive/34_CD34EFG/album1/1_310_photo1.jpg', 'archived');
+    ctx.bucket.put('retention-archive/78_GH78IJ/album1/1_700_photo1.jpg', 'archived');
+    const { status } = await uploadPhoto(ctx.baseUrl, { address: 'archive', albumNumber: 1 }, { filename: '1_900_photo1.jpg', token: 'bob-token' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(folderOwners.get('archive').uid, 'bob');
+
+    const response = await fetch(`${ctx.baseUrl}/me/export`, { headers: authHeaders('bob-token') });
+    assert.deepStrictEqual(listZipEntries(Buffer.from(await response.arrayBuffer())).sort(), [
+      'account.json',
+      'photos/34_CD34EF/album1/1_300_photo1.jpg',
+      'photos/archive/album1/1_900_photo1.jpg',
+      'photos/retention-archive/34_CD34EF/album2/1_300_photo9.jpg'
+    ]);
+
+    const { status: deleted, body } = await deleteAccount(ctx.baseUrl, { confirm: true }, 'bob-token');
+    assert.strictEqual(deleted, 200);
+    assert.strictEqual(body.erased.storageObjects, 3);
+    assert.deepStrictEqual(stored('retention-archive/'), [
+      'retention-archive/34_CD34EFG/album1/1_310_photo1.jpg',
+      'retention-archive/78_GH78IJ/album1/1_700_photo1.jpg'
+    ]);
+  });
+
+  await t.test('cancels every order awaiting payment before erasing anything', async () => {
+    const unpaid = [];
+    for (const albumNumber of [1, 2]) {
+      await uploadPhoto(ctx.baseUrl, { address: '90_XY90ZZ', albumNumber }, { filename: `1_90${albumNumber}_photo1.jpg`, token: 'bob-token' });
+      const { body } = await postJson(`${ctx.baseUrl}/notify-print`, { address: '90_XY90ZZ', photoCount: 9, userDetails: { currentAlbumNumber: albumNumber } }, 'bob-token');
+      assert.strictEqual(body.status, 'awaiting_payment');
+      unpaid.push(body);
+    }
+
+    // The second payment can't be cancelled: the account and that order stay
+    const cancelIntent = paymentProvider.cancelIntent;
+    paymentProvider.cancelIntent = async intentId => {
+      if (intentId === unpaid[1].payment.intentId) throw new Error('Stripe is down');
+      return cancelIntent.call(paymentProvider, intentId);
+    };
+    try {
+      const { status, body } = await deleteAccount(ctx.baseUrl, { confirm: true }, 'bob-token');
+      assert.strictEqual(status, 502);
+      assert.strictEqual(body.code, 'payment_unavailable');
+    } finally {
+      paymentProvider.cancelIntent = cancelIntent;
+    }
+    // The first payment is gone, so its order can't be paid any more - but
+    // the account wasn't deleted
+    assert.strictEqual(ctx.printQueue.get(unpaid[0].orderId).status, 'cancelled');
+    assert.strictEqual(ctx.printQueue.get(unpaid[0].orderId).reason, 'payment_cancelled');
+    assert.strictEqual(ctx.printQueue.get(unpaid[1].orderId).status, 'awaiting_payment');
+    assert.strictEqual(stored('90_XY90ZZ/').length, 2);
+    assert.strictEqual(folderOwners.get('90_XY90ZZ').uid, 'bob');
+
+    const { status, body } = await deleteAccount(ctx.baseUrl, { confirm: true }, 'bob-token');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.erased.orders, 2);
+    assert.ok(paymentProvider.cancellations.includes(unpaid[1].payment.intentId));
+    assert.strictEqual(ctx.printQueue.get(unpaid[1].orderId), null);
+    assert.deepStrictEqual(stored('90_XY90ZZ/'), []);
+  });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, uploadPhoto, postJson, authHeaders, waitFor } = require('./helpers');
+
+const ADMIN = { Authorization: 'Bearer admin-secret' };
+
+async function orderStatus(ctx, orderId) {
+  const response = await fetch(`${ctx.baseUrl}/orders/${orderId}`, { headers: authHeaders() });
+  return (await response.json()).order;
+}
+
+// Follow the admin's browser through /admin/dropbox/authorize, the (fake)
+// Dropbox consent page and back to the callback
+async function linkDropbox(ctx) {
+  const start = await fetch(`${ctx.baseUrl}/admin/dropbox/authorize`, { headers: ADMIN, redirect: 'manual' });
+  assert.strictEqual(start.status, 302);
+  const authorizeUrl = new URL(start.headers.get('location'));
+  assert.strictEqual(authorizeUrl.searchParams.get('code_challenge_method'), 'S256');
+  assert.strictEqual(authorizeUrl.searchParams.get('token_access_type'), 'offline');
+
+  const consent = await fetch(authorizeUrl, { redirect: 'manual' });
+  const callback = await fetch(consent.headers.get('location'), { headers: ADMIN, redirect: 'manual' });
+  assert.strictEqual(callback.status, 303);
+}
+
+test('/admin/dropbox', async (t) => {
+  const ctx = await startTestApp({ ADMIN_TOKEN: 'admin-secret' });
+  const { dropboxAuth } = require('../dropbox-utils');
+  ctx.startPrintQueue();
+  t.after(() => ctx.close());
+  t.beforeEach(() => ctx.dropbox.reset());
+
+  await t.test('re-links Dropbox and keeps the new refresh token', async () => {
+    await linkDropbox(ctx);
+
+    const status = dropboxAuth.status();
+    assert.strictEqual(status.accountId, 'dbid:test-account');
+    assert.strictEqual(status.circuit.state, 'closed');
+    assert.strictEqual(dropboxAuth.store.data.refreshToken, 'linked-refresh-1');
+
+    // Later refreshes use the linked refresh token
+    await dropboxAuth.refreshAccessToken();
+    assert.deepStrictEqual(ctx.dropbox.refreshTokensUsed, ['linked-refresh-1']);
+  });
+
+  await t.test('holds orders back while Dropbox is down and sends them once it is re-linked', async () => {
+    dropboxAuth.breaker.open();
+    await uploadPhoto(ctx.baseUrl, { address: '56_EF56GH', albumNumber: 1 }, { filename: '1_500_photo1.jpg' });
+    const { body } = await postJson(`${ctx.baseUrl}/notify-print`, { address: '56_EF56GH', photoCount: 9 });
+
+    const waiting = await waitFor(async () => {
+      const order = await orderStatus(ctx, body.orderId);
+      return order.status === 'waiting_for_export' ? order : null;
+    });
+    assert.deepStrictEqual(waiting.exports.dropbox.uploaded, []);
+    assert.strictEqual(ctx.dropbox.uploads.size, 0);
+
+    const page = await fetch(`${ctx.baseUrl}/admin/dropbox`, { headers: ADMIN });
+    assert.match(await page.text(), new RegExp(body.orderId));
+
+    await linkDropbox(ctx);
+    const order = await waitFor(async () => {
+      const current = await orderStatus(ctx, body.orderId);
+      return current.status === 'done' ? current : null;
+    });
+    assert.deepStrictEqual(order.exports.dropbox.uploaded, ['1_500_photo1.jpg']);
+    assert.ok(ctx.dropbox.uploads.has('/30-clicks-import/56_EF56GH/album1/1_500_photo1.jpg'));
+  });
+
+  await t.test('rejects a callback that does not match an authorisation it started', async () => {
+    const response = await fetch(`${ctx.baseUrl}/admin/dropbox/callback?code=code-9&state=forged`, { headers: ADMIN });
+    assert.strictEqual(response.status, 400);
+  });
+});
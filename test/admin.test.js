@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, uploadPhoto, postJson, waitFor } = require('./helpers');
+
+const ADMIN = { Authorization: 'Bearer admin-secret' };
+
+test('/admin order actions', async (t) => {
+  const ctx = await startTestApp({
+    ADMIN_TOKEN: 'admin-secret',
+    PAYMENTS_PROVIDER: 'local',
+    PRINT_MAX_WAIT_MINUTES: '0.02',
+    PHOTO_POLL_INTERVAL_MINUTES: '0.005'
+  });
+  ctx.startPrintQueue();
+  t.after(() => ctx.close());
+
+  const { paymentProvider } = require('../payments');
+  const order = orderId => ctx.printQueue.get(orderId);
+  const action = (orderId, name, headers = {}) => fetch(`${ctx.baseUrl}/admin/orders/${orderId}/${name}`, {
+    method: 'POST',
+    headers: { ...ADMIN, ...headers },
+    redirect: 'manual'
+  });
+
+  // Order an album of `filenames` out of 10 photos and pay for it
+  const placePaidOrder = async (address, filenames, photoCount) => {
+    for (const filename of filenames) {
+      await uploadPhoto(ctx.baseUrl, { address, albumNumber: 1 }, { filename });
+    }
+    const { body } = await postJson(`${ctx.baseUrl}/notify-print`, { address, photoCount });
+    const { body: webhookBody, headers } = paymentProvider.webhookEvent('payment_intent.succeeded', body.payment.intentId);
+    await fetch(`${ctx.baseUrl}/webhooks/payments`, { method: 'POST', headers, body: webhookBody });
+    return body.orderId;
+  };
+
+  // Paid, then refunded when it went to manual review
+  const reviewed = await placePaidOrder('34_CD34EF', ['1_300_photo1.jpg'], 8);
+  await waitFor(() => order(reviewed).payment.status === 'refunded', { timeout: 20000 });
+
+  await t.test('rejects actions from other sites', async () => {
+    for (const origin of ['https://evil.example', 'null', 'not a url']) {
+      const response = await action(reviewed, 'contacted', { Origin: origin });
+      assert.strictEqual(response.status, 403, origin);
+    }
+    assert.strictEqual(order(reviewed).contactedAt, undefined);
+
+    const sameOrigin = await action(reviewed, 'contacted', { Origin: ctx.baseUrl });
+    assert.strictEqual(sameOrigin.status, 303);
+    assert.ok(order(reviewed).contactedAt);
+  });
+
+  await t.test('does not print refunded or unpaid orders', async () => {
+    for (const name of ['force-print', 're-export']) {
+      const response = await action(reviewed, name);
+      assert.strictEqual(response.status, 409);
+      assert.strictEqual((await response.json()).code, 'not_paid');
+    }
+    assert.strictEqual(order(reviewed).status, 'needs_review');
+
+    await uploadPhoto(ctx.baseUrl, { address: '56_EF56GH', albumNumber: 1 }, { filename: '1_500_photo1.jpg' });
+    const { body: unpaid } = await postJson(`${ctx.baseUrl}/notify-print`, { address: '56_EF56GH', photoCount: 9 });
+    const response = await action(unpaid.orderId, 'force-print');
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(order(unpaid.orderId).status, 'awaiting_payment');
+  });
+
+  await t.test('force-prints a partial order that was placed without payment', async () => {
+    // As if placed before payments were turned on
+    ctx.printQueue.update(reviewed, { payment: null });
+    const response = await action(reviewed, 'force-print');
+    assert.strictEqual(response.status, 303);
+
+    await waitFor(() => order(reviewed).status === 'done', { timeout: 20000 });
+    assert.strictEqual(order(reviewed).reason, 'forced_partial');
+    assert.ok(ctx.dropbox.uploads.has('/30-clicks-import/34_CD34EF/album1/1_300_photo1.jpg'));
+  });
+
+  await t.test('re-exports a paid order', async () => {
+    const paid = await placePaidOrder('12_AB12CD', ['1_100_photo1.jpg', '1_100_photo2.jpg'], 8);
+    await waitFor(() => order(paid).status === 'done', { timeout: 20000 });
+    ctx.dropbox.uploads.clear();
+    const { metrics } = require('../metrics');
+    const finished = () => metrics.printOrdersFinished.series.get('{status="done"}');
+    const finishedBefore = finished();
+
+    assert.strictEqual((await action(paid, 're-export')).status, 303);
+    await waitFor(() => order(paid).status === 'done' && ctx.dropbox.uploads.size === 2, { timeout: 20000 });
+    // Still one finished order
+    assert.strictEqual(finished(), finishedBefore);
+  });
+
+  await t.test('retries a failed refund', async () => {
+    const paid = await placePaidOrder('78_GH78IJ', ['1_700_photo1.jpg'], 8);
+    await waitFor(() => order(paid).payment.status === 'refunded', { timeout: 20000 });
+    ctx.printQueue.update(paid, { payment: { ...order(paid).payment, status: 'refund_failed', refundError: 'timeout' } });
+
+    const refunds = paymentProvider.refunds.length;
+    assert.strictEqual((await action(paid, 'refund')).status, 303);
+    assert.strictEqual(order(paid).payment.status, 'refunded');
+    assert.strictEqual(paymentProvider.refunds.length, refunds + 1);
+
+    // Nothing left to refund
+    assert.strictEqual((await action(paid, 'refund')).status, 409);
+  });
+
+  await t.test('cancels the payment of an unpaid order it cancels', async () => {
+    await uploadPhoto(ctx.baseUrl, { address: '11_AA11AA', albumNumber: 1 }, { filename: '1_110_photo1.jpg' });
+    const { body: unpaid } = await postJson(`${ctx.baseUrl}/notify-print`, { address: '11_AA11AA', photoCount: 9 });
+
+    // The provider can't cancel it: the order stays as it is
+    const cancelIntent = paymentProvider.cancelIntent;
+    paymentProvider.cancelIntent = async () => { throw new Error('Stripe is down'); };
+    try {
+      const response = await action(unpaid.orderId, 'cancel');
+      assert.strictEqual(response.status, 502);
+      assert.strictEqual((await response.json()).code, 'payment_unavailable');
+      assert.strictEqual(order(unpaid.orderId).status, 'awaiting_payment');
+    } finally {
+      paymentProvider.cancelIntent = cancelIntent;
+    }
+
+    assert.strictEqual((await action(unpaid.orderId, 'cancel')).status, 303);
+    assert.strictEqual(order(unpaid.orderId).status, 'cancelled');
+    assert.strictEqual(order(unpaid.orderId).payment.status, 'canceled');
+    assert.ok(paymentProvider.cancellations.includes(unpaid.payment.intentId));
+  });
+
+  await t.test('confirms claims on folders that already have photos', async () => {
+    const { folderOwners } = require('../auth');
+    ctx.bucket.put('99_ZZ99ZZ/album1/legacy.jpg', 'x');
+    const { status, body } = await uploadPhoto(ctx.baseUrl, { address: '99_ZZ99ZZ', albumNumber: 1 }, { filename: '1_990_photo1.jpg', token: 'bob-token' });
+    assert.strictEqual(status, 403);
+    assert.strictEqual(body.code, 'claim_pending');
+
+    const claims = await (await fetch(`${ctx.baseUrl}/admin/folders/claims`, { headers: ADMIN })).json();
+    assert.deepStrictEqual(claims.claims.map(claim => [claim.folderName, claim.requests.map(request => request.uid)]), [['99_ZZ99ZZ', ['bob']]]);
+
+    const assigned = await postJson(`${ctx.baseUrl}/admin/folders/99_ZZ99ZZ/owner`, { uid: 'bob' }, 'admin-secret');
+    assert.strictEqual(assigned.status, 200);
+    assert.strictEqual(folderOwners.get('99_ZZ99ZZ').uid, 'bob');
+    assert.deepStrictEqual(folderOwners.claimRequests(), {});
+    assert.strictEqual((await uploadPhoto(ctx.baseUrl, { address: '99_ZZ99ZZ', albumNumber: 1 }, { filename: '1_990_photo1.jpg', token: 'bob-token' })).status, 200);
+  });
+
+  await t.test('answers instead of hanging when a refund throws', async () => {
+    const paid = await placePaidOrder('90_IJ90KL', ['1_900_photo1.jpg', '1_900_photo2.jpg'], 8);
+    await waitFor(() => order(paid).status === 'done', { timeout: 20000 });
+
+    const update = ctx.printQueue.update;
+    ctx.printQueue.update = () => { throw new Error('disk full'); };
+    try {
+      const response = await action(paid, 'refund');
+      assert.strictEqual(response.status, 500);
+      assert.strictEqual((await response.json()).details, 'disk full');
+    } finally {
+      ctx.printQueue.update = update;
+    }
+  });
+});
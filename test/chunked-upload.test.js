@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startTestApp, testPhoto, postJson, authHeaders } = require('./helpers');
+
+test('/upload/sessions', async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+
+  const sessionsUrl = `${ctx.baseUrl}/upload/sessions`;
+  const startSession = (address, body, token) => postJson(`${sessionsUrl}?${new URLSearchParams({ address, albumNumber: 1 })}`, body, token);
+  const sendChunk = async (sessionId, offset, chunk, token) => {
+    const response = await fetch(`${sessionsUrl}/${sessionId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset), ...authHeaders(token) },
+      body: chunk
+    });
+    return { status: response.status, offset: Number(response.headers.get('upload-offset')), body: await response.json() };
+  };
+  const complete = sessionId => postJson(`${sessionsUrl}/${sessionId}/complete`, {});
+
+  const photo = await testPhoto('1_100_photo1.jpg');
+  const half = Math.floor(photo.length / 2);
+
+  await t.test('assembles a photo sent in chunks and resumes from the stored offset', async () => {
+    const { status, body } = await startSession('12_AB12CD', { filename: '1_100_photo1.jpg', size: photo.length });
+    assert.strictEqual(status, 201);
+    const { sessionId } = body;
+
+    assert.strictEqual((await sendChunk(sessionId, 0, photo.subarray(0, half))).offset, half);
+
+    // The app lost track of where it was: HEAD tells it
+    const head = await fetch(`${sessionsUrl}/${sessionId}`, { method: 'HEAD', headers: authHeaders() });
+    assert.strictEqual(head.headers.get('upload-offset'), String(half));
+    assert.strictEqual(head.headers.get('upload-length'), String(photo.length));
+
+    // Not complete yet
+    assert.strictEqual((await complete(sessionId)).status, 409);
+
+    assert.strictEqual((await sendChunk(sessionId, half, photo.subarray(half))).offset, photo.length);
+    const completed = await complete(sessionId);
+    assert.strictEqual(completed.status, 200);
+    assert.strictEqual(completed.body.photoId, '1_100_photo1');
+    assert.ok(ctx.bucket.objects.get('12_AB12CD/album1/1_100_photo1.jpg').buffer.equals(photo));
+
+    // The session is closed now
+    assert.strictEqual((await sendChunk(sessionId, photo.length, Buffer.from('x'))).status, 410);
+  });
+
+  await t.test('refuses chunks at the wrong offset or past the declared size', async () => {
+    const { body: { sessionId } } = await startSession('12_AB12CD', { filename: '1_100_photo2.jpg', size: photo.length });
+
+    const ahead = await sendChunk(sessionId, half, photo.subarray(half));
+    assert.strictEqual(ahead.status, 409);
+    assert.strictEqual(ahead.body.offset, 0);
+
+    await sendChunk(sessionId, 0, photo.subarray(0, half));
+    const replayed = await sendChunk(sessionId, 0, photo.subarray(0, half));
+    assert.strictEqual(replayed.status, 409);
+    assert.strictEqual(replayed.body.offset, half);
+
+    const tooLong = await sendChunk(sessionId, half, Buffer.concat([photo.subarray(half), Buffer.from('extra')]));
+    assert.strictEqual(tooLong.status, 413);
+  });
+
+  await t.test('rejects an upload whose content does not match its hash', async () => {
+    const contentHash = crypto.createHash('sha256').update('something else').digest('hex');
+    const { body: { sessionId } } = await startSession('12_AB12CD', { filename: '1_100_photo3.jpg', size: photo.length, contentHash });
+    await sendChunk(sessionId, 0, photo);
+
+    const { status, body } = await complete(sessionId);
+    assert.strictEqual(status, 422);
+    assert.strictEqual(body.code, 'hash_mismatch');
+    assert.strictEqual((await fetch(`${sessionsUrl}/${sessionId}`, { headers: authHeaders() })).status, 410);
+  });
+
+  await t.test('answers a repeated completion the same way instead of finishing twice, during or after the first', async () => {
+    const contentHash = crypto.createHash('sha256').update(photo).digest('hex');
+    const { body: { sessionId } } = await startSession('12_AB12CD', { filename: '1_100_photo4.jpg', size: photo.length, contentHash });
+    await sendChunk(sessionId, 0, photo);
+
+    const [first, second] = await Promise.all([complete(sessionId), complete(sessionId)]);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(second.status, 200);
+    assert.strictEqual(first.body.fileUrl, second.body.fileUrl);
+
+    // A retry after the first one finished, e.g. because its response was lost
+    const retried = await complete(sessionId);
+    assert.strictEqual(retried.status, 200);
+    assert.deepStrictEqual(retried.body, first.body);
+    const { albumManifests } = require('../album-manifest');
+    assert.strictEqual(albumManifests.get('12_AB12CD/album1').photos['1_100_photo4'].contentHash, contentHash);
+  });
+
+  await t.test('keeps a session inside the album it was started for', async () => {
+    // bob's folder; the request is made from alice's
+    const { status: bobStatus } = await startSession('46_QR46ST', { filename: '1_100_photo1.jpg', size: photo.length }, 'bob-token');
+    assert.strictEqual(bobStatus, 201);
+
+    const traversal = await postJson(`${sessionsUrl}?${new URLSearchParams({ address: '12_AB12CD', albumNumber: '1/../../46_QR46ST/album1' })}`, {
+      filename: '1_100_photo6.jpg', size: photo.length
+    });
+    assert.strictEqual(traversal.status, 400);
+
+    // Only the name of the file counts
+    const { status, body: { sessionId } } = await startSession('12_AB12CD', { filename: '../../46_QR46ST/album1/1_100_photo6.jpg', size: photo.length });
+    assert.strictEqual(status, 201);
+    await sendChunk(sessionId, 0, photo);
+    assert.strictEqual((await complete(sessionId)).status, 200);
+    assert.ok(ctx.bucket.objects.has('12_AB12CD/album1/1_100_photo6.jpg'));
+    assert.ok(![...ctx.bucket.objects.keys()].some(name => name.startsWith('46_QR46ST/')));
+  });
+
+  await t.test('keeps sessions to the user who started them', async () => {
+    const { body: { sessionId } } = await startSession('12_AB12CD', { filename: '1_100_photo5.jpg', size: photo.length });
+    assert.strictEqual((await sendChunk(sessionId, 0, photo, 'bob-token')).status, 404);
+  });
+});
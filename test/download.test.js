@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { startTestApp, uploadPhoto, authHeaders, postJson, readZipDirectory, listZipEntries, readZipEntry } = require('./helpers');
+
+test('/download-photos', async (t) => {
+  const ctx = await startTestApp({ SHARE_LINK_SECRET: 'share-secret' });
+  t.after(() => ctx.close());
+
+  for (const [albumNumber, filename] of [[1, '1_100_photo1.jpg'], [1, '1_100_photo2.jpg'], [2, '2_200_photo1.jpg'], [3, '3_300_photo1.jpg']]) {
+    const { status } = await uploadPhoto(ctx.baseUrl, { address: '12_AB12CD', albumNumber }, { filename });
+    assert.strictEqual(status, 200);
+  }
+
+  const download = async (url, token) => {
+    const response = await fetch(url, { headers: token === null ? {} : authHeaders(token) });
+    return { response, zip: response.ok ? Buffer.from(await response.arrayBuffer()) : null };
+  };
+
+  await t.test('zips the photos of the requested album with a manifest', async () => {
+    const { response, zip } = await download(`${ctx.baseUrl}/download-photos/12_AB12CD?albumNumber=1`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'application/zip');
+    assert.match(response.headers.get('content-disposition'), /12_AB12CD-album1-photos\.zip/);
+
+    assert.deepStrictEqual(listZipEntries(zip).sort(), ['1_100_photo1.jpg', '1_100_photo2.jpg', 'manifest.json']);
+    // Photos are stored as they are, not deflated
+    assert.ok(readZipDirectory(zip).filter(entry => entry.name.endsWith('.jpg')).every(entry => entry.method === 0));
+
+    const manifest = JSON.parse(readZipEntry(zip, 'manifest.json'));
+    assert.strictEqual(manifest.folder, '12_AB12CD');
+    assert.deepStrictEqual(manifest.albums.map(album => album.albumNumber), [1]);
+    assert.deepStrictEqual(manifest.albums[0].photos.map(photo => photo.photoId).sort(), ['1_100_photo1', '1_100_photo2']);
+    const photo = manifest.albums[0].photos.find(entry => entry.file === '1_100_photo1.jpg');
+    assert.strictEqual(photo.size, readZipEntry(zip, '1_100_photo1.jpg').length);
+  });
+
+  await t.test('defaults to album 1', async () => {
+    const { zip } = await download(`${ctx.baseUrl}/download-photos/12_AB12CD`);
+    assert.strictEqual(listZipEntries(zip).length, 3);
+  });
+
+  await t.test('zips chosen albums or all of them into album folders', async () => {
+    const chosen = await download(`${ctx.baseUrl}/download-photos/12_AB12CD?albums=1,3`);
+    assert.match(chosen.response.headers.get('content-disposition'), /12_AB12CD-albums-1-3-photos\.zip/);
+    assert.deepStrictEqual(listZipEntries(chosen.zip).sort(), [
+      'album1/1_100_photo1.jpg', 'album1/1_100_photo2.jpg', 'album3/3_300_photo1.jpg', 'manifest.json'
+    ]);
+
+    const all = await download(`${ctx.baseUrl}/download-photos/12_AB12CD?albums=all`);
+    const manifest = JSON.parse(readZipEntry(all.zip, 'manifest.json'));
+    assert.deepStrictEqual(manifest.albums.map(album => album.albumNumber), [1, 2, 3]);
+    assert.strictEqual(listZipEntries(all.zip).length, 5);
+  });
+
+  await t.test('rejects an invalid album list', async () => {
+    const { response } = await download(`${ctx.baseUrl}/download-photos/12_AB12CD?albums=1,two`);
+    assert.strictEqual(response.status, 400);
+  });
+
+  await t.test('returns a zip with just the manifest for an album without photos', async () => {
+    const { response, zip } = await download(`${ctx.baseUrl}/download-photos/12_AB12CD?albumNumber=4`);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(listZipEntries(zip), ['manifest.json']);
+  });
+
+  // Fail reads of one stored photo after its first KB
+  const breakPhoto = fileName => {
+    const file = ctx.bucket.file.bind(ctx.bucket);
+    ctx.bucket.file = name => {
+      const found = file(name);
+      if (name.endsWith(fileName)) {
+        found.createReadStream = () => {
+          const stream = new PassThrough();
+          stream.write(Buffer.alloc(1024));
+          setTimeout(() => stream.destroy(new Error('storage read failed')), 20);
+          return stream;
+        };
+      }
+      return found;
+    };
+    return () => {
+      ctx.bucket.file = file;
+    };
+  };
+
+  await t.test('drops the connection when a photo fails part-way', async () => {
+    const restore = breakPhoto('1_100_photo2.jpg');
+    try {
+      const response = await fetch(`${ctx.baseUrl}/download-photos/12_AB12CD?albums=1,3`, { headers: authHeaders() });
+      assert.strictEqual(response.status, 200);
+      await assert.rejects(response.arrayBuffer());
+    } finally {
+      restore();
+    }
+  });
+
+  await t.test('answers with an error when a photo of a single album cannot be read', async () => {
+    const restore = breakPhoto('2_200_photo1.jpg');
+    try {
+      const { response } = await download(`${ctx.baseUrl}/download-photos/12_AB12CD?albumNumber=2`);
+      assert.strictEqual(response.status, 500);
+    } finally {
+      restore();
+    }
+
+    // Nothing broken was kept for the next download
+    const { response, zip } = await download(`${ctx.baseUrl}/download-photos/12_AB12CD?albumNumber=2`);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(listZipEntries(zip).sort(), ['2_200_photo1.jpg', 'manifest.json']);
+  });
+
+  await t.test('refuses other customers', async () => {
+    const { response } = await download(`${ctx.baseUrl}/download-photos/12_AB12CD`, 'bob-token');
+    assert.strictEqual(response.status, 403);
+  });
+
+  await t.test('shares albums with a signed link that needs no account', async () => {
+    const { status, body } = await postJson(`${ctx.baseUrl}/download-photos/12_AB12CD/share`, { albums: 'all', expiresInHours: 24 });
+    assert.strictEqual(status, 201);
+    assert.deepStrictEqual(body.albums, [1, 2, 3]);
+    assert.ok(new Date(body.expiresAt) > new Date());
+
+    const shared = await download(body.url, null);
+    assert.strictEqual(shared.response.status, 200);
+    assert.match(shared.response.headers.get('content-disposition'), /12_AB12CD-albums-1-2-3-photos\.zip/);
+    assert.strictEqual(listZipEntries(shared.zip).length, 5);
+
+    const tampered = body.url.replace(/\/shared\/([^.]+)\./, (match, payload) => {
+      const share = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      return `/shared/${Buffer.from(JSON.stringify({ ...share, folder: '34_CD34EF' })).toString('base64url')}.`;
+    });
+    assert.strictEqual((await download(tampered, null)).response.status, 404);
+
+    const other = await postJson(`${ctx.baseUrl}/download-photos/12_AB12CD/share`, { albums: [1] }, 'bob-token');
+    assert.strictEqual(other.status, 403);
+  });
+
+  await t.test('resumes a single-album download with a Range request', async () => {
+    const url = `${ctx.baseUrl}/download-photos/12_AB12CD?albumNumber=1`;
+    const full = await download(url);
+    assert.strictEqual(full.response.headers.get('accept-ranges'), 'bytes');
+    assert.strictEqual(Number(full.response.headers.get('content-length')), full.zip.length);
+    const etag = full.response.headers.get('etag');
+    assert.ok(etag);
+
+    const rest = await fetch(url, { headers: { ...authHeaders(), Range: 'bytes=100-', 'If-Range': etag } });
+    assert.strictEqual(rest.status, 206);
+    assert.strictEqual(rest.headers.get('content-range'), `bytes 100-${full.zip.length - 1}/${full.zip.length}`);
+    assert.ok(Buffer.from(await rest.arrayBuffer()).equals(full.zip.subarray(100)));
+
+    // Once the album has changed, the resumed download starts again
+    await uploadPhoto(ctx.baseUrl, { address: '12_AB12CD', albumNumber: 1 }, { filename: '1_100_photo3.jpg' });
+    const changed = await fetch(url, { headers: { ...authHeaders(), Range: 'bytes=100-', 'If-Range': etag } });
+    assert.strictEqual(changed.status, 200);
+    assert.strictEqual(listZipEntries(Buffer.from(await changed.arrayBuffer())).length, 4);
+  });
+
+  await t.test('removes cached zips once they are old', async () => {
+    const { sweepDownloadCache } = require('../album-download');
+    assert.strictEqual(await sweepDownloadCache(), 0);
+    assert.ok(await sweepDownloadCache(Date.now() + 25 * 60 * 60 * 1000) > 0);
+    assert.strictEqual((await download(`${ctx.baseUrl}/download-photos/12_AB12CD?albumNumber=1`)).response.status, 200);
+  });
+
+  await t.test('refuses expired share links', async () => {
+    const { createShareToken } = require('../album-download');
+    const token = createShareToken({ folderName: '12_AB12CD', albums: [1], expiresAt: Date.now() - 1000 });
+    const response = await fetch(`${ctx.baseUrl}/shared/${token}`);
+    assert.strictEqual(response.status, 410);
+    assert.strictEqual((await response.json()).code, 'link_expired');
+  });
+
+  await t.test('turns share links off without a secret', async () => {
+    const { body } = await postJson(`${ctx.baseUrl}/download-photos/12_AB12CD/share`, { albums: [1] });
+    delete process.env.SHARE_LINK_SECRET;
+    try {
+      const refused = await postJson(`${ctx.baseUrl}/download-photos/12_AB12CD/share`, { albums: [1] });
+      assert.strictEqual(refused.status, 503);
+      assert.strictEqual((await fetch(body.url)).status, 404);
+    } finally {
+      process.env.SHARE_LINK_SECRET = 'share-secret';
+    }
+  });
+
+  await t.test('revokes share links when the folder changes hands', async () => {
+    const { folderOwners } = require('../auth');
+    const { body } = await postJson(`${ctx.baseUrl}/download-photos/12_AB12CD/share`, { albums: [1] });
+    assert.strictEqual((await fetch(body.url)).status, 200);
+
+    const revoked = async () => {
+      const response = await fetch(body.url);
+      assert.strictEqual(response.status, 410);
+      assert.strictEqual((await response.json()).code, 'link_revoked');
+    };
+
+    // Moved to another customer by an admin
+    const alice = folderOwners.get('12_AB12CD');
+    folderOwners.claim('12_AB12CD', { uid: 'bob', email: 'bob@example.com' });
+    await revoked();
+    // Released, as when the account is deleted
+    folderOwners.release('12_AB12CD');
+    await revoked();
+    // Handing the folder back doesn't bring old links back
+    folderOwners.claim('12_AB12CD', alice);
+    await revoked();
+  });
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { setupTestServices } = require('./helpers');
+
+test('DropboxTokenManager', async (t) => {
+  const services = await setupTestServices();
+  const { DropboxTokenManager, DropboxUploadBatch, dropboxAuth } = require('../dropbox-utils');
+  const { retry } = require('../resilience');
+  t.after(() => services.cleanup());
+  t.beforeEach(() => services.dropbox.reset());
+
+  // Stage and commit one file, retrying the staging as the print worker does
+  const upload = async (content, dropboxPath) => {
+    const batch = new DropboxUploadBatch();
+    const staged = await retry(`Dropbox upload of ${dropboxPath}`, () => batch.add(() => Readable.from([Buffer.from(content)]), dropboxPath));
+    return staged.skipped ? staged : batch.commit();
+  };
+
+  await t.test('refreshes an access token with the refresh token', async () => {
+    const manager = new DropboxTokenManager();
+    const token = await manager.getValidAccessToken();
+
+    assert.strictEqual(token, 'token-1');
+    assert.strictEqual(services.dropbox.tokenRequests, 1);
+    assert.strictEqual(manager.isDegradedMode, false);
+    // Cached until it is close to expiry
+    assert.strictEqual(await manager.getValidAccessToken(), 'token-1');
+    assert.strictEqual(services.dropbox.tokenRequests, 1);
+  });
+
+  await t.test('keeps its tokens across restarts', async () => {
+    const before = new DropboxTokenManager({ stateFile: 'restart-token.json' });
+    const token = await before.getValidAccessToken();
+
+    const after = new DropboxTokenManager({ stateFile: 'restart-token.json' });
+    assert.strictEqual(await after.getValidAccessToken(), token);
+    assert.strictEqual(services.dropbox.tokenRequests, 1);
+  });
+
+  await t.test('rejects an authorisation callback it did not start', async () => {
+    const manager = new DropboxTokenManager({ stateFile: 'unknown-state-token.json' });
+    await assert.rejects(
+      manager.completeAuthorization({ code: 'code-1', state: 'made-up' }),
+      error => error.status === 400
+    );
+    assert.strictEqual(services.dropbox.tokenRequests, 0);
+  });
+
+  await t.test('enters degraded mode after repeated refresh failures', async () => {
+    const manager = new DropboxTokenManager();
+    services.dropbox.failTokenRefresh = true;
+
+    for (let i = 0; i < 3; i++) {
+      await manager.refreshAccessToken();
+    }
+
+    // invalid_grant isn't worth retrying, so each refresh made one request
+    assert.strictEqual(services.dropbox.tokenRequests, 3);
+    assert.strictEqual(manager.isDegradedMode, true);
+    assert.strictEqual(manager.breaker.state, 'open');
+    assert.strictEqual(manager.shouldAttemptDropboxOperation(), false);
+
+    manager.exitDegradedMode();
+    assert.strictEqual(manager.isDegradedMode, false);
+    assert.strictEqual(manager.shouldAttemptDropboxOperation(), true);
+  });
+
+  await t.test('skips uploads while degraded and resumes after recovery', async () => {
+    services.dropbox.failTokenRefresh = true;
+    for (let i = 0; i < 3; i++) {
+      await dropboxAuth.refreshAccessToken(1);
+    }
+
+    const skipped = await upload('photo', '/30-clicks-import/12_AB12CD/album1/a.jpg');
+    assert.deepStrictEqual(skipped, { skipped: true, reason: 'degraded_mode' });
+    assert.strictEqual(services.dropbox.uploads.size, 0);
+
+    services.dropbox.failTokenRefresh = false;
+    dropboxAuth.exitDegradedMode();
+    await upload('photo', '/30-clicks-import/12_AB12CD/album1/a.jpg');
+    assert.strictEqual(services.dropbox.uploads.get('/30-clicks-import/12_AB12CD/album1/a.jpg').toString(), 'photo');
+  });
+
+  await t.test('tries a refresh again once the circuit cool-down has passed', async () => {
+    const manager = new DropboxTokenManager();
+    services.dropbox.failTokenRefresh = true;
+    for (let i = 0; i < 3; i++) {
+      await manager.refreshAccessToken();
+    }
+
+    // Cool-down over: the circuit is half-open and the next call refreshes
+    manager.breaker.openedAt -= manager.breaker.resetTimeoutMs;
+    services.dropbox.failTokenRefresh = false;
+    assert.strictEqual(manager.shouldAttemptDropboxOperation(), true);
+    assert.ok(await manager.getValidAccessToken());
+    assert.strictEqual(manager.breaker.state, 'closed');
+  });
+
+  await t.test('waits out Dropbox rate limits before retrying', async () => {
+    services.dropbox.rateLimitNextUploads = 1;
+    const startedAt = Date.now();
+
+    await upload('photo', '/30-clicks-import/12_AB12CD/album1/b.jpg');
+    assert.ok(Date.now() - startedAt >= 1000, 'retry_after was not honoured');
+    assert.ok(services.dropbox.uploads.has('/30-clicks-import/12_AB12CD/album1/b.jpg'));
+  });
+
+  await t.test('gives up on rate limits after the last attempt', async () => {
+    services.dropbox.rateLimitNextUploads = 3;
+
+    await assert.rejects(
+      upload('photo', '/30-clicks-import/12_AB12CD/album1/c.jpg'),
+      error => error.isRateLimit === true && error.retryAfter === 1000
+    );
+  });
+});
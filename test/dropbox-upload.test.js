@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { setupTestServices } = require('./helpers');
+
+const streamOf = content => () => Readable.from([Buffer.from(content)]);
+
+test('Dropbox upload sessions', async (t) => {
+  // ~1KB chunks, so small test files span several requests
+  const services = await setupTestServices({ DROPBOX_UPLOAD_CHUNK_MB: '0.001' });
+  const { DropboxUploadBatch, dropboxAuth } = require('../dropbox-utils');
+  const { DropboxDestination } = require('../export-destinations');
+  t.after(() => services.cleanup());
+  t.beforeEach(() => services.dropbox.reset());
+
+  await t.test('streams a stored file in chunks', async () => {
+    const content = crypto.randomBytes(5000);
+    services.bucket.put('12_AB12CD/album1/big.jpg', content);
+
+    const batch = new DropboxUploadBatch();
+    await batch.add(() => services.bucket.file('12_AB12CD/album1/big.jpg').createReadStream(), '/30-clicks-import/12_AB12CD/album1/big.jpg');
+    await batch.commit();
+
+    const requests = services.dropbox.sessionRequests;
+    assert.deepStrictEqual(requests.map(request => request.endpoint), ['start', 'append', 'append', 'append', 'append']);
+    assert.deepStrictEqual(requests.map(request => request.size), [1049, 1049, 1049, 1049, 804]);
+    assert.ok(services.dropbox.uploads.get('/30-clicks-import/12_AB12CD/album1/big.jpg').equals(content));
+  });
+
+  await t.test('commits a batch with a single finish_batch call', async () => {
+    const batch = new DropboxUploadBatch();
+    await batch.add(streamOf('one'), '/album/one.jpg');
+    await batch.add(streamOf('two'), '/album/two.jpg');
+    assert.strictEqual(services.dropbox.uploads.size, 0);
+
+    const results = await batch.commit();
+    assert.deepStrictEqual(results.map(result => result.path), ['/album/one.jpg', '/album/two.jpg']);
+    assert.ok(results.every(result => !result.error));
+    assert.strictEqual(services.dropbox.batchCommits, 1);
+    assert.strictEqual(services.dropbox.uploads.get('/album/two.jpg').toString(), 'two');
+  });
+
+  await t.test('exports through the destination with one commit per album', async () => {
+    const destination = new DropboxDestination();
+    const batch = destination.createBatch();
+    for (const fileName of ['a.jpg', 'b.jpg', 'c.jpg']) {
+      const source = { contentType: 'image/jpeg', createReadStream: streamOf(fileName) };
+      await batch.add(source, { folderName: '12_AB12CD', albumNumber: 2, fileName });
+    }
+    await batch.commit();
+
+    assert.strictEqual(services.dropbox.batchCommits, 1);
+    assert.deepStrictEqual([...services.dropbox.uploads.keys()].sort(), [
+      '/30-clicks-import/12_AB12CD/album2/a.jpg',
+      '/30-clicks-import/12_AB12CD/album2/b.jpg',
+      '/30-clicks-import/12_AB12CD/album2/c.jpg'
+    ]);
+  });
+
+  await t.test('reports a commit failure per file', async () => {
+    const batch = new DropboxUploadBatch();
+    await batch.add(streamOf('kept'), '/album/kept.jpg');
+    await batch.add(streamOf('lost'), '/album/lost.jpg');
+    // The session expired on Dropbox's side before the commit
+    services.dropbox.sessions.delete(batch.entries[1].cursor.session_id);
+
+    const results = await batch.commit();
+    assert.strictEqual(results[0].error, undefined);
+    assert.strictEqual(results[1].error, 'lookup_failed');
+    assert.ok(!services.dropbox.uploads.has('/album/lost.jpg'));
+  });
+
+  await t.test('does not commit once Dropbox has become unavailable', async () => {
+    const batch = new DropboxUploadBatch();
+    await batch.add(streamOf('late'), '/album/late.jpg');
+    dropboxAuth.breaker.open();
+    try {
+      await assert.rejects(batch.commit(), /skipped: degraded_mode/);
+      assert.strictEqual(services.dropbox.batchCommits, 0);
+    } finally {
+      dropboxAuth.exitDegradedMode();
+    }
+  });
+
+  await t.test('skips staging while Dropbox is degraded', async () => {
+    dropboxAuth.breaker.open();
+    try {
+      const batch = new DropboxUploadBatch();
+      const result = await batch.add(streamOf('x'), '/album/x.jpg');
+      assert.deepStrictEqual(result, { skipped: true, reason: 'degraded_mode' });
+      assert.deepStrictEqual(await batch.commit(), []);
+      assert.strictEqual(services.dropbox.sessionRequests.length, 0);
+    } finally {
+      dropboxAuth.exitDegradedMode();
+    }
+  });
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { startTestApp, uploadPhoto, postJson, waitFor } = require('./helpers');
+const { FakeFtpServer } = require('./fakes/ftp-server');
+const { FakeSftpServer } = require('./fakes/sftp-server');
+
+// `local` is listed but has no EXPORT_LOCAL_DIR
+const ENV = {
+  EXPORT_DESTINATIONS: 'dropbox,local',
+  PRINT_MAX_WAIT_MINUTES: '0.02',
+  PHOTO_POLL_INTERVAL_MINUTES: '0.005'
+};
+
+const source = content => ({ contentType: 'image/jpeg', createReadStream: () => Readable.from([Buffer.from(content)]) });
+const album = (albumNumber, fileName) => ({ folderName: '12_AB12CD', albumNumber, fileName });
+
+test('export destinations', async (t) => {
+  const ctx = await startTestApp(ENV);
+  ctx.startPrintQueue();
+  t.after(() => ctx.close());
+
+  const { LocalFolderDestination, SftpDestination, FtpDestination, GoogleDriveDestination } = require('../export-destinations');
+
+  await t.test('a misconfigured destination only fails its own exports', async () => {
+    for (const filename of ['1_100_photo1.jpg', '1_100_photo2.jpg']) {
+      await uploadPhoto(ctx.baseUrl, { address: '12_AB12CD', albumNumber: 1 }, { filename });
+    }
+    const { body } = await postJson(`${ctx.baseUrl}/notify-print`, { address: '12_AB12CD', photoCount: 8 });
+    await waitFor(() => ['done', 'needs_review', 'failed'].includes(ctx.printQueue.get(body.orderId).status), { timeout: 20000 });
+
+    const response = await fetch(`${ctx.baseUrl}/orders/${body.orderId}`, { headers: { Authorization: 'Bearer alice-token' } });
+    const { order } = await response.json();
+    assert.strictEqual(order.status, 'needs_review');
+    assert.strictEqual(order.reason, 'export_failed');
+    assert.deepStrictEqual(order.exports.dropbox.uploaded.sort(), ['1_100_photo1.jpg', '1_100_photo2.jpg']);
+    assert.deepStrictEqual(order.exports.local.failed.sort(), ['1_100_photo1.jpg', '1_100_photo2.jpg']);
+    assert.match(order.exports.local.error, /EXPORT_LOCAL_DIR is required/);
+    assert.strictEqual(ctx.dropbox.uploads.size, 2);
+  });
+
+  await t.test('local folder', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), '30clicks-export-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const local = new LocalFolderDestination({ dir });
+
+    await local.exportFile(source('one'), album(1, 'a.jpg'));
+    await local.exportFile(source('two'), album(2, 'b.jpg'));
+    assert.strictEqual(fs.readFileSync(path.join(dir, '12_AB12CD/album1/a.jpg'), 'utf8'), 'one');
+
+    await local.deleteExported({ folderName: '12_AB12CD', albumNumber: 1 });
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, '12_AB12CD')), ['album2']);
+    await local.deleteExported({ folderName: '12_AB12CD' });
+    await local.deleteExported({ folderName: '12_AB12CD' });
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  });
+
+  await t.test('SFTP', async () => {
+    const server = await new FakeSftpServer().start();
+    t.after(() => server.stop());
+    server.dirs.add('/prints');
+    const sftp = new SftpDestination({ host: server.host, port: server.port, username: 'lab', password: 'secret', root: '/prints' });
+
+    await sftp.exportFile(source('one'), album(1, 'a.jpg'));
+    await sftp.exportFile(source('two'), album(1, 'b.jpg'));
+    assert.strictEqual(server.files.get('/prints/12_AB12CD/album1/a.jpg').toString(), 'one');
+    // One connection for the whole album
+    assert.strictEqual(server.connections, 1);
+
+    // A failed upload drops the connection, so the next attempt reconnects
+    server.failNextWrites = 1;
+    await assert.rejects(sftp.exportFile(source('three'), album(2, 'c.jpg')));
+    await sftp.exportFile(source('three'), album(2, 'c.jpg'));
+    assert.strictEqual(server.connections, 2);
+    assert.strictEqual(server.files.get('/prints/12_AB12CD/album2/c.jpg').toString(), 'three');
+
+    await sftp.deleteExported({ folderName: '12_AB12CD', albumNumber: 1 });
+    assert.deepStrictEqual([...server.files.keys()], ['/prints/12_AB12CD/album2/c.jpg']);
+    await sftp.deleteExported({ folderName: '12_AB12CD' });
+    await sftp.deleteExported({ folderName: '12_AB12CD' });
+    assert.deepStrictEqual([...server.dirs], ['/', '/prints']);
+  });
+
+  await t.test('FTP', async () => {
+    const server = await new FakeFtpServer().start();
+    t.after(() => server.stop());
+    server.dirs.add('/prints');
+    const ftp = new FtpDestination({ host: server.host, port: server.port, user: 'lab', password: 'secret', root: '/prints' });
+
+    await ftp.exportFile(source('one'), album(1, 'a.jpg'));
+    await ftp.exportFile(source('two'), album(2, 'b.jpg'));
+    assert.strictEqual(server.files.get('/prints/12_AB12CD/album1/a.jpg').toString(), 'one');
+
+    server.failNextStores = 1;
+    await assert.rejects(ftp.exportFile(source('three'), album(2, 'c.jpg')), /451/);
+
+    await ftp.deleteExported({ folderName: '12_AB12CD', albumNumber: 1 });
+    assert.deepStrictEqual([...server.files.keys()], ['/prints/12_AB12CD/album2/b.jpg']);
+    await ftp.deleteExported({ folderName: '12_AB12CD' });
+    // Already gone
+    await ftp.deleteExported({ folderName: '12_AB12CD' });
+    assert.deepStrictEqual([...server.dirs], ['/', '/prints']);
+  });
+
+  await t.test('Google Drive', async () => {
+    const drive = new FakeDrive('root-folder');
+    const gdrive = new GoogleDriveDestination({ credentials: { client_email: 'lab@example.com' }, rootFolderId: 'root-folder' });
+    gdrive.drive = drive;
+
+    await gdrive.exportFile(source('one'), album(1, 'a.jpg'));
+    await gdrive.exportFile(source('two'), album(1, 'b.jpg'));
+    await gdrive.exportFile(source('three'), album(2, 'c.jpg'));
+    assert.deepStrictEqual(drive.paths().sort(), [
+      '12_AB12CD', '12_AB12CD/album1', '12_AB12CD/album1/a.jpg', '12_AB12CD/album1/b.jpg', '12_AB12CD/album2', '12_AB12CD/album2/c.jpg'
+    ]);
+    // Folders are looked up once and then cached
+    assert.strictEqual(drive.lists, 3);
+
+    await gdrive.deleteExported({ folderName: '12_AB12CD', albumNumber: 1 });
+    assert.deepStrictEqual(drive.paths().sort(), ['12_AB12CD', '12_AB12CD/album2', '12_AB12CD/album2/c.jpg']);
+
+    // The deleted album folder is made again rather than taken from the cache
+    await gdrive.exportFile(source('four'), album(1, 'd.jpg'));
+    assert.ok(drive.paths().includes('12_AB12CD/album1/d.jpg'));
+
+    await gdrive.deleteExported({ folderName: '12_AB12CD' });
+    await gdrive.deleteExported({ folderName: '12_AB12CD' });
+    assert.deepStrictEqual(drive.paths(), []);
+  });
+});
+
+// The subset of the Drive v3 files API the destination uses, in memory
+class FakeDrive {
+  constructor(rootFolderId) {
+    this.rootFolderId = rootFolderId;
+    this.items = new Map(); // id -> { name, parent, folder, content }
+    this.lists = 0;
+    this.nextId = 1;
+    this.files = {
+      list: async ({ q }) => {
+        this.lists++;
+        const [, name, parent] = q.match(/^name = '((?:[^'\\]|\\.)*)' and '([^']+)' in parents/);
+        const matches = [...this.items.entries()]
+          .filter(([, item]) => item.folder && item.parent === parent && item.name === name.replace(/\\(.)/g, '$1'));
+        return { data: { files: matches.map(([id]) => ({ id })) } };
+      },
+      create: async ({ requestBody, media }) => {
+        const id = `id${this.nextId++}`;
+        const content = media ? await streamText(media.body) : null;
+        this.items.set(id, { name: requestBody.name, parent: requestBody.parents[0], folder: !media, content });
+        return { data: { id } };
+      },
+      delete: async ({ fileId }) => {
+        const remove = id => {
+          this.items.delete(id);
+          [...this.items.entries()].filter(([, item]) => item.parent === id).forEach(([childId]) => remove(childId));
+        };
+        remove(fileId);
+        return { data: {} };
+      }
+    };
+  }
+
+  paths() {
+    const pathOf = item => item.parent === this.rootFolderId ? item.name : `${pathOf(this.items.get(item.parent))}/${item.name}`;
+    return [...this.items.values()].map(pathOf);
+  }
+}
+
+async function streamText(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString();
+}
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const http = require('http');
+
+// Local HTTP stand-in for api.dropboxapi.com and content.dropboxapi.com.
+// Point DROPBOX_API_URL, DROPBOX_CONTENT_URL and DROPBOX_WEB_URL at `server.url`.
+//
+// - GET  /oauth2/authorize   approves straight away: redirects back with a code
+// - POST /oauth2/token       authorization-code grant (checks the PKCE verifier)
+//                            and refresh-token grant, which fails while
+//                            `failTokenRefresh` is set
+// - POST /2/files/upload_session/start, /append_v2
+//                            collect a file's chunks, checking offsets
+// - POST /2/files/upload_session/finish_batch_v2
+//                            stores every closed session under its commit path
+// - POST /2/files/delete_v2  removes a file or everything under a folder path
+//                            (recorded in `deletions`), path_lookup/not_found
+//                            when there is nothing there
+//
+// `rateLimitNextUploads` answers that many content requests (upload session
+// calls) with too_many_write_operations first.
+
+class FakeDropboxServer {
+  constructor() {
+    this.uploads = new Map();
+    this.tokenRequests = 0;
+    this.failTokenRefresh = false;
+    this.rateLimitNextUploads = 0;
+    this.issuedTokens = [];
+    this.sessions = new Map();
+    this.sessionRequests = [];
+    this.batchCommits = 0;
+    this.deletions = [];
+    this.authorizations = new Map(); // code -> { codeChallenge, redirectUri }
+    this.refreshTokensUsed = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  reset() {
+    this.uploads.clear();
+    this.tokenRequests = 0;
+    this.failTokenRefresh = false;
+    this.rateLimitNextUploads = 0;
+    this.sessions.clear();
+    this.sessionRequests = [];
+    this.batchCommits = 0;
+    this.deletions = [];
+    this.authorizations.clear();
+    this.refreshTokensUsed = [];
+  }
+
+  async readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  async handle(req, res) {
+    const body = await this.readBody(req);
+
+    if (req.method === 'GET' && req.url.startsWith('/oauth2/authorize')) {
+      const query = new URL(req.url, this.url).searchParams;
+      const code = `code-${this.authorizations.size + 1}`;
+      this.authorizations.set(code, {
+        codeChallenge: query.get('code_challenge'),
+        redirectUri: query.get('redirect_uri')
+      });
+      const redirect = new URL(query.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', query.get('state'));
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (req.method === 'POST' && req.url === '/oauth2/token') {
+      this.tokenRequests++;
+      const params = new URLSearchParams(body.toString());
+      const token = `token-${this.tokenRequests}`;
+
+      if (params.get('grant_type') === 'authorization_code') {
+        const authorization = this.authorizations.get(params.get('code'));
+        this.authorizations.delete(params.get('code'));
+        const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+        if (!authorization || authorization.codeChallenge !== challenge || authorization.redirectUri !== params.get('redirect_uri')) {
+          return this.sendJson(res, 400, { error: 'invalid_grant' });
+        }
+        this.issuedTokens.push(token);
+        return this.sendJson(res, 200, {
+          access_token: token,
+          token_type: 'bearer',
+          expires_in: 14400,
+          refresh_token: `linked-refresh-${this.tokenRequests}`,
+          account_id: 'dbid:test-account'
+        });
+      }
+
+      if (this.failTokenRefresh || params.get('grant_type') !== 'refresh_token') {
+        return this.sendJson(res, 400, { error: 'invalid_grant' });
+      }
+      this.refreshTokensUsed.push(params.get('refresh_token'));
+      this.issuedTokens.push(token);
+      return this.sendJson(res, 200, { access_token: token, token_type: 'bearer', expires_in: 14400 });
+    }
+
+    if (req.method !== 'POST' || !req.url.startsWith('/2/files/')) {
+      return this.sendJson(res, 404, { error_summary: `not_found: ${req.method} ${req.url}` });
+    }
+
+    const token = (req.headers.authorization || '').replace('Bearer ', '');
+    if (!this.issuedTokens.includes(token)) {
+      return this.sendJson(res, 401, { error_summary: 'invalid_access_token/' });
+    }
+
+    if (req.url === '/2/files/upload_session/finish_batch_v2') {
+      this.batchCommits++;
+      const { entries } = JSON.parse(body.toString());
+      return this.sendJson(res, 200, { entries: entries.map(entry => this.finishSession(entry)) });
+    }
+
+    if (req.url === '/2/files/delete_v2') {
+      const { path: deletePath } = JSON.parse(body.toString());
+      const matches = [...this.uploads.keys()].filter(key => key === deletePath || key.startsWith(`${deletePath}/`));
+      if (matches.length === 0) {
+        return this.sendJson(res, 409, { error_summary: 'path_lookup/not_found/' });
+      }
+      for (const key of matches) this.uploads.delete(key);
+      this.deletions.push(deletePath);
+      return this.sendJson(res, 200, { metadata: { path_display: deletePath } });
+    }
+
+    if (this.rateLimitNextUploads > 0) {
+      this.rateLimitNextUploads--;
+      return this.sendJson(res, 429, {
+        error_summary: 'too_many_write_operations/',
+        error: { reason: { '.tag': 'too_many_write_operations' }, retry_after: 1 }
+      });
+    }
+
+    const arg = JSON.parse(req.headers['dropbox-api-arg']);
+
+    if (req.url === '/2/files/upload_session/start') {
+      const sessionId = `session-${this.sessionRequests.length + 1}`;
+      this.sessions.set(sessionId, { chunks: [body], offset: body.length, closed: Boolean(arg.close) });
+      this.sessionRequests.push({ endpoint: 'start', sessionId, size: body.length });
+      return this.sendJson(res, 200, { session_id: sessionId });
+    }
+
+    if (req.url === '/2/files/upload_session/append_v2') {
+      const { session_id: sessionId, offset } = arg.cursor;
+      const session = this.sessions.get(sessionId);
+      if (!session || session.closed) {
+        return this.sendJson(res, 409, { error_summary: session ? 'closed/' : 'not_found/' });
+      }
+      if (offset !== session.offset) {
+        return this.sendJson(res, 409, { error_summary: 'incorrect_offset/', error: { correct_offset: session.offset } });
+      }
+      session.chunks.push(body);
+      session.offset += body.length;
+      session.closed = Boolean(arg.close);
+      this.sessionRequests.push({ endpoint: 'append', sessionId, size: body.length });
+      return this.sendJson(res, 200, null);
+    }
+
+    this.sendJson(res, 404, { error_summary: `not_found: ${req.method} ${req.url}` });
+  }
+
+  finishSession({ cursor, commit }) {
+    const session = this.sessions.get(cursor.session_id);
+    if (!session) {
+      return { '.tag': 'failure', failure: { '.tag': 'lookup_failed' } };
+    }
+    if (!session.closed || cursor.offset !== session.offset) {
+      return { '.tag': 'failure', failure: { '.tag': session.closed ? 'incorrect_offset' : 'not_closed' } };
+    }
+
+    this.sessions.delete(cursor.session_id);
+    const content = Buffer.concat(session.chunks);
+    this.uploads.set(commit.path, content);
+    return { '.tag': 'success', ...this.metadata(commit.path, content) };
+  }
+
+  metadata(filePath, content) {
+    return { name: filePath.split('/').pop(), path_display: filePath, size: content.length };
+  }
+}
+
+module.exports = { FakeDropboxServer };
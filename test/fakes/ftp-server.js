@@ -0,0 +1,173 @@
+const net = require('net');
+const path = require('path');
+
+// Local FTP stand-in with an in-memory file system, enough for basic-ftp's
+// access(), ensureDir(), uploadFrom() and removeDir(): USER/PASS, PWD, CWD,
+// CDUP, MKD, RMD, DELE, EPSV, STOR and LIST. Point the FTP host and port at
+// `server.host` and `server.port`.
+//
+// `files` maps absolute paths to their contents and `dirs` holds the
+// directories. `failNextStores` answers that many uploads with a 451.
+
+class FakeFtpServer {
+  constructor({ user = 'lab', password = 'secret' } = {}) {
+    this.user = user;
+    this.password = password;
+    this.files = new Map();
+    this.dirs = new Set(['/']);
+    this.failNextStores = 0;
+    this.connections = 0;
+    this.sockets = new Set();
+    this.server = net.createServer(socket => this.handle(socket));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.host = '127.0.0.1';
+    this.port = this.server.address().port;
+    return this;
+  }
+
+  async stop() {
+    this.sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  children(dir) {
+    const prefix = dir === '/' ? '/' : `${dir}/`;
+    const isChild = name => name.startsWith(prefix) && name !== dir && !name.slice(prefix.length).includes('/');
+    return {
+      dirs: [...this.dirs].filter(isChild),
+      files: [...this.files.keys()].filter(isChild)
+    };
+  }
+
+  handle(socket) {
+    this.connections++;
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => {});
+
+    const session = { cwd: '/', user: null, loggedIn: false, dataSocket: null };
+    const reply = (code, message) => socket.write(`${code} ${message}\r\n`);
+    const resolve = target => path.posix.resolve(session.cwd, target || '.');
+    let buffer = '';
+    let queue = Promise.resolve();
+
+    reply(220, 'fake-ftp ready');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let newline;
+      while ((newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        // Commands are answered in order, transfers included
+        queue = queue.then(() => this.command(session, line, reply, resolve));
+      }
+    });
+  }
+
+  async command(session, line, reply, resolve) {
+    const space = line.indexOf(' ');
+    const command = (space === -1 ? line : line.slice(0, space)).toUpperCase();
+    const arg = space === -1 ? '' : line.slice(space + 1);
+
+    if (command === 'USER') {
+      session.user = arg;
+      return reply(331, 'Password required');
+    }
+    if (command === 'PASS') {
+      session.loggedIn = session.user === this.user && arg === this.password;
+      return session.loggedIn ? reply(230, 'Logged in') : reply(530, 'Login incorrect');
+    }
+    if (!session.loggedIn) {
+      return reply(530, 'Not logged in');
+    }
+
+    switch (command) {
+      case 'FEAT':
+        return reply(211, 'End');
+      case 'TYPE':
+        return reply(200, 'OK');
+      case 'PWD':
+        return reply(257, `"${session.cwd}"`);
+      case 'CWD': {
+        const dir = resolve(arg);
+        if (!this.dirs.has(dir)) return reply(550, 'No such directory');
+        session.cwd = dir;
+        return reply(250, 'OK');
+      }
+      case 'CDUP':
+        session.cwd = path.posix.dirname(session.cwd);
+        return reply(250, 'OK');
+      case 'MKD': {
+        const dir = resolve(arg);
+        if (this.dirs.has(dir) || !this.dirs.has(path.posix.dirname(dir))) return reply(550, 'Cannot create directory');
+        this.dirs.add(dir);
+        return reply(257, `"${dir}" created`);
+      }
+      case 'RMD': {
+        const dir = resolve(arg);
+        const { dirs, files } = this.children(dir);
+        if (!this.dirs.has(dir) || dirs.length > 0 || files.length > 0) return reply(550, 'Cannot remove directory');
+        this.dirs.delete(dir);
+        return reply(250, 'OK');
+      }
+      case 'DELE':
+        return this.files.delete(resolve(arg)) ? reply(250, 'OK') : reply(550, 'No such file');
+      case 'EPSV':
+        return reply(229, `Entering Extended Passive Mode (|||${await this.openDataPort(session)}|)`);
+      case 'STOR':
+        return this.store(session, resolve(arg), reply);
+      case 'LIST':
+        return this.list(session, reply);
+      case 'QUIT':
+        return reply(221, 'Bye');
+      default:
+        return reply(502, 'Command not implemented');
+    }
+  }
+
+  // Listen for the data connection of the next transfer
+  async openDataPort(session) {
+    const server = net.createServer();
+    session.dataSocket = new Promise(resolve => server.once('connection', socket => {
+      server.close();
+      resolve(socket);
+    }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server.address().port;
+  }
+
+  async store(session, filePath, reply) {
+    const socket = await session.dataSocket;
+    session.dataSocket = null;
+    if (this.failNextStores > 0 || !this.dirs.has(path.posix.dirname(filePath))) {
+      if (this.failNextStores > 0) this.failNextStores--;
+      socket.destroy();
+      return reply(451, 'Upload failed');
+    }
+
+    reply(150, 'Ready');
+    const chunks = [];
+    for await (const chunk of socket) chunks.push(chunk);
+    this.files.set(filePath, Buffer.concat(chunks));
+    reply(226, 'Transfer complete');
+  }
+
+  async list(session, reply) {
+    const socket = await session.dataSocket;
+    session.dataSocket = null;
+    const { dirs, files } = this.children(session.cwd);
+    const entry = (type, name, size) => `${type}rw-r--r-- 1 ftp ftp ${size} Jan 01 00:00 ${path.posix.basename(name)}\r\n`;
+
+    reply(150, 'Here comes the listing');
+    await new Promise(resolve => socket.end(
+      [...dirs.map(dir => entry('d', dir, 0)), ...files.map(file => entry('-', file, this.files.get(file).length))].join(''),
+      resolve
+    ));
+    reply(226, 'Listing sent');
+  }
+}
+
+module.exports = { FakeFtpServer };
@@ -0,0 +1,109 @@
+const { PassThrough, Readable, Writable } = require('stream');
+
+// In-memory stand-in for the Firebase Storage bucket, covering the same
+// Bucket/File API subset as local-storage.js. Objects only appear once their
+// write stream has finished, like the real thing.
+
+class MemoryFile {
+  constructor(bucket, name) {
+    this.bucket = bucket;
+    this.name = name;
+  }
+
+  get object() {
+    return this.bucket.objects.get(this.name);
+  }
+
+  notFound() {
+    const error = new Error(`No such object: ${this.bucket.name}/${this.name}`);
+    error.code = 404;
+    return error;
+  }
+
+  createWriteStream(options = {}) {
+    const chunks = [];
+    return new Writable({
+      write: (chunk, encoding, callback) => {
+        chunks.push(Buffer.from(chunk));
+        callback();
+      },
+      final: callback => {
+        this.bucket.objects.set(this.name, {
+          buffer: Buffer.concat(chunks),
+          contentType: options.metadata?.contentType || 'application/octet-stream',
+          updated: new Date().toISOString()
+        });
+        callback();
+      }
+    });
+  }
+
+  createReadStream() {
+    if (!this.object) {
+      const stream = new PassThrough();
+      process.nextTick(() => stream.destroy(this.notFound()));
+      return stream;
+    }
+    return Readable.from([this.object.buffer]);
+  }
+
+  async download() {
+    if (!this.object) throw this.notFound();
+    return [Buffer.from(this.object.buffer)];
+  }
+
+  async exists() {
+    return [Boolean(this.object)];
+  }
+
+  async getMetadata() {
+    if (!this.object) throw this.notFound();
+    return [{
+      name: this.name,
+      bucket: this.bucket.name,
+      size: String(this.object.buffer.length),
+      contentType: this.object.contentType,
+      updated: this.object.updated
+    }];
+  }
+
+  async copy(destination) {
+    if (!this.object) throw this.notFound();
+    const target = typeof destination === 'string' ? this.bucket.file(destination) : destination;
+    this.bucket.objects.set(target.name, { ...this.object, buffer: Buffer.from(this.object.buffer) });
+    return [target];
+  }
+
+  async delete() {
+    if (!this.bucket.objects.delete(this.name)) throw this.notFound();
+    return [{}];
+  }
+
+  async getSignedUrl({ expires }) {
+    return [`https://storage.test/${this.bucket.name}/${encodeURI(this.name)}?expires=${new Date(expires).getTime()}`];
+  }
+}
+
+class MemoryBucket {
+  constructor(name = 'test-bucket') {
+    this.name = name;
+    this.objects = new Map();
+  }
+
+  file(name) {
+    return new MemoryFile(this, name);
+  }
+
+  async getFiles(options = {}) {
+    const prefix = options.prefix || '';
+    const names = [...this.objects.keys()].filter(name => name.startsWith(prefix)).sort();
+    return [names.map(name => this.file(name))];
+  }
+
+  // Test helper: put an object straight into the bucket
+  put(name, content, contentType = 'image/jpeg') {
+    this.objects.set(name, { buffer: Buffer.from(content), contentType, updated: new Date().toISOString() });
+  }
+}
+
+module.exports = { MemoryBucket, MemoryFile };
@@ -0,0 +1,175 @@
+const path = require('path');
+const { Server, utils } = require('ssh2');
+
+const { STATUS_CODE, OPEN_MODE } = utils.sftp;
+const DIR_MODE = 0o040755;
+const FILE_MODE = 0o100644;
+
+// Local SFTP stand-in (an ssh2 server) with an in-memory file system, enough
+// for ssh2-sftp-client's mkdir(), put(), exists() and rmdir(). Password
+// authentication only; point the SFTP host and port at `server.host` and
+// `server.port`.
+//
+// `files` maps absolute paths to their contents and `dirs` holds the
+// directories. `failNextWrites` answers that many file opens with a failure.
+
+class FakeSftpServer {
+  constructor({ username = 'lab', password = 'secret' } = {}) {
+    this.username = username;
+    this.password = password;
+    this.files = new Map();
+    this.dirs = new Set(['/']);
+    this.failNextWrites = 0;
+    this.connections = 0;
+    this.clients = new Set();
+    const hostKey = utils.generateKeyPairSync('ed25519').private;
+    this.server = new Server({ hostKeys: [hostKey] }, client => this.handle(client));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.host = '127.0.0.1';
+    this.port = this.server.address().port;
+    return this;
+  }
+
+  async stop() {
+    this.clients.forEach(client => client.end());
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  // Drop every open connection, as a server restart would
+  disconnectAll() {
+    this.clients.forEach(client => client.end());
+  }
+
+  handle(client) {
+    this.connections++;
+    this.clients.add(client);
+    client.on('close', () => this.clients.delete(client));
+    client.on('error', () => {});
+
+    client.on('authentication', ctx => {
+      if (ctx.method === 'password' && ctx.username === this.username && ctx.password === this.password) {
+        ctx.accept();
+      } else {
+        ctx.reject(['password']);
+      }
+    });
+
+    client.on('ready', () => {
+      client.on('session', accept => {
+        accept().on('sftp', acceptSftp => this.serve(acceptSftp()));
+      });
+    });
+  }
+
+  attrs(name) {
+    const file = this.files.get(name);
+    const now = Math.floor(Date.now() / 1000);
+    return { mode: file ? FILE_MODE : DIR_MODE, uid: 0, gid: 0, size: file ? file.length : 0, atime: now, mtime: now };
+  }
+
+  entries(dir) {
+    const isChild = name => name !== dir && path.posix.dirname(name) === dir;
+    return [...this.dirs, ...this.files.keys()].filter(isChild).map(name => ({
+      filename: path.posix.basename(name),
+      longname: `${this.files.has(name) ? '-' : 'd'}rw-r--r-- 1 lab lab ${this.attrs(name).size} Jan 1 00:00 ${path.posix.basename(name)}`,
+      attrs: this.attrs(name)
+    }));
+  }
+
+  serve(sftp) {
+    const handles = new Map();
+    let nextHandle = 0;
+    const openHandle = (reqid, value) => {
+      const handle = Buffer.alloc(4);
+      handle.writeUInt32BE(nextHandle++);
+      handles.set(handle.toString('hex'), value);
+      sftp.handle(reqid, handle);
+    };
+    const resolve = name => path.posix.resolve('/', name);
+    const exists = name => this.dirs.has(name) || this.files.has(name);
+
+    sftp.on('REALPATH', (reqid, name) => {
+      const resolved = resolve(name);
+      sftp.name(reqid, [{ filename: resolved, longname: resolved, attrs: {} }]);
+    });
+
+    const stat = (reqid, name) => {
+      const resolved = resolve(name);
+      if (!exists(resolved)) return sftp.status(reqid, STATUS_CODE.NO_SUCH_FILE);
+      sftp.attrs(reqid, this.attrs(resolved));
+    };
+    sftp.on('STAT', stat);
+    sftp.on('LSTAT', stat);
+    sftp.on('SETSTAT', reqid => sftp.status(reqid, STATUS_CODE.OK));
+    sftp.on('FSETSTAT', reqid => sftp.status(reqid, STATUS_CODE.OK));
+
+    sftp.on('MKDIR', (reqid, name) => {
+      const dir = resolve(name);
+      if (exists(dir) || !this.dirs.has(path.posix.dirname(dir))) return sftp.status(reqid, STATUS_CODE.FAILURE);
+      this.dirs.add(dir);
+      sftp.status(reqid, STATUS_CODE.OK);
+    });
+
+    sftp.on('RMDIR', (reqid, name) => {
+      const dir = resolve(name);
+      if (!this.dirs.has(dir)) return sftp.status(reqid, STATUS_CODE.NO_SUCH_FILE);
+      if (this.entries(dir).length > 0) return sftp.status(reqid, STATUS_CODE.FAILURE);
+      this.dirs.delete(dir);
+      sftp.status(reqid, STATUS_CODE.OK);
+    });
+
+    sftp.on('REMOVE', (reqid, name) => {
+      sftp.status(reqid, this.files.delete(resolve(name)) ? STATUS_CODE.OK : STATUS_CODE.NO_SUCH_FILE);
+    });
+
+    sftp.on('OPEN', (reqid, name, flags) => {
+      const filePath = resolve(name);
+      if (!(flags & OPEN_MODE.WRITE)) return sftp.status(reqid, STATUS_CODE.OP_UNSUPPORTED);
+      if (this.failNextWrites > 0) {
+        this.failNextWrites--;
+        return sftp.status(reqid, STATUS_CODE.FAILURE);
+      }
+      if (!this.dirs.has(path.posix.dirname(filePath))) return sftp.status(reqid, STATUS_CODE.NO_SUCH_FILE);
+      openHandle(reqid, { filePath, chunks: [] });
+    });
+
+    sftp.on('WRITE', (reqid, handle, offset, data) => {
+      const file = handles.get(handle.toString('hex'));
+      if (!file) return sftp.status(reqid, STATUS_CODE.FAILURE);
+      file.chunks.push({ offset, data: Buffer.from(data) });
+      sftp.status(reqid, STATUS_CODE.OK);
+    });
+
+    sftp.on('OPENDIR', (reqid, name) => {
+      const dir = resolve(name);
+      if (!this.dirs.has(dir)) return sftp.status(reqid, STATUS_CODE.NO_SUCH_FILE);
+      openHandle(reqid, { dir, listed: false });
+    });
+
+    sftp.on('READDIR', (reqid, handle) => {
+      const listing = handles.get(handle.toString('hex'));
+      if (!listing || listing.listed) return sftp.status(reqid, STATUS_CODE.EOF);
+      listing.listed = true;
+      const entries = this.entries(listing.dir);
+      return entries.length > 0 ? sftp.name(reqid, entries) : sftp.status(reqid, STATUS_CODE.EOF);
+    });
+
+    sftp.on('CLOSE', (reqid, handle) => {
+      const key = handle.toString('hex');
+      const file = handles.get(key);
+      handles.delete(key);
+      if (file && file.filePath) {
+        const size = Math.max(0, ...file.chunks.map(chunk => chunk.offset + chunk.data.length));
+        const content = Buffer.alloc(size);
+        file.chunks.forEach(chunk => chunk.data.copy(content, chunk.offset));
+        this.files.set(file.filePath, content);
+      }
+      sftp.status(reqid, STATUS_CODE.OK);
+    });
+  }
+}
+
+module.exports = { FakeSftpServer };
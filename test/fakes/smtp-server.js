@@ -0,0 +1,76 @@
+const net = require('net');
+
+// Local SMTP stand-in that accepts every message. Point SMTP_HOST and
+// SMTP_PORT at `server.host` and `server.port`. Received messages are kept
+// in `messages` as { from, to: [..], data } with `data` the raw message
+// (headers and body). No TLS or AUTH is offered.
+
+class FakeSmtpServer {
+  constructor() {
+    this.messages = [];
+    this.server = net.createServer(socket => this.handle(socket));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.host = '127.0.0.1';
+    this.port = this.server.address().port;
+    return this;
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  handle(socket) {
+    let buffer = '';
+    let message = null;
+    let readingData = false;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 fake-smtp ready');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      for (;;) {
+        if (readingData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          message.data = buffer.slice(0, end).replace(/^\.\./gm, '.');
+          this.messages.push(message);
+          buffer = buffer.slice(end + 5);
+          readingData = false;
+          reply('250 OK: queued');
+          continue;
+        }
+
+        const newline = buffer.indexOf('\r\n');
+        if (newline === -1) return;
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 fake-smtp');
+        } else if (command === 'MAIL') {
+          message = { from: line.match(/<(.*)>/)?.[1], to: [], data: '' };
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          message.to.push(line.match(/<(.*)>/)?.[1]);
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          readingData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  }
+}
+
+module.exports = { FakeSmtpServer };
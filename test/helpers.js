@@ -0,0 +1,194 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const zlib = require('zlib');
+const { MemoryBucket } = require('./fakes/memory-bucket');
+const { FakeDropboxServer } = require('./fakes/dropbox-server');
+
+// Shared setup for the integration tests. node --test runs every test file in
+// its own process, so each file gets a fresh app, bucket and data directory.
+
+// The test runner reads results from each file's stdout, and on Node 20 the
+// app's chatty console.log output can corrupt that stream. App logs are
+// dropped unless TEST_LOGS=1, which sends them to stderr instead.
+console.log = console.info = process.env.TEST_LOGS ? console.error : () => {};
+
+const TEST_USERS = {
+  'alice-token': { uid: 'alice', email: 'alice@example.com', email_verified: true },
+  'bob-token': { uid: 'bob', email: 'bob@example.com', email_verified: true }
+};
+
+// Point the app's dependencies at test doubles: a fake Dropbox server, an
+// in-memory bucket, fake ID tokens and a temporary data directory. `env`
+// overrides the test defaults; call this before any app module is loaded.
+async function setupTestServices(env = {}) {
+  const dropbox = await new FakeDropboxServer().start();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), '30clicks-test-'));
+
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    DATABASE_BACKEND: 'local',
+    DROPBOX_API_URL: dropbox.url,
+    DROPBOX_CONTENT_URL: dropbox.url,
+    DROPBOX_WEB_URL: dropbox.url,
+    DROPBOX_TOKEN: '',
+    DROPBOX_REFRESH_TOKEN: 'test-refresh-token',
+    DROPBOX_APP_KEY: 'test-key',
+    DROPBOX_APP_SECRET: 'test-secret',
+    EXPORT_DESTINATIONS: 'dropbox',
+    PRINT_PROCESSING: 'false',
+    PRINT_CONTACT_SHEET: 'false',
+    // Quick retries; Retry-After delays from the fake Dropbox still apply
+    RETRY_BASE_DELAY_MS: '10',
+    RETRY_MAX_DELAY_MS: '50',
+    ...env
+  });
+
+  const bucket = new MemoryBucket();
+  require('../storage').setBucket(bucket);
+  require('../auth').setTokenVerifier(async idToken => {
+    if (!TEST_USERS[idToken]) {
+      const error = new Error('Decoding Firebase ID token failed');
+      error.code = 'auth/argument-error';
+      throw error;
+    }
+    return TEST_USERS[idToken];
+  });
+
+  return {
+    bucket,
+    dropbox,
+    async cleanup() {
+      await dropbox.stop();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Start the app on a random port on top of setupTestServices
+async function startTestApp(env = {}) {
+  const services = await setupTestServices(env);
+  const { app, printQueue } = require('../app');
+  const { processPrintJob } = require('../print-worker');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    bucket: services.bucket,
+    dropbox: services.dropbox,
+    printQueue,
+    startPrintQueue: () => printQueue.start(processPrintJob),
+    async close() {
+      await printQueue.shutdown(2000);
+      server.closeAllConnections(); // event streams stay open otherwise
+      await new Promise(resolve => server.close(resolve));
+      await services.cleanup();
+    }
+  };
+}
+
+function authHeaders(token = 'alice-token') {
+  return { Authorization: `Bearer ${token}` };
+}
+
+// A real JPEG, since uploads are decoded and checked. Photos with different
+// labels have different bytes (the label goes in the EXIF description).
+async function testPhoto(label = 'photo', { width = 1800, height = 1200, format = 'jpeg' } = {}) {
+  return sharp({ create: { width, height, channels: 3, background: { r: 200, g: 120, b: 80 } } })
+    .withExif({ IFD0: { ImageDescription: label } })
+    .toFormat(format)
+    .toBuffer();
+}
+
+// POST a photo to /upload the way the app does (multipart `image` field).
+// `content` defaults to a test photo labelled with the filename.
+async function uploadPhoto(baseUrl, query, { filename = 'photo.jpg', content, token } = {}) {
+  const form = new FormData();
+  form.append('image', new Blob([content || await testPhoto(filename)], { type: 'image/jpeg' }), filename);
+  const response = await fetch(`${baseUrl}/upload?${new URLSearchParams(query)}`, {
+    method: 'POST',
+    headers: authHeaders(token),
+    body: form
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function postJson(url, body, token) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders(token) },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Poll until `check` returns something truthy
+async function waitFor(check, { timeout = 15000, interval = 50 } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+  throw new Error(`Condition not met within ${timeout}ms`);
+}
+
+// Entries of a zip file, read from its central directory:
+// [{ name, method, compressedSize, offset }]
+function readZipDirectory(buffer) {
+  const endOfCentralDirectory = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOfCentralDirectory === -1) {
+    throw new Error('Not a zip file');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOfCentralDirectory + 10);
+  let offset = buffer.readUInt32LE(endOfCentralDirectory + 16);
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    entries.push({
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      offset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// Names of the entries in a zip file
+function listZipEntries(buffer) {
+  return readZipDirectory(buffer).map(entry => entry.name);
+}
+
+// Contents of one zip entry (stored or deflated)
+function readZipEntry(buffer, name) {
+  const entry = readZipDirectory(buffer).find(candidate => candidate.name === name);
+  if (!entry) {
+    throw new Error(`No ${name} in the zip`);
+  }
+  const dataStart = entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+  return entry.method === 8 ? zlib.inflateRawSync(data) : data;
+}
+
+module.exports = {
+  TEST_USERS,
+  setupTestServices,
+  startTestApp,
+  authHeaders,
+  testPhoto,
+  uploadPhoto,
+  postJson,
+  waitFor,
+  readZipDirectory,
+  listZipEntries,
+  readZipEntry
+};
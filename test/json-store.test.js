@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers'); // quiet logs
+const { JsonStore } = require('../json-store');
+
+test('JsonStore', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), '30clicks-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'jobs.json');
+
+  await t.test('keeps its data across restarts', () => {
+    const store = new JsonStore(filePath, { jobs: {} });
+    store.data.jobs.a = { id: 'a' };
+    store.save();
+    assert.deepStrictEqual(new JsonStore(filePath, { jobs: {} }).data.jobs, { a: { id: 'a' } });
+  });
+
+  await t.test('moves a corrupt file aside instead of overwriting it', () => {
+    fs.writeFileSync(filePath, '{"jobs": {"a": ');
+    const store = new JsonStore(filePath, { jobs: {} });
+    assert.deepStrictEqual(store.data, { jobs: {} });
+
+    const [corrupt] = fs.readdirSync(dir).filter(name => name.startsWith('jobs.json.corrupt-'));
+    assert.ok(corrupt);
+    assert.strictEqual(fs.readFileSync(path.join(dir, corrupt), 'utf8'), '{"jobs": {"a": ');
+
+    store.save();
+    assert.strictEqual(fs.readFileSync(path.join(dir, corrupt), 'utf8'), '{"jobs": {"a": ');
+  });
+});
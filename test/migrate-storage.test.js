@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), '30clicks-migrate-'));
+process.env.DATA_DIR = dataDir;
+process.env.RETRY_BASE_DELAY_MS = '10';
+process.env.RETRY_MAX_DELAY_MS = '40';
+require('./helpers'); // quiet logs
+const { LocalBucket } = require('../local-storage');
+const { MemoryBucket } = require('./fakes/memory-bucket');
+// auth.js takes the configured bucket when it loads; the tests pass their own
+require('../storage').setBucket(new MemoryBucket());
+const { planMigration, applyMigration, rollback } = require('../migrate-storage');
+const { folderOwners } = require('../auth');
+const { albumManifests } = require('../album-manifest');
+
+const LEGACY = {
+  '12_High_Street_AB12CD/album1_photo1.jpg': 'one',
+  '12_High_Street_AB12CD/album2_photo2.jpg': 'two',
+  '34_Low_Road_CD3_4EF/photo3.jpg': 'three',
+  '56_EF56GH/album1/1_100_photo4.jpg': 'four'
+};
+
+async function seed(bucket) {
+  for (const [name, content] of Object.entries(LEGACY)) {
+    await new Promise((resolve, reject) => {
+      bucket.file(name).createWriteStream({ metadata: { contentType: 'image/jpeg' } })
+        .on('finish', resolve)
+        .on('error', reject)
+        .end(content);
+    });
+  }
+}
+
+// Every object in the bucket with its content
+async function contents(bucket) {
+  const [files] = await bucket.getFiles();
+  const result = {};
+  for (const file of files) {
+    result[file.name] = (await file.download())[0].toString();
+  }
+  return result;
+}
+
+async function plan(bucket) {
+  const [files] = await bucket.getFiles();
+  return planMigration(files.map(file => file.name));
+}
+
+// Replace one method of the File objects the bucket hands out for `name`
+function breakFile(bucket, name, method, replacement) {
+  const file = bucket.file.bind(bucket);
+  bucket.file = fileName => {
+    const handle = file(fileName);
+    if (fileName === name) {
+      const original = handle[method].bind(handle);
+      handle[method] = (...args) => replacement(original, ...args);
+    }
+    return handle;
+  };
+  return () => delete bucket.file;
+}
+
+const backends = {
+  MemoryBucket: () => new MemoryBucket(),
+  LocalBucket: () => new LocalBucket(fs.mkdtempSync(path.join(dataDir, 'bucket-')))
+};
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+for (const [backend, createBucket] of Object.entries(backends)) {
+  test(`migrate-storage on ${backend}`, async (t) => {
+    await t.test('moves legacy folders into the current layout and rolls back', async () => {
+      const bucket = createBucket();
+      await seed(bucket);
+
+      const result = await applyMigration(bucket, await plan(bucket), { deleteSource: true });
+      assert.strictEqual(result.migrated, 3);
+      assert.deepStrictEqual(await contents(bucket), {
+        '12_AB12CD/album1/album1_photo1.jpg': 'one',
+        '12_AB12CD/album2/album2_photo2.jpg': 'two',
+        '34_CD34EF/album1/photo3.jpg': 'three',
+        '56_EF56GH/album1/1_100_photo4.jpg': 'four'
+      });
+
+      assert.strictEqual((await rollback(bucket, result.logPath)).restored, 3);
+      assert.deepStrictEqual(await contents(bucket), LEGACY);
+    });
+
+    await t.test('carries folder owners and album manifests over to the new folders and back', async (t) => {
+      const bucket = createBucket();
+      await seed(bucket);
+      const owner = uid => ({ uid, email: `${uid}@example.com`, claimedAt: '2026-01-01T00:00:00.000Z' });
+      folderOwners.setOwner('12_High_Street_AB12CD', owner('alice'));
+      folderOwners.setOwner('34_Low_Road_CD3_4EF', owner('carol'));
+      folderOwners.setOwner('34_CD34EF', owner('bob')); // already taken under the new name
+      albumManifests.recordPhoto('12_High_Street_AB12CD', 2, { photoId: '2_100_photo2', path: '12_High_Street_AB12CD/album2_photo2.jpg' });
+      t.after(() => {
+        ['12_High_Street_AB12CD', '34_Low_Road_CD3_4EF', '34_CD34EF', '12_AB12CD'].forEach(folderName => folderOwners.setOwner(folderName, null));
+        ['12_High_Street_AB12CD', '12_AB12CD'].forEach(folderName => albumManifests.removeFolder(folderName));
+      });
+
+      const result = await applyMigration(bucket, await plan(bucket), { deleteSource: true });
+      assert.deepStrictEqual(folderOwners.get('12_AB12CD'), owner('alice'));
+      assert.strictEqual(folderOwners.get('34_CD34EF').uid, 'bob');
+      assert.deepStrictEqual(result.records.conflicts.map(conflict => [conflict.type, conflict.from]), [['owner', '34_Low_Road_CD3_4EF']]);
+      assert.strictEqual(albumManifests.get('12_High_Street_AB12CD/album2'), null);
+      const manifest = albumManifests.get('12_AB12CD/album2');
+      assert.strictEqual(manifest.folderName, '12_AB12CD');
+      assert.strictEqual(manifest.photos['2_100_photo2'].path, '12_AB12CD/album2/album2_photo2.jpg');
+
+      await rollback(bucket, result.logPath);
+      assert.strictEqual(folderOwners.get('12_AB12CD'), null);
+      assert.strictEqual(folderOwners.get('34_CD34EF').uid, 'bob');
+      assert.strictEqual(albumManifests.get('12_AB12CD/album2'), null);
+      assert.strictEqual(albumManifests.get('12_High_Street_AB12CD/album2').photos['2_100_photo2'].path, '12_High_Street_AB12CD/album2_photo2.jpg');
+    });
+
+    await t.test('retries a storage call that fails for a moment', async () => {
+      const bucket = createBucket();
+      await seed(bucket);
+      let failures = 1;
+      const restore = breakFile(bucket, '34_Low_Road_CD3_4EF/photo3.jpg', 'copy', async (copy, target) => {
+        if (failures-- > 0) throw Object.assign(new Error('Service unavailable'), { code: 503 });
+        return copy(target);
+      });
+
+      try {
+        assert.strictEqual((await applyMigration(bucket, await plan(bucket), { deleteSource: true })).migrated, 3);
+      } finally {
+        restore();
+      }
+      assert.strictEqual((await contents(bucket))['34_CD34EF/album1/photo3.jpg'], 'three');
+    });
+
+    await t.test('keeps the source of a copy that does not match it', async () => {
+      const bucket = createBucket();
+      await seed(bucket);
+      const restore = breakFile(bucket, '34_Low_Road_CD3_4EF/photo3.jpg', 'copy', async (copy, target) => {
+        await copy(target);
+        await new Promise(resolve => bucket.file(target).createWriteStream().on('finish', resolve).end('thr')); // truncated
+      });
+
+      try {
+        await assert.rejects(applyMigration(bucket, await plan(bucket), { deleteSource: true }), /does not match/);
+      } finally {
+        restore();
+      }
+      assert.strictEqual((await contents(bucket))['34_Low_Road_CD3_4EF/photo3.jpg'], 'three');
+    });
+
+    await t.test('rolls back a run that was interrupted part way', async () => {
+      const bucket = createBucket();
+      await seed(bucket);
+      const restore = breakFile(bucket, '12_High_Street_AB12CD/album2_photo2.jpg', 'delete', async () => {
+        throw Object.assign(new Error('Connection reset'), { retryable: false });
+      });
+
+      let logPath;
+      try {
+        await assert.rejects(applyMigration(bucket, await plan(bucket), { deleteSource: true }), error => {
+          logPath = error.logPath;
+          return /Connection reset/.test(error.message);
+        });
+      } finally {
+        restore();
+      }
+
+      // The first file moved, the second was copied but its source is still there
+      const log = JSON.parse(fs.readFileSync(logPath, 'utf8'));
+      assert.strictEqual(log.finishedAt, undefined);
+      assert.deepStrictEqual(log.entries.map(entry => [entry.copied, entry.sourceDeleted]), [[true, true], [true, false]]);
+
+      assert.strictEqual((await rollback(bucket, logPath)).restored, 2);
+      assert.deepStrictEqual(await contents(bucket), LEGACY);
+    });
+  });
+}
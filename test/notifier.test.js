@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startTestApp, uploadPhoto, postJson, waitFor } = require('./helpers');
+const { FakeSmtpServer } = require('./fakes/smtp-server');
+
+// Admin alerts go to a local SMTP server and an HTTP listener standing in for
+// the JSON and Slack webhooks
+async function startAlertReceiver() {
+  const received = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    received.push({ url: req.url, body: JSON.parse(Buffer.concat(chunks).toString()) });
+    res.writeHead(200).end('ok');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    received,
+    url: `http://127.0.0.1:${server.address().port}`,
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('admin alerts', async (t) => {
+  const smtp = await new FakeSmtpServer().start();
+  const receiver = await startAlertReceiver();
+  const ctx = await startTestApp({
+    PRINT_MAX_WAIT_MINUTES: '0.02',
+    PHOTO_POLL_INTERVAL_MINUTES: '0.005',
+    SMTP_HOST: smtp.host,
+    SMTP_PORT: String(smtp.port),
+    ALERT_EMAIL_FROM: 'alerts@example.com',
+    ALERT_EMAIL_TO: 'lab@example.com',
+    ALERT_WEBHOOK_URL: `${receiver.url}/webhook`,
+    ALERT_SLACK_WEBHOOK_URL: `${receiver.url}/slack`
+  });
+  ctx.startPrintQueue();
+  t.after(async () => {
+    await ctx.close();
+    await receiver.stop();
+    await smtp.stop();
+  });
+
+  const printAlbum = async (address, filenames) => {
+    for (const filename of filenames) {
+      await uploadPhoto(ctx.baseUrl, { address, albumNumber: 1 }, { filename });
+    }
+    const { body } = await postJson(`${ctx.baseUrl}/notify-print`, { address, photoCount: 8 });
+    await waitFor(() => ['done', 'needs_review'].includes(ctx.printQueue.get(body.orderId).status), { timeout: 20000 });
+    return ctx.printQueue.get(body.orderId);
+  };
+
+  await t.test('sends nothing for a completed order', async () => {
+    const order = await printAlbum('12_AB12CD', ['1_100_photo1.jpg', '1_100_photo2.jpg']);
+    assert.strictEqual(order.status, 'done');
+    assert.deepStrictEqual(receiver.received, []);
+    assert.deepStrictEqual(smtp.messages, []);
+  });
+
+  let reviewed;
+  await t.test('alerts every channel once for an order sent to review', async () => {
+    const order = reviewed = await printAlbum('34_CD34EF', ['1_300_photo1.jpg']);
+    assert.strictEqual(order.status, 'needs_review');
+    await waitFor(() => receiver.received.length === 2 && smtp.messages.length === 1);
+
+    const webhook = receiver.received.find(request => request.url === '/webhook').body;
+    assert.strictEqual(webhook.key, `manual-review:${order.id}`);
+    assert.strictEqual(webhook.subject, 'Incomplete order needs manual review: 34_CD34EF');
+    assert.strictEqual(webhook.details.orderId, order.id);
+    assert.strictEqual(webhook.details.photosFound, 1);
+    assert.strictEqual(webhook.details.photosExpected, 2);
+    assert.ok(webhook.timestamp);
+
+    const slack = receiver.received.find(request => request.url === '/slack').body;
+    assert.match(slack.text, /^🚨 \*Incomplete order needs manual review: 34_CD34EF\*/);
+    assert.match(slack.text, /Suggested actions:/);
+
+    const [email] = smtp.messages;
+    assert.strictEqual(email.from, 'alerts@example.com');
+    assert.deepStrictEqual(email.to, ['lab@example.com']);
+    assert.match(email.data, /Subject: \[30 Clicks\] Incomplete order needs manual review: 34_CD34EF/);
+    assert.match(email.data, new RegExp(order.id));
+  });
+
+  await t.test('does not repeat an alert that was just sent', async () => {
+    const { notifier } = require('../notifier');
+    const result = await notifier.notify({ key: `manual-review:${reviewed.id}`, subject: 'again', message: '', details: {} });
+    assert.deepStrictEqual(result, { sent: false, reason: 'duplicate' });
+    assert.strictEqual(smtp.messages.length, 1);
+  });
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, testPhoto, uploadPhoto, postJson, authHeaders, waitFor } = require('./helpers');
+
+// Print jobs give up after ~1.2s and poll the bucket every ~0.3s here, so
+// incomplete orders reach manual review quickly
+const ENV = {
+  PRINT_MAX_WAIT_MINUTES: '0.02',
+  PHOTO_POLL_INTERVAL_MINUTES: '0.005'
+};
+
+async function waitForOrder(ctx, orderId, statuses = ['done', 'needs_review', 'failed']) {
+  return waitFor(async () => {
+    const response = await fetch(`${ctx.baseUrl}/orders/${orderId}`, { headers: authHeaders() });
+    const { order } = await response.json();
+    return statuses.includes(order.status) ? order : null;
+  }, { timeout: 20000, interval: 100 });
+}
+
+test('/notify-print', async (t) => {
+  const ctx = await startTestApp(ENV);
+  ctx.startPrintQueue();
+  t.after(() => ctx.close());
+
+  await t.test('exports a complete album to Dropbox', async () => {
+    for (const filename of ['1_100_photo1.jpg', '1_100_photo2.jpg']) {
+      await uploadPhoto(ctx.baseUrl, { address: '12_AB12CD', albumNumber: 1 }, { filename });
+    }
+
+    // The app sends the photos it has left out of 10
+    const { status, body } = await postJson(`${ctx.baseUrl}/notify-print`, { address: '12_AB12CD', photoCount: 8 });
+    assert.strictEqual(status, 200);
+    assert.ok(body.orderId);
+
+    const order = await waitForOrder(ctx, body.orderId);
+    assert.strictEqual(order.status, 'done');
+    assert.strictEqual(order.photos.found, 2);
+    assert.deepStrictEqual(order.exports.dropbox.uploaded.sort(), ['1_100_photo1.jpg', '1_100_photo2.jpg']);
+    assert.ok(ctx.dropbox.uploads.get('/30-clicks-import/12_AB12CD/album1/1_100_photo1.jpg').equals(await testPhoto('1_100_photo1.jpg')));
+    assert.ok(ctx.dropbox.uploads.has('/30-clicks-import/12_AB12CD/album1/1_100_photo2.jpg'));
+    // The album is committed to Dropbox in one batch
+    assert.strictEqual(ctx.dropbox.batchCommits, 1);
+  });
+
+  await t.test('retries a rate-limited upload once per attempt of the worker', async () => {
+    for (const filename of ['1_900_photo1.jpg', '1_900_photo2.jpg']) {
+      await uploadPhoto(ctx.baseUrl, { address: '90_JK90LM', albumNumber: 1 }, { filename });
+    }
+    ctx.dropbox.rateLimitNextUploads = 1;
+
+    const { body } = await postJson(`${ctx.baseUrl}/notify-print`, { address: '90_JK90LM', photoCount: 8 });
+    const order = await waitForOrder(ctx, body.orderId);
+    assert.strictEqual(order.status, 'done');
+    // The upload session call isn't retried underneath the worker's retry
+    const retries = Object.values(order.exports.dropbox.retries);
+    assert.strictEqual(retries.reduce((sum, count) => sum + count, 0), 1);
+  });
+
+  await t.test('sends a partial album to manual review', async () => {
+    await uploadPhoto(ctx.baseUrl, { address: '34_CD34EF', albumNumber: 1 }, { filename: '1_300_photo1.jpg' });
+
+    const { body } = await postJson(`${ctx.baseUrl}/notify-print`, { address: '34_CD34EF', photoCount: 8 });
+    const order = await waitForOrder(ctx, body.orderId);
+
+    assert.strictEqual(order.status, 'needs_review');
+    assert.strictEqual(order.outcome, 'REQUIRES_MANUAL_REVIEW');
+    assert.strictEqual(order.reason, 'incomplete');
+    assert.strictEqual(order.photos.expected, 2);
+    assert.strictEqual(order.photos.found, 1);
+    assert.ok(![...ctx.dropbox.uploads.keys()].some(key => key.includes('34_CD34EF')));
+  });
+
+  await t.test('finds photos in a legacy street-name folder', async () => {
+    ctx.bucket.put('56_Long_Lane_EF56GH/album1/album1_EF56GH_56_sam_1-a.jpg', 'a');
+    ctx.bucket.put('56_Long_Lane_EF56GH/album1/album1_EF56GH_56_sam_2-b.jpg', 'b');
+
+    const { status, body } = await postJson(`${ctx.baseUrl}/notify-print`, { address: '56_EF56GH', photoCount: 8 });
+    assert.strictEqual(status, 200);
+
+    const order = await waitForOrder(ctx, body.orderId);
+    assert.strictEqual(order.status, 'done');
+    assert.strictEqual(order.photos.found, 2);
+    // Exported under the current folder name
+    assert.ok(ctx.dropbox.uploads.has('/30-clicks-import/56_EF56GH/album1/album1_EF56GH_56_sam_1-a.jpg'));
+    assert.ok(ctx.dropbox.uploads.has('/30-clicks-import/56_EF56GH/album1/album1_EF56GH_56_sam_2-b.jpg'));
+  });
+
+  await t.test('counts photos against the product the album was created with', async () => {
+    const created = await fetch(`${ctx.baseUrl}/upload/create-folder?address=78_GH78JK&productId=album-30`, {
+      method: 'POST',
+      headers: authHeaders()
+    });
+    assert.strictEqual((await created.json()).product.albumSize, 30);
+
+    for (const filename of ['1_700_photo1.jpg', '1_700_photo2.jpg']) {
+      await uploadPhoto(ctx.baseUrl, { address: '78_GH78JK', albumNumber: 1 }, { filename });
+    }
+    // 28 of the album's 30 photos left
+    const { body } = await postJson(`${ctx.baseUrl}/notify-print`, { address: '78_GH78JK', photoCount: 28 });
+    const order = await waitForOrder(ctx, body.orderId);
+
+    assert.strictEqual(order.status, 'done');
+    assert.strictEqual(order.photos.expected, 2);
+    assert.strictEqual(order.product.id, 'album-30');
+  });
+
+  await t.test('rejects an unknown product', async () => {
+    const response = await fetch(`${ctx.baseUrl}/upload/create-folder?address=78_GH78JK&productId=poster`, {
+      method: 'POST',
+      headers: authHeaders()
+    });
+    assert.strictEqual(response.status, 400);
+  });
+
+  await t.test('hides orders from other customers', async () => {
+    const { body } = await postJson(`${ctx.baseUrl}/notify-print`, { address: '12_AB12CD', photoCount: 8 }, 'bob-token');
+    assert.strictEqual(body.success, false);
+
+    const orders = ctx.printQueue.list(job => job.folderName === '12_AB12CD');
+    const response = await fetch(`${ctx.baseUrl}/orders/${orders[0].id}`, { headers: authHeaders('bob-token') });
+    assert.strictEqual(response.status, 404);
+  });
+});
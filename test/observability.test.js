@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, testPhoto, uploadPhoto, authHeaders, waitFor } = require('./helpers');
+
+test('logging and metrics', async (t) => {
+  const ctx = await startTestApp();
+  const { formatEntry, withLogContext } = require('../logger');
+  ctx.startPrintQueue();
+  t.after(() => ctx.close());
+  let photo;
+
+  await t.test('tags log lines with the request and order IDs in context', () => {
+    const line = withLogContext({ requestId: 'req-1' }, () =>
+      withLogContext({ orderId: 'order-1' }, () => formatEntry('error', ['Upload failed:', new Error('boom')])));
+    const entry = JSON.parse(line);
+
+    assert.strictEqual(entry.level, 'error');
+    assert.strictEqual(entry.msg, 'Upload failed:');
+    assert.strictEqual(entry.requestId, 'req-1');
+    assert.strictEqual(entry.orderId, 'order-1');
+    assert.strictEqual(entry.error.message, 'boom');
+  });
+
+  await t.test('echoes the X-Request-Id it was given and makes one up otherwise', async () => {
+    const given = await fetch(`${ctx.baseUrl}/`, { headers: { 'X-Request-Id': 'app-request-42' } });
+    assert.strictEqual(given.headers.get('x-request-id'), 'app-request-42');
+
+    const generated = await fetch(`${ctx.baseUrl}/`);
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  await t.test('keeps the placing request\'s ID on the print job', async () => {
+    photo = await testPhoto('metrics');
+    await uploadPhoto(ctx.baseUrl, { address: '12_AB12CD', albumNumber: 1 }, { filename: '1_100_photo1.jpg', content: photo });
+    const response = await fetch(`${ctx.baseUrl}/notify-print`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'print-request-1', ...authHeaders() },
+      body: JSON.stringify({ address: '12_AB12CD', photoCount: 9 })
+    });
+    const { orderId } = await response.json();
+
+    assert.strictEqual(ctx.printQueue.get(orderId).requestId, 'print-request-1');
+    await waitFor(() => ctx.printQueue.get(orderId).status === 'done');
+  });
+
+  await t.test('serves Prometheus metrics', async () => {
+    const response = await fetch(`${ctx.baseUrl}/metrics`);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    const text = await response.text();
+
+    assert.match(text, /^photo_uploads_total\{result="stored"\} 1$/m);
+    assert.match(text, new RegExp(`^photo_upload_bytes_total ${photo.length}$`, 'm'));
+    assert.match(text, /^http_request_duration_seconds_count\{method="POST",route="\/upload",status_code="200"\} 1$/m);
+    assert.match(text, /^print_orders_finished_total\{status="done"\} 1$/m);
+    assert.match(text, /^print_verification_wait_seconds_count\{outcome="complete"\} 1$/m);
+    assert.match(text, /^dropbox_requests_total\{operation="Dropbox batch commit",outcome="success"\} 1$/m);
+    assert.match(text, /^print_jobs\{status="done"\} 1$/m);
+  });
+
+  await t.test('requires METRICS_TOKEN when it is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    try {
+      assert.strictEqual((await fetch(`${ctx.baseUrl}/metrics`)).status, 401);
+      const allowed = await fetch(`${ctx.baseUrl}/metrics`, { headers: { Authorization: 'Bearer scrape-secret' } });
+      assert.strictEqual(allowed.status, 200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+  });
+});
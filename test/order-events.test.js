@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, uploadPhoto, postJson, authHeaders } = require('./helpers');
+
+// Read Server-Sent Events from a response until `until(event)` is true
+async function readEvents(response, until) {
+  const events = [];
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  for await (const chunk of response.body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffered.indexOf('\n\n')) !== -1) {
+      const block = buffered.slice(0, end);
+      buffered = buffered.slice(end + 2);
+      const fields = Object.fromEntries(block.split('\n')
+        .filter(line => line && !line.startsWith(':'))
+        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+      if (!fields.event) continue;
+
+      const event = { type: fields.event, lastEventId: fields.id, ...JSON.parse(fields.data) };
+      events.push(event);
+      if (until(event)) return events;
+    }
+  }
+  return events;
+}
+
+test('/orders/:orderId/events', async (t) => {
+  const ctx = await startTestApp({ ADMIN_TOKEN: 'admin-secret', PRINT_MAX_WAIT_MINUTES: '0.1', PHOTO_POLL_INTERVAL_MINUTES: '0.05' });
+  ctx.startPrintQueue();
+  t.after(() => ctx.close());
+
+  await t.test('streams an order from its photos arriving to completion', async () => {
+    await uploadPhoto(ctx.baseUrl, { address: '12_AB12CD', albumNumber: 1 }, { filename: '1_100_photo1.jpg' });
+    const { body } = await postJson(`${ctx.baseUrl}/notify-print`, { address: '12_AB12CD', photoCount: 8 });
+
+    const controller = new AbortController();
+    const response = await fetch(`${ctx.baseUrl}/orders/${body.orderId}/events`, {
+      headers: authHeaders(),
+      signal: controller.signal
+    });
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const reading = readEvents(response, event => event.type === 'completed');
+    await uploadPhoto(ctx.baseUrl, { address: '12_AB12CD', albumNumber: 1 }, { filename: '1_100_photo2.jpg' });
+    const events = await reading;
+    controller.abort();
+
+    assert.strictEqual(events[0].type, 'order');
+    assert.strictEqual(events[0].data.orderId, body.orderId);
+
+    const types = events.map(event => event.type);
+    assert.ok(types.includes('photo_received'));
+    assert.ok(types.includes('verification_progress'));
+    const received = events.find(event => event.type === 'photo_received');
+    assert.deepStrictEqual(received.data, { photoId: '1_100_photo2', fileName: '1_100_photo2.jpg', photosFound: 2, photosExpected: 2 });
+
+    const exported = events
+      .filter(event => event.type === 'file_exported' && event.data.result === 'uploaded')
+      .map(event => event.data.fileName)
+      .sort();
+    assert.deepStrictEqual(exported, ['1_100_photo1.jpg', '1_100_photo2.jpg']);
+    assert.strictEqual(events.at(-1).data.status, 'done');
+  });
+
+  await t.test('replays missed events after Last-Event-ID', async () => {
+    const { orderEvents } = require('../order-events');
+    const [first] = orderEvents.history;
+    const last = orderEvents.history.at(-1);
+    const controller = new AbortController();
+    const response = await fetch(`${ctx.baseUrl}/admin/events`, {
+      headers: { Authorization: 'Bearer admin-secret', 'Last-Event-ID': first.id },
+      signal: controller.signal
+    });
+
+    const events = await readEvents(response, event => event.id === last.id);
+    controller.abort();
+    assert.deepStrictEqual(events.map(event => event.id), orderEvents.history.slice(1).map(event => event.id));
+  });
+
+  await t.test('hides other customers\' orders', async () => {
+    const [job] = ctx.printQueue.list(() => true);
+    const response = await fetch(`${ctx.baseUrl}/orders/${job.id}/events`, { headers: authHeaders('bob-token') });
+    assert.strictEqual(response.status, 404);
+  });
+});
@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startTestApp, uploadPhoto, postJson, waitFor } = require('./helpers');
+
+const ENV = {
+  PAYMENTS_PROVIDER: 'local',
+  PRINT_MAX_WAIT_MINUTES: '0.02',
+  PHOTO_POLL_INTERVAL_MINUTES: '0.005'
+};
+
+test('payments', async (t) => {
+  const ctx = await startTestApp(ENV);
+  ctx.startPrintQueue();
+  t.after(() => ctx.close());
+
+  const { paymentProvider, signWebhookPayload } = require('../payments');
+  const sendWebhook = async ({ body, headers }) => {
+    const response = await fetch(`${ctx.baseUrl}/webhooks/payments`, { method: 'POST', headers, body });
+    return { status: response.status, body: await response.json() };
+  };
+  const order = orderId => ctx.printQueue.get(orderId);
+
+  // Order an album of `filenames` out of 10 photos
+  const placeOrder = async (address, filenames, photoCount = 10 - filenames.length) => {
+    for (const filename of filenames) {
+      await uploadPhoto(ctx.baseUrl, { address, albumNumber: 1 }, { filename });
+    }
+    return postJson(`${ctx.baseUrl}/notify-print`, { address, photoCount });
+  };
+
+  await t.test('holds the order until it is paid', async () => {
+    const { status, body } = await placeOrder('12_AB12CD', ['1_100_photo1.jpg', '1_100_photo2.jpg'], 8);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'awaiting_payment');
+    assert.strictEqual(body.payment.provider, 'local');
+    assert.strictEqual(body.payment.amount, 1000);
+    assert.strictEqual(body.payment.currency, 'GBP');
+    assert.match(body.payment.clientSecret, /_secret_/);
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.strictEqual(order(body.orderId).status, 'awaiting_payment');
+    assert.strictEqual(ctx.dropbox.uploads.size, 0);
+
+    const paid = await sendWebhook(paymentProvider.webhookEvent('payment_intent.succeeded', body.payment.intentId));
+    assert.strictEqual(paid.status, 200);
+    assert.strictEqual(paid.body.outcome, 'succeeded');
+
+    await waitFor(() => order(body.orderId).status === 'done', { timeout: 20000 });
+    assert.strictEqual(order(body.orderId).payment.status, 'succeeded');
+    assert.strictEqual(ctx.dropbox.uploads.size, 2);
+
+    // Providers can deliver the same event twice
+    const again = await sendWebhook(paymentProvider.webhookEvent('payment_intent.succeeded', body.payment.intentId));
+    assert.strictEqual(again.body.outcome, 'duplicate');
+  });
+
+  await t.test('refuses webhooks without a valid signature', async () => {
+    const event = paymentProvider.webhookEvent('payment_intent.succeeded', 'pi_unknown');
+    const forged = await sendWebhook({ body: event.body, headers: { ...event.headers, 'Stripe-Signature': 't=1,v1=abc' } });
+    assert.strictEqual(forged.status, 400);
+    assert.strictEqual(forged.body.code, 'invalid_signature');
+
+    const stale = Math.floor(Date.now() / 1000) - 3600;
+    const replayed = await sendWebhook({
+      body: event.body,
+      headers: { ...event.headers, 'Stripe-Signature': signWebhookPayload(event.body, paymentProvider.webhookSecret, stale) }
+    });
+    assert.strictEqual(replayed.status, 400);
+
+    // Unknown intents are acknowledged, so the provider stops resending them
+    assert.strictEqual((await sendWebhook(event)).body.outcome, 'ignored');
+  });
+
+  await t.test('keeps the order open after a failed payment and cancels it when the payment is', async () => {
+    const { body } = await placeOrder('34_CD34EF', ['1_300_photo1.jpg'], 9);
+
+    const failed = paymentProvider.webhookEvent('payment_intent.payment_failed', body.payment.intentId, { failureMessage: 'Card declined' });
+    assert.strictEqual((await sendWebhook(failed)).body.outcome, 'failed');
+    assert.strictEqual(order(body.orderId).status, 'awaiting_payment');
+    assert.strictEqual(order(body.orderId).payment.failureMessage, 'Card declined');
+
+    await sendWebhook(paymentProvider.webhookEvent('payment_intent.canceled', body.payment.intentId));
+    assert.strictEqual(order(body.orderId).status, 'cancelled');
+    assert.strictEqual(order(body.orderId).reason, 'payment_canceled');
+  });
+
+  await t.test('refunds a paid order that ends in manual review', async () => {
+    // One of the two photos never arrives
+    const { body } = await placeOrder('56_EF56GH', ['1_500_photo1.jpg'], 8);
+    await sendWebhook(paymentProvider.webhookEvent('payment_intent.succeeded', body.payment.intentId));
+
+    await waitFor(() => order(body.orderId).payment.status === 'refunded', { timeout: 20000 });
+    assert.strictEqual(order(body.orderId).status, 'needs_review');
+    assert.deepStrictEqual(paymentProvider.refunds.map(refund => refund.intentId), [body.payment.intentId]);
+
+    const response = await fetch(`${ctx.baseUrl}/orders/${body.orderId}`, { headers: { Authorization: 'Bearer alice-token' } });
+    const summary = (await response.json()).order;
+    assert.strictEqual(summary.payment.status, 'refunded');
+    assert.ok(summary.payment.refundedAt);
+  });
+
+  await t.test('refunds a payment that arrives after the order was cancelled', async () => {
+    const { body } = await placeOrder('78_GH78IJ', ['1_700_photo1.jpg'], 9);
+    await sendWebhook(paymentProvider.webhookEvent('payment_intent.canceled', body.payment.intentId));
+    assert.strictEqual(order(body.orderId).status, 'cancelled');
+
+    const paid = await sendWebhook(paymentProvider.webhookEvent('payment_intent.succeeded', body.payment.intentId));
+    assert.strictEqual(paid.body.outcome, 'refunded_cancelled');
+    assert.strictEqual(order(body.orderId).status, 'cancelled');
+    assert.strictEqual(order(body.orderId).payment.status, 'refunded');
+    assert.ok(paymentProvider.refunds.some(refund => refund.intentId === body.payment.intentId));
+
+    const again = await sendWebhook(paymentProvider.webhookEvent('payment_intent.succeeded', body.payment.intentId));
+    assert.strictEqual(again.body.outcome, 'duplicate');
+    assert.strictEqual(paymentProvider.refunds.filter(refund => refund.intentId === body.payment.intentId).length, 1);
+  });
+
+  await t.test('cancels orders that are not paid in time', async () => {
+    const { expireUnpaidOrders } = require('../payments');
+    const { body } = await placeOrder('90_IJ90KL', ['1_900_photo1.jpg'], 9);
+    await sendWebhook(paymentProvider.webhookEvent('payment_intent.payment_failed', body.payment.intentId, { failureMessage: 'Card declined' }));
+
+    assert.strictEqual(await expireUnpaidOrders(ctx.printQueue), 0);
+    assert.strictEqual(order(body.orderId).status, 'awaiting_payment');
+
+    assert.ok(await expireUnpaidOrders(ctx.printQueue, { now: Date.now() + 25 * 60 * 60 * 1000 }) >= 1);
+    assert.strictEqual(order(body.orderId).status, 'cancelled');
+    assert.strictEqual(order(body.orderId).reason, 'payment_expired');
+    assert.ok(paymentProvider.cancellations.includes(body.payment.intentId));
+  });
+
+  await t.test('cancels unpaid orders with the account they belong to', async () => {
+    await uploadPhoto(ctx.baseUrl, { address: '11_AA11AA', albumNumber: 1 }, { filename: '1_110_photo1.jpg', token: 'bob-token' });
+    const { body } = await postJson(`${ctx.baseUrl}/notify-print`, { address: '11_AA11AA', photoCount: 9 }, 'bob-token');
+    assert.strictEqual(body.status, 'awaiting_payment');
+
+    const response = await fetch(`${ctx.baseUrl}/me`, {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer bob-token' },
+      body: JSON.stringify({ confirm: true })
+    });
+    assert.strictEqual(response.status, 200);
+    assert.ok(paymentProvider.cancellations.includes(body.payment.intentId));
+    assert.strictEqual(order(body.orderId), null);
+  });
+});
+
+test('Stripe payment provider', async (t) => {
+  const { StripePaymentProvider } = require('../payments');
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    requests.push({ url: req.url, headers: req.headers, params: new URLSearchParams(Buffer.concat(chunks).toString()) });
+    if (req.url === '/v1/payment_intents/pi_2/cancel') {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: 'already canceled', payment_intent: { id: 'pi_2', status: 'canceled' } } }));
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(req.url === '/v1/refunds'
+      ? { id: 're_1', status: 'succeeded' }
+      : req.url.endsWith('/cancel')
+        ? { id: 'pi_1', status: 'canceled' }
+        : { id: 'pi_1', client_secret: 'pi_1_secret_x' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const stripe = new StripePaymentProvider({
+    secretKey: 'sk_test_1',
+    webhookSecret: 'whsec_1',
+    apiUrl: `http://127.0.0.1:${server.address().port}`
+  });
+
+  const intent = await stripe.createIntent({ orderId: 'order-1', amount: 2500, currency: 'GBP' });
+  assert.deepStrictEqual(intent, { id: 'pi_1', clientSecret: 'pi_1_secret_x' });
+  assert.strictEqual(requests[0].headers.authorization, 'Bearer sk_test_1');
+  assert.strictEqual(requests[0].headers['idempotency-key'], 'intent-order-1');
+  assert.strictEqual(requests[0].params.get('amount'), '2500');
+  assert.strictEqual(requests[0].params.get('currency'), 'gbp');
+  assert.strictEqual(requests[0].params.get('metadata[orderId]'), 'order-1');
+
+  assert.deepStrictEqual(await stripe.refund('pi_1'), { id: 're_1', status: 'succeeded' });
+  assert.strictEqual(requests[1].params.get('payment_intent'), 'pi_1');
+
+  assert.deepStrictEqual(await stripe.cancelIntent('pi_1'), { id: 'pi_1', status: 'canceled' });
+  assert.strictEqual(requests[2].url, '/v1/payment_intents/pi_1/cancel');
+  assert.strictEqual(requests[2].headers['idempotency-key'], 'cancel-pi_1');
+  // Cancelled before: nothing left to do
+  assert.deepStrictEqual(await stripe.cancelIntent('pi_2'), { id: 'pi_2', status: 'canceled' });
+});
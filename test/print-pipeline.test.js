@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { startTestApp, testPhoto, uploadPhoto, postJson, waitFor } = require('./helpers');
+
+// The print pipeline and contact sheet are off in the other tests
+const ENV = {
+  PRINT_PROCESSING: 'true',
+  PRINT_CONTACT_SHEET: 'true',
+  PRINT_SIZE: '6x4',
+  PRINT_DPI: '300',
+  PRINT_MAX_WAIT_MINUTES: '0.02',
+  PHOTO_POLL_INTERVAL_MINUTES: '0.005'
+};
+
+test('print pipeline', async (t) => {
+  const ctx = await startTestApp(ENV);
+  ctx.startPrintQueue();
+  t.after(() => ctx.close());
+
+  const exported = name => ctx.dropbox.uploads.get(`/30-clicks-import/12_AB12CD/album1/${name}`);
+
+  // A landscape photo, and one stored landscape with EXIF saying to turn it upright
+  const landscape = await testPhoto('1_100_photo1.jpg', { width: 2400, height: 1500 });
+  const rotated = await sharp(await testPhoto('1_100_photo2.jpg', { width: 2400, height: 1500 }))
+    .withMetadata({ orientation: 6 })
+    .jpeg()
+    .toBuffer();
+  await uploadPhoto(ctx.baseUrl, { address: '12_AB12CD', albumNumber: 1 }, { filename: '1_100_photo1.jpg', content: landscape });
+  await uploadPhoto(ctx.baseUrl, { address: '12_AB12CD', albumNumber: 1 }, { filename: '1_100_photo2.jpg', content: rotated });
+
+  const { body } = await postJson(`${ctx.baseUrl}/notify-print`, { address: '12_AB12CD', photoCount: 8 });
+  await waitFor(() => ['done', 'needs_review', 'failed'].includes(ctx.printQueue.get(body.orderId).status), { timeout: 30000 });
+  assert.strictEqual(ctx.printQueue.get(body.orderId).status, 'done');
+
+  await t.test('resizes photos to the print size at the print DPI', async () => {
+    const metadata = await sharp(exported('1_100_photo1.jpg')).metadata();
+    assert.strictEqual(metadata.format, 'jpeg');
+    assert.strictEqual(metadata.width, 1800);
+    assert.strictEqual(metadata.height, 1200);
+    assert.strictEqual(metadata.density, 300);
+    assert.strictEqual(metadata.space, 'srgb');
+  });
+
+  await t.test('applies the EXIF orientation to the pixels', async () => {
+    const metadata = await sharp(exported('1_100_photo2.jpg')).metadata();
+    assert.strictEqual(metadata.width, 1200);
+    assert.strictEqual(metadata.height, 1800);
+    assert.ok(!metadata.orientation || metadata.orientation === 1);
+  });
+
+  await t.test('drops the original metadata', async () => {
+    const { exif } = await sharp(exported('1_100_photo1.jpg')).metadata();
+    assert.ok(exif.includes('30 Clicks'));
+    // testPhoto() puts the label in the EXIF description
+    assert.ok(!exif.includes('1_100_photo1.jpg'));
+  });
+
+  await t.test('adds a contact sheet of the album', async () => {
+    const sheet = exported('contact-sheet_album1.jpg');
+    assert.ok(sheet);
+    const metadata = await sharp(sheet).metadata();
+    assert.strictEqual(metadata.format, 'jpeg');
+    // One row of the five-column grid, under the title
+    assert.strictEqual(metadata.width, 1640);
+    assert.strictEqual(metadata.height, 456);
+    assert.strictEqual(ctx.dropbox.uploads.size, 3);
+  });
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.RETRY_BASE_DELAY_MS = '10';
+process.env.RETRY_MAX_DELAY_MS = '40';
+process.env.CONCURRENCY_LIMITS = 'slow-lab=1';
+require('./helpers'); // quiet logs
+const { retry, retryDelay, isRetryable, CircuitBreaker, ConcurrencyLimiter, concurrencyLimiter } = require('../resilience');
+
+const httpError = (status, extra = {}) => Object.assign(new Error(`HTTP ${status}`), { status, ...extra });
+
+test('retry', async (t) => {
+  await t.test('retries until the call succeeds', async () => {
+    let calls = 0;
+    const result = await retry('flaky call', async attempt => {
+      calls++;
+      if (attempt < 3) throw httpError(503);
+      return 'ok';
+    });
+    assert.strictEqual(result, 'ok');
+    assert.strictEqual(calls, 3);
+  });
+
+  await t.test('rethrows the last error when attempts run out', async () => {
+    let calls = 0;
+    await assert.rejects(retry('down', async () => {
+      calls++;
+      throw httpError(500);
+    }, { attempts: 2 }), /HTTP 500/);
+    assert.strictEqual(calls, 2);
+  });
+
+  await t.test('does not retry client errors', async () => {
+    let calls = 0;
+    await assert.rejects(retry('bad request', async () => {
+      calls++;
+      throw httpError(400);
+    }));
+    assert.strictEqual(calls, 1);
+  });
+
+  await t.test('waits for the delay the remote asked for', async () => {
+    const startedAt = Date.now();
+    let calls = 0;
+    await retry('rate limited', async () => {
+      if (++calls === 1) throw httpError(429, { isRateLimit: true, retryAfter: 200 });
+    });
+    assert.ok(Date.now() - startedAt >= 200);
+  });
+
+  await t.test('gives up its limiter slot while it waits to retry', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    let calls = 0;
+    const retried = retry('limited', async () => {
+      if (++calls === 1) throw httpError(429, { isRateLimit: true, retryAfter: 200 });
+    }, { limiter });
+
+    // Runs during the backoff instead of after it
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const startedAt = Date.now();
+    await limiter.run(async () => {});
+    assert.ok(Date.now() - startedAt < 100);
+    await retried;
+    assert.strictEqual(calls, 2);
+  });
+});
+
+test('retryDelay', () => {
+  const policy = { baseDelayMs: 1000, maxDelayMs: 5000 };
+  for (let i = 0; i < 20; i++) {
+    const second = retryDelay(new Error('x'), 2, policy);
+    assert.ok(second >= 1000 && second <= 2000, `attempt 2 delay ${second}`);
+    const capped = retryDelay(new Error('x'), 10, policy);
+    assert.ok(capped >= 2500 && capped <= 5000, `capped delay ${capped}`);
+  }
+  assert.strictEqual(retryDelay({ retryAfter: 7000 }, 1, policy), 7000);
+});
+
+test('isRetryable', () => {
+  assert.strictEqual(isRetryable(httpError(503)), true);
+  assert.strictEqual(isRetryable(httpError(429)), true);
+  assert.strictEqual(isRetryable(httpError(404)), false);
+  assert.strictEqual(isRetryable(Object.assign(new Error('gone'), { code: 404 })), false);
+  assert.strictEqual(isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.strictEqual(isRetryable(Object.assign(new Error('no'), { retryable: false })), false);
+});
+
+test('CircuitBreaker', async (t) => {
+  await t.test('opens after consecutive failures and refuses calls', async () => {
+    const breaker = new CircuitBreaker('lab', { failureThreshold: 2, resetTimeoutMs: 60000 });
+    const fail = () => breaker.call(async () => { throw httpError(502); });
+
+    await assert.rejects(fail());
+    assert.strictEqual(breaker.state, 'closed');
+    await assert.rejects(fail());
+    assert.strictEqual(breaker.state, 'open');
+    await assert.rejects(breaker.call(async () => 'never'), error => error.code === 'circuit_open');
+  });
+
+  await t.test('ignores errors that say nothing about the service', async () => {
+    const breaker = new CircuitBreaker('lab', { failureThreshold: 1 });
+    await assert.rejects(breaker.call(async () => { throw httpError(400); }));
+    assert.strictEqual(breaker.state, 'closed');
+  });
+
+  await t.test('closes after a successful trial call once the cool-down has passed', async () => {
+    const breaker = new CircuitBreaker('lab', { failureThreshold: 1, resetTimeoutMs: 50 });
+    breaker.recordFailure();
+    assert.strictEqual(breaker.state, 'open');
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.strictEqual(breaker.state, 'half_open');
+    assert.strictEqual(await breaker.call(async () => 'ok'), 'ok');
+    assert.strictEqual(breaker.state, 'closed');
+  });
+
+  await t.test('re-opens when the trial call fails', async () => {
+    const breaker = new CircuitBreaker('lab', { failureThreshold: 3, resetTimeoutMs: 50 });
+    breaker.open();
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    await assert.rejects(breaker.call(async () => { throw httpError(503); }));
+    assert.strictEqual(breaker.state, 'open');
+  });
+});
+
+test('concurrencyLimiter', async () => {
+  const limiter = concurrencyLimiter('slow-lab');
+  assert.strictEqual(concurrencyLimiter('slow-lab'), limiter);
+  assert.strictEqual(concurrencyLimiter('other-lab').limit, 2);
+
+  let active = 0;
+  let maxActive = 0;
+  const order = [];
+  await Promise.all([1, 2, 3].map(n => limiter.run(async () => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    order.push(n);
+    active--;
+  })));
+
+  assert.strictEqual(maxActive, 1);
+  assert.deepStrictEqual(order, [1, 2, 3]);
+});
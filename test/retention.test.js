@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, testPhoto, uploadPhoto, postJson, authHeaders, waitFor } = require('./helpers');
+
+const ENV = {
+  PRINT_MAX_WAIT_MINUTES: '0.02',
+  PHOTO_POLL_INTERVAL_MINUTES: '0.005'
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upload an album's photos, order it and wait for the order to finish
+async function printAlbum(ctx, address, albumNumber, filenames, photoCount = 10 - filenames.length) {
+  for (const filename of filenames) {
+    await uploadPhoto(ctx.baseUrl, { address, albumNumber }, { filename });
+  }
+  const { body } = await postJson(`${ctx.baseUrl}/notify-print`, { address, photoCount, userDetails: { currentAlbumNumber: albumNumber } });
+  return waitFor(async () => {
+    const response = await fetch(`${ctx.baseUrl}/orders/${body.orderId}`, { headers: authHeaders() });
+    const { order } = await response.json();
+    return ['done', 'needs_review', 'failed'].includes(order.status) ? order : null;
+  }, { timeout: 20000, interval: 100 });
+}
+
+test('retention', async (t) => {
+  const ctx = await startTestApp(ENV);
+  ctx.startPrintQueue();
+  t.after(() => ctx.close());
+
+  const { runRetentionSweep, pendingDeletions, deleteFromDestinations } = require('../retention');
+  const { albumManifests } = require('../album-manifest');
+  const { auditLog } = require('../audit-log');
+  const stored = prefix => [...ctx.bucket.objects.keys()].filter(name => name.startsWith(prefix));
+  const exported = prefix => [...ctx.dropbox.uploads.keys()].filter(name => name.startsWith(`/30-clicks-import/${prefix}`));
+
+  const printed = await printAlbum(ctx, '12_AB12CD', 1, ['1_100_photo1.jpg', '1_100_photo2.jpg'], 8);
+  assert.strictEqual(printed.status, 'done');
+  const incomplete = await printAlbum(ctx, '34_CD34EF', 1, ['1_300_photo1.jpg'], 8);
+  assert.strictEqual(incomplete.status, 'needs_review');
+
+  await t.test('keeps albums until the retention period is over', async () => {
+    const result = await runRetentionSweep(ctx.printQueue, { days: 30, now: Date.now() + 29 * DAY_MS });
+    assert.strictEqual(result.albums, 0);
+    assert.strictEqual(stored('12_AB12CD/album1/').length, 2);
+
+    // No policy configured: nothing is ever removed
+    assert.strictEqual((await runRetentionSweep(ctx.printQueue, { days: 0, now: Date.now() + 365 * DAY_MS })).albums, 0);
+  });
+
+  await t.test('deletes printed albums from storage and the export destinations', async () => {
+    const result = await runRetentionSweep(ctx.printQueue, { days: 30, now: Date.now() + 31 * DAY_MS });
+    assert.strictEqual(result.albums, 1);
+
+    assert.deepStrictEqual(stored('12_AB12CD/album1/'), []);
+    assert.deepStrictEqual(exported('12_AB12CD/album1/'), []);
+    assert.strictEqual(albumManifests.get('12_AB12CD/album1'), null);
+    // Albums that were never printed are kept
+    assert.strictEqual(stored('34_CD34EF/album1/').length, 1);
+
+    const { retention } = ctx.printQueue.get(printed.orderId);
+    assert.strictEqual(retention.action, 'delete');
+    assert.strictEqual(retention.storageObjects, 2);
+    assert.deepStrictEqual(retention.destinations, { deleted: ['dropbox'], pending: [] });
+
+    const [entry] = auditLog.list(candidate => candidate.action === 'retention.delete');
+    assert.deepStrictEqual(entry.details.orderIds, [printed.orderId]);
+    assert.doesNotMatch(JSON.stringify(entry), /AB12CD/);
+
+    // Handled once only
+    assert.strictEqual((await runRetentionSweep(ctx.printQueue, { days: 30, now: Date.now() + 31 * DAY_MS })).albums, 0);
+  });
+
+  await t.test('archives instead when configured to', async () => {
+    const order = await printAlbum(ctx, '12_AB12CD', 2, ['2_200_photo1.jpg'], 9);
+    assert.strictEqual(order.status, 'done');
+
+    await runRetentionSweep(ctx.printQueue, { days: 30, action: 'archive', now: Date.now() + 31 * DAY_MS });
+    assert.deepStrictEqual(stored('12_AB12CD/album2/'), []);
+    assert.deepStrictEqual(stored('retention-archive/12_AB12CD/album2/'), ['retention-archive/12_AB12CD/album2/2_200_photo1.jpg']);
+    assert.deepStrictEqual(exported('12_AB12CD/album2/'), []);
+    assert.strictEqual(ctx.printQueue.get(order.orderId).retention.action, 'archive');
+  });
+
+  await t.test('removes albums the order found in a legacy street-name folder', async () => {
+    for (const name of ['1_500_photo1.jpg', '1_500_photo2.jpg']) {
+      ctx.bucket.put(`56_High_Street_EF56GH/album1/${name}`, await testPhoto(name));
+    }
+    const order = await printAlbum(ctx, '56_EF56GH', 1, [], 8);
+    assert.strictEqual(order.status, 'done');
+    assert.strictEqual(ctx.printQueue.get(order.orderId).folderPrefix, '56_High_Street_EF56GH/album1/');
+
+    await runRetentionSweep(ctx.printQueue, { days: 30, action: 'archive', now: Date.now() + 31 * DAY_MS });
+    assert.deepStrictEqual(stored('56_High_Street_EF56GH/'), []);
+    assert.deepStrictEqual(stored('retention-archive/56_EF56GH/album1/'), [
+      'retention-archive/56_EF56GH/album1/1_500_photo1.jpg',
+      'retention-archive/56_EF56GH/album1/1_500_photo2.jpg'
+    ]);
+    assert.strictEqual(ctx.printQueue.get(order.orderId).retention.storageObjects, 2);
+  });
+
+  await t.test('retries deletions a destination was not available for', async () => {
+    const order = await printAlbum(ctx, '12_AB12CD', 3, ['3_300_photo1.jpg'], 9);
+    assert.strictEqual(order.status, 'done');
+
+    const dropbox = require('../export-destinations').getDestination('dropbox');
+    const deleteExported = dropbox.deleteExported;
+    dropbox.deleteExported = async () => ({ skipped: true, reason: 'degraded_mode' });
+    try {
+      await runRetentionSweep(ctx.printQueue, { days: 30, now: Date.now() + 31 * DAY_MS });
+    } finally {
+      dropbox.deleteExported = deleteExported;
+    }
+
+    assert.deepStrictEqual(ctx.printQueue.get(order.orderId).retention.destinations, { deleted: [], pending: ['dropbox'] });
+    assert.deepStrictEqual(pendingDeletions().map(entry => [entry.destination, entry.albumNumber]), [['dropbox', 3]]);
+    assert.strictEqual(exported('12_AB12CD/album3/').length, 1);
+
+    // Asking again while the destination is still down doesn't queue it twice
+    dropbox.deleteExported = async () => ({ skipped: true, reason: 'degraded_mode' });
+    try {
+      await deleteFromDestinations(['dropbox'], { folderName: '12_AB12CD', albumNumber: 3 });
+    } finally {
+      dropbox.deleteExported = deleteExported;
+    }
+    assert.strictEqual(pendingDeletions().length, 1);
+
+    const result = await runRetentionSweep(ctx.printQueue, { days: 30, now: Date.now() + 31 * DAY_MS });
+    assert.strictEqual(result.retriedDeletions, 1);
+    assert.deepStrictEqual(pendingDeletions(), []);
+    assert.deepStrictEqual(exported('12_AB12CD/album3/'), []);
+  });
+});
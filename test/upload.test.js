@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { startTestApp, testPhoto, uploadPhoto, authHeaders } = require('./helpers');
+
+// A photo with some content: circles placed from `seed` on a coloured background
+function scene(seed) {
+  let state = seed;
+  const random = () => (state = (state * 16807) % 2147483647) / 2147483647;
+  const circles = Array.from({ length: 25 }, () =>
+    `<circle cx="${random() * 1800}" cy="${random() * 1200}" r="${20 + random() * 200}" fill="hsl(${random() * 360}, 70%, 50%)"/>`);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1800" height="1200"><rect width="1800" height="1200" fill="#7a6"/>${circles.join('')}</svg>`;
+  return sharp(Buffer.from(svg)).jpeg().toBuffer();
+}
+
+test('/upload', async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+
+  await t.test('rejects requests without an ID token', async () => {
+    const response = await fetch(`${ctx.baseUrl}/upload?address=12_AB12CD`, { method: 'POST' });
+    assert.strictEqual(response.status, 401);
+  });
+
+  await t.test('keeps new-style photo ID filenames as they are', async () => {
+    const { status, body } = await uploadPhoto(ctx.baseUrl, { address: '12 AB1 2CD', albumNumber: 1 }, {
+      filename: '1_1700000000000_photo1.jpg'
+    });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.photoId, '1_1700000000000_photo1');
+    assert.ok(ctx.bucket.objects.has('12_AB1_2CD/album1/1_1700000000000_photo1.jpg'));
+  });
+
+  await t.test('uses the old app filename format without an email', async () => {
+    const { status } = await uploadPhoto(ctx.baseUrl, {
+      address: '34_CD34EF', postcode: 'CD34EF', houseNumber: '34', username: 'sam'
+    }, { filename: 'IMG_0001.jpg' });
+
+    assert.strictEqual(status, 200);
+    const names = [...ctx.bucket.objects.keys()].filter(name => name.startsWith('34_CD34EF/'));
+    assert.strictEqual(names.length, 1);
+    assert.match(names[0], /^34_CD34EF\/album1\/album1_CD34EF_34_sam_\d+-IMG_0001\.jpg$/);
+  });
+
+  await t.test('includes the email in new app filenames', async () => {
+    const { status } = await uploadPhoto(ctx.baseUrl, {
+      address: 'alice@example.com_56_EF56GH', albumNumber: 2,
+      postcode: 'EF56GH', houseNumber: '56', username: 'alice', email: 'alice@example.com'
+    }, { filename: 'IMG_0002.jpg' });
+
+    assert.strictEqual(status, 200);
+    const names = [...ctx.bucket.objects.keys()].filter(name => name.startsWith('alice_example_com_56_EF56GH/'));
+    assert.strictEqual(names.length, 1);
+    assert.match(names[0], /^alice_example_com_56_EF56GH\/album2\/album2_EF56GH_56_alice@example\.com_alice_\d+-IMG_0002\.jpg$/);
+  });
+
+  await t.test('stores a retried upload of the same photo once', async () => {
+    const query = { address: '78_GH78IJ', albumNumber: 1 };
+    const first = await uploadPhoto(ctx.baseUrl, query, { filename: '1_1700000000001_photo1.jpg' });
+    const retry = await uploadPhoto(ctx.baseUrl, query, { filename: '1_1700000000001_photo1.jpg' });
+
+    assert.strictEqual(first.body.duplicate, undefined);
+    assert.strictEqual(retry.body.duplicate, true);
+    assert.strictEqual([...ctx.bucket.objects.keys()].filter(name => name.startsWith('78_GH78IJ/')).length, 1);
+  });
+
+  await t.test('rejects files that are not images', async () => {
+    const { status, body } = await uploadPhoto(ctx.baseUrl, { address: '90_JK90LM', albumNumber: 1 }, {
+      filename: '1_1700000000003_photo1.jpg', content: Buffer.from('%PDF-1.7 not a photo at all')
+    });
+
+    assert.strictEqual(status, 422);
+    assert.strictEqual(body.code, 'not_an_image');
+    assert.ok(![...ctx.bucket.objects.keys()].some(name => name.startsWith('90_JK90LM/')));
+  });
+
+  await t.test('rejects image types the lab can\'t print', async () => {
+    const { status, body } = await uploadPhoto(ctx.baseUrl, { address: '90_JK90LM', albumNumber: 1 }, {
+      filename: '1_1700000000003_photo2.jpg', content: await testPhoto('gif', { format: 'gif' })
+    });
+
+    assert.strictEqual(status, 422);
+    assert.strictEqual(body.code, 'unsupported_image_type');
+  });
+
+  await t.test('rejects truncated images and HEIC files that don\'t decode', async () => {
+    const photo = await testPhoto('truncated');
+    const truncated = await uploadPhoto(ctx.baseUrl, { address: '90_JK90LM', albumNumber: 1 }, {
+      filename: '1_1700000000003_photo3.jpg', content: photo.subarray(0, Math.floor(photo.length * 0.6))
+    });
+    assert.strictEqual(truncated.status, 422);
+    assert.strictEqual(truncated.body.code, 'corrupt_image');
+
+    const heicHeader = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic\0\0\0\0mif1heic'), Buffer.alloc(64)]);
+    const heic = await uploadPhoto(ctx.baseUrl, { address: '90_JK90LM', albumNumber: 1 }, {
+      filename: '1_1700000000003_photo4.HEIC', content: heicHeader
+    });
+    assert.strictEqual(heic.status, 422);
+    assert.strictEqual(heic.body.code, 'corrupt_image');
+    assert.ok(![...ctx.bucket.objects.keys()].some(name => name.startsWith('90_JK90LM/')));
+  });
+
+  await t.test('stores photos by their real type and flags low resolution ones', async () => {
+    const { status, body } = await uploadPhoto(ctx.baseUrl, { address: '90_JK90LM', albumNumber: 1 }, {
+      filename: '1_1700000000003_photo5.jpg', content: await testPhoto('small png', { width: 640, height: 480, format: 'png' })
+    });
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.image, { type: 'png', width: 640, height: 480, convertedFrom: null });
+    assert.deepStrictEqual(body.warnings, ['low_resolution']);
+    const stored = ctx.bucket.objects.get('90_JK90LM/album1/1_1700000000003_photo5.png');
+    assert.strictEqual(stored.contentType, 'image/png');
+
+    const sharp = await uploadPhoto(ctx.baseUrl, { address: '90_JK90LM', albumNumber: 1 }, { filename: '1_1700000000003_photo6.jpg' });
+    assert.deepStrictEqual(sharp.body.warnings, []);
+  });
+
+  await t.test('flags near-duplicate, blurred and black frames for review', async () => {
+    const query = { address: '24_MN24OP', albumNumber: 1 };
+    const original = await scene(1);
+    const photos = {
+      '1_1700000000004_photo1.jpg': original,
+      '1_1700000000004_photo2.jpg': await sharp(original).modulate({ brightness: 1.1 }).resize(1500).jpeg({ quality: 70 }).toBuffer(),
+      '1_1700000000004_photo3.jpg': await sharp(await scene(2)).blur(8).jpeg().toBuffer(),
+      '1_1700000000004_photo4.jpg': await sharp(await testPhoto('lens cap')).linear(0, 4).jpeg().toBuffer()
+    };
+    const responses = {};
+    for (const [filename, content] of Object.entries(photos)) {
+      responses[filename] = (await uploadPhoto(ctx.baseUrl, query, { filename, content })).body;
+    }
+
+    assert.deepStrictEqual(responses['1_1700000000004_photo1.jpg'].review.flags, []);
+    assert.deepStrictEqual(responses['1_1700000000004_photo2.jpg'].review.flags, ['near_duplicate']);
+    assert.strictEqual(responses['1_1700000000004_photo2.jpg'].review.duplicateOf, '1_1700000000004_photo1');
+
+    const response = await fetch(`${ctx.baseUrl}/upload/review?${new URLSearchParams(query)}`, { headers: authHeaders() });
+    const review = await response.json();
+    assert.strictEqual(review.photoCount, 4);
+    assert.deepStrictEqual(
+      Object.fromEntries(review.flagged.map(photo => [photo.photoId, photo.flags])),
+      {
+        '1_1700000000004_photo2': ['near_duplicate'],
+        '1_1700000000004_photo3': ['blurry'],
+        '1_1700000000004_photo4': ['too_dark']
+      }
+    );
+
+    const other = await fetch(`${ctx.baseUrl}/upload/review?${new URLSearchParams(query)}`, { headers: authHeaders('bob-token') });
+    assert.strictEqual(other.status, 403);
+  });
+
+  await t.test('refuses uploads into another customer\'s folder', async () => {
+    const { status, body } = await uploadPhoto(ctx.baseUrl, { address: '12 AB1 2CD', albumNumber: 1 }, {
+      filename: '1_1700000000002_photo2.jpg', token: 'bob-token'
+    });
+
+    assert.strictEqual(status, 403);
+    assert.strictEqual(body.success, false);
+    assert.ok(!ctx.bucket.objects.has('12_AB1_2CD/album1/1_1700000000002_photo2.jpg'));
+  });
+
+  await t.test('refuses an album number that would climb into another folder', async () => {
+    await uploadPhoto(ctx.baseUrl, { address: '46_QR46ST', albumNumber: 1 }, { filename: '1_1700000000010_photo1.jpg', token: 'bob-token' });
+    const before = [...ctx.bucket.objects.keys()].filter(name => name.startsWith('46_QR46ST/'));
+
+    for (const albumNumber of ['1/../../46_QR46ST/album1', '0', '-1', '1.5', 'two']) {
+      const { status, body } = await uploadPhoto(ctx.baseUrl, { address: '12 AB1 2CD', albumNumber }, {
+        filename: '1_1700000000010_photo2.jpg'
+      });
+      assert.strictEqual(status, 400, albumNumber);
+      assert.strictEqual(body.success, false);
+    }
+    assert.deepStrictEqual([...ctx.bucket.objects.keys()].filter(name => name.startsWith('46_QR46ST/')), before);
+  });
+
+  await t.test('does not hand over existing folders that start with the user\'s email', async () => {
+    // Uploaded by someone else before sign-in; "alice@example-com" would make the same folder name
+    ctx.bucket.put('alice_example_com_78_GH78IJ/album1/1_1600000000000_photo1.jpg', await testPhoto('legacy'));
+
+    const { status, body } = await uploadPhoto(ctx.baseUrl, { address: 'alice@example.com_78_GH78IJ', albumNumber: 1 }, {
+      filename: '1_1700000000009_photo1.jpg'
+    });
+    assert.strictEqual(status, 403);
+    assert.strictEqual(body.code, 'claim_pending');
+    assert.strictEqual(require('../auth').folderOwners.get('alice_example_com_78_GH78IJ'), null);
+  });
+});
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const { bucket, signedUrl } = require('./storage');
+const { AlbumManifestStore, albumManifests } = require('./album-manifest');
+const { dataModel } = require('./data-model');
+const { folderOwners } = require('./auth');
+const { retry } = require('./resilience');
+const { metrics } = require('./metrics');
+const { products } = require('./products');
+const { ImageValidationError, validateImage, storagePathFor } = require('./image-validation');
+const { PHOTO_FLAGS, analyzePhoto, withDuplicateCheck } = require('./photo-analysis');
+
+// Set up multer for memory storage
+const parseImageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+}).single('image');
+
+// A request whose album number or filename can't be used in a storage path
+class UploadTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Album numbers go straight into storage paths (`<folder>/album<N>/`), so
+// only a positive whole number is accepted. Missing means album 1; anything
+// else that isn't one (`1/../../<other folder>/album1`) gives null.
+function parseAlbumNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return 1;
+  }
+  const albumNumber = Number(value);
+  return /^\d+$/.test(String(value).trim()) && albumNumber > 0 ? albumNumber : null;
+}
+
+// Shared by /upload and the resumable upload sessions: work out where a photo
+// is stored (folder, album, filename) and which photo ID it belongs to.
+// Throws an UploadTargetError for an album number or filename that could
+// point outside the album.
+function resolveUploadTarget(query, filename, body) {
+  // Clean up the address for folder name
+  const folderName = query.address.replace(/[^a-z0-9]/gi, '_');
+
+  // Note: Address format depends on app version:
+  // - Old app: "houseNumber_postcode"
+  // - New app: "email_houseNumber_postcode"
+  // Backend accepts both formats automatically
+
+  // Check if this address already includes album info (from client)
+  // If not, try to get it from the query parameters
+  let albumNumber = 1;
+  if (!folderName.includes('album')) {
+    // Extract album info from query parameters or body if available
+    albumNumber = parseAlbumNumber(query.albumNumber || body?.userDetails?.currentAlbumNumber);
+    if (!albumNumber) {
+      throw new UploadTargetError('albumNumber must be a positive whole number');
+    }
+  }
+
+  // Only the name itself, never a path the client made up
+  const originalname = path.basename(String(filename));
+  if (!originalname || originalname === '.' || originalname === '..') {
+    throw new UploadTargetError('Invalid filename');
+  }
+
+  // Extract user details from query parameters
+  const postcode = query.postcode || '';
+  const houseNumber = query.houseNumber || '';
+  const username = query.username || '';
+  const email = query.email || username; // Use email if provided, fallback to username
+
+  // Use the exact filename from the frontend (already contains photo ID)
+  // This ensures consistency between frontend photo IDs and backend filenames
+  let enhancedFilename = originalname;
+
+  // Check if this is a new-style photo ID (starts with album number and contains _photo)
+  const isNewStylePhotoId = enhancedFilename.includes(`${albumNumber}_`) && enhancedFilename.includes('_photo');
+
+  // If it's not a new-style photo ID, add legacy timestamp for backward compatibility
+  if (!isNewStylePhotoId) {
+    const timestamp = Date.now();
+    // Backward compatibility: Check if email param exists (new app) vs old app
+    const isNewAppVersion = query.email !== undefined;
+
+    if (isNewAppVersion) {
+      // New app version: include email in filename
+      enhancedFilename = `album${albumNumber}_${postcode}_${houseNumber}_${email}_${username}_${timestamp}-${originalname}`;
+    } else {
+      // Old app version: use old filename format
+      enhancedFilename = `album${albumNumber}_${postcode}_${houseNumber}_${username}_${timestamp}-${originalname}`;
+    }
+  }
+
+  // Uploads are keyed by photo ID (explicit, or the new-style filename) so a
+  // retried upload from a flaky connection is idempotent
+  const photoId = query.photoId || (isNewStylePhotoId ? path.parse(originalname).name : null);
+
+  return {
+    folderName,
+    albumNumber,
+    albumKey: AlbumManifestStore.albumKey(folderName, albumNumber),
+    photoId,
+    // Include album subfolder in the path
+    filePath: `${folderName}/album${albumNumber}/${enhancedFilename}`
+  };
+}
+
+// Data-model album behind an address-string folder (see the compatibility
+// layer in data-model.js). The storage folder and the manifest are what the
+// upload and print flows rely on, so when the database can't be reached this
+// logs and returns an album without an `id` instead of failing the request.
+async function resolveFolderAlbum(folderName, albumNumber, { product = null } = {}) {
+  try {
+    const owner = folderOwners.get(folderName);
+    return await dataModel.resolveAlbum(folderName, albumNumber, owner ? owner.uid : null, { product });
+  } catch (error) {
+    console.error(`⚠️ Could not resolve ${folderName}/album${albumNumber} in the database:`, error.message);
+    return { id: null, folderName, albumNumber, folderPrefix: `${folderName}/album${albumNumber}/`, product };
+  }
+}
+
+// Once a photo is fully written: record it in the album manifest (wakes a
+// waiting print job once the album is complete) and the photos collection,
+// and return a signed URL for it. `album` saves looking the album up again.
+async function finalizeUploadedPhoto({ folderName, albumNumber, photoId, filePath, size, contentType, contentHash, analysis = null }, album = null) {
+  albumManifests.recordPhoto(folderName, albumNumber, {
+    photoId,
+    path: filePath,
+    size,
+    contentType,
+    contentHash,
+    analysis
+  });
+  metrics.photoUploads.inc({ result: 'stored' });
+  metrics.photoUploadBytes.inc({}, Number(size) || 0);
+
+  // The manifest and the bucket are what printing relies on, so a database
+  // hiccup doesn't fail the upload
+  album = album || await resolveFolderAlbum(folderName, albumNumber);
+  if (album.id) {
+    try {
+      await dataModel.recordPhoto(album, { photoId, storagePath: filePath, size, contentType, contentHash });
+    } catch (error) {
+      console.error(`⚠️ Could not record ${filePath} in the database:`, error.message);
+    }
+  }
+
+  console.log('File uploaded successfully to storage:', filePath);
+  return signedUrl(filePath);
+}
+
+// Check a fully received photo (see image-validation.js) against its album's
+// print size. Rejections are counted; the error is rethrown for the route.
+async function validateUploadedPhoto(buffer, album) {
+  try {
+    return await validateImage(buffer, { printSize: products.forAlbum(album).printSize });
+  } catch (error) {
+    if (error instanceof ImageValidationError) {
+      console.warn(`🚫 Rejected upload for ${album.folderPrefix}: ${error.code} (${error.details})`);
+      metrics.photoUploads.inc({ result: 'rejected' });
+    }
+    throw error;
+  }
+}
+
+// Content analysis of a photo about to be recorded (see photo-analysis.js),
+// checked for near-duplicates against the rest of its album. It only advises
+// the customer, so a failure is logged and the photo stored without one.
+async function analyzeUploadedPhoto(albumKey, { photoId, filePath }, buffer) {
+  try {
+    const manifest = albumManifests.get(albumKey);
+    const others = manifest
+      ? Object.values(manifest.photos).filter(photo => (photo.photoId || photo.path) !== (photoId || filePath))
+      : [];
+    return withDuplicateCheck(await analyzePhoto(buffer), others);
+  } catch (error) {
+    console.error(`⚠️ Could not analyse ${filePath}:`, error.message);
+    return null;
+  }
+}
+
+// Response for a request whose upload target was refused, or null when
+// `error` is something else
+function uploadTargetErrorResponse(error) {
+  if (!(error instanceof UploadTargetError)) {
+    return null;
+  }
+  return { success: false, error: error.message };
+}
+
+// Response for a rejected photo, or null when `error` is something else
+function imageErrorResponse(error) {
+  if (!(error instanceof ImageValidationError)) {
+    return null;
+  }
+  return { success: false, error: error.message, code: error.code, details: error.details };
+}
+
+// Store a photo received in one request (req.file from parseImageUpload) at
+// the target from resolveUploadTarget. A photo that is already stored with the
+// same content is not written again. The hash is of the bytes the app sent,
+// so a re-sent HEIC photo is still recognised after it was converted.
+async function storeUploadedPhoto(target, file) {
+  const { folderName, albumNumber, albumKey, photoId } = target;
+  const contentHash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const existingPhoto = albumManifests.findPhoto(albumKey, { photoId, contentHash });
+
+  if (existingPhoto && existingPhoto.contentHash === contentHash) {
+    console.log('♻️ Photo already stored, skipping duplicate upload:', existingPhoto.path);
+    metrics.photoUploads.inc({ result: 'duplicate' });
+    return { duplicate: true, photoId, fileUrl: await signedUrl(existingPhoto.path) };
+  }
+
+  const album = await resolveFolderAlbum(folderName, albumNumber);
+  const image = await validateUploadedPhoto(file.buffer, album);
+
+  // A re-sent photo ID replaces its earlier upload
+  const filePath = existingPhoto ? existingPhoto.path : storagePathFor(target.filePath, image);
+  if (image.convertedFrom) {
+    console.log(`🔄 Converted ${image.convertedFrom.toUpperCase()} upload to JPEG: ${filePath}`);
+  }
+
+  // The photo is in memory, so a failed write can simply be repeated
+  await retry(`Storing ${filePath}`, () => new Promise((resolve, reject) => {
+    const stream = bucket.file(filePath).createWriteStream({ metadata: { contentType: image.contentType } });
+    stream.on('error', reject);
+    stream.on('finish', resolve);
+    stream.end(image.buffer);
+  }));
+
+  const analysis = await analyzeUploadedPhoto(albumKey, { photoId, filePath }, image.buffer);
+  const fileUrl = await finalizeUploadedPhoto({
+    folderName,
+    albumNumber,
+    photoId,
+    filePath,
+    size: image.buffer.length,
+    contentType: image.contentType,
+    contentHash,
+    analysis
+  }, album);
+  return { duplicate: false, photoId, fileUrl, ...imageSummary(image, analysis) };
+}
+
+// What the app is told about a stored photo: its checked type and size,
+// image warnings and the content review flags
+function imageSummary(image, analysis) {
+  const flags = analysis ? analysis.flags : [];
+  return {
+    image: { type: image.type, width: image.width, height: image.height, convertedFrom: image.convertedFrom },
+    warnings: image.warnings,
+    review: {
+      flags,
+      messages: flags.map(flag => PHOTO_FLAGS[flag]),
+      duplicateOf: analysis ? analysis.duplicateOf : null
+    }
+  };
+}
+
+module.exports = {
+  UploadTargetError,
+  parseImageUpload,
+  parseAlbumNumber,
+  resolveUploadTarget,
+  resolveFolderAlbum,
+  finalizeUploadedPhoto,
+  validateUploadedPhoto,
+  analyzeUploadedPhoto,
+  imageErrorResponse,
+  uploadTargetErrorResponse,
+  imageSummary,
+  storeUploadedPhoto
+};